@@ -0,0 +1,81 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Functions for measuring and increasing the contrast between colors, as defined by the Web Content Accessibility
+ * Guidelines (WCAG) 2.1, see https://www.w3.org/TR/WCAG21/#dfn-contrast-ratio. Alpha is ignored, so colors are
+ * treated as if they are opaque.
+ *
+ * @author agent <agent@local>
+ */
+
+import Utils from '../../dot/js/Utils.js';
+import Color from '../../scenery/js/util/Color.js';
+import sceneryPhet from './sceneryPhet.js';
+
+const ColorContrast = {
+
+  // @public (read-only) minimum contrast ratios for WCAG level AA
+  AA_NORMAL_TEXT_RATIO: 4.5,
+  AA_LARGE_TEXT_RATIO: 3, // also applies to graphics and user interface components
+
+  /**
+   * Gets the relative luminance of a color, in the range [0,1], where 0 is black and 1 is white.
+   * @param {Color|string} color
+   * @returns {number}
+   * @public
+   */
+  getRelativeLuminance( color ) {
+    color = Color.toColor( color );
+    const linear = [ color.red, color.green, color.blue ].map( component => {
+      const c = component / 255;
+      return ( c <= 0.03928 ) ? c / 12.92 : Math.pow( ( c + 0.055 ) / 1.055, 2.4 );
+    } );
+    return 0.2126 * linear[ 0 ] + 0.7152 * linear[ 1 ] + 0.0722 * linear[ 2 ];
+  },
+
+  /**
+   * Gets the contrast ratio of 2 colors, in the range [1,21]. The order of the colors does not matter.
+   * @param {Color|string} color1
+   * @param {Color|string} color2
+   * @returns {number}
+   * @public
+   */
+  getContrastRatio( color1, color2 ) {
+    const luminance1 = ColorContrast.getRelativeLuminance( color1 );
+    const luminance2 = ColorContrast.getRelativeLuminance( color2 );
+    return ( Math.max( luminance1, luminance2 ) + 0.05 ) / ( Math.min( luminance1, luminance2 ) + 0.05 );
+  },
+
+  /**
+   * Does a foreground color have enough contrast with a background color for WCAG level AA?
+   * @param {Color|string} foreground
+   * @param {Color|string} background
+   * @param {boolean} [largeText] - true for large text, graphics and user interface components
+   * @returns {boolean}
+   * @public
+   */
+  meetsAA( foreground, background, largeText = false ) {
+    const minimumRatio = largeText ? ColorContrast.AA_LARGE_TEXT_RATIO : ColorContrast.AA_NORMAL_TEXT_RATIO;
+    return ColorContrast.getContrastRatio( foreground, background ) >= minimumRatio;
+  },
+
+  /**
+   * Increases the contrast of a color by moving each of its components away from the middle of the range, so that
+   * light colors become lighter and dark colors become darker. Black, white and fully saturated primary and
+   * secondary colors are unchanged.
+   * @param {Color|string} color
+   * @param {number} factor - how much to increase contrast, > 1
+   * @returns {Color}
+   * @public
+   */
+  increaseContrast( color, factor ) {
+    assert && assert( factor > 1, `invalid factor: ${factor}` );
+    color = Color.toColor( color );
+    const components = [ color.red, color.green, color.blue ].map( component =>
+      Utils.roundSymmetric( Utils.clamp( 127.5 + factor * ( component - 127.5 ), 0, 255 ) ) );
+    return new Color( components[ 0 ], components[ 1 ], components[ 2 ], color.alpha );
+  }
+};
+
+sceneryPhet.register( 'ColorContrast', ColorContrast );
+export default ColorContrast;
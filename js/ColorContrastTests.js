@@ -0,0 +1,61 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for ColorContrast and ColorVisionDeficiency
+ *
+ * @author agent <agent@local>
+ */
+
+import Color from '../../scenery/js/util/Color.js';
+import ColorContrast from './ColorContrast.js';
+import ColorVisionDeficiency from './ColorVisionDeficiency.js';
+
+QUnit.module( 'ColorContrast' );
+
+QUnit.test( 'getContrastRatio', assert => {
+  const approximatelyEqual = ( actual, expected, message ) => {
+    assert.ok( Math.abs( actual - expected ) < 0.01, `${message}: expected ${expected}, actual ${actual}` );
+  };
+  approximatelyEqual( ColorContrast.getContrastRatio( 'black', 'white' ), 21, 'black/white' );
+  approximatelyEqual( ColorContrast.getContrastRatio( 'white', 'black' ), 21, 'order does not matter' );
+  approximatelyEqual( ColorContrast.getContrastRatio( 'red', 'red' ), 1, 'same color' );
+  approximatelyEqual( ColorContrast.getContrastRatio( '#777', 'white' ), 4.48, 'gray on white' );
+
+  assert.ok( !ColorContrast.meetsAA( '#777', 'white' ), '#777 on white fails for normal text' );
+  assert.ok( ColorContrast.meetsAA( '#777', 'white', true ), '#777 on white passes for large text' );
+} );
+
+QUnit.test( 'increaseContrast', assert => {
+  assert.ok( ColorContrast.increaseContrast( 'red', 2 ).equals( Color.RED ), 'saturated colors are unchanged' );
+  assert.ok( ColorContrast.increaseContrast( 'rgb(200,200,200)', 2 ).equals( new Color( 255, 255, 255 ) ),
+    'light colors get lighter' );
+  assert.ok( ColorContrast.increaseContrast( 'rgb(100,60,20)', 1.5 ).equals( new Color( 86, 26, 0 ) ),
+    'dark colors get darker' );
+} );
+
+QUnit.test( 'ColorVisionDeficiency', assert => {
+  ColorVisionDeficiency.VALUES.forEach( deficiency => {
+    const gray = new Color( 128, 128, 128 );
+    const simulatedGray = ColorVisionDeficiency.simulate( gray, deficiency );
+    assert.ok( Math.abs( simulatedGray.red - 128 ) <= 1 && Math.abs( simulatedGray.blue - 128 ) <= 1,
+      `${deficiency}: grays are perceived correctly` );
+    assert.ok( ColorVisionDeficiency.daltonize( 'white', deficiency ).equals( Color.WHITE ),
+      `${deficiency}: white is unchanged` );
+    assert.equal( ColorVisionDeficiency.daltonize( 'rgba(255,0,0,0.5)', deficiency ).alpha, 0.5,
+      `${deficiency}: alpha is preserved` );
+  } );
+
+  // red and green are confused with deuteranopia, and are more distinguishable after daltonization
+  const simulatedDistance = ( color1, color2 ) => {
+    const simulated1 = ColorVisionDeficiency.simulate( color1, ColorVisionDeficiency.DEUTERANOPIA );
+    const simulated2 = ColorVisionDeficiency.simulate( color2, ColorVisionDeficiency.DEUTERANOPIA );
+    return Math.abs( simulated1.red - simulated2.red ) + Math.abs( simulated1.green - simulated2.green ) +
+           Math.abs( simulated1.blue - simulated2.blue );
+  };
+  const red = new Color( 200, 50, 50 );
+  const green = new Color( 50, 150, 50 );
+  assert.ok( simulatedDistance(
+    ColorVisionDeficiency.daltonize( red, ColorVisionDeficiency.DEUTERANOPIA ),
+    ColorVisionDeficiency.daltonize( green, ColorVisionDeficiency.DEUTERANOPIA ) ) > simulatedDistance( red, green ),
+    'daltonization makes red and green more distinguishable' );
+} );
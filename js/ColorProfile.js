@@ -44,6 +44,42 @@
  *
  *   new Path( ..., { fill: profile.fishFillProperty } );
  *
+ * COMPUTED COLORS: A color can be declared as a function of other colors, instead of per profile, e.g.
+ * fishStroke: ComputedColor.darker( 'fishFill', 0.3 ). See ComputedColor. Computed colors are not included in
+ * getAllColors and getChangedColors, and can't be set.
+ *
+ * DERIVED PROFILES: A sim can opt in to profiles that are computed from the colors of a base profile, so that no color
+ * tables need to be written for them, e.g.:
+ *
+ * var profile = new ColorProfile( [ 'default', 'projector' ], { ... }, {
+ *   derivedProfileNames: [ ColorProfile.HIGH_CONTRAST_COLOR_PROFILE_NAME, ColorProfile.DEUTERANOPIA_COLOR_PROFILE_NAME ]
+ * } );
+ *
+ * Derived profile names are added to profileNames, so they can be selected with profileNameProperty or the colorProfile
+ * query parameter. A color that declares a value for a derived profile uses that value instead of the computed one.
+ * Derived colors are recomputed when their base color is set, e.g. with setProfileColor or the color editor, until
+ * the derived color is set to a different color itself.
+ *
+ * CONTRAST CHECKING: getContrastFailures reports the foreground/background pairs of colors that do not meet WCAG level
+ * AA contrast in some profile, see ColorContrast.
+ *
+ * SERIALIZATION: getAllColors returns every color of every profile, in the same format as the colors that are passed
+ * to the constructor (with colors as CSS strings), so that an edited palette can be pasted back into code. Colors in
+ * that format can be loaded with setAllColors, or with the colorProfileColors query parameter (see
+ * sceneryPhetQueryParameters). getChangedColors returns only the colors that differ from the declared (and derived)
+ * colors. Colors can also be exported and imported with the color editor, util/color-editor.html.
+ *
+ * IFRAME MESSAGES: Messages are JSON strings with a type. Colors in received messages, like colors in the
+ * colorProfileColors query parameter, come from outside of the sim, so invalid colors are skipped, see
+ * setExternalColors. Colors that are skipped from the query parameter are reported as QueryStringMachine warnings.
+ * Received:
+ *   { type: 'setColor', name: {string}, value: {string}, [profileName]: {string} } - defaults to the active profile
+ *   { type: 'setAllColors', colors: {Object} } - see setAllColors
+ *   { type: 'getAllColors' } - replied to with reportAllColors
+ * Sent to the parent window:
+ *   { type: 'reportColor', name: {string}, value: {string} } - when a color Property changes
+ *   { type: 'reportAllColors', profileName: {string}, colors: {Object}, changedColors: {Object} }
+ *
  * NOTE: Generally a require.js module should be responsible for returning a singleton instance of ColorProfile for
  * a simulation, e.g. GravityAndOrbitsColorProfile.
  *
@@ -51,12 +87,18 @@
  * @author Aaron Davis
  */
 
+import DerivedProperty from '../../axon/js/DerivedProperty.js';
 import Property from '../../axon/js/Property.js';
 import StringProperty from '../../axon/js/StringProperty.js';
 import inherit from '../../phet-core/js/inherit.js';
+import merge from '../../phet-core/js/merge.js';
 import Color from '../../scenery/js/util/Color.js';
 import Tandem from '../../tandem/js/Tandem.js';
+import ColorContrast from './ColorContrast.js';
+import ColorVisionDeficiency from './ColorVisionDeficiency.js';
+import ComputedColor from './ComputedColor.js';
 import sceneryPhet from './sceneryPhet.js';
+import sceneryPhetQueryParameters from './sceneryPhetQueryParameters.js';
 
 // constants
 const tandem = Tandem.GLOBAL.createTandem( 'colorProfile' );
@@ -67,16 +109,69 @@ const tandem = Tandem.GLOBAL.createTandem( 'colorProfile' );
  *
  * @param {Array.<string>} profileNames - A list of valid profile names that can be taken.
  * @param {Object} colors - See documentation above
+ * @param {Object} [options]
  */
-function ColorProfile( profileNames, colors ) {
+function ColorProfile( profileNames, colors, options ) {
   const self = this;
 
+  options = merge( {
+
+    // {string[]} profiles that are computed from the base profile, see DERIVED_PROFILES for valid names
+    derivedProfileNames: [],
+
+    // {string} the profile that derived profiles are computed from
+    baseProfileName: ColorProfile.DEFAULT_COLOR_PROFILE_NAME,
+
+    // {number} how much the high-contrast profile increases contrast, see ColorContrast.increaseContrast
+    highContrastFactor: 1.5,
+
+    // {Array.<{foreground:string, background:string, [largeText]:boolean}>} pairs of color names that are checked by
+    // getContrastFailures. largeText is true for large text, graphics and user interface components.
+    contrastPairs: []
+  }, options );
+
+  assert && assert( profileNames.indexOf( options.baseProfileName ) !== -1,
+    `invalid baseProfileName: ${options.baseProfileName}` );
+  assert && options.derivedProfileNames.forEach( derivedProfileName => {
+    assert( DERIVED_PROFILES.hasOwnProperty( derivedProfileName ), `invalid derived profile: ${derivedProfileName}` );
+    assert( profileNames.indexOf( derivedProfileName ) === -1, `derived profile is also declared: ${derivedProfileName}` );
+  } );
+
   // @public (read-only)
-  this.profileNames = profileNames;
+  this.profileNames = profileNames.concat( options.derivedProfileNames );
+
+  // @private {Object.<string,Object.<string,Color>>} color name => ( profile name => Color ), including derived profiles
+  this.colorMaps = {};
+
+  // @private {Object.<string,Object.<string,Color>>} same as colorMaps, but never changed, for getChangedColors
+  this.declaredColorMaps = {};
+
+  // @private {Object.<string,ComputedColor>} color name => ComputedColor
+  this.computedColors = _.pickBy( colors, color => color instanceof ComputedColor );
+
+  // Computed colors are created after the colors that they depend on. This throws an Error if there is a dependency
+  // cycle, before anything is created.
+  const computedColorOrder = ComputedColor.getEvaluationOrder( this.computedColors );
+  assert && _.forEach( this.computedColors, ( computedColor, key ) => {
+    computedColor.dependencies.forEach( dependency => {
+      assert( colors.hasOwnProperty( dependency ), `${key} depends on missing color: ${dependency}` );
+    } );
+  } );
+
+  // @private
+  this.contrastPairs = options.contrastPairs;
+  this.baseProfileName = options.baseProfileName;
+
+  // @private {function(string,Color):Color} - computes the color of a derived profile from a color of the base profile
+  this.deriveColor = ( derivedProfileName, baseColor ) => DERIVED_PROFILES[ derivedProfileName ]( baseColor, options );
+
+  // @private {Object.<string,string[]>} color name => the derived profiles whose colors are computed from the base
+  // profile, which excludes derived profiles that are declared or set for the color
+  this.derivedColorProfileNames = {};
 
   // Query parameter may override the default profile name.
   const initialProfileName = phet.chipper.queryParameters.colorProfile || ColorProfile.DEFAULT_COLOR_PROFILE_NAME;
-  if ( profileNames.indexOf( initialProfileName ) === -1 ) {
+  if ( this.profileNames.indexOf( initialProfileName ) === -1 ) {
     throw new Error( `invalid colorProfile: ${initialProfileName}` );
   }
 
@@ -84,11 +179,11 @@ function ColorProfile( profileNames, colors ) {
   // The current profile name. Change this Property's value to change which profile is currently active.
   this.profileNameProperty = new StringProperty( initialProfileName, {
     tandem: tandem.createTandem( 'profileNameProperty' ),
-    validValues: profileNames
+    validValues: this.profileNames
   } );
 
   Object.keys( colors ).sort().forEach( function( key ) {
-    if ( colors.hasOwnProperty( key ) ) {
+    if ( colors.hasOwnProperty( key ) && !self.computedColors.hasOwnProperty( key ) ) {
 
       // Turn strings/hex to Color objects
       const colorMap = _.mapValues( colors[ key ], Color.toColor );
@@ -98,6 +193,12 @@ function ColorProfile( profileNames, colors ) {
       assert && assert( key !== 'profileName',
         'Unlikely, but would have hilarious consequences since we would overwrite profileNameProperty' );
 
+      // Compute derived profiles that were not declared for this color.
+      self.colorMaps[ key ] = colorMap;
+      self.derivedColorProfileNames[ key ] = options.derivedProfileNames.filter( name => !colorMap[ name ] );
+      self.updateDerivedColors( key );
+      self.declaredColorMaps[ key ] = _.clone( colorMap );
+
       // Use the requested initial profile, fallback to default.
       const initialColor = colorMap[ initialProfileName ] || colorMap[ ColorProfile.DEFAULT_COLOR_PROFILE_NAME ];
 
@@ -117,8 +218,25 @@ function ColorProfile( profileNames, colors ) {
     }
   } );
 
+  // Create computed colors after the colors that they depend on.
+  computedColorOrder.forEach( function( key ) {
+    const computedColor = self.computedColors[ key ];
+
+    // Updated when the colors that it depends on change, by changing profiles or setting colors
+    const colorProperty = new DerivedProperty(
+      computedColor.dependencies.map( dependency => self[ dependency + 'Property' ] ),
+      computedColor.compute
+    );
+    self[ key + 'Property' ] = colorProperty;
+
+    // Communicate color changes to the iframe
+    colorProperty.link( function( color ) {
+      self.reportColor( key );
+    } );
+  } );
+
   // receives iframe communication to set a color
-  window.addEventListener( 'message', function( evt ) {
+  const messageListener = function( evt ) {
     let data;
     try {
       data = JSON.parse( evt.data );
@@ -128,19 +246,91 @@ function ColorProfile( profileNames, colors ) {
       // LoL wrappers, see https://github.com/phetsims/joist/issues/484.
     }
     if ( data && data.type === 'setColor' ) {
-      self[ data.name + 'Property' ].value = new Color( data.value );
+      self.setExternalColor( data.name, data.profileName || self.profileNameProperty.value, data.value );
     }
-  } );
+    else if ( data && data.type === 'setAllColors' ) {
+      self.setExternalColors( data.colors );
+    }
+    else if ( data && data.type === 'getAllColors' ) {
+      self.reportAllColors();
+    }
+  };
+  window.addEventListener( 'message', messageListener );
+
+  // Query parameter may override the declared colors.
+  const colorProfileColors = sceneryPhetQueryParameters.colorProfileColors;
+  if ( colorProfileColors ) {
+    let queryParameterColors = null;
+    try {
+      queryParameterColors = JSON.parse( colorProfileColors );
+    }
+    catch( e ) {
+      QueryStringMachine.addWarning( 'colorProfileColors', colorProfileColors, 'colorProfileColors is not JSON' );
+    }
+    queryParameterColors && this.setExternalColors( queryParameterColors ).forEach( failure => {
+      QueryStringMachine.addWarning( 'colorProfileColors', colorProfileColors, failure );
+    } );
+  }
+
+  // @private
+  this.disposeColorProfile = function() {
+    window.removeEventListener( 'message', messageListener );
+    self.profileNameProperty.dispose();
+  };
 }
 
 sceneryPhet.register( 'ColorProfile', ColorProfile );
 
+/**
+ * Is a value an object that colors can be read from, i.e. not null, an array or a primitive?
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject( value ) {
+  return typeof value === 'object' && value !== null && !Array.isArray( value );
+}
+
+/**
+ * Converts a color to a CSS string. Opaque colors are hex, e.g. '#ff8c00', others are rgba.
+ * @param {Color} color
+ * @returns {string}
+ */
+function toCSSString( color ) {
+  if ( color.alpha !== 1 ) {
+    return color.toCSS();
+  }
+  let hexColor = color.toNumber().toString( 16 );
+  while ( hexColor.length < 6 ) {
+    hexColor = '0' + hexColor;
+  }
+  return '#' + hexColor;
+}
+
 // @public (read-only) the default profile required by all ColorProfile instances
 ColorProfile.DEFAULT_COLOR_PROFILE_NAME = 'default';
 
 // @public (read-only) a common profile that appears in sims that have 'Projector Mode' feature
 ColorProfile.PROJECTOR_COLOR_PROFILE_NAME = 'projector';
 
+// @public (read-only) names of the profiles that can be derived, see options.derivedProfileNames
+ColorProfile.HIGH_CONTRAST_COLOR_PROFILE_NAME = 'highContrast';
+ColorProfile.DEUTERANOPIA_COLOR_PROFILE_NAME = 'deuteranopia';
+ColorProfile.PROTANOPIA_COLOR_PROFILE_NAME = 'protanopia';
+ColorProfile.TRITANOPIA_COLOR_PROFILE_NAME = 'tritanopia';
+
+// {Object.<string,function(Color,Object):Color>} derived profile name => function that computes a color of that profile
+// from a color of the base profile and the ColorProfile options
+const DERIVED_PROFILES = {
+  [ ColorProfile.HIGH_CONTRAST_COLOR_PROFILE_NAME ]: ( color, options ) =>
+    ColorContrast.increaseContrast( color, options.highContrastFactor ),
+  [ ColorProfile.DEUTERANOPIA_COLOR_PROFILE_NAME ]: color =>
+    ColorVisionDeficiency.daltonize( color, ColorVisionDeficiency.DEUTERANOPIA ),
+  [ ColorProfile.PROTANOPIA_COLOR_PROFILE_NAME ]: color =>
+    ColorVisionDeficiency.daltonize( color, ColorVisionDeficiency.PROTANOPIA ),
+  [ ColorProfile.TRITANOPIA_COLOR_PROFILE_NAME ]: color =>
+    ColorVisionDeficiency.daltonize( color, ColorVisionDeficiency.TRITANOPIA )
+};
+
 export default inherit( Object, ColorProfile, {
   /**
    * Sends color change events as iframe messages, so that a container can be notified (and possibly update color pickers).
@@ -149,15 +339,23 @@ export default inherit( Object, ColorProfile, {
    * @param {string} key - The color name that was changed
    */
   reportColor: function( key ) {
-    let hexColor = this[ key + 'Property' ].value.toNumber().toString( 16 );
-    while ( hexColor.length < 6 ) {
-      hexColor = '0' + hexColor;
-    }
-
     ( window.parent !== window ) && window.parent.postMessage( JSON.stringify( {
       type: 'reportColor',
       name: key,
-      value: '#' + hexColor
+      value: toCSSString( this[ key + 'Property' ].value )
+    } ), '*' );
+  },
+
+  /**
+   * Sends all colors as an iframe message, in reply to a getAllColors message.
+   * @private
+   */
+  reportAllColors: function() {
+    ( window.parent !== window ) && window.parent.postMessage( JSON.stringify( {
+      type: 'reportAllColors',
+      profileName: this.profileNameProperty.value,
+      colors: this.getAllColors(),
+      changedColors: this.getChangedColors()
     } ), '*' );
   },
 
@@ -168,5 +366,215 @@ export default inherit( Object, ColorProfile, {
    */
   hasProfile( profileName ) {
     return ( this.profileNames.indexOf( profileName ) !== -1 );
+  },
+
+  /**
+   * Gets the color of a profile for a color name, whether it was declared, derived, set or computed. This is
+   * independent of the active profile.
+   * @param {string} key - the color name
+   * @param {string} profileName
+   * @returns {Color}
+   * @public
+   */
+  getProfileColor( key, profileName ) {
+    assert && assert( this.colorMaps.hasOwnProperty( key ) || this.computedColors.hasOwnProperty( key ),
+      `invalid color name: ${key}` );
+    assert && assert( this.hasProfile( profileName ), `invalid profileName: ${profileName}` );
+    if ( this.computedColors.hasOwnProperty( key ) ) {
+      const computedColor = this.computedColors[ key ];
+      return computedColor.compute( ...computedColor.dependencies.map( dependency =>
+        this.getProfileColor( dependency, profileName ) ) );
+    }
+    else {
+      const colorMap = this.colorMaps[ key ];
+      return colorMap[ profileName ] || colorMap[ ColorProfile.DEFAULT_COLOR_PROFILE_NAME ];
+    }
+  },
+
+  /**
+   * Sets the color of a profile. Colors of derived profiles that are computed from the color are recomputed. If the
+   * profile (or a recomputed derived profile) is active, the color Property changes.
+   * @param {string} key - the color name
+   * @param {string} profileName
+   * @param {Color|string} color
+   * @public
+   */
+  setProfileColor( key, profileName, color ) {
+    assert && assert( !this.computedColors.hasOwnProperty( key ), `computed colors can't be set: ${key}` );
+    assert && assert( this.colorMaps.hasOwnProperty( key ), `invalid color name: ${key}` );
+    assert && assert( this.hasProfile( profileName ), `invalid profileName: ${profileName}` );
+    color = Color.toColor( color );
+    const colorMap = this.colorMaps[ key ];
+
+    // A derived color that is set to a different color is no longer computed. Setting it to the computed color, e.g.
+    // with setAllColors and the colors of getAllColors, keeps it computed.
+    if ( !color.equals( colorMap[ profileName ] || colorMap[ ColorProfile.DEFAULT_COLOR_PROFILE_NAME ] ) ) {
+      this.derivedColorProfileNames[ key ] = _.without( this.derivedColorProfileNames[ key ], profileName );
+    }
+    colorMap[ profileName ] = color;
+    this.updateDerivedColors( key );
+
+    // unchanged colors are the same instances, so the Property is only notified of a change
+    this[ key + 'Property' ].value = colorMap[ this.profileNameProperty.value ] ||
+                                     colorMap[ ColorProfile.DEFAULT_COLOR_PROFILE_NAME ];
+  },
+
+  /**
+   * Computes the colors of the derived profiles of a color from its base color, see derivedColorProfileNames.
+   * @param {string} key - the color name
+   * @private
+   */
+  updateDerivedColors( key ) {
+    const colorMap = this.colorMaps[ key ];
+    const baseColor = colorMap[ this.baseProfileName ] || colorMap[ ColorProfile.DEFAULT_COLOR_PROFILE_NAME ];
+    this.derivedColorProfileNames[ key ].forEach( derivedProfileName => {
+      const derivedColor = this.deriveColor( derivedProfileName, baseColor );
+      if ( !colorMap[ derivedProfileName ] || !colorMap[ derivedProfileName ].equals( derivedColor ) ) {
+        colorMap[ derivedProfileName ] = derivedColor;
+      }
+    } );
+  },
+
+  /**
+   * Gets every color of every profile, as CSS strings, in the same format as the colors that are passed to the
+   * constructor, e.g. { fishFill: { default: '#000000', projector: '#ffffff' } }.
+   * @returns {Object.<string,Object.<string,string>>}
+   * @public
+   */
+  getAllColors() {
+    return _.mapValues( this.colorMaps, ( colorMap, key ) =>
+      _.fromPairs( this.profileNames.map( profileName =>
+        [ profileName, toCSSString( this.getProfileColor( key, profileName ) ) ] ) ) );
+  },
+
+  /**
+   * Sets colors, in the format returned by getAllColors. Colors and profiles that are omitted are unchanged.
+   * @param {Object.<string,Object.<string,string|Color>>} colors
+   * @public
+   */
+  setAllColors( colors ) {
+    Object.keys( colors ).forEach( key => {
+      Object.keys( colors[ key ] ).forEach( profileName => {
+        this.setProfileColor( key, profileName, colors[ key ][ profileName ] );
+      } );
+    } );
+  },
+
+  /**
+   * Sets colors that come from outside of the sim, from iframe messages or the colorProfileColors query parameter, in
+   * the format returned by getAllColors. Unlike setAllColors, invalid input is skipped instead of failing an assertion,
+   * and the valid colors are still set.
+   * @param {*} colors
+   * @returns {string[]} - describes the input that was skipped, empty if every color was set
+   * @public
+   */
+  setExternalColors( colors ) {
+    if ( !isPlainObject( colors ) ) {
+      return [ 'colors are not an object' ];
+    }
+    const failures = [];
+    Object.keys( colors ).forEach( key => {
+      if ( isPlainObject( colors[ key ] ) ) {
+        Object.keys( colors[ key ] ).forEach( profileName => {
+          const failure = this.setExternalColor( key, profileName, colors[ key ][ profileName ] );
+          failure && failures.push( failure );
+        } );
+      }
+      else {
+        failures.push( `colors for ${key} are not an object` );
+      }
+    } );
+    return failures;
+  },
+
+  /**
+   * Sets a color that comes from outside of the sim, see setExternalColors. Unlike setProfileColor, an unknown or
+   * computed color name, an unknown profile name, or a value that is not a CSS color string is skipped.
+   * @param {*} key - the color name
+   * @param {*} profileName
+   * @param {*} value - CSS color string
+   * @returns {string|null} - describes why the color was skipped, null if it was set
+   * @private
+   */
+  setExternalColor( key, profileName, value ) {
+    if ( !this.colorMaps.hasOwnProperty( key ) ) {
+      return `color name can't be set: ${key}`;
+    }
+    if ( !this.hasProfile( profileName ) ) {
+      return `invalid profile for ${key}: ${profileName}`;
+    }
+    let color = null;
+    try {
+      color = ( typeof value === 'string' ) ? Color.toColor( value ) : null;
+    }
+    catch( e ) {
+      // the value is not a CSS color, see below
+    }
+    if ( !color ) {
+      return `invalid ${key} color for ${profileName}: ${value}`;
+    }
+    this.setProfileColor( key, profileName, color );
+    return null;
+  },
+
+  /**
+   * Gets the colors that differ from the declared (and derived) colors, in the format returned by getAllColors.
+   * Colors that have no changes are omitted, and so are derived colors that are still computed from their base color,
+   * since they follow changes to it.
+   * @returns {Object.<string,Object.<string,string>>}
+   * @public
+   */
+  getChangedColors() {
+    const changedColors = {};
+    Object.keys( this.colorMaps ).forEach( key => {
+      _.difference( this.profileNames, this.derivedColorProfileNames[ key ] ).forEach( profileName => {
+        const color = this.getProfileColor( key, profileName );
+        const declaredColorMap = this.declaredColorMaps[ key ];
+        const declaredColor = declaredColorMap[ profileName ] || declaredColorMap[ ColorProfile.DEFAULT_COLOR_PROFILE_NAME ];
+        if ( !color.equals( declaredColor ) ) {
+          changedColors[ key ] = changedColors[ key ] || {};
+          changedColors[ key ][ profileName ] = toCSSString( color );
+        }
+      } );
+    } );
+    return changedColors;
+  },
+
+  /**
+   * Checks the contrast of pairs of colors in every profile, and reports the pairs that do not meet WCAG level AA.
+   * @param {Array.<{foreground:string, background:string, [largeText]:boolean}>} [pairs] - defaults to
+   *   options.contrastPairs
+   * @returns {Array.<{foreground:string, background:string, profileName:string, contrastRatio:number, minimumContrastRatio:number}>}
+   * @public
+   */
+  getContrastFailures( pairs = this.contrastPairs ) {
+    const failures = [];
+    this.profileNames.forEach( profileName => {
+      pairs.forEach( pair => {
+        const contrastRatio = ColorContrast.getContrastRatio(
+          this.getProfileColor( pair.foreground, profileName ),
+          this.getProfileColor( pair.background, profileName ) );
+        const minimumContrastRatio = pair.largeText ? ColorContrast.AA_LARGE_TEXT_RATIO :
+                                     ColorContrast.AA_NORMAL_TEXT_RATIO;
+        if ( contrastRatio < minimumContrastRatio ) {
+          failures.push( {
+            foreground: pair.foreground,
+            background: pair.background,
+            profileName: profileName,
+            contrastRatio: contrastRatio,
+            minimumContrastRatio: minimumContrastRatio
+          } );
+        }
+      } );
+    } );
+    return failures;
+  },
+
+  /**
+   * Stops receiving iframe messages, and disposes profileNameProperty, which is instrumented for PhET-iO.
+   * @public
+   */
+  dispose() {
+    this.disposeColorProfile();
   }
 } );
\ No newline at end of file
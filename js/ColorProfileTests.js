@@ -0,0 +1,138 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for ColorProfile
+ *
+ * @author agent <agent@local>
+ */
+
+import Color from '../../scenery/js/util/Color.js';
+import ColorContrast from './ColorContrast.js';
+import ColorProfile from './ColorProfile.js';
+import ColorVisionDeficiency from './ColorVisionDeficiency.js';
+import ComputedColor from './ComputedColor.js';
+import sceneryPhetQueryParameters from './sceneryPhetQueryParameters.js';
+
+QUnit.module( 'ColorProfile' );
+
+// Creates a ColorProfile with 2 declared colors and a computed color.
+const createColorProfile = () => new ColorProfile( [ 'default', 'projector' ], {
+  fishFill: {
+    default: 'black',
+    projector: 'white'
+  },
+  fishStroke: {
+    default: '#0f0'
+  },
+  fishShadow: ComputedColor.withAlpha( 'fishFill', 0.5 )
+} );
+
+QUnit.test( 'getAllColors and setAllColors', assert => {
+  const colorProfile = createColorProfile();
+
+  assert.deepEqual( colorProfile.getAllColors(), {
+    fishFill: { default: '#000000', projector: '#ffffff' },
+    fishStroke: { default: '#00ff00', projector: '#00ff00' }
+  }, 'every profile of every declared color, as CSS strings' );
+  assert.deepEqual( colorProfile.getChangedColors(), {}, 'nothing has changed' );
+
+  colorProfile.setAllColors( {
+    fishFill: { default: '#ff8c00' },
+    fishStroke: { projector: 'rgba(0,0,255,0.5)' }
+  } );
+  assert.ok( colorProfile.fishFillProperty.value.equals( new Color( 255, 140, 0 ) ), 'the active profile is updated' );
+  assert.ok( colorProfile.fishShadowProperty.value.equals( new Color( 255, 140, 0, 0.5 ) ),
+    'computed colors are updated' );
+  assert.deepEqual( colorProfile.getChangedColors(), {
+    fishFill: { default: '#ff8c00' },
+    fishStroke: { projector: new Color( 0, 0, 255, 0.5 ).toCSS() }
+  }, 'only the colors that changed' );
+
+  const otherColorProfile = createColorProfile();
+  otherColorProfile.setAllColors( colorProfile.getAllColors() );
+  assert.deepEqual( otherColorProfile.getAllColors(), colorProfile.getAllColors(), 'round trip' );
+  assert.deepEqual( otherColorProfile.getChangedColors(), colorProfile.getChangedColors(),
+    'round trip of the changed colors' );
+
+  window.assert && assert.throws( () => colorProfile.setAllColors( { fishFill: { sepia: 'red' } } ),
+    'invalid profile' );
+  window.assert && assert.throws( () => colorProfile.setAllColors( { fishShadow: { default: 'red' } } ),
+    'computed colors can not be set' );
+
+  colorProfile.dispose();
+  otherColorProfile.dispose();
+} );
+
+QUnit.test( 'derived profiles', assert => {
+  const colorProfile = new ColorProfile( [ 'default' ], {
+    fishFill: { default: 'orange' },
+    fishStroke: { default: 'black', deuteranopia: 'yellow' }
+  }, {
+    derivedProfileNames: [ ColorProfile.HIGH_CONTRAST_COLOR_PROFILE_NAME, ColorProfile.DEUTERANOPIA_COLOR_PROFILE_NAME ]
+  } );
+  const deuteranopia = color => ColorVisionDeficiency.daltonize( Color.toColor( color ),
+    ColorVisionDeficiency.DEUTERANOPIA );
+
+  assert.ok( colorProfile.hasProfile( ColorProfile.DEUTERANOPIA_COLOR_PROFILE_NAME ), 'derived profiles are added' );
+  assert.ok( colorProfile.getProfileColor( 'fishFill', 'deuteranopia' ).equals( deuteranopia( 'orange' ) ),
+    'computed from the base profile' );
+
+  colorProfile.profileNameProperty.value = ColorProfile.DEUTERANOPIA_COLOR_PROFILE_NAME;
+  colorProfile.setProfileColor( 'fishFill', 'default', 'blue' );
+  assert.ok( colorProfile.fishFillProperty.value.equals( deuteranopia( 'blue' ) ),
+    'derived colors are recomputed when the base color is set' );
+  assert.deepEqual( colorProfile.getChangedColors(), { fishFill: { default: '#0000ff' } },
+    'derived colors that are computed are not changes' );
+
+  colorProfile.setProfileColor( 'fishStroke', 'default', 'white' );
+  assert.ok( colorProfile.fishStrokeProperty.value.equals( Color.toColor( 'yellow' ) ),
+    'declared colors of derived profiles are not recomputed' );
+
+  colorProfile.setProfileColor( 'fishFill', 'deuteranopia', 'red' );
+  colorProfile.setProfileColor( 'fishFill', 'default', 'green' );
+  assert.ok( colorProfile.fishFillProperty.value.equals( Color.toColor( 'red' ) ),
+    'derived colors that are set are not recomputed' );
+  assert.ok( colorProfile.getProfileColor( 'fishFill', 'highContrast' ).equals(
+    ColorContrast.increaseContrast( Color.toColor( 'green' ), 1.5 ) ), 'other derived colors are still computed' );
+
+  colorProfile.dispose();
+} );
+
+QUnit.test( 'setExternalColors', assert => {
+  const colorProfile = createColorProfile();
+
+  const failures = colorProfile.setExternalColors( {
+    fishFill: { default: '#123456', projector: 'not a color', sepia: 'red' },
+    fishStroke: 'red',
+    fishShadow: { default: 'red' },
+    fishFin: { default: 'red' }
+  } );
+  assert.equal( failures.length, 5, `invalid colors are skipped: ${failures}` );
+  assert.deepEqual( colorProfile.getChangedColors(), { fishFill: { default: '#123456' } }, 'valid colors are set' );
+  assert.deepEqual( colorProfile.setExternalColors( 'red' ), [ 'colors are not an object' ], 'not an object' );
+
+  colorProfile.dispose();
+} );
+
+QUnit.test( 'colorProfileColors', assert => {
+  const initialColorProfileColors = sceneryPhetQueryParameters.colorProfileColors;
+  const initialWarningsLength = QueryStringMachine.warnings.length;
+
+  sceneryPhetQueryParameters.colorProfileColors = JSON.stringify( {
+    fishFill: { projector: '#ff0000', sepia: 'red' }
+  } );
+  const colorProfile = createColorProfile();
+  assert.deepEqual( colorProfile.getChangedColors(), { fishFill: { projector: '#ff0000' } },
+    'colors are set from the query parameter' );
+  assert.equal( QueryStringMachine.warnings.length, initialWarningsLength + 1, 'a warning for the skipped color' );
+  colorProfile.dispose();
+
+  sceneryPhetQueryParameters.colorProfileColors = 'not JSON';
+  const otherColorProfile = createColorProfile();
+  assert.deepEqual( otherColorProfile.getChangedColors(), {}, 'nothing is set' );
+  assert.equal( QueryStringMachine.warnings.length, initialWarningsLength + 2, 'a warning for invalid JSON' );
+  otherColorProfile.dispose();
+
+  sceneryPhetQueryParameters.colorProfileColors = initialColorProfileColors;
+  QueryStringMachine.warnings.length = initialWarningsLength;
+} );
@@ -0,0 +1,142 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Types of color vision deficiency (dichromacy), and functions for simulating them and for adjusting colors so that
+ * they remain distinguishable. ColorProfile uses these to derive color-vision-deficiency profiles from a sim's
+ * declared colors.
+ *
+ * Simulation uses the matrices of Machado, Oliveira & Fernandes (2009), "A Physiologically-based Model for Simulation
+ * of Color Vision Deficiency", at severity 1, applied in linear RGB. Adjustment uses daltonization (Fidaner, Lin &
+ * Ozguven, 2005): the information that is lost by the deficiency is shifted into channels that can still be seen.
+ *
+ * @author agent <agent@local>
+ */
+
+import Utils from '../../dot/js/Utils.js';
+import Enumeration from '../../phet-core/js/Enumeration.js';
+import Color from '../../scenery/js/util/Color.js';
+import sceneryPhet from './sceneryPhet.js';
+
+const ColorVisionDeficiency = Enumeration.byKeys( [
+  'PROTANOPIA', // no long-wavelength (red) cones
+  'DEUTERANOPIA', // no medium-wavelength (green) cones
+  'TRITANOPIA' // no short-wavelength (blue) cones
+], {
+  beforeFreeze: ColorVisionDeficiency => {
+
+    // Row-major 3x3 matrices that map linear RGB to the linear RGB that is perceived with the deficiency.
+    const SIMULATION_MATRICES = {
+      [ ColorVisionDeficiency.PROTANOPIA ]: [
+        0.152286, 1.052583, -0.204868,
+        0.114503, 0.786281, 0.099216,
+        -0.003882, -0.048116, 1.051998
+      ],
+      [ ColorVisionDeficiency.DEUTERANOPIA ]: [
+        0.367322, 0.860646, -0.227968,
+        0.280085, 0.672501, 0.047413,
+        -0.011820, 0.042940, 0.968881
+      ],
+      [ ColorVisionDeficiency.TRITANOPIA ]: [
+        1.255528, -0.076749, -0.178779,
+        -0.078411, 0.930809, 0.147602,
+        0.004733, 0.691367, 0.303900
+      ]
+    };
+
+    // Row-major 3x3 matrices that shift the lost information (the error) into the visible channels. Red-green
+    // deficiencies shift it into green and blue, tritanopia shifts it into red and green.
+    const ERROR_SHIFT_MATRICES = {
+      [ ColorVisionDeficiency.PROTANOPIA ]: [
+        0, 0, 0,
+        0.7, 1, 0,
+        0.7, 0, 1
+      ],
+      [ ColorVisionDeficiency.DEUTERANOPIA ]: [
+        0, 0, 0,
+        0.7, 1, 0,
+        0.7, 0, 1
+      ],
+      [ ColorVisionDeficiency.TRITANOPIA ]: [
+        1, 0, 0.7,
+        0, 1, 0.7,
+        0, 0, 0
+      ]
+    };
+
+    /**
+     * Gets the color that is perceived by someone with a color vision deficiency.
+     * @param {Color|string} color
+     * @param {ColorVisionDeficiency} deficiency
+     * @returns {Color}
+     * @public
+     */
+    ColorVisionDeficiency.simulate = ( color, deficiency ) => {
+      assert && assert( ColorVisionDeficiency.includes( deficiency ), `invalid deficiency: ${deficiency}` );
+      color = Color.toColor( color );
+      const linear = toLinearRGB( color );
+      return fromLinearRGB( multiply( SIMULATION_MATRICES[ deficiency ], linear ), color.alpha );
+    };
+
+    /**
+     * Adjusts a color so that it is more distinguishable by someone with a color vision deficiency. Colors that are
+     * perceived correctly, like grays, are unchanged.
+     * @param {Color|string} color
+     * @param {ColorVisionDeficiency} deficiency
+     * @returns {Color}
+     * @public
+     */
+    ColorVisionDeficiency.daltonize = ( color, deficiency ) => {
+      assert && assert( ColorVisionDeficiency.includes( deficiency ), `invalid deficiency: ${deficiency}` );
+      color = Color.toColor( color );
+      const linear = toLinearRGB( color );
+      const simulated = multiply( SIMULATION_MATRICES[ deficiency ], linear );
+      const error = linear.map( ( value, i ) => value - simulated[ i ] );
+      const correction = multiply( ERROR_SHIFT_MATRICES[ deficiency ], error );
+      return fromLinearRGB( linear.map( ( value, i ) => value + correction[ i ] ), color.alpha );
+    };
+  }
+} );
+
+/**
+ * Multiplies a row-major 3x3 matrix and a 3-vector.
+ * @param {number[]} m
+ * @param {number[]} v
+ * @returns {number[]}
+ */
+function multiply( m, v ) {
+  return [
+    m[ 0 ] * v[ 0 ] + m[ 1 ] * v[ 1 ] + m[ 2 ] * v[ 2 ],
+    m[ 3 ] * v[ 0 ] + m[ 4 ] * v[ 1 ] + m[ 5 ] * v[ 2 ],
+    m[ 6 ] * v[ 0 ] + m[ 7 ] * v[ 1 ] + m[ 8 ] * v[ 2 ]
+  ];
+}
+
+/**
+ * Converts a color to linear RGB components, in the range [0,1].
+ * @param {Color} color
+ * @returns {number[]}
+ */
+function toLinearRGB( color ) {
+  return [ color.red, color.green, color.blue ].map( component => {
+    const c = component / 255;
+    return ( c <= 0.04045 ) ? c / 12.92 : Math.pow( ( c + 0.055 ) / 1.055, 2.4 );
+  } );
+}
+
+/**
+ * Converts linear RGB components to a color. Components outside of [0,1] are clamped.
+ * @param {number[]} linear
+ * @param {number} alpha
+ * @returns {Color}
+ */
+function fromLinearRGB( linear, alpha ) {
+  const components = linear.map( component => {
+    const c = Utils.clamp( component, 0, 1 );
+    const sRGB = ( c <= 0.0031308 ) ? 12.92 * c : 1.055 * Math.pow( c, 1 / 2.4 ) - 0.055;
+    return Utils.roundSymmetric( 255 * sRGB );
+  } );
+  return new Color( components[ 0 ], components[ 1 ], components[ 2 ], alpha );
+}
+
+sceneryPhet.register( 'ColorVisionDeficiency', ColorVisionDeficiency );
+export default ColorVisionDeficiency;
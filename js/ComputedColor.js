@@ -0,0 +1,139 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A color in a ColorProfile that is computed from other colors of the profile, instead of being declared for each
+ * profile, so that variants of a color stay in sync with it. For example:
+ *
+ * var profile = new ColorProfile( [ 'default', 'projector' ], {
+ *   fishFill: {
+ *     default: 'orange',
+ *     projector: 'red'
+ *   },
+ *   fishStroke: ComputedColor.darker( 'fishFill', 0.3 ),
+ *   fishShadow: ComputedColor.withAlpha( 'fishFill', 0.5 )
+ * } );
+ *
+ * A computed color's Property is updated whenever the colors that it depends on change, whether by changing profiles
+ * or by setting colors. Computed colors can depend on other computed colors, but not on themselves.
+ *
+ * @author agent <agent@local>
+ */
+
+import Utils from '../../dot/js/Utils.js';
+import Color from '../../scenery/js/util/Color.js';
+import sceneryPhet from './sceneryPhet.js';
+
+class ComputedColor {
+
+  /**
+   * @param {string[]} dependencies - names of the colors that this color is computed from
+   * @param {function(...Color):Color} compute - computes this color from the colors named by dependencies, in order
+   */
+  constructor( dependencies, compute ) {
+    assert && assert( Array.isArray( dependencies ) && dependencies.length > 0, 'dependencies are required' );
+
+    // @public (read-only)
+    this.dependencies = dependencies;
+    this.compute = compute;
+  }
+
+  /**
+   * A darker version of a color. Each component moves toward 0.
+   * @param {string} name - name of the color
+   * @param {number} amount - in the range [0,1], 0 is the same color and 1 is black
+   * @returns {ComputedColor}
+   * @public
+   */
+  static darker( name, amount ) {
+    assert && assert( amount >= 0 && amount <= 1, `invalid amount: ${amount}` );
+    return new ComputedColor( [ name ], color => mapRGB( color, component => component * ( 1 - amount ) ) );
+  }
+
+  /**
+   * A brighter version of a color. Each component moves toward 255.
+   * @param {string} name - name of the color
+   * @param {number} amount - in the range [0,1], 0 is the same color and 1 is white
+   * @returns {ComputedColor}
+   * @public
+   */
+  static brighter( name, amount ) {
+    assert && assert( amount >= 0 && amount <= 1, `invalid amount: ${amount}` );
+    return new ComputedColor( [ name ], color => mapRGB( color, component => component + ( 255 - component ) * amount ) );
+  }
+
+  /**
+   * A color with a different alpha.
+   * @param {string} name - name of the color
+   * @param {number} alpha - in the range [0,1]
+   * @returns {ComputedColor}
+   * @public
+   */
+  static withAlpha( name, alpha ) {
+    assert && assert( alpha >= 0 && alpha <= 1, `invalid alpha: ${alpha}` );
+    return new ComputedColor( [ name ], color => color.withAlpha( alpha ) );
+  }
+
+  /**
+   * A mix of 2 colors, interpolated linearly in RGBA.
+   * @param {string} name1 - name of the first color
+   * @param {string} name2 - name of the second color
+   * @param {number} t - in the range [0,1], 0 is the first color and 1 is the second color
+   * @returns {ComputedColor}
+   * @public
+   */
+  static mix( name1, name2, t ) {
+    assert && assert( t >= 0 && t <= 1, `invalid t: ${t}` );
+    return new ComputedColor( [ name1, name2 ], ( color1, color2 ) => new Color(
+      Utils.roundSymmetric( Utils.linear( 0, 1, color1.red, color2.red, t ) ),
+      Utils.roundSymmetric( Utils.linear( 0, 1, color1.green, color2.green, t ) ),
+      Utils.roundSymmetric( Utils.linear( 0, 1, color1.blue, color2.blue, t ) ),
+      Utils.linear( 0, 1, color1.alpha, color2.alpha, t )
+    ) );
+  }
+
+  /**
+   * Gets the order in which computed colors must be created, so that each is created after the computed colors that it
+   * depends on. Dependencies that are not computed colors are ignored.
+   * @param {Object.<string,ComputedColor>} computedColors - keyed by color name
+   * @returns {string[]} color names
+   * @throws {Error} if there is a dependency cycle
+   * @public
+   */
+  static getEvaluationOrder( computedColors ) {
+    const order = [];
+    const visited = {};
+
+    // Depth-first, with the path from the first color to the current color, for finding and describing cycles.
+    const visit = ( name, path ) => {
+      if ( path.indexOf( name ) !== -1 ) {
+        throw new Error( `ComputedColor dependency cycle: ${path.concat( name ).join( ' -> ' )}` );
+      }
+      if ( !visited[ name ] && computedColors.hasOwnProperty( name ) ) {
+        computedColors[ name ].dependencies.forEach( dependency => visit( dependency, path.concat( name ) ) );
+        visited[ name ] = true;
+        order.push( name );
+      }
+    };
+    Object.keys( computedColors ).sort().forEach( name => visit( name, [] ) );
+
+    return order;
+  }
+}
+
+/**
+ * Applies a function to the red, green and blue components of a color.
+ * @param {Color} color
+ * @param {function(number):number} f
+ * @returns {Color}
+ */
+function mapRGB( color, f ) {
+  return new Color(
+    Utils.roundSymmetric( f( color.red ) ),
+    Utils.roundSymmetric( f( color.green ) ),
+    Utils.roundSymmetric( f( color.blue ) ),
+    color.alpha
+  );
+}
+
+sceneryPhet.register( 'ComputedColor', ComputedColor );
+export default ComputedColor;
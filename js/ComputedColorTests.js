@@ -0,0 +1,96 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for ComputedColor
+ *
+ * @author agent <agent@local>
+ */
+
+import Color from '../../scenery/js/util/Color.js';
+import ColorProfile from './ColorProfile.js';
+import ComputedColor from './ComputedColor.js';
+
+QUnit.module( 'ComputedColor' );
+
+QUnit.test( 'factories', assert => {
+  const color = new Color( 100, 200, 50, 0.8 );
+
+  const darker = ComputedColor.darker( 'fishFill', 0.3 );
+  assert.deepEqual( darker.dependencies, [ 'fishFill' ], 'darker dependencies' );
+  assert.ok( darker.compute( color ).equals( new Color( 70, 140, 35, 0.8 ) ), 'darker' );
+
+  assert.ok( ComputedColor.brighter( 'fishFill', 0.5 ).compute( color ).equals( new Color( 178, 228, 153, 0.8 ) ),
+    'brighter' );
+  assert.ok( ComputedColor.withAlpha( 'fishFill', 0.5 ).compute( color ).equals( new Color( 100, 200, 50, 0.5 ) ),
+    'withAlpha' );
+
+  const mix = ComputedColor.mix( 'a', 'b', 0.25 );
+  assert.deepEqual( mix.dependencies, [ 'a', 'b' ], 'mix dependencies' );
+  assert.ok( mix.compute( new Color( 0, 0, 0, 0 ), new Color( 200, 100, 40, 1 ) ).equals( new Color( 50, 25, 10, 0.25 ) ),
+    'mix' );
+} );
+
+QUnit.test( 'getEvaluationOrder', assert => {
+  const order = ComputedColor.getEvaluationOrder( {
+    c: ComputedColor.mix( 'a', 'b', 0.5 ),
+    b: ComputedColor.darker( 'a', 0.5 ),
+    d: ComputedColor.withAlpha( 'c', 0.5 )
+  } );
+  assert.ok( order.indexOf( 'b' ) < order.indexOf( 'c' ) && order.indexOf( 'c' ) < order.indexOf( 'd' ),
+    `dependencies first: ${order}` );
+  assert.equal( order.length, 3, 'declared colors are not included' );
+
+  assert.throws( () => ComputedColor.getEvaluationOrder( {
+    a: ComputedColor.darker( 'b', 0.5 ),
+    b: ComputedColor.mix( 'c', 'a', 0.5 )
+  } ), /a -> b -> a/, 'cycle' );
+
+  assert.throws( () => ComputedColor.getEvaluationOrder( {
+    a: ComputedColor.darker( 'a', 0.5 )
+  } ), /a -> a/, 'self-dependency' );
+} );
+
+QUnit.test( 'ColorProfile', assert => {
+  const colorProfile = new ColorProfile( [ 'default', 'projector' ], {
+    fishFill: {
+      default: new Color( 200, 100, 0 ),
+      projector: new Color( 100, 0, 200 )
+    },
+    fishShadow: ComputedColor.withAlpha( 'fishStroke', 0.5 ),
+    fishStroke: ComputedColor.darker( 'fishFill', 0.5 )
+  } );
+
+  assert.ok( colorProfile.fishStrokeProperty.value.equals( new Color( 100, 50, 0 ) ),
+    'computed from the active profile' );
+  assert.ok( colorProfile.fishShadowProperty.value.equals( new Color( 100, 50, 0, 0.5 ) ),
+    'computed from another computed color' );
+
+  colorProfile.profileNameProperty.value = 'projector';
+  assert.ok( colorProfile.fishStrokeProperty.value.equals( new Color( 50, 0, 100 ) ),
+    'recomputed on a profile switch' );
+  assert.ok( colorProfile.fishShadowProperty.value.equals( new Color( 50, 0, 100, 0.5 ) ),
+    'computed colors that depend on computed colors are recomputed on a profile switch' );
+
+  colorProfile.setProfileColor( 'fishFill', 'projector', new Color( 0, 200, 100 ) );
+  assert.ok( colorProfile.fishStrokeProperty.value.equals( new Color( 0, 100, 50 ) ),
+    'recomputed when the color that it depends on is set' );
+  assert.ok( colorProfile.fishShadowProperty.value.equals( new Color( 0, 100, 50, 0.5 ) ),
+    'computed colors that depend on computed colors are recomputed when a color is set' );
+
+  colorProfile.setProfileColor( 'fishFill', 'default', new Color( 0, 0, 0 ) );
+  assert.ok( colorProfile.fishStrokeProperty.value.equals( new Color( 0, 100, 50 ) ),
+    'not changed by setting a color of an inactive profile' );
+  assert.ok( colorProfile.getProfileColor( 'fishStroke', 'default' ).equals( new Color( 0, 0, 0 ) ),
+    'the colors of inactive profiles are computed too' );
+
+  colorProfile.dispose();
+
+  assert.throws( () => new ColorProfile( [ 'default' ], {
+    fishFill: { default: 'black' },
+    fishStroke: ComputedColor.mix( 'fishFill', 'fishShadow', 0.5 ),
+    fishShadow: ComputedColor.withAlpha( 'fishStroke', 0.5 )
+  } ), /fishShadow -> fishStroke -> fishShadow/, 'cycles are detected at construction' );
+  window.assert && assert.throws( () => new ColorProfile( [ 'default' ], {
+    fishStroke: ComputedColor.darker( 'fishFill', 0.5 )
+  } ), /depends on missing color: fishFill/, 'missing dependencies are detected at construction' );
+} );
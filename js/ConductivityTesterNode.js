@@ -10,6 +10,7 @@
 
 import Property from '../../axon/js/Property.js';
 import Dimension2 from '../../dot/js/Dimension2.js';
+import Range from '../../dot/js/Range.js';
 import Utils from '../../dot/js/Utils.js';
 import Vector2 from '../../dot/js/Vector2.js';
 import Vector2Property from '../../dot/js/Vector2Property.js';
@@ -17,6 +18,7 @@ import Shape from '../../kite/js/Shape.js';
 import InstanceRegistry from '../../phet-core/js/documentation/InstanceRegistry.js';
 import inherit from '../../phet-core/js/inherit.js';
 import merge from '../../phet-core/js/merge.js';
+import StringUtils from '../../phetcommon/js/util/StringUtils.js';
 import ModelViewTransform2 from '../../phetcommon/js/view/ModelViewTransform2.js';
 import SimpleDragHandler from '../../scenery/js/input/SimpleDragHandler.js';
 import Circle from '../../scenery/js/nodes/Circle.js';
@@ -25,16 +27,26 @@ import Node from '../../scenery/js/nodes/Node.js';
 import Path from '../../scenery/js/nodes/Path.js';
 import Rectangle from '../../scenery/js/nodes/Rectangle.js';
 import Text from '../../scenery/js/nodes/Text.js';
+import Tandem from '../../tandem/js/Tandem.js';
 import batteryImage from '../images/battery-D-cell_png.js';
+import MeasurementToolInteraction from './accessibility/MeasurementToolInteraction.js';
 import LightBulbNode from './LightBulbNode.js';
 import MinusNode from './MinusNode.js';
 import PhetFont from './PhetFont.js';
 import PlusNode from './PlusNode.js';
 import sceneryPhetStrings from './scenery-phet-strings.js';
 import sceneryPhet from './sceneryPhet.js';
+import SceneryPhetA11yStrings from './SceneryPhetA11yStrings.js';
 
 const shortCircuitString = sceneryPhetStrings.shortCircuit;
 
+// a11y strings
+const conductivityTesterProbesStringProperty = SceneryPhetA11yStrings.conductivityTesterProbes;
+const conductivityTesterReadingPatternStringProperty = SceneryPhetA11yStrings.conductivityTesterReadingPattern;
+const bulbOffStringProperty = SceneryPhetA11yStrings.bulbOff;
+const bulbDimStringProperty = SceneryPhetA11yStrings.bulbDim;
+const bulbBrightStringProperty = SceneryPhetA11yStrings.bulbBright;
+
 // constants
 const SHOW_TESTER_ORIGIN = false; // draws a red circle at the tester's origin, for debugging
 const SHOW_PROBE_ORIGIN = false; // draws a red circle at the origin of probes, for debugging
@@ -74,7 +86,26 @@ function ConductivityTesterNode( brightnessProperty, positionProperty, positiveP
     bulbToBatteryWireLength: 40, // length of the wire between bulb and battery, in view coordinates
     // short-circuit indicator
     shortCircuitFont: new PhetFont( 14 ),
-    shortCircuitFill: 'black'
+    shortCircuitFill: 'black',
+
+    // a11y - if interactive and measurementToolInteractionOptions is non-null, the probes are grabbed and moved up and
+    // down with the keyboard, see MeasurementToolInteraction. While they are grabbed, changes to the brightness are
+    // described.
+    // {string|null} - null for the defaults in the current locale
+    objectToGrabString: null,
+    bulbOffString: null, // {string|null} brightness description when the bulb is off
+
+    // {string[]|null} - brightness descriptions when the bulb is on, which divide the brightness evenly from dim to
+    // bright, null for dim and bright in the current locale
+    bulbOnDescriptions: null,
+
+    // {string|null} - object response, with {{object}} and {{brightness}}, null for the default in the current locale
+    readingPatternString: null,
+
+    // {Object|null} - options passed to the MeasurementToolInteraction
+    measurementToolInteractionOptions: null,
+
+    tandem: Tandem.OPTIONAL
   }, options );
 
   // @private bulb, origin at bottom center of base
@@ -135,6 +166,19 @@ function ConductivityTesterNode( brightnessProperty, positionProperty, positiveP
     { stroke: options.wireStroke, lineWidth: options.wireLineWidth }
   );
 
+  // probes move together, to a y position in the view coordinate frame, relative to the tester
+  const moveProbesTo = function( yView ) {
+    const positionView = options.modelViewTransform.modelToViewPosition( positionProperty.get() );
+    yView += positionView.y;
+    if ( options.probeDragYRange ) {
+      yView = Utils.clamp( yView, positionView.y + options.probeDragYRange.min, positionView.y + options.probeDragYRange.max );
+    }
+    // convert to model coordinate frame
+    const yModel = options.modelViewTransform.viewToModelY( yView );
+    positiveProbePositionProperty.set( new Vector2( positiveProbePositionProperty.get().x, yModel ) );
+    negativeProbePositionProperty.set( new Vector2( negativeProbePositionProperty.get().x, yModel ) );
+  };
+
   // drag handler for probes
   let clickYOffset = 0;
   const probeDragHandler = new SimpleDragHandler( {
@@ -143,18 +187,9 @@ function ConductivityTesterNode( brightnessProperty, positionProperty, positiveP
       clickYOffset = e.currentTarget.globalToParentPoint( e.pointer.point ).y - e.currentTarget.y;
     },
 
-    // probes move together
+    // do dragging in view coordinate frame
     drag: function( e ) {
-      // do dragging in view coordinate frame
-      const positionView = options.modelViewTransform.modelToViewPosition( positionProperty.get() );
-      let yView = e.currentTarget.globalToParentPoint( e.pointer.point ).y + positionView.y - clickYOffset;
-      if ( options.probeDragYRange ) {
-        yView = Utils.clamp( yView, positionView.y + options.probeDragYRange.min, positionView.y + options.probeDragYRange.max );
-      }
-      // convert to model coordinate frame
-      const yModel = options.modelViewTransform.viewToModelY( yView );
-      positiveProbePositionProperty.set( new Vector2( positiveProbePositionProperty.get().x, yModel ) );
-      negativeProbePositionProperty.set( new Vector2( negativeProbePositionProperty.get().x, yModel ) );
+      moveProbesTo( e.currentTarget.globalToParentPoint( e.pointer.point ).y - clickYOffset );
     }
   } );
 
@@ -216,6 +251,25 @@ function ConductivityTesterNode( brightnessProperty, positionProperty, positiveP
   // Since positionProperty determines translation, avoid options related to translation!
   this.mutate( options );
 
+  // @private
+  this.brightnessProperty = brightnessProperty;
+  this.objectToGrabString = options.objectToGrabString;
+  this.bulbOffString = options.bulbOffString;
+  this.bulbOnDescriptions = options.bulbOnDescriptions;
+  this.readingPatternString = options.readingPatternString;
+
+  // @public (read-only) {MeasurementToolInteraction|null} - the probes are moved by the keyboard along the y axis
+  this.measurementToolInteraction = options.interactive && options.measurementToolInteractionOptions ?
+                                    new MeasurementToolInteraction( positiveProbe, merge( {
+                                      objectToGrabString: options.objectToGrabString ||
+                                                          conductivityTesterProbesStringProperty,
+                                      createObjectResponse: function() { return self.getObjectResponse(); },
+                                      moveBy: function( viewDelta ) { moveProbesTo( positiveProbe.y + viewDelta.y ); },
+                                      readingProperties: [ brightnessProperty ],
+                                      tandem: options.tandem.createTandem( 'measurementToolInteraction' )
+                                    }, options.measurementToolInteractionOptions ) ) :
+                                    null;
+
   // support for binder documentation, stripped out in builds and only runs when ?binder is specified
   assert && phet.chipper.queryParameters.binder && InstanceRegistry.registerDataURL( 'scenery-phet', 'ConductivityTesterNode', this );
 }
@@ -233,6 +287,7 @@ inherit( Node, ConductivityTesterNode, {
     this.negativeProbePositionProperty.unlink( this.negativeProbeObserver );
 
     // dispose of sub-components
+    this.measurementToolInteraction && this.measurementToolInteraction.dispose();
     this.lightBulbNode.dispose();
     this.lightBulbNode = null;
 
@@ -245,6 +300,23 @@ inherit( Node, ConductivityTesterNode, {
     this.lightBulbNode.visible = visible; // to prevent light from updating when invisible
   },
 
+  /**
+   * Gets the object response, which describes the brightness of the bulb, e.g. 'Light bulb is bright.'
+   * @returns {string}
+   * @public
+   */
+  getObjectResponse: function() {
+    const brightness = this.brightnessProperty.get();
+    const bulbOnDescriptions = this.bulbOnDescriptions ||
+                               [ bulbDimStringProperty.value, bulbBrightStringProperty.value ];
+    return StringUtils.fillIn( this.readingPatternString || conductivityTesterReadingPatternStringProperty.value, {
+      object: this.objectToGrabString || conductivityTesterProbesStringProperty.value,
+      brightness: brightness === 0 ? ( this.bulbOffString || bulbOffStringProperty.value ) :
+                  MeasurementToolInteraction.getQualitativeDescription( brightness, new Range( 0, 1 ),
+                    bulbOnDescriptions )
+    } );
+  },
+
   /**
    * Determines whether 'Short circuit' is shown above the light bulb. Note that it is the client's responsibility
    * to ensure that the bulb's brightness (as set by brightnessProperty) is appropriate for a short circuit.
@@ -23,6 +23,7 @@ import Text from '../../scenery/js/nodes/Text.js';
 import Tandem from '../../tandem/js/Tandem.js';
 import PhetFont from './PhetFont.js';
 import sceneryPhet from './sceneryPhet.js';
+import ValueSonifier from './sonification/ValueSonifier.js';
 
 /**
  * @param {Property.<number>} valueProperty
@@ -61,6 +62,10 @@ function GaugeNode( valueProperty, label, range, options ) {
     // If null, BooleanProperty(true) will be created.
     enabledProperty: null,
 
+    // {Object|null} If provided, the value is sonified with these options, see ValueSonifier. Ticks are heard at the
+    // values of the major ticks, unless sonifierOptions.majorTickValues is provided.
+    sonifierOptions: null,
+
     tandem: Tandem.REQUIRED
   }, options );
 
@@ -140,6 +145,12 @@ function GaugeNode( valueProperty, label, range, options ) {
   valueProperty.link( updateNeedle );
   this.enabledProperty.link( updateNeedle );
 
+  // @public {ValueSonifier|null} - see options.sonifierOptions. Major ticks are the even ticks, see below.
+  this.sonifier = options.sonifierOptions && new ValueSonifier( valueProperty, range, merge( {
+    majorTickValues: _.range( 0, options.numberOfTicks, 2 )
+      .map( i => Utils.linear( 0, options.numberOfTicks - 1, range.min, range.max, i ) )
+  }, options.sonifierOptions ) );
+
   // Render all of the ticks into Shapes layers (since they have different strokes)
   // see https://github.com/phetsims/energy-skate-park-basics/issues/208
   const bigTicksShape = new Shape();
@@ -191,6 +202,8 @@ function GaugeNode( valueProperty, label, range, options ) {
       this.enabledProperty.unlink( updateNeedle );
     }
 
+    this.sonifier && this.sonifier.dispose();
+
     // de-register phet-io tandems
     foregroundNode.dispose();
     labelNode.dispose();
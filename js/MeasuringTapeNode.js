@@ -31,14 +31,23 @@ import Line from '../../scenery/js/nodes/Line.js';
 import Node from '../../scenery/js/nodes/Node.js';
 import Path from '../../scenery/js/nodes/Path.js';
 import Rectangle from '../../scenery/js/nodes/Rectangle.js';
+import RichText from '../../scenery/js/nodes/RichText.js';
 import Text from '../../scenery/js/nodes/Text.js';
 import Tandem from '../../tandem/js/Tandem.js';
 import NumberIO from '../../tandem/js/types/NumberIO.js';
 import StringIO from '../../tandem/js/types/StringIO.js';
 import measuringTapeImage from '../images/measuringTape_png.js';
+import MeasurementToolInteraction from './accessibility/MeasurementToolInteraction.js';
 import PhetFont from './PhetFont.js';
 import sceneryPhetStrings from './scenery-phet-strings.js';
 import sceneryPhet from './sceneryPhet.js';
+import SceneryPhetA11yStrings from './SceneryPhetA11yStrings.js';
+import SignificantFigures from './SignificantFigures.js';
+
+// a11y strings
+const measuringTapeStringProperty = SceneryPhetA11yStrings.measuringTape;
+const measuringTapeTipStringProperty = SceneryPhetA11yStrings.measuringTapeTip;
+const measuringTapeReadingPatternStringProperty = SceneryPhetA11yStrings.measuringTapeReadingPattern;
 
 class MeasuringTapeNode extends Node {
 
@@ -69,7 +78,16 @@ class MeasuringTapeNode extends Node {
       dragBounds: Bounds2.EVERYTHING,
       textPosition: new Vector2( 0, 30 ), // position of the text relative to center of the base image in view units
       modelViewTransform: ModelViewTransform2.createIdentity(),
-      significantFigures: 1, // number of significant figures in the length measurement
+      significantFigures: 1, // number of decimal places in the length measurement, despite the name of this option
+
+      // {number|null} number of significant figures in the length measurement, with trailing zeros. If non-null, this
+      // overrides significantFigures, which is the number of decimal places.
+      significantFiguresCount: null,
+
+      // {Range|null} measurements whose magnitude is outside the range [min,max) are displayed in scientific notation.
+      // Requires significantFiguresCount. If null, scientific notation is never used.
+      scientificNotationRange: null,
+
       textColor: 'white', // color of the length measurement and unit
       textBackgroundColor: null, // {Color|string|null} fill color of the text background
       textBackgroundXMargin: 4,
@@ -91,6 +109,20 @@ class MeasuringTapeNode extends Node {
       interactive: true, // specifies whether the node adds its own input listeners. Setting this to false may be helpful in creating an icon.
       baseDragStarted: _.noop, // called when the base drag starts
       baseDragEnded: _.noop, // called when the base drag ends, for testing whether it has dropped into the toolbox
+
+      // a11y - if interactive and measurementToolInteractionOptions is non-null, the base and the tip are grabbed and
+      // moved with the keyboard, see MeasurementToolInteraction. {string|null} - null for the defaults in the current
+      // locale
+      objectToGrabString: null,
+      tipObjectToGrabString: null,
+
+      // {string|null} - object response, with {{object}}, {{distance}} and {{units}}, null for the default in the
+      // current locale
+      readingPatternString: null,
+
+      // {Object|null} - options passed to the MeasurementToolInteractions of the base and the tip
+      measurementToolInteractionOptions: null,
+
       tandem: Tandem.OPTIONAL
     }, options );
 
@@ -99,7 +131,14 @@ class MeasuringTapeNode extends Node {
     assert && assert( Math.abs( options.modelViewTransform.modelToViewDeltaX( 1 ) ) ===
                       Math.abs( options.modelViewTransform.modelToViewDeltaY( 1 ) ), 'The y and x scale factor are not identical' );
 
+    assert && assert( !options.scientificNotationRange || options.significantFiguresCount !== null,
+      'scientificNotationRange requires significantFiguresCount' );
+
     this.significantFigures = options.significantFigures; // @private
+    this.significantFiguresCount = options.significantFiguresCount; // @private
+    this.scientificNotationRange = options.scientificNotationRange; // @private
+    this.objectToGrabString = options.objectToGrabString; // @private
+    this.readingPatternString = options.readingPatternString; // @private
     this.unitsProperty = unitsProperty; // @private
     this._dragBounds = options.dragBounds; // @private
     this.modelViewTransformProperty = new Property( options.modelViewTransform ); // @private
@@ -159,7 +198,11 @@ class MeasuringTapeNode extends Node {
     const readoutTextProperty = new DerivedProperty(
       [ this.unitsProperty, this.measuredDistanceProperty ],
       ( units, measuredDistance ) => {
-        const distance = Utils.toFixed( units.multiplier * measuredDistance, this.significantFigures );
+        const value = units.multiplier * measuredDistance;
+        const distance = ( this.significantFiguresCount === null ) ?
+                         Utils.toFixed( value, this.significantFigures ) :
+                         SignificantFigures.toRichText( value, this.significantFiguresCount,
+                           this.scientificNotationRange );
         return StringUtils.fillIn( sceneryPhetStrings.measuringTapeReadoutPattern, {
           distance: distance,
           units: units.name
@@ -170,8 +213,11 @@ class MeasuringTapeNode extends Node {
         phetioDocumentation: 'The text content of the readout on the measuring tape'
       } );
 
-    // @private
-    this.valueNode = new Text( readoutTextProperty.value, {
+    // RichText is required for the exponent in scientific notation
+    const ValueNodeConstructor = options.scientificNotationRange ? RichText : Text;
+
+    // @private {Text|RichText}
+    this.valueNode = new ValueNodeConstructor( readoutTextProperty.value, {
       font: options.textFont,
       fill: options.textColor,
       maxWidth: options.textMaxWidth
@@ -209,6 +255,43 @@ class MeasuringTapeNode extends Node {
     }
     this.addChild( tip ); // crosshair and circle at the tip (set at tipPosition)
 
+    // Moves the base, and the tip with it unless the tip is being dragged.
+    const moveBaseTo = unconstrainedBasePosition => {
+      const constrainedBasePosition = this._dragBounds.closestPointTo( unconstrainedBasePosition );
+
+      // the basePosition value has not been updated yet, hence it is the old value of the basePosition;
+      const translationDelta = constrainedBasePosition.minus( this.basePositionProperty.value ); // in model reference frame
+
+      // translation of the basePosition (subject to the constraining drag bounds)
+      this.basePositionProperty.set( constrainedBasePosition );
+
+      // translate the position of the tip if it is not being dragged
+      // when the user is not holding onto the tip, dragging the body will also drag the tip
+      if ( !this._isTipUserControlled ) {
+        const unconstrainedTipPosition = translationDelta.add( this.tipPositionProperty.value );
+        if ( options.isTipDragBounded ) {
+          const constrainedTipPosition = this._dragBounds.closestPointTo( unconstrainedTipPosition );
+          // translation of the tipPosition (subject to the constraining drag bounds)
+          this.tipPositionProperty.set( constrainedTipPosition );
+        }
+        else {
+          this.tipPositionProperty.set( unconstrainedTipPosition );
+        }
+      }
+    };
+
+    // Moves the tip, which is subject to the drag bounds if isTipDragBounded.
+    const moveTipTo = unconstrainedTipPosition => {
+      if ( options.isTipDragBounded ) {
+        const constrainedTipPosition = this._dragBounds.closestPointTo( unconstrainedTipPosition );
+        // translation of the tipPosition (subject to the constraining drag bounds)
+        this.tipPositionProperty.set( constrainedTipPosition );
+      }
+      else {
+        this.tipPositionProperty.set( unconstrainedTipPosition );
+      }
+    };
+
     let baseStartOffset;
 
     // @private
@@ -231,28 +314,7 @@ class MeasuringTapeNode extends Node {
 
         drag: event => {
           const parentPoint = event.currentTarget.globalToParentPoint( event.pointer.point ).minus( baseStartOffset );
-          const unconstrainedBasePosition = this.modelViewTransformProperty.value.viewToModelPosition( parentPoint );
-          const constrainedBasePosition = this._dragBounds.closestPointTo( unconstrainedBasePosition );
-
-          // the basePosition value has not been updated yet, hence it is the old value of the basePosition;
-          const translationDelta = constrainedBasePosition.minus( this.basePositionProperty.value ); // in model reference frame
-
-          // translation of the basePosition (subject to the constraining drag bounds)
-          this.basePositionProperty.set( constrainedBasePosition );
-
-          // translate the position of the tip if it is not being dragged
-          // when the user is not holding onto the tip, dragging the body will also drag the tip
-          if ( !this._isTipUserControlled ) {
-            const unconstrainedTipPosition = translationDelta.add( this.tipPositionProperty.value );
-            if ( options.isTipDragBounded ) {
-              const constrainedTipPosition = this._dragBounds.closestPointTo( unconstrainedTipPosition );
-              // translation of the tipPosition (subject to the constraining drag bounds)
-              this.tipPositionProperty.set( constrainedTipPosition );
-            }
-            else {
-              this.tipPositionProperty.set( unconstrainedTipPosition );
-            }
-          }
+          moveBaseTo( this.modelViewTransformProperty.value.viewToModelPosition( parentPoint ) );
         },
 
         end: ( event, trail ) => {
@@ -283,16 +345,7 @@ class MeasuringTapeNode extends Node {
 
       drag: event => {
         const parentPoint = event.currentTarget.globalToParentPoint( event.pointer.point ).minus( tipStartOffset );
-        const unconstrainedTipPosition = this.modelViewTransformProperty.value.viewToModelPosition( parentPoint );
-
-        if ( options.isTipDragBounded ) {
-          const constrainedTipPosition = this._dragBounds.closestPointTo( unconstrainedTipPosition );
-          // translation of the tipPosition (subject to the constraining drag bounds)
-          this.tipPositionProperty.set( constrainedTipPosition );
-        }
-        else {
-          this.tipPositionProperty.set( unconstrainedTipPosition );
-        }
+        moveTipTo( this.modelViewTransformProperty.value.viewToModelPosition( parentPoint ) );
       },
 
       end: ( event, trail ) => {
@@ -300,6 +353,35 @@ class MeasuringTapeNode extends Node {
       }
     } ) );
 
+    // @private {MeasurementToolInteraction|null} - keyboard dragging and object responses for the base and the tip
+    this.baseInteraction = null;
+    this.tipInteraction = null;
+    if ( options.interactive && options.measurementToolInteractionOptions ) {
+      const createObjectResponse = () => this.getObjectResponse();
+
+      this.baseInteraction = new MeasurementToolInteraction( this.baseImage, merge( {
+        objectToGrabString: options.objectToGrabString || measuringTapeStringProperty,
+        createObjectResponse: createObjectResponse,
+        moveBy: viewDelta => {
+          const modelDelta = this.modelViewTransformProperty.value.viewToModelDelta( viewDelta );
+          moveBaseTo( this.basePositionProperty.value.plus( modelDelta ) );
+        },
+        readingProperties: [ unitsProperty ],
+        tandem: options.tandem.createTandem( 'baseInteraction' )
+      }, options.measurementToolInteractionOptions ) );
+
+      this.tipInteraction = new MeasurementToolInteraction( tip, merge( {
+        objectToGrabString: options.tipObjectToGrabString || measuringTapeTipStringProperty,
+        createObjectResponse: createObjectResponse,
+        moveBy: viewDelta => {
+          const modelDelta = this.modelViewTransformProperty.value.viewToModelDelta( viewDelta );
+          moveTipTo( this.tipPositionProperty.value.plus( modelDelta ) );
+        },
+        readingProperties: [ unitsProperty ],
+        tandem: options.tandem.createTandem( 'tipInteraction' )
+      }, options.measurementToolInteractionOptions ) );
+    }
+
     // set Text on on valueNode
     const updateTextReadout = text => {
       this.valueNode.setText( text );
@@ -360,6 +442,8 @@ class MeasuringTapeNode extends Node {
         isVisibleProperty.unlink( isVisiblePropertyObserver );
       }
       readoutTextProperty.unlink( updateTextReadout );
+      this.baseInteraction && this.baseInteraction.dispose();
+      this.tipInteraction && this.tipInteraction.dispose();
     };
 
     this.mutate( options );
@@ -386,6 +470,26 @@ class MeasuringTapeNode extends Node {
   reset() {
     this.basePositionProperty.reset();
     this.tipPositionProperty.reset();
+    this.baseInteraction && this.baseInteraction.reset();
+    this.tipInteraction && this.tipInteraction.reset();
+  }
+
+  /**
+   * Gets the object response of the base and the tip, which describes the measured distance, e.g. 'measuring tape
+   * measures 3.2 m.'
+   * @returns {string}
+   * @public
+   */
+  getObjectResponse() {
+    const units = this.unitsProperty.value;
+    const value = units.multiplier * this.measuredDistanceProperty.value;
+    return StringUtils.fillIn( this.readingPatternString || measuringTapeReadingPatternStringProperty.value, {
+      object: this.objectToGrabString || measuringTapeStringProperty.value,
+      distance: this.significantFiguresCount === null ?
+                Utils.toFixed( value, this.significantFigures ) :
+                SignificantFigures.toFixed( value, this.significantFiguresCount ),
+      units: units.name
+    } );
   }
 
   /**
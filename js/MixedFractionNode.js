@@ -14,6 +14,7 @@ import HBox from '../../scenery/js/nodes/HBox.js';
 import Line from '../../scenery/js/nodes/Line.js';
 import Text from '../../scenery/js/nodes/Text.js';
 import VBox from '../../scenery/js/nodes/VBox.js';
+import MathSymbols from './MathSymbols.js';
 import PhetFont from './PhetFont.js';
 import sceneryPhet from './sceneryPhet.js';
 
@@ -40,6 +41,14 @@ class MixedFractionNode extends HBox {
       maxNumerator: null,
       maxDenominator: null,
 
+      // {boolean} - Whether a minus sign is shown to the left of the mixed fraction. The sign applies to the entire
+      // mixed fraction, so it can be shown with non-negative values for the parts.
+      isNegative: false,
+
+      // {boolean} - Whether the fraction (the vinculum) is shown when both the numerator and denominator are null,
+      // e.g. to show an empty fraction that is being entered with a keypad.
+      showEmptyFraction: false,
+
       // {ColorDef}
       wholeFill: 'black',
       numeratorFill: 'black',
@@ -54,6 +63,10 @@ class MixedFractionNode extends HBox {
     }, options );
 
     // @private {Text}
+    this.signText = new Text( MathSymbols.UNARY_MINUS, {
+      font: new PhetFont( 50 ),
+      fill: options.wholeFill
+    } );
     this.wholeText = new Text( '1', {
       font: new PhetFont( 50 ),
       fill: options.wholeFill
@@ -103,6 +116,10 @@ class MixedFractionNode extends HBox {
     this._numerator = options.numerator;
     this._denominator = options.denominator;
 
+    // @private {boolean}
+    this._isNegative = options.isNegative;
+    this._showEmptyFraction = options.showEmptyFraction;
+
     // @private {number}
     this._vinculumExtension = options.vinculumExtension;
 
@@ -121,8 +138,9 @@ class MixedFractionNode extends HBox {
     const hasDenominator = this._denominator !== null;
 
     this.children = [
+      ...( this._isNegative ? [ this.signText ] : [] ),
       ...( hasWhole ? [ this.wholeContainer ] : [] ),
-      ...( hasNumerator || hasDenominator ? [ this.vbox ] : [] )
+      ...( hasNumerator || hasDenominator || this._showEmptyFraction ? [ this.vbox ] : [] )
     ];
     this.wholeText.text = hasWhole ? this._whole : ' ';
     this.numeratorText.text = hasNumerator ? this._numerator : ' ';
@@ -203,6 +221,54 @@ class MixedFractionNode extends HBox {
   get denominator() {
     return this._denominator;
   }
+
+  /**
+   * Sets whether a minus sign is shown to the left of the mixed fraction.
+   * @public
+   *
+   * @param {boolean} value
+   */
+  set isNegative( value ) {
+    if ( this._isNegative !== value ) {
+      this._isNegative = value;
+
+      this.update();
+    }
+  }
+
+  /**
+   * Returns whether a minus sign is shown to the left of the mixed fraction.
+   * @public
+   *
+   * @returns {boolean}
+   */
+  get isNegative() {
+    return this._isNegative;
+  }
+
+  /**
+   * Sets whether the fraction is shown when both the numerator and denominator are null.
+   * @public
+   *
+   * @param {boolean} value
+   */
+  set showEmptyFraction( value ) {
+    if ( this._showEmptyFraction !== value ) {
+      this._showEmptyFraction = value;
+
+      this.update();
+    }
+  }
+
+  /**
+   * Returns whether the fraction is shown when both the numerator and denominator are null.
+   * @public
+   *
+   * @returns {boolean}
+   */
+  get showEmptyFraction() {
+    return this._showEmptyFraction;
+  }
 }
 
 sceneryPhet.register( 'MixedFractionNode', MixedFractionNode );
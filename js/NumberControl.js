@@ -7,6 +7,9 @@
  * Number Control provides accessible content exclusively through the slider, please pass accessibility related
  * customizations through options to the slider.
  *
+ * To display the value with units, provide numberDisplayOptions.unit or numberDisplayOptions.unitProperty. The slider's
+ * aria-valuetext then describes the value with the same units.
+ *
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
@@ -32,6 +35,7 @@ import NumberControlIO from './NumberControlIO.js';
 import NumberDisplay from './NumberDisplay.js';
 import PhetFont from './PhetFont.js';
 import sceneryPhet from './sceneryPhet.js';
+import ValueSonifier from './sonification/ValueSonifier.js';
 
 // constants
 const SPECIFIC_COMPONENT_CALLBACK_OPTIONS = [
@@ -82,6 +86,10 @@ function NumberControl( title, numberProperty, numberRange, options ) {
     // {boolean} If set to true, then no arrow buttons will be added to the NumberControl
     includeArrowButtons: true,
 
+    // {Object|null} If provided, the value is sonified with these options, see ValueSonifier. Ticks are heard at the
+    // values of sliderOptions.majorTicks, unless sonifierOptions.majorTickValues is provided.
+    sonifierOptions: null,
+
     // phet-io
     tandem: Tandem.REQUIRED,
     phetioType: NumberControlIO,
@@ -233,6 +241,16 @@ function NumberControl( title, numberProperty, numberRange, options ) {
 
   const numberDisplay = new NumberDisplay( numberProperty, numberRange, options.numberDisplayOptions );
 
+  // a11y - If the value is displayed with units, the slider's aria-valuetext uses the same formatting, so that it
+  // describes the value with the same units and prefix that are displayed.
+  if ( numberDisplay.unitFormatter && !options.sliderOptions.a11yCreateAriaValueText ) {
+    options.sliderOptions.a11yCreateAriaValueText = value => numberDisplay.unitFormatter.formatToString( value );
+    if ( options.numberDisplayOptions.unitProperty ) {
+      options.sliderOptions.a11yDependencies = ( options.sliderOptions.a11yDependencies || [] )
+        .concat( [ options.numberDisplayOptions.unitProperty ] );
+    }
+  }
+
   // @public {HSlider} - for access to accessibility API
   this.slider = new HSlider( numberProperty, numberRange, options.sliderOptions );
 
@@ -349,6 +367,11 @@ function NumberControl( title, numberProperty, numberRange, options ) {
   };
   this.enabledProperty.link( enabledObserver );
 
+  // @public {ValueSonifier|null} - see options.sonifierOptions
+  this.sonifier = options.sonifierOptions && new ValueSonifier( numberProperty, numberRange, merge( {
+    majorTickValues: majorTicks.map( majorTick => majorTick.value )
+  }, options.sonifierOptions ) );
+
   // @private
   this.disposeNumberControl = () => {
     numberDisplay.dispose();
@@ -362,6 +385,7 @@ function NumberControl( title, numberProperty, numberRange, options ) {
     arrowEnabledListener && numberProperty.unlink( arrowEnabledListener );
 
     this.enabledProperty.unlink( enabledObserver );
+    this.sonifier && this.sonifier.dispose();
   };
 
   // support for binder documentation, stripped out in builds and only runs when ?binder is specified
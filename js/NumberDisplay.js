@@ -3,6 +3,9 @@
 /**
  * Displays a Property of type {number} in a background rectangle.
  *
+ * If a Unit is provided (via options.unit or options.unitProperty), the value is displayed with its units, and an
+ * SI prefix is chosen automatically if the Unit uses prefixes. E.g. 0.0004 with Unit.AMPERES is displayed as '400 µA'.
+ *
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
@@ -20,6 +23,9 @@ import MathSymbols from './MathSymbols.js';
 import NumberDisplayIO from './NumberDisplayIO.js';
 import PhetFont from './PhetFont.js';
 import sceneryPhet from './sceneryPhet.js';
+import SignificantFigures from './SignificantFigures.js';
+import Unit from './units/Unit.js';
+import UnitFormatter from './units/UnitFormatter.js';
 
 // valid values for options.align and options.noValueAlign
 const ALIGN_VALUES = [ 'center', 'left', 'right' ];
@@ -27,7 +33,8 @@ const ALIGN_VALUES = [ 'center', 'left', 'right' ];
 /**
  * @param {Property.<number|null>} numberProperty
  * @param {Range} displayRange - this range, with options.decimals applied, is used to determine the display width.
- *                               It is unrelated to the range of numberProperty.
+ *                               It is unrelated to the range of numberProperty. If a Unit is provided, this range is
+ *                               in the Unit's base unit.
  * @param {Object} [options]
  * @constructor
  */
@@ -47,6 +54,14 @@ function NumberDisplay( numberProperty, displayRange, options ) {
     // See https://github.com/phetsims/scenery-phet/issues/511
     decimalPlaces: 0,
 
+    // {number|null} the number of significant figures to show, with trailing zeros. If non-null, this overrides
+    // decimalPlaces.
+    significantFigures: null,
+
+    // {Range|null} values whose magnitude is outside the range [min,max) are displayed in scientific notation,
+    // e.g. '1.20 x 10^-4'. Requires significantFigures. If null, scientific notation is never used.
+    scientificNotationRange: null,
+
     xMargin: 8,
     yMargin: 2,
     cornerRadius: 0,
@@ -63,6 +78,18 @@ function NumberDisplay( numberProperty, displayRange, options ) {
     noValueAlign: null, // {string|null} see ALIGN_VALUES. If null, defaults to options.align
     noValuePattern: null, // {string|null} If null, defaults to options.valuePattern
 
+    // {Unit|null} If non-null, the value is displayed with these units, and options.valuePattern's value placeholder
+    // is filled in with both the value and units, e.g. '400 µA'. numberProperty is in the Unit's base unit.
+    unit: null,
+
+    // {Property.<Unit>|null} Like options.unit, for units that the user can change, e.g. °C, °F and K.
+    // Mutually exclusive with options.unit.
+    unitProperty: null,
+
+    // {Object|null} options passed to UnitFormatter, e.g. hysteresis. decimalPlaces and significantFigures are set by
+    // NumberDisplay.
+    unitFormatterOptions: null,
+
     // phet-io
     tandem: Tandem.OPTIONAL,
     phetioType: NumberDisplayIO
@@ -92,17 +119,51 @@ function NumberDisplay( numberProperty, displayRange, options ) {
                     options.noValuePattern.indexOf( SunConstants.VALUE_NAMED_PLACEHOLDER ) !== -1,
     'missing value placeholder in options.noValuePattern: ' + options.noValuePattern );
 
+  assert && assert( !( options.unit && options.unitProperty ), 'unit and unitProperty are mutually exclusive' );
+  assert && assert( !options.unit || options.unit instanceof Unit, `invalid unit: ${options.unit}` );
+  assert && assert( !options.unitFormatterOptions || ( options.unitFormatterOptions.decimalPlaces === undefined &&
+                                                        options.unitFormatterOptions.significantFigures === undefined ),
+    'NumberDisplay sets unitFormatterOptions.decimalPlaces and unitFormatterOptions.significantFigures' );
+  assert && assert( !options.scientificNotationRange || options.significantFigures !== null,
+    'scientificNotationRange requires significantFigures' );
+  assert && assert( !( options.scientificNotationRange && ( options.unit || options.unitProperty ) ),
+    'scientificNotationRange is not supported with units' );
+
   const self = this;
 
-  // determine the widest value
-  const minString = valueToString( displayRange.min, options.decimalPlaces, options.noValueString );
-  const maxString = valueToString( displayRange.max, options.decimalPlaces, options.noValueString );
-  const longestString = StringUtils.fillIn( options.valuePattern, {
-    value: ( ( minString.length > maxString.length ) ? minString : maxString )
-  } );
+  const unit = options.unitProperty ? options.unitProperty.value : options.unit;
+
+  // @public (read-only) {UnitFormatter|null} formats the value with its units, null if there are no units
+  this.unitFormatter = unit ? new UnitFormatter( unit, merge( {
+    decimalPlaces: options.decimalPlaces,
+    significantFigures: options.significantFigures
+  }, options.unitFormatterOptions ) ) : null;
+
+  // Determines the widest value. If there are units, this depends on the current unit.
+  const getLongestString = () => {
+    let strings;
+    if ( this.unitFormatter ) {
+      strings = this.unitFormatter.getSampleStrings( displayRange );
+    }
+    else {
+      const sampleValues = [ displayRange.min, displayRange.max ];
+
+      // The widest value in scientific notation is likely to be one with a negative exponent.
+      if ( options.scientificNotationRange ) {
+        const sign = ( displayRange.min < 0 ) ? -1 : 1;
+        sampleValues.push( sign * 0.9 * options.scientificNotationRange.min );
+      }
+      strings = sampleValues.map( value => valueToString( value, options ) );
+    }
+    return StringUtils.fillIn( options.valuePattern, {
+      value: _.maxBy( strings, string => string.length )
+    } );
+  };
+  const longestString = getLongestString();
 
   // value
-  const Constructor = options.useRichText ? RichText : Text;
+  // RichText is required for the exponent in scientific notation.
+  const Constructor = ( options.useRichText || options.scientificNotationRange ) ? RichText : Text;
   this.valueNode = new Constructor( longestString, {
     font: options.font,
     fill: options.numberFill,
@@ -136,7 +197,9 @@ function NumberDisplay( numberProperty, displayRange, options ) {
   const numberObserver = function( value ) {
 
     const valuePattern = ( value === null ) ? options.noValuePattern : options.valuePattern;
-    const stringValue = valueToString( value, options.decimalPlaces, options.noValueString );
+    const stringValue = ( value !== null && self.unitFormatter ) ?
+                        self.unitFormatter.formatToString( value ) :
+                        valueToString( value, options );
     const align = ( value === null ) ? options.noValueAlign : options.align;
 
     // update the value
@@ -158,9 +221,29 @@ function NumberDisplay( numberProperty, displayRange, options ) {
   };
   numberProperty.link( numberObserver );
 
+  // When the unit changes, resize for the new unit, then redisplay the value.
+  let unitListener = null;
+  if ( options.unitProperty ) {
+    unitListener = unit => {
+      this.unitFormatter.setUnit( unit );
+      this.valueNode.maxWidth = null;
+      this.valueNode.text = getLongestString();
+      if ( options.numberMaxWidth === null ) {
+        this.valueNode.maxWidth = this.valueNode.width;
+      }
+      else {
+        this.valueNode.maxWidth = options.numberMaxWidth;
+      }
+      this.backgroundNode.setRectWidth( Math.max( options.minBackgroundWidth, this.valueNode.width + 2 * options.xMargin ) );
+      numberObserver( numberProperty.value );
+    };
+    options.unitProperty.lazyLink( unitListener );
+  }
+
   // @private called by dispose
   this.disposeNumberDisplay = function() {
     numberProperty.unlink( numberObserver );
+    unitListener && options.unitProperty.unlink( unitListener );
   };
 
   Node.call( this, options );
@@ -171,18 +254,20 @@ sceneryPhet.register( 'NumberDisplay', NumberDisplay );
 /**
  * Converts a numeric value to a string.
  * @param {number} value
- * @param {number|null} decimalPlaces - if null, use the full value
- * @param {string} noValueString
+ * @param {Object} options - NumberDisplay options: decimalPlaces, significantFigures, scientificNotationRange, noValueString
  * @returns {*|string}
  */
-function valueToString( value, decimalPlaces, noValueString ) {
-  let stringValue = noValueString;
+function valueToString( value, options ) {
+  let stringValue = options.noValueString;
   if ( value !== null ) {
-    if ( decimalPlaces === null ) {
+    if ( options.significantFigures !== null ) {
+      stringValue = SignificantFigures.toRichText( value, options.significantFigures, options.scientificNotationRange );
+    }
+    else if ( options.decimalPlaces === null ) {
       stringValue = '' + value;
     }
     else {
-      stringValue = Utils.toFixed( value, decimalPlaces );
+      stringValue = Utils.toFixed( value, options.decimalPlaces );
     }
   }
   return stringValue;
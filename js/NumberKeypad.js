@@ -13,6 +13,7 @@
  * See https://github.com/phetsims/scenery-phet/issues/283 for the history of this. -jbphet, Aug 2017
  */
 
+import Emitter from '../../axon/js/Emitter.js';
 import Property from '../../axon/js/Property.js';
 import InstanceRegistry from '../../phet-core/js/documentation/InstanceRegistry.js';
 import inherit from '../../phet-core/js/inherit.js';
@@ -22,12 +23,24 @@ import Text from '../../scenery/js/nodes/Text.js';
 import VBox from '../../scenery/js/nodes/VBox.js';
 import RectangularPushButton from '../../sun/js/buttons/RectangularPushButton.js';
 import BackspaceIcon from './BackspaceIcon.js';
+import KeyID from './keypad/KeyID.js';
+import KeypadKeyboardListener from './keypad/KeypadKeyboardListener.js';
+import localeProperty from './localeProperty.js';
 import PhetFont from './PhetFont.js';
+import SceneryPhetA11yStrings from './SceneryPhetA11yStrings.js';
 import sceneryPhet from './sceneryPhet.js';
 
 // string
 const DECIMAL_POINT = '.'; //TODO localize, https://github.com/phetsims/scenery-phet/issues/279
 
+// a11y strings
+const keypadStringProperty = SceneryPhetA11yStrings.keypad;
+const keypadHelpTextStringProperty = SceneryPhetA11yStrings.keypadHelpText;
+
+// digit KeyIDs, indexed by the value of the digit
+const DIGITS = [ KeyID.ZERO, KeyID.ONE, KeyID.TWO, KeyID.THREE, KeyID.FOUR,
+  KeyID.FIVE, KeyID.SIX, KeyID.SEVEN, KeyID.EIGHT, KeyID.NINE ];
+
 /**
  * @param {Object} [options]
  * @constructor
@@ -44,7 +57,14 @@ function NumberKeypad( options ) {
     valueStringProperty: new Property( '' ),
 
     // {function(string, string)} validates a key press, see example and documentation in validateMaxDigits
-    validateKey: validateMaxDigits( { maxDigits: 8 } )
+    validateKey: validateMaxDigits( { maxDigits: 8 } ),
+
+    // pdom - the keypad is a group of buttons, and it handles physical key presses from any of them. The ariaLabel
+    // and helpText are null for defaults in the current locale.
+    tagName: 'div',
+    ariaRole: 'group',
+    ariaLabel: null,
+    helpText: null
   }, options );
 
   const self = this;
@@ -55,6 +75,9 @@ function NumberKeypad( options ) {
   // @private - when true, the next key press will clear valueStringProperty
   this._clearOnNextKeyPress = false;
 
+  // @public {Emitter} emits when Enter is pressed on the physical keyboard
+  this.enterEmitter = new Emitter();
+
   // options for keys
   const keyOptions = {
     minWidth: options.minButtonWidth,
@@ -72,19 +95,24 @@ function NumberKeypad( options ) {
     minHeight: keyOptions.minHeight,
     xMargin: 1,
     baseColor: keyOptions.baseColor,
-    listener: function() {
-      if ( self.valueStringProperty.value.length > 0 ) {
+    listener: function() { backspaceCallback(); }
+  } );
 
-        // The backspace key ignores and resets the clearOnNextKeyPress flag. The rationale is that if a user has
-        // entered an incorrect value and wants to correct it by using the backspace, then it should work like
-        // the backspace always does instead of clearing the display.
-        self._clearOnNextKeyPress = false;
+  /**
+   * Called when the backspace key is pressed.
+   */
+  const backspaceCallback = function() {
+    if ( self.valueStringProperty.value.length > 0 ) {
 
-        // Remove the last character
-        self.valueStringProperty.set( self.valueStringProperty.get().slice( 0, -1 ) );
-      }
+      // The backspace key ignores and resets the clearOnNextKeyPress flag. The rationale is that if a user has
+      // entered an incorrect value and wants to correct it by using the backspace, then it should work like
+      // the backspace always does instead of clearing the display.
+      self._clearOnNextKeyPress = false;
+
+      // Remove the last character
+      self.valueStringProperty.set( self.valueStringProperty.get().slice( 0, -1 ) );
     }
-  } );
+  };
 
   /**
    * Called when a key is pressed.
@@ -102,19 +130,28 @@ function NumberKeypad( options ) {
     self.valueStringProperty.value = options.validateKey( keyString, self.valueStringProperty.value );
   };
 
+  // {Object.<string,RectangularPushButton>} the key for each key string, and the backspace key
+  const keys = {};
+  [ '1', '2', '3', '4', '5', '6', '7', '8', '9' ].forEach( keyString => {
+    keys[ keyString ] = createKey( keyString, keyCallback, keyOptions );
+  } );
+
   // create the bottom row of keys, which can vary based on options
   const bottomRowChildren = [];
   if ( options.decimalPointKey ) {
 
     // add a decimal point key plus a normal width zero key
-    bottomRowChildren.push( createKey( DECIMAL_POINT, keyCallback, keyOptions ) );
-    bottomRowChildren.push( createKey( '0', keyCallback, keyOptions ) );
+    keys[ DECIMAL_POINT ] = createKey( DECIMAL_POINT, keyCallback, keyOptions );
+    keys[ '0' ] = createKey( '0', keyCallback, keyOptions );
+    bottomRowChildren.push( keys[ DECIMAL_POINT ] );
+    bottomRowChildren.push( keys[ '0' ] );
   }
   else {
 
     // add a double-width zero key instead of the decimal point key
     const doubleRowButtonKeySpec = merge( {}, keyOptions, { minWidth: keyOptions.minWidth * 2 + options.xSpacing } );
-    bottomRowChildren.push( createKey( '0', keyCallback, doubleRowButtonKeySpec ) );
+    keys[ '0' ] = createKey( '0', keyCallback, doubleRowButtonKeySpec );
+    bottomRowChildren.push( keys[ '0' ] );
   }
   bottomRowChildren.push( backspaceKey );
 
@@ -124,27 +161,15 @@ function NumberKeypad( options ) {
     children: [
       new HBox( {
         spacing: options.xSpacing,
-        children: [
-          createKey( '7', keyCallback, keyOptions ),
-          createKey( '8', keyCallback, keyOptions ),
-          createKey( '9', keyCallback, keyOptions )
-        ]
+        children: [ keys[ '7' ], keys[ '8' ], keys[ '9' ] ]
       } ),
       new HBox( {
         spacing: options.xSpacing,
-        children: [
-          createKey( '4', keyCallback, keyOptions ),
-          createKey( '5', keyCallback, keyOptions ),
-          createKey( '6', keyCallback, keyOptions )
-        ]
+        children: [ keys[ '4' ], keys[ '5' ], keys[ '6' ] ]
       } ),
       new HBox( {
         spacing: options.xSpacing,
-        children: [
-          createKey( '1', keyCallback, keyOptions ),
-          createKey( '2', keyCallback, keyOptions ),
-          createKey( '3', keyCallback, keyOptions )
-        ]
+        children: [ keys[ '1' ], keys[ '2' ], keys[ '3' ] ]
       } ),
       new HBox( {
         spacing: options.xSpacing,
@@ -153,8 +178,41 @@ function NumberKeypad( options ) {
     ]
   } );
 
+  // Physical keyboard input, received while the keypad or one of its keys has focus. Keys are identified by KeyID,
+  // and translated to key strings, which are used by validateKey.
+  const keyIDToKeyString = keyID => ( keyID === KeyID.DECIMAL ) ? DECIMAL_POINT : `${DIGITS.indexOf( keyID )}`;
+  this.addInputListener( new KeypadKeyboardListener(
+    keyID => {
+      const valueStringBefore = self.valueStringProperty.value;
+      if ( keyID === KeyID.BACKSPACE ) {
+        backspaceCallback();
+      }
+      else {
+        keyCallback( keyIDToKeyString( keyID ) );
+      }
+      return self.valueStringProperty.value !== valueStringBefore;
+    },
+    keyID => ( keyID === KeyID.BACKSPACE ) ? backspaceKey : ( keys[ keyIDToKeyString( keyID ) ] || null ),
+    () => self.valueStringProperty.value, {
+      enterListener: () => self.enterEmitter.emit()
+    } ) );
+
   this.mutate( options );
 
+  // pdom - describes the keypad and the keys that are not digits in the current locale, again when the locale changes
+  const updateAccessibleContent = () => {
+    self.ariaLabel = options.ariaLabel || keypadStringProperty.value;
+    self.helpText = options.helpText || keypadHelpTextStringProperty.value;
+    backspaceKey.innerContent = KeypadKeyboardListener.getAccessibleName( KeyID.BACKSPACE );
+    if ( keys[ DECIMAL_POINT ] ) {
+      keys[ DECIMAL_POINT ].innerContent = KeypadKeyboardListener.getAccessibleName( KeyID.DECIMAL );
+    }
+  };
+  localeProperty.link( updateAccessibleContent );
+
+  // @private
+  this.disposeNumberKeypad = () => localeProperty.unlink( updateAccessibleContent );
+
   // support for binder documentation, stripped out in builds and only runs when ?binder is specified
   assert && phet.chipper.queryParameters.binder && InstanceRegistry.registerDataURL( 'scenery-phet', 'NumberKeypad', this );
 }
@@ -177,7 +235,8 @@ function createKey( keyString, callback, keyOptions ) {
     minHeight: keyOptions.minHeight,
     xMargin: 5,
     yMargin: 5,
-    listener: function() { callback( keyString ); }
+    listener: function() { callback( keyString ); },
+    innerContent: keyString // the decimal point is described in NumberKeypad
   } );
 }
 
@@ -264,7 +323,16 @@ export default inherit( VBox, NumberKeypad, {
   getClearOnNextKeyPress: function() {
     return this._clearOnNextKeyPress;
   },
-  get clearOnNextKeyPress() { return this.getClearOnNextKeyPress(); }
+  get clearOnNextKeyPress() { return this.getClearOnNextKeyPress(); },
+
+  /**
+   * @public
+   * @override
+   */
+  dispose: function() {
+    this.disposeNumberKeypad();
+    VBox.prototype.dispose.call( this );
+  }
 }, {
 
   /**
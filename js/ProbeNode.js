@@ -14,12 +14,14 @@
 
 import DerivedProperty from '../../axon/js/DerivedProperty.js';
 import Ray2 from '../../dot/js/Ray2.js';
+import Utils from '../../dot/js/Utils.js';
 import Vector2 from '../../dot/js/Vector2.js';
 import EllipticalArc from '../../kite/js/segments/EllipticalArc.js';
 import Shape from '../../kite/js/Shape.js';
 import InstanceRegistry from '../../phet-core/js/documentation/InstanceRegistry.js';
 import inherit from '../../phet-core/js/inherit.js';
 import merge from '../../phet-core/js/merge.js';
+import StringUtils from '../../phetcommon/js/util/StringUtils.js';
 import Circle from '../../scenery/js/nodes/Circle.js';
 import Line from '../../scenery/js/nodes/Line.js';
 import Node from '../../scenery/js/nodes/Node.js';
@@ -27,7 +29,15 @@ import Path from '../../scenery/js/nodes/Path.js';
 import LinearGradient from '../../scenery/js/util/LinearGradient.js';
 import PaintColorProperty from '../../scenery/js/util/PaintColorProperty.js';
 import RadialGradient from '../../scenery/js/util/RadialGradient.js';
+import Tandem from '../../tandem/js/Tandem.js';
+import MeasurementToolInteraction from './accessibility/MeasurementToolInteraction.js';
 import sceneryPhet from './sceneryPhet.js';
+import SceneryPhetA11yStrings from './SceneryPhetA11yStrings.js';
+
+// a11y strings
+const probeStringProperty = SceneryPhetA11yStrings.probe;
+const probeReadingPatternStringProperty = SceneryPhetA11yStrings.probeReadingPattern;
+const probeNoReadingPatternStringProperty = SceneryPhetA11yStrings.probeNoReadingPattern;
 
 // Glass is one of the probe types, shows a shiny reflective interior in the central circle
 const glass = function( options ) {
@@ -101,7 +111,28 @@ assert && Object.freeze( DEFAULT_OPTIONS );
  */
 function ProbeNode( options ) {
 
-  options = merge( {}, DEFAULT_OPTIONS, options );
+  options = merge( {
+
+    // a11y - the probe is grabbed and moved with the keyboard if measurementToolInteractionOptions is non-null, see
+    // MeasurementToolInteraction. {string|null} - null for the default in the current locale
+    objectToGrabString: null,
+
+    // {Property.<number|null>|null} - the value that the probe measures, for object responses. null values and a null
+    // Property are described as no reading.
+    readingProperty: null,
+    readingUnitsString: '', // {string} units of the reading, e.g. 'volts'
+    readingDecimalPlaces: 1, // {number}
+
+    // {string|null} - object responses, with {{object}}, {{value}} and {{units}}, or only {{object}} without a reading,
+    // null for the defaults in the current locale
+    readingPatternString: null,
+    noReadingPatternString: null,
+
+    // {Object|null} - options passed to the MeasurementToolInteraction, e.g. positionProperty
+    measurementToolInteractionOptions: null,
+
+    tandem: Tandem.OPTIONAL
+  }, DEFAULT_OPTIONS, options );
 
   // To improve readability
   const radius = options.radius;
@@ -227,6 +258,24 @@ function ProbeNode( options ) {
 
   Node.call( this, options );
 
+  // @private
+  this.objectToGrabString = options.objectToGrabString;
+  this.readingProperty = options.readingProperty;
+  this.readingUnitsString = options.readingUnitsString;
+  this.readingDecimalPlaces = options.readingDecimalPlaces;
+  this.readingPatternString = options.readingPatternString;
+  this.noReadingPatternString = options.noReadingPatternString;
+
+  // @public (read-only) {MeasurementToolInteraction|null}
+  this.measurementToolInteraction = options.measurementToolInteractionOptions ?
+                                    new MeasurementToolInteraction( this, merge( {
+                                      objectToGrabString: options.objectToGrabString || probeStringProperty,
+                                      createObjectResponse: () => this.getObjectResponse(),
+                                      readingProperties: options.readingProperty ? [ options.readingProperty ] : [],
+                                      tandem: options.tandem.createTandem( 'measurementToolInteraction' )
+                                    }, options.measurementToolInteractionOptions ) ) :
+                                    null;
+
   // support for binder documentation, stripped out in builds and only runs when ?binder is specified
   assert && phet.chipper.queryParameters.binder && InstanceRegistry.registerDataURL( 'scenery-phet', 'ProbeNode', this );
 }
@@ -234,12 +283,34 @@ function ProbeNode( options ) {
 sceneryPhet.register( 'ProbeNode', ProbeNode );
 
 export default inherit( Node, ProbeNode, {
+
+    /**
+     * Gets the object response, which describes the reading of the probe, e.g. 'probe reads 4.5 volts.'
+     * @returns {string}
+     * @public
+     */
+    getObjectResponse: function() {
+      const reading = this.readingProperty ? this.readingProperty.value : null;
+      const objectToGrabString = this.objectToGrabString || probeStringProperty.value;
+      if ( reading === null ) {
+        return StringUtils.fillIn( this.noReadingPatternString || probeNoReadingPatternStringProperty.value, {
+          object: objectToGrabString
+        } );
+      }
+      return StringUtils.fillIn( this.readingPatternString || probeReadingPatternStringProperty.value, {
+        object: objectToGrabString,
+        value: Utils.toFixed( reading, this.readingDecimalPlaces ),
+        units: this.readingUnitsString
+      } );
+    },
+
     /**
      * Releases references.
      * @public
      * @override
      */
     dispose: function() {
+      this.measurementToolInteraction && this.measurementToolInteraction.dispose();
       this.brighter5.dispose();
       this.brighter4.dispose();
       this.brighter3.dispose();
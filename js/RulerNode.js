@@ -11,13 +11,20 @@ import Shape from '../../kite/js/Shape.js';
 import InstanceRegistry from '../../phet-core/js/documentation/InstanceRegistry.js';
 import inherit from '../../phet-core/js/inherit.js';
 import merge from '../../phet-core/js/merge.js';
+import StringUtils from '../../phetcommon/js/util/StringUtils.js';
 import Node from '../../scenery/js/nodes/Node.js';
 import Path from '../../scenery/js/nodes/Path.js';
 import Rectangle from '../../scenery/js/nodes/Rectangle.js';
 import Text from '../../scenery/js/nodes/Text.js';
 import Tandem from '../../tandem/js/Tandem.js';
+import MeasurementToolInteraction from './accessibility/MeasurementToolInteraction.js';
 import PhetFont from './PhetFont.js';
 import sceneryPhet from './sceneryPhet.js';
+import SceneryPhetA11yStrings from './SceneryPhetA11yStrings.js';
+
+// a11y strings
+const rulerStringProperty = SceneryPhetA11yStrings.ruler;
+const rulerReadingPatternStringProperty = SceneryPhetA11yStrings.rulerReadingPattern;
 
 // constants
 const DEFAULT_FONT = new PhetFont( 18 );
@@ -64,6 +71,18 @@ function RulerNode( rulerWidth, rulerHeight, majorTickWidth, majorTickLabels, un
     tickMarksOnTop: true,
     tickMarksOnBottom: true,
 
+    // a11y - the ruler is grabbed and moved with the keyboard if measurementToolInteractionOptions is non-null, see
+    // MeasurementToolInteraction. It is null by default because rulers are often used as icons.
+    // {string|null} - null for the default in the current locale
+    objectToGrabString: null,
+
+    // {string|null} - object response, with {{object}}, {{min}}, {{max}} and {{units}}, null for the default in the
+    // current locale
+    readingPatternString: null,
+
+    // {Object|null} - options passed to the MeasurementToolInteraction, e.g. positionProperty
+    measurementToolInteractionOptions: null,
+
     // phet-io
     tandem: Tandem.REQUIRED
   }, options );
@@ -188,11 +207,48 @@ function RulerNode( rulerWidth, rulerHeight, majorTickWidth, majorTickLabels, un
 
   this.mutate( options );
 
+  // @private {function():string}
+  this.createObjectResponse = () => StringUtils.fillIn( options.readingPatternString ||
+                                                        rulerReadingPatternStringProperty.value, {
+    object: options.objectToGrabString || rulerStringProperty.value,
+    min: majorTickLabels[ 0 ],
+    max: majorTickLabels[ majorTickLabels.length - 1 ],
+    units: units
+  } );
+
+  // @public (read-only) {MeasurementToolInteraction|null}
+  this.measurementToolInteraction = options.measurementToolInteractionOptions ?
+                                    new MeasurementToolInteraction( this, merge( {
+                                      objectToGrabString: options.objectToGrabString || rulerStringProperty,
+                                      createObjectResponse: () => this.getObjectResponse(),
+                                      tandem: options.tandem.createTandem( 'measurementToolInteraction' )
+                                    }, options.measurementToolInteractionOptions ) ) :
+                                    null;
+
   // support for binder documentation, stripped out in builds and only runs when ?binder is specified
   assert && phet.chipper.queryParameters.binder && InstanceRegistry.registerDataURL( 'scenery-phet', 'RulerNode', this );
 }
 
 sceneryPhet.register( 'RulerNode', RulerNode );
 
-inherit( Node, RulerNode );
+inherit( Node, RulerNode, {
+
+  /**
+   * Gets the object response, which describes what the ruler measures, e.g. 'ruler measures from 0 to 10 cm.'
+   * @returns {string}
+   * @public
+   */
+  getObjectResponse: function() {
+    return this.createObjectResponse();
+  },
+
+  /**
+   * @public
+   * @override
+   */
+  dispose: function() {
+    this.measurementToolInteraction && this.measurementToolInteraction.dispose();
+    Node.prototype.dispose.call( this );
+  }
+} );
 export default RulerNode;
\ No newline at end of file
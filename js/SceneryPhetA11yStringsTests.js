@@ -0,0 +1,49 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for SceneryPhetA11yStrings
+ *
+ * @author agent <agent@local>
+ */
+
+import PlayAreaNode from './accessibility/nodes/PlayAreaNode.js';
+import ResetAllButton from './buttons/ResetAllButton.js';
+import localeProperty from './localeProperty.js';
+import SceneryPhetA11yStrings from './SceneryPhetA11yStrings.js';
+
+// a locale that is only used by these tests
+const TEST_LOCALE = 'xx';
+
+QUnit.module( 'SceneryPhetA11yStrings' );
+
+QUnit.test( 'runtime locale switching', assert => {
+  const initialLocale = localeProperty.value;
+  const englishPlayArea = SceneryPhetA11yStrings.playArea.value;
+  const englishResetAll = SceneryPhetA11yStrings.resetAllLabelString.value;
+
+  // only the play area is translated to the test locale
+  phet.chipper.strings[ TEST_LOCALE ] = { 'SCENERY_PHET/a11y.playArea': 'xx play area' };
+
+  const playAreaNode = new PlayAreaNode();
+  const resetAllButton = new ResetAllButton();
+  const customResetAllButton = new ResetAllButton( { innerContent: 'Start over' } );
+
+  localeProperty.value = TEST_LOCALE;
+  assert.equal( SceneryPhetA11yStrings.playArea.value, 'xx play area', 'translated string' );
+  assert.equal( playAreaNode.labelContent, 'xx play area', 'PDOM content is translated' );
+  assert.equal( SceneryPhetA11yStrings.resetAllLabelString.value, englishResetAll,
+    'untranslated strings are in English' );
+  assert.equal( resetAllButton.innerContent, englishResetAll, 'untranslated PDOM content is in English' );
+
+  localeProperty.value = initialLocale;
+  assert.equal( playAreaNode.labelContent, englishPlayArea, 'PDOM content returns to the initial locale' );
+  assert.equal( customResetAllButton.innerContent, 'Start over', 'content from options is not translated' );
+
+  window.assert && assert.throws( () => { localeProperty.value = 'not a loaded locale'; },
+    'locale must have loaded strings' );
+
+  playAreaNode.dispose();
+  resetAllButton.dispose();
+  customResetAllButton.dispose();
+  delete phet.chipper.strings[ TEST_LOCALE ];
+} );
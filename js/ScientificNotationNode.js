@@ -4,6 +4,9 @@
  * Displays a number in scientific notation, M x 10^E, where M is the mantissa and E is the exponent (e.g. 2.34 x 10^-4).
  * To conserve memory, creates one set of scenery.Text nodes, modifies their text as needed.
  *
+ * If options.scientificNotationRange is provided, values whose magnitude is inside that range are displayed in
+ * positional notation, and scientific notation is used only for very small and very large values.
+ *
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
@@ -16,6 +19,7 @@ import Text from '../../scenery/js/nodes/Text.js';
 import MathSymbols from './MathSymbols.js';
 import PhetFont from './PhetFont.js';
 import sceneryPhet from './sceneryPhet.js';
+import SignificantFigures from './SignificantFigures.js';
 
 /**
  * @param {Property.<number|null>} valueProperty
@@ -28,6 +32,8 @@ function ScientificNotationNode( valueProperty, options ) {
     font: new PhetFont( 20 ),
     exponent: null,
     mantissaDecimalPlaces: 1,
+    significantFigures: null, // {number|null} if non-null, the number of significant figures, overrides mantissaDecimalPlaces
+    scientificNotationRange: null, // {Range|null} if non-null, values whose magnitude is in [min,max) are shown as 'M'
     exponentScale: 0.75, // scale of the exponent, relative to the size of the '10'
     showIntegersAsMantissaOnly: false, // if true, show 8000 as '8000', otherwise '8 x 10^3'
     showZeroAsInteger: true, // if true, show '0 x 10^E' as '0'
@@ -37,6 +43,8 @@ function ScientificNotationNode( valueProperty, options ) {
     capHeightScale: 0.75, // fudge factor for computing cap height, compensates for inaccuracy of Text.height
     nullValueString: MathSymbols.NO_VALUE // if the value is null, display this string
   }, options );
+  assert && assert( options.significantFigures === null || options.exponent === null,
+    'significantFigures and exponent are mutually exclusive' );
   this.options = options; // @private
 
   const textOptions = { font: options.font, fill: options.fill };
@@ -81,6 +89,17 @@ export default inherit( Node, ScientificNotationNode, {
     Node.prototype.dispose.call( this );
   },
 
+  /**
+   * Sets the color of the text.
+   * @param {ColorDef} fill
+   * @public
+   */
+  setFill: function( fill ) {
+    this.mantissaNode.fill = fill;
+    this.timesTenNode.fill = fill;
+    this.exponentNode.fill = fill;
+  },
+
   /**
    * @param {number|null} value
    * @private
@@ -107,9 +126,19 @@ export default inherit( Node, ScientificNotationNode, {
       this.removeChild( this.timesTenNode );
       this.removeChild( this.exponentNode );
     }
+    else if ( options.scientificNotationRange && !SignificantFigures.isScientificNotation( value, options.scientificNotationRange ) ) {
+      // show values inside scientificNotationRange as 'M'
+      this.mantissaNode.text = ( options.significantFigures === null ) ?
+                               Utils.toFixed( value, options.mantissaDecimalPlaces ) :
+                               SignificantFigures.toFixed( value, options.significantFigures );
+      this.removeChild( this.timesTenNode );
+      this.removeChild( this.exponentNode );
+    }
     else {
-      const scientificNotation = ScientificNotationNode.toScientificNotation( value, options );
-      const mantissaNumber = Utils.toFixedNumber( scientificNotation.mantissa, options.mantissaDecimalPlaces );
+      const scientificNotation = ( options.significantFigures === null ) ?
+                                 ScientificNotationNode.toScientificNotation( value, options ) :
+                                 SignificantFigures.toScientificNotation( value, options.significantFigures );
+      const mantissaNumber = parseFloat( scientificNotation.mantissa );
       const exponentNumber = parseInt( scientificNotation.exponent, 10 );
 
       if ( mantissaNumber === 0 && options.showZeroAsInteger ) {
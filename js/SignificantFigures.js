@@ -0,0 +1,130 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Formats numbers to a number of significant figures, with trailing zeros, e.g. 0.0012 to 3 significant figures is
+ * '0.00120', and 1234 to 2 significant figures is '1200'. Rounding is symmetric (half away from zero), like Utils.toFixed.
+ *
+ * Values can be switched to scientific notation when their magnitude is outside a range, the so-called
+ * scientificNotationRange. This is how NumberDisplay, MeasuringTapeNode and ScientificNotationNode implement their
+ * significantFigures and scientificNotationRange options, so that they all display values the same way.
+ *
+ * @author agent <agent@local>
+ */
+
+import Utils from '../../dot/js/Utils.js';
+import sceneryPhet from './sceneryPhet.js';
+
+const SignificantFigures = {
+
+  /**
+   * Formats a value to a number of significant figures, in positional notation.
+   * @param {number} value
+   * @param {number} significantFigures
+   * @returns {string}
+   * @public
+   */
+  toFixed( value, significantFigures ) {
+    assert && assert( Number.isInteger( significantFigures ) && significantFigures > 0,
+      `invalid significantFigures: ${significantFigures}` );
+
+    if ( value === 0 ) {
+      return Utils.toFixed( 0, significantFigures - 1 );
+    }
+
+    let decimalPlaces = significantFigures - 1 - getExponent( value );
+    let roundedValue = roundToDecimalPlaces( value, decimalPlaces );
+
+    // Rounding may add a digit, e.g. 9.99 to 2 significant figures is 10, not 10.0
+    if ( getExponent( roundedValue ) > getExponent( value ) ) {
+      decimalPlaces--;
+      roundedValue = roundToDecimalPlaces( value, decimalPlaces );
+    }
+
+    return ( decimalPlaces > 0 ) ? roundedValue.toFixed( decimalPlaces ) : `${roundedValue}`;
+  },
+
+  /**
+   * Formats a value to a number of significant figures, in scientific notation, such that
+   * value = mantissa * Math.pow( 10, exponent ). The mantissa is in the range [1,10), and zero has an exponent of 0.
+   * @param {number} value
+   * @param {number} significantFigures
+   * @returns {{mantissa:string, exponent:string}} - same format as ScientificNotationNode.toScientificNotation
+   * @public
+   */
+  toScientificNotation( value, significantFigures ) {
+
+    // Round first, so that rounding is taken into account when choosing the exponent, e.g. 9.99E3 is 1.0E4
+    const roundedValue = parseFloat( SignificantFigures.toFixed( value, significantFigures ) );
+    const exponent = ( roundedValue === 0 ) ? 0 : getExponent( roundedValue );
+    const mantissa = ( exponent < 0 ) ?
+                     roundedValue * Math.pow( 10, -exponent ) :
+                     roundedValue / Math.pow( 10, exponent );
+    return {
+      mantissa: SignificantFigures.toFixed( mantissa, significantFigures ),
+      exponent: `${exponent}`
+    };
+  },
+
+  /**
+   * Should a value be displayed in scientific notation?
+   * @param {number} value
+   * @param {Range|null} scientificNotationRange - values whose magnitude is outside the range [min,max) are displayed
+   *                                               in scientific notation. If null, scientific notation is never used.
+   * @returns {boolean}
+   * @public
+   */
+  isScientificNotation( value, scientificNotationRange ) {
+    const magnitude = Math.abs( value );
+    return !!scientificNotationRange && magnitude !== 0 &&
+           ( magnitude < scientificNotationRange.min || magnitude >= scientificNotationRange.max );
+  },
+
+  /**
+   * Formats a value to a number of significant figures, in scientific notation if it is outside
+   * scientificNotationRange. The exponent is marked up for RichText, e.g. '1.20 x 10<sup>-4</sup>'.
+   * @param {number} value
+   * @param {number} significantFigures
+   * @param {Range|null} scientificNotationRange - see isScientificNotation
+   * @returns {string}
+   * @public
+   */
+  toRichText( value, significantFigures, scientificNotationRange ) {
+    if ( SignificantFigures.isScientificNotation( value, scientificNotationRange ) ) {
+      const scientificNotation = SignificantFigures.toScientificNotation( value, significantFigures );
+      return `${scientificNotation.mantissa} x 10<sup>${scientificNotation.exponent}</sup>`;
+    }
+    else {
+      return SignificantFigures.toFixed( value, significantFigures );
+    }
+  }
+};
+
+/**
+ * Gets the exponent of the most significant digit of a non-zero value, e.g. 2 for 123, -3 for 0.00123.
+ * @param {number} value
+ * @returns {number}
+ */
+function getExponent( value ) {
+  return Math.floor( Math.log10( Math.abs( value ) ) );
+}
+
+/**
+ * Rounds symmetrically to a number of decimal places, which may be negative, e.g. -2 rounds to the nearest 100.
+ * Dividing or multiplying by an exact power of 10 avoids floating-point error like 123 * 0.01 * 100.
+ * @param {number} value
+ * @param {number} decimalPlaces
+ * @returns {number}
+ */
+function roundToDecimalPlaces( value, decimalPlaces ) {
+  if ( decimalPlaces >= 0 ) {
+    const multiplier = Math.pow( 10, decimalPlaces );
+    return Utils.roundSymmetric( value * multiplier ) / multiplier;
+  }
+  else {
+    const divisor = Math.pow( 10, -decimalPlaces );
+    return Utils.roundSymmetric( value / divisor ) * divisor;
+  }
+}
+
+sceneryPhet.register( 'SignificantFigures', SignificantFigures );
+export default SignificantFigures;
@@ -0,0 +1,40 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for SignificantFigures
+ *
+ * @author agent <agent@local>
+ */
+
+import Range from '../../dot/js/Range.js';
+import SignificantFigures from './SignificantFigures.js';
+
+QUnit.module( 'SignificantFigures' );
+
+QUnit.test( 'toFixed', assert => {
+  assert.equal( SignificantFigures.toFixed( 0.0012, 3 ), '0.00120', 'trailing zeros' );
+  assert.equal( SignificantFigures.toFixed( 1234, 2 ), '1200', 'rounds to the left of the decimal point' );
+  assert.equal( SignificantFigures.toFixed( 123.45, 4 ), '123.5', 'rounds half away from zero' );
+  assert.equal( SignificantFigures.toFixed( -2.5, 1 ), '-3', 'rounds negative values symmetrically' );
+  assert.equal( SignificantFigures.toFixed( 9.99, 2 ), '10', 'rounding adds a digit' );
+  assert.equal( SignificantFigures.toFixed( 0, 3 ), '0.00', 'zero' );
+} );
+
+QUnit.test( 'toScientificNotation', assert => {
+  assert.deepEqual( SignificantFigures.toScientificNotation( -0.000123456, 3 ), { mantissa: '-1.23', exponent: '-4' },
+    'negative exponent' );
+  assert.deepEqual( SignificantFigures.toScientificNotation( 9996, 3 ), { mantissa: '1.00', exponent: '4' },
+    'rounding changes the exponent' );
+  assert.deepEqual( SignificantFigures.toScientificNotation( 0, 2 ), { mantissa: '0.0', exponent: '0' }, 'zero' );
+} );
+
+QUnit.test( 'scientificNotationRange', assert => {
+  const range = new Range( 1E-3, 1E4 );
+  assert.ok( !SignificantFigures.isScientificNotation( 0, range ), 'zero is never in scientific notation' );
+  assert.ok( !SignificantFigures.isScientificNotation( 1E-3, range ), 'min is inclusive' );
+  assert.ok( SignificantFigures.isScientificNotation( 1E4, range ), 'max is exclusive' );
+  assert.ok( SignificantFigures.isScientificNotation( -1E-4, range ), 'uses magnitude' );
+  assert.ok( !SignificantFigures.isScientificNotation( 1E-10, null ), 'null range' );
+  assert.equal( SignificantFigures.toRichText( 0.00012, 2, range ), '1.2 x 10<sup>-4</sup>', 'scientific notation' );
+  assert.equal( SignificantFigures.toRichText( 0.012, 2, range ), '0.012', 'positional notation' );
+} );
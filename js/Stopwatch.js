@@ -1,18 +1,24 @@
 // Copyright 2019-2020, University of Colorado Boulder
 
 /**
- * Stopwatch is the model for the stopwatch. It is responsible for time, location, and visibility.
+ * Stopwatch is the model for the stopwatch. It is responsible for time, location, visibility, and the history of
+ * recorded lap (split) times. It counts up from zero by default, or can count down to zero from a start duration.
  *
  * @author Chris Malley (PixelZoom, Inc.)
  */
 
 import BooleanProperty from '../../axon/js/BooleanProperty.js';
+import Emitter from '../../axon/js/Emitter.js';
 import NumberProperty from '../../axon/js/NumberProperty.js';
+import ObservableArray from '../../axon/js/ObservableArray.js';
+import ObservableArrayIO from '../../axon/js/ObservableArrayIO.js';
 import Vector2 from '../../dot/js/Vector2.js';
 import Vector2Property from '../../dot/js/Vector2Property.js';
 import merge from '../../phet-core/js/merge.js';
 import PhetioObject from '../../tandem/js/PhetioObject.js';
 import Tandem from '../../tandem/js/Tandem.js';
+import ArrayIO from '../../tandem/js/types/ArrayIO.js';
+import NumberIO from '../../tandem/js/types/NumberIO.js';
 import ReferenceIO from '../../tandem/js/types/ReferenceIO.js';
 import sceneryPhet from './sceneryPhet.js';
 
@@ -28,6 +34,17 @@ class Stopwatch extends PhetioObject {
       isVisible: false,
       timePropertyOptions: {},
 
+      // {number} the maximum number of lap times that can be recorded, see recordLap
+      maxLaps: 99,
+
+      // {number|null} if non-null, the stopwatch is a countdown timer that starts at this duration and counts down to
+      // zero. If null, the stopwatch counts up from zero.
+      countdownDuration: null,
+
+      // {boolean} what a countdown timer does when it reaches zero: true starts counting down again from
+      // countdownDuration, false stops. Ignored if countdownDuration is null.
+      loopCountdown: false,
+
       // phet-io
       tandem: Tandem.REQUIRED,
       phetioType: ReferenceIO
@@ -51,9 +68,17 @@ class Stopwatch extends PhetioObject {
     } );
 
     assert && assert( !options.timePropertyOptions.hasOwnProperty( 'tandem' ), 'Time property provides its own tandem' );
+    assert && assert( options.countdownDuration === null || options.countdownDuration > 0,
+      `invalid countdownDuration: ${options.countdownDuration}` );
+
+    // @public (read-only) {number|null} see options.countdownDuration
+    this.countdownDuration = options.countdownDuration;
 
-    // @public (read-only) time displayed on the stopwatch
-    this.timeProperty = new NumberProperty( 0, merge( {
+    // @public (read-only) {boolean} see options.loopCountdown
+    this.loopCountdown = options.loopCountdown;
+
+    // @public (read-only) time displayed on the stopwatch. For a countdown timer, this is the time remaining.
+    this.timeProperty = new NumberProperty( this.getInitialTime(), merge( {
       units: 's',
       isValidValue: value => ( value >= 0 ),
       tandem: options.tandem.createTandem( 'timeProperty' ),
@@ -61,11 +86,30 @@ class Stopwatch extends PhetioObject {
       phetioHighFrequency: true
     }, options.timePropertyOptions ) );
 
+    assert && assert( options.maxLaps > 0, `invalid maxLaps: ${options.maxLaps}` );
+
+    // @public (read-only)
+    this.maxLaps = options.maxLaps;
+
+    // @public (read-only) {ObservableArray.<number>} split times recorded by recordLap, in chronological order. Each
+    // entry is the elapsed time when the lap was recorded. Use getLapDuration for the duration of one lap.
+    this.lapTimes = new ObservableArray( [], {
+      tandem: options.tandem.createTandem( 'lapTimes' ),
+      phetioType: ObservableArrayIO( NumberIO ),
+      phetioReadOnly: true,
+      phetioDocumentation: 'split times recorded with the lap button, in the same units as timeProperty'
+    } );
+
+    // @public emits when a countdown timer reaches zero, with the split times of the laps that were recorded during
+    // the countdown (or the loop of the countdown), since a looping countdown clears them for the next loop
+    this.countdownCompletedEmitter = new Emitter( {
+      parameters: [ { name: 'lapTimes', phetioType: ArrayIO( NumberIO ), valueType: Array } ],
+      tandem: options.tandem.createTandem( 'countdownCompletedEmitter' ),
+      phetioDocumentation: 'Emits when a countdown timer reaches zero, with the split times of its laps'
+    } );
+
     // When the stopwatch visibility changes, stop it and reset its value.
-    const visibilityListener = () => {
-      this.isRunningProperty.value = false;
-      this.timeProperty.value = 0;
-    };
+    const visibilityListener = () => this.resetTime();
     this.isVisibleProperty.link( visibilityListener );
 
     // @private
@@ -75,6 +119,8 @@ class Stopwatch extends PhetioObject {
       this.isVisibleProperty.dispose();
       this.isRunningProperty.dispose();
       this.timeProperty.dispose();
+      this.lapTimes.dispose();
+      this.countdownCompletedEmitter.dispose();
     };
   }
 
@@ -96,6 +142,77 @@ class Stopwatch extends PhetioObject {
     this.isVisibleProperty.reset();
     this.isRunningProperty.reset();
     this.timeProperty.reset();
+    this.lapTimes.clear();
+  }
+
+  /**
+   * Stops the stopwatch, sets its time to the initial value, and clears any recorded laps. This is what the
+   * stopwatch's reset button does, and unlike reset it does not change position or visibility.
+   * @public
+   */
+  resetTime() {
+    this.isRunningProperty.value = false;
+    this.timeProperty.value = this.getInitialTime();
+    this.lapTimes.clear();
+  }
+
+  /**
+   * Is this stopwatch a countdown timer?
+   * @returns {boolean}
+   * @public
+   */
+  isCountdown() {
+    return this.countdownDuration !== null;
+  }
+
+  /**
+   * Gets the time that the stopwatch starts at: zero when counting up, countdownDuration when counting down.
+   * @returns {number}
+   * @public
+   */
+  getInitialTime() {
+    return this.isCountdown() ? this.countdownDuration : 0;
+  }
+
+  /**
+   * Gets the elapsed time. For a stopwatch that counts up, this is the same as timeProperty. For a countdown timer, it
+   * is the time since the countdown (or the current loop of the countdown) started.
+   * @returns {number}
+   * @public
+   */
+  getElapsedTime() {
+    return this.isCountdown() ? ( this.countdownDuration - this.timeProperty.value ) : this.timeProperty.value;
+  }
+
+  /**
+   * Records the current time as a lap (split) time.
+   * @public
+   */
+  recordLap() {
+    assert && assert( this.canRecordLap(), 'cannot record a lap' );
+    this.lapTimes.add( this.getElapsedTime() );
+  }
+
+  /**
+   * Whether a lap can currently be recorded. Laps are recorded only while running, and there is a limit to how many
+   * can be recorded.
+   * @returns {boolean}
+   * @public
+   */
+  canRecordLap() {
+    return this.isRunningProperty.value && this.lapTimes.length < this.maxLaps;
+  }
+
+  /**
+   * Gets the duration of a lap, that is, the time between the lap's split time and the split time before it.
+   * @param {number} index - index into lapTimes
+   * @returns {number}
+   * @public
+   */
+  getLapDuration( index ) {
+    assert && assert( index >= 0 && index < this.lapTimes.length, `invalid index: ${index}` );
+    const previousLapTime = ( index === 0 ) ? 0 : this.lapTimes.get( index - 1 );
+    return this.lapTimes.get( index ) - previousLapTime;
   }
 
   /**
@@ -107,7 +224,41 @@ class Stopwatch extends PhetioObject {
     assert && assert( typeof dt === 'number' && dt > 0, `invalid dt: ${dt}` );
 
     if ( this.isRunningProperty.value ) {
-      this.timeProperty.value += dt;
+      if ( this.isCountdown() ) {
+        this.stepCountdown( dt );
+      }
+      else {
+        this.timeProperty.value += dt;
+      }
+    }
+  }
+
+  /**
+   * Steps a countdown timer. countdownCompletedEmitter emits only when the time goes from above zero to zero, so a
+   * countdown that has completed is stopped again if it is run, until its time is reset.
+   * @param {number} dt
+   * @private
+   */
+  stepCountdown( dt ) {
+    const remainingTime = this.timeProperty.value - dt;
+    if ( this.timeProperty.value === 0 ) {
+      this.isRunningProperty.value = false;
+    }
+    else if ( remainingTime > 0 ) {
+      this.timeProperty.value = remainingTime;
+    }
+    else if ( this.loopCountdown ) {
+
+      // Start another loop, carrying over the time that stepped past zero. Laps belong to the loop that just ended, so
+      // they are emitted before they are cleared.
+      this.timeProperty.value = this.countdownDuration + ( remainingTime % this.countdownDuration );
+      this.countdownCompletedEmitter.emit( this.lapTimes.getArray().slice() );
+      this.lapTimes.clear();
+    }
+    else {
+      this.timeProperty.value = 0;
+      this.isRunningProperty.value = false;
+      this.countdownCompletedEmitter.emit( this.lapTimes.getArray().slice() );
     }
   }
 }
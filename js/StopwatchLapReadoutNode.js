@@ -0,0 +1,169 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Shows the lap (split) times that were recorded by a Stopwatch, in a scrollable list. Only a fixed number of laps are
+ * visible at a time. The list scrolls to the most recent lap when one is recorded, and the up/down arrow buttons
+ * scroll through the rest of the history.
+ *
+ * @author agent <agent@local>
+ */
+
+import merge from '../../phet-core/js/merge.js';
+import StringUtils from '../../phetcommon/js/util/StringUtils.js';
+import HBox from '../../scenery/js/nodes/HBox.js';
+import Rectangle from '../../scenery/js/nodes/Rectangle.js';
+import Text from '../../scenery/js/nodes/Text.js';
+import VBox from '../../scenery/js/nodes/VBox.js';
+import ArrowButton from '../../sun/js/buttons/ArrowButton.js';
+import Tandem from '../../tandem/js/Tandem.js';
+import PhetFont from './PhetFont.js';
+import sceneryPhetStrings from './scenery-phet-strings.js';
+import sceneryPhet from './sceneryPhet.js';
+import Stopwatch from './Stopwatch.js';
+import StopwatchReadoutNode from './StopwatchReadoutNode.js';
+
+const stopwatchLapPatternString = sceneryPhetStrings.stopwatch.lapPattern;
+
+// Same monospace font as StopwatchReadoutNode, so that the digits don't change alignment.
+const DEFAULT_FONT = new PhetFont( {
+  size: 12,
+  family: '"Lucida Console", Arial'
+} );
+
+class StopwatchLapReadoutNode extends HBox {
+
+  /**
+   * @param {Stopwatch} stopwatch
+   * @param {Object} [options]
+   */
+  constructor( stopwatch, options ) {
+    assert && assert( stopwatch instanceof Stopwatch, `invalid stopwatch: ${stopwatch}` );
+
+    options = merge( {
+      numberOfVisibleLaps: 4, // {number} how many laps are visible at a time
+      font: DEFAULT_FONT,
+
+      // {number} the maximum time value, used to size the list so that it does not change width as laps are added
+      maxValue: StopwatchReadoutNode.DEFAULT_MAX_VALUE,
+
+      // {function(number):string} converts a lap time to a string
+      formatTime: StopwatchReadoutNode.formatTime,
+
+      // {boolean} true shows the duration of each lap, false shows the split time at which each lap was recorded
+      showLapDurations: false,
+
+      buttonBaseColor: '#DFE0E1',
+      ySpacing: 2, // vertical space between rows
+      spacing: 4, // horizontal space between the list and the scroll buttons
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    assert && assert( options.numberOfVisibleLaps > 0, `invalid numberOfVisibleLaps: ${options.numberOfVisibleLaps}` );
+
+    const lapToString = ( lapNumber, time ) => StringUtils.fillIn( stopwatchLapPatternString, {
+      number: lapNumber,
+      time: options.formatTime( time )
+    } );
+
+    // One Text per visible row, created with the longest possible string so that the list has a constant size.
+    const longestString = lapToString( stopwatch.maxLaps, options.maxValue );
+    const rowTexts = [];
+    for ( let i = 0; i < options.numberOfVisibleLaps; i++ ) {
+      rowTexts.push( new Text( longestString, { font: options.font } ) );
+    }
+    const rowsNode = new VBox( {
+      align: 'left',
+      spacing: options.ySpacing,
+      children: rowTexts
+    } );
+
+    const backgroundNode = new Rectangle( rowsNode.bounds.dilatedXY( 5, 2 ), 5, 5, {
+      fill: '#fff',
+      stroke: 'rgba(0,0,0,0.5)',
+      children: [ rowsNode ],
+      pickable: false
+    } );
+
+    // index into stopwatch.lapTimes of the first visible row
+    let firstVisibleIndex = 0;
+    const maxFirstVisibleIndex = () => Math.max( 0, stopwatch.lapTimes.length - options.numberOfVisibleLaps );
+
+    const scrollButtonOptions = {
+      arrowHeight: 6,
+      arrowWidth: 8,
+      xMargin: 3,
+      yMargin: 3,
+      baseColor: options.buttonBaseColor
+    };
+    const scrollUpButton = new ArrowButton( 'up', () => {
+      firstVisibleIndex = Math.max( 0, firstVisibleIndex - 1 );
+      update();
+    }, merge( {
+      tandem: options.tandem.createTandem( 'scrollUpButton' )
+    }, scrollButtonOptions ) );
+    const scrollDownButton = new ArrowButton( 'down', () => {
+      firstVisibleIndex = Math.min( maxFirstVisibleIndex(), firstVisibleIndex + 1 );
+      update();
+    }, merge( {
+      tandem: options.tandem.createTandem( 'scrollDownButton' )
+    }, scrollButtonOptions ) );
+
+    // Updates the visible rows and the enabled state of the scroll buttons.
+    const update = () => {
+      for ( let i = 0; i < rowTexts.length; i++ ) {
+        const lapIndex = firstVisibleIndex + i;
+        if ( lapIndex < stopwatch.lapTimes.length ) {
+          const time = options.showLapDurations ? stopwatch.getLapDuration( lapIndex ) : stopwatch.lapTimes.get( lapIndex );
+          rowTexts[ i ].text = lapToString( lapIndex + 1, time );
+        }
+        else {
+          rowTexts[ i ].text = '';
+        }
+      }
+      scrollUpButton.enabled = ( firstVisibleIndex > 0 );
+      scrollDownButton.enabled = ( firstVisibleIndex < maxFirstVisibleIndex() );
+    };
+
+    assert && assert( !options.children, 'StopwatchLapReadoutNode sets children' );
+    options.children = [
+      backgroundNode,
+      new VBox( {
+        spacing: options.ySpacing,
+        children: [ scrollUpButton, scrollDownButton ]
+      } )
+    ];
+
+    super( options );
+
+    // Scroll to the most recent lap when one is added, and to the top when the laps are cleared.
+    const lapTimesListener = () => {
+      firstVisibleIndex = maxFirstVisibleIndex();
+      update();
+    };
+    stopwatch.lapTimes.addItemAddedListener( lapTimesListener );
+    stopwatch.lapTimes.addItemRemovedListener( lapTimesListener );
+    update();
+
+    // @private
+    this.disposeStopwatchLapReadoutNode = () => {
+      stopwatch.lapTimes.removeItemAddedListener( lapTimesListener );
+      stopwatch.lapTimes.removeItemRemovedListener( lapTimesListener );
+      scrollUpButton.dispose();
+      scrollDownButton.dispose();
+    };
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  dispose() {
+    this.disposeStopwatchLapReadoutNode();
+    super.dispose();
+  }
+}
+
+sceneryPhet.register( 'StopwatchLapReadoutNode', StopwatchLapReadoutNode );
+export default StopwatchLapReadoutNode;
@@ -10,27 +10,42 @@
  */
 
 import Bounds2 from '../../dot/js/Bounds2.js';
+import Utils from '../../dot/js/Utils.js';
 import InstanceRegistry from '../../phet-core/js/documentation/InstanceRegistry.js';
 import inherit from '../../phet-core/js/inherit.js';
 import merge from '../../phet-core/js/merge.js';
+import StringUtils from '../../phetcommon/js/util/StringUtils.js';
 import DragListener from '../../scenery/js/listeners/DragListener.js';
 import Circle from '../../scenery/js/nodes/Circle.js';
 import HBox from '../../scenery/js/nodes/HBox.js';
 import Node from '../../scenery/js/nodes/Node.js';
 import Path from '../../scenery/js/nodes/Path.js';
+import Text from '../../scenery/js/nodes/Text.js';
 import VBox from '../../scenery/js/nodes/VBox.js';
 import BooleanRectangularToggleButton from '../../sun/js/buttons/BooleanRectangularToggleButton.js';
 import RectangularPushButton from '../../sun/js/buttons/RectangularPushButton.js';
 import Tandem from '../../tandem/js/Tandem.js';
+import MeasurementToolInteraction from './accessibility/MeasurementToolInteraction.js';
 import DragBoundsProperty from './DragBoundsProperty.js';
 import PauseIconShape from './PauseIconShape.js';
+import PhetFont from './PhetFont.js';
 import PlayIconShape from './PlayIconShape.js';
+import sceneryPhetStrings from './scenery-phet-strings.js';
 import sceneryPhet from './sceneryPhet.js';
+import SceneryPhetA11yStrings from './SceneryPhetA11yStrings.js';
 import ShadedRectangle from './ShadedRectangle.js';
 import Stopwatch from './Stopwatch.js';
+import StopwatchLapReadoutNode from './StopwatchLapReadoutNode.js';
 import StopwatchReadoutNode from './StopwatchReadoutNode.js';
+import TimeFormatter from './TimeFormatter.js';
 import UTurnArrowShape from './UTurnArrowShape.js';
 
+// a11y strings
+const stopwatchStringProperty = SceneryPhetA11yStrings.stopwatch;
+const stopwatchReadingPatternStringProperty = SceneryPhetA11yStrings.stopwatchReadingPattern;
+
+const stopwatchLapString = sceneryPhetStrings.stopwatch.lap;
+
 /**
  * @param {Stopwatch} stopwatch
  * @param {Object} [options]
@@ -58,13 +73,31 @@ function StopwatchNode( stopwatch, options ) {
     // options propagated to StopwatchReadoutNode
     stopwatchReadoutNodeOptions: null,
 
+    // {boolean} whether to include a lap button, and a readout of the recorded laps beside the time readout
+    includeLapButton: false,
+
+    // options propagated to StopwatchLapReadoutNode, if includeLapButton is true
+    stopwatchLapReadoutNodeOptions: null,
+
     visibleBoundsProperty: null, // {Property.<Bounds2>|null} if provided, the node is draggable within the bounds
 
     // Tandem is required to make sure the buttons are instrumented
     tandem: Tandem.REQUIRED,
 
     // options propagated to the DragListener
-    dragListenerOptions: null
+    dragListenerOptions: null,
+
+    // a11y - if draggable and measurementToolInteractionOptions is non-null, the stopwatch is grabbed and moved with
+    // the keyboard, see MeasurementToolInteraction. {string|null} - null for the default in the current locale
+    objectToGrabString: null,
+
+    // {string|null} - object response, with {{object}} and {{value}}, in seconds, null for the default in the current
+    // locale
+    readingPatternString: null,
+    readingDecimalPlaces: 2,
+
+    // {Object|null} - options passed to the MeasurementToolInteraction
+    measurementToolInteractionOptions: null
   }, options );
 
   assert && assert( options.xSpacing >= 0, 'Buttons cannot overlap' );
@@ -75,6 +108,9 @@ function StopwatchNode( stopwatch, options ) {
     'StopwatchNode sets maxValue' );
   options.stopwatchReadoutNodeOptions = options.stopwatchReadoutNodeOptions || {};
   options.stopwatchReadoutNodeOptions.maxValue = options.maxValue;
+  options.stopwatchReadoutNodeOptions.isCountdown = stopwatch.isCountdown();
+  assert && assert( !stopwatch.isCountdown() || stopwatch.countdownDuration <= options.maxValue,
+    'countdownDuration must not exceed maxValue' );
 
   // Create the StopwatchReadoutNode.
   // NOTE: If we need more flexibility for this part, consider inversion of control (i.e. client passing in an alternate Node)
@@ -103,25 +139,61 @@ function StopwatchNode( stopwatch, options ) {
 
   const resetButton = new RectangularPushButton( {
     listener: function resetTimer() {
-      stopwatch.isRunningProperty.set( false );
-      stopwatch.timeProperty.set( 0 );
+      stopwatch.resetTime();
     },
     content: resetPath,
     baseColor: options.buttonBaseColor,
     tandem: options.tandem.createTandem( 'resetButton' )
   } );
 
-  const contents = new VBox( {
+  const buttons = [ resetButton, playPauseButton ];
+
+  // Lap button and readout
+  let lapButton = null;
+  let stopwatchLapReadoutNode = null;
+  if ( options.includeLapButton ) {
+
+    lapButton = new RectangularPushButton( {
+      listener: () => stopwatch.recordLap(),
+      content: new Text( stopwatchLapString, {
+        font: new PhetFont( 0.9 * playIconHeight ),
+        maxWidth: 3 * playIconHeight
+      } ),
+      baseColor: options.buttonBaseColor,
+      tandem: options.tandem.createTandem( 'lapButton' )
+    } );
+    buttons.push( lapButton );
+
+    // Format lap times like the readout.
+    const formatter = TimeFormatter.get( options.stopwatchReadoutNodeOptions.formatter || 'minutesSeconds' );
+
+    stopwatchLapReadoutNode = new StopwatchLapReadoutNode( stopwatch, merge( {
+      maxValue: options.maxValue,
+      formatTime: time => formatter.formatToString( time ),
+      buttonBaseColor: options.buttonBaseColor,
+      tandem: options.tandem.createTandem( 'stopwatchLapReadoutNode' )
+    }, options.stopwatchLapReadoutNodeOptions ) );
+  }
+
+  let contents = new VBox( {
     spacing: options.ySpacing,
     children: [
       stopwatchReadoutNode,
       new HBox( {
         spacing: options.xSpacing,
-        children: [ resetButton, playPauseButton ]
+        children: buttons
       } )
     ]
   } );
 
+  if ( stopwatchLapReadoutNode ) {
+    contents = new HBox( {
+      spacing: options.xSpacing,
+      align: 'top',
+      children: [ contents, stopwatchLapReadoutNode ]
+    } );
+  }
+
   // Background panel ----------------------------------------------------------------------------
 
   const backgroundNode = new ShadedRectangle( new Bounds2( 0, 0,
@@ -138,16 +210,33 @@ function StopwatchNode( stopwatch, options ) {
   // @public (read-only) - Target for drag listeners
   this.dragTarget = backgroundNode;
 
-  // Disable the reset button when time is zero.
+  // Disable the reset button when no time has elapsed.
   const timeListener = function( time ) {
-    resetButton.enabled = time > 0;
-    playPauseButton.enabled = time < options.maxValue;
-    if ( time >= options.maxValue ) {
-      stopwatch.isRunningProperty.value = false;
+    resetButton.enabled = stopwatch.getElapsedTime() > 0;
+    if ( stopwatch.isCountdown() ) {
+
+      // A countdown timer that has run out can only be reset, unless it loops.
+      playPauseButton.enabled = time > 0 || stopwatch.loopCountdown;
+    }
+    else {
+      playPauseButton.enabled = time < options.maxValue;
+      if ( time >= options.maxValue ) {
+        stopwatch.isRunningProperty.value = false;
+      }
     }
   };
   stopwatch.timeProperty.link( timeListener );
 
+  // Laps can be recorded only while the stopwatch is running.
+  const updateLapButtonEnabled = () => {
+    lapButton.enabled = stopwatch.canRecordLap();
+  };
+  if ( lapButton ) {
+    stopwatch.isRunningProperty.link( updateLapButtonEnabled );
+    stopwatch.lapTimes.addItemAddedListener( updateLapButtonEnabled );
+    stopwatch.lapTimes.addItemRemovedListener( updateLapButtonEnabled );
+  }
+
   // Put a red dot at the origin, for debugging layout.
   if ( phet.chipper.queryParameters.dev ) {
     this.addChild( new Circle( 3, { fill: 'red' } ) );
@@ -175,6 +264,16 @@ function StopwatchNode( stopwatch, options ) {
   this.dragListener = null;
   let moveToFrontListener = null;
 
+  // @public (read-only) {MeasurementToolInteraction|null} - assigned below, if draggable and
+  // measurementToolInteractionOptions is non-null
+  this.measurementToolInteraction = null;
+
+  // @private
+  this.stopwatch = stopwatch;
+  this.objectToGrabString = options.objectToGrabString;
+  this.readingPatternString = options.readingPatternString;
+  this.readingDecimalPlaces = options.readingDecimalPlaces;
+
   let dragBoundsProperty = null;
 
   if ( options.visibleBoundsProperty ) {
@@ -209,6 +308,20 @@ function StopwatchNode( stopwatch, options ) {
       tandem: options.tandem.createTandem( 'moveToFrontListener' )
     } );
     this.addInputListener( moveToFrontListener );
+
+    // keyboard dragging and object responses, added to the background like the DragListener
+    if ( options.measurementToolInteractionOptions ) {
+      this.measurementToolInteraction = new MeasurementToolInteraction( this.dragTarget, merge( {
+        objectToGrabString: options.objectToGrabString || stopwatchStringProperty,
+        createObjectResponse: () => this.getObjectResponse(),
+        positionProperty: stopwatch.positionProperty,
+        dragBoundsProperty: dragBoundsProperty,
+        grabDragInteractionOptions: {
+          onGrab: () => this.moveToFront()
+        },
+        tandem: options.tandem.createTandem( 'measurementToolInteraction' )
+      }, options.measurementToolInteractionOptions ) );
+    }
   }
 
   this.addLinkedElement( stopwatch, {
@@ -225,6 +338,14 @@ function StopwatchNode( stopwatch, options ) {
     resetButton.dispose();
     playPauseButton.dispose();
 
+    if ( lapButton ) {
+      stopwatch.isRunningProperty.unlink( updateLapButtonEnabled );
+      stopwatch.lapTimes.removeItemAddedListener( updateLapButtonEnabled );
+      stopwatch.lapTimes.removeItemRemovedListener( updateLapButtonEnabled );
+      lapButton.dispose();
+      stopwatchLapReadoutNode.dispose();
+    }
+
     if ( this.dragListener ) {
       this.dragTarget.removeInputListener( this.dragListener );
       this.dragListener.dispose();
@@ -233,6 +354,7 @@ function StopwatchNode( stopwatch, options ) {
       this.removeInputListener( moveToFrontListener );
       moveToFrontListener.dispose();
     }
+    this.measurementToolInteraction && this.measurementToolInteraction.dispose();
 
     dragBoundsProperty && dragBoundsProperty.dispose();
   };
@@ -253,5 +375,17 @@ export default inherit( Node, StopwatchNode, {
   dispose: function() {
     this.disposeStopwatchNode();
     Node.prototype.dispose.call( this );
+  },
+
+  /**
+   * Gets the object response, which describes the time, e.g. 'stopwatch reads 3.25 seconds.'
+   * @returns {string}
+   * @public
+   */
+  getObjectResponse: function() {
+    return StringUtils.fillIn( this.readingPatternString || stopwatchReadingPatternStringProperty.value, {
+      object: this.objectToGrabString || stopwatchStringProperty.value,
+      value: Utils.toFixed( this.stopwatch.timeProperty.value, this.readingDecimalPlaces )
+    } );
   }
 } );
\ No newline at end of file
@@ -1,18 +1,18 @@
 // Copyright 2018-2020, University of Colorado Boulder
 
 /**
- * Shows an elapsed time--can be displayed in a StopwatchNode.
+ * Shows an elapsed time, or the time remaining on a countdown timer--can be displayed in a StopwatchNode.
  *
  * @author Sam Reid (PhET Interactive Simulations)
  */
 
-import Utils from '../../dot/js/Utils.js';
+import Bounds2 from '../../dot/js/Bounds2.js';
 import merge from '../../phet-core/js/merge.js';
 import Node from '../../scenery/js/nodes/Node.js';
 import Rectangle from '../../scenery/js/nodes/Rectangle.js';
-import Text from '../../scenery/js/nodes/Text.js';
 import PhetFont from './PhetFont.js';
 import sceneryPhet from './sceneryPhet.js';
+import TimeFormatter from './TimeFormatter.js';
 
 // Try for a monospace font so that the numbers don't change alignment.  Fallback to Arial as determined in
 // https://github.com/phetsims/wave-interference/issues/239
@@ -40,12 +40,24 @@ class StopwatchReadoutNode extends Rectangle {
       largeFont: DEFAULT_LARGE_FONT, // {Font} for larger numbers in the time value
       smallFont: DEFAULT_SMALL_FONT, // {Font} for smaller numbers in the time value
 
+      // {string|TimeFormatter} how the time value is displayed, the name of a registered formatter or a formatter.
+      // See TimeFormatter for the built-in formatters.
+      formatter: 'minutesSeconds',
+
       // {number} the maximum time value, in seconds. The timer will stop when this value is reached.
       // When set to display time in minutes and seconds (the default for StopwatchReadoutNode),
       // the largest quantity that StopwatchNode can display is minutes, and the smallest is 1/100 second.
       // So the default maxValue is 59 minutes, 59.99 seconds, which is 1/100 second short of 1 hour.
       // See https://github.com/phetsims/masses-and-springs-basics/issues/36
-      maxValue: DEFAULT_MAX_VALUE
+      maxValue: DEFAULT_MAX_VALUE,
+
+      // {boolean} whether timeProperty is the time remaining on a countdown timer, see Stopwatch.countdownDuration.
+      // When the countdown reaches zero, the readout changes to the timeUp* colors.
+      isCountdown: false,
+      textFill: 'black', // {ColorDef}
+      backgroundFill: '#fff', // {ColorDef}
+      timeUpTextFill: 'white', // {ColorDef}
+      timeUpBackgroundFill: 'rgb( 220, 0, 0 )' // {ColorDef}
     }, options );
 
     assert && assert( options.maxValue > 0 && options.maxValue < 1E21, 'invalid maxValue: ' + options.maxValue );
@@ -54,18 +66,17 @@ class StopwatchReadoutNode extends Rectangle {
      * Readout text
      *----------------------------------------------------------------------------*/
 
-    const bigReadoutText = new Text( timeToBigString( 0, !!options.unitsNode ), { font: options.largeFont } );
-    const smallReadoutText = new Text( timeToSmallString( 0 ), { font: options.smallFont } );
+    const formatter = TimeFormatter.get( options.formatter );
 
-    // aligns the baselines of the big and small text
-    smallReadoutText.bottom = smallReadoutText.bounds.maxY - bigReadoutText.bounds.minY;
-    bigReadoutText.top = 0;
-    const children = [ bigReadoutText, smallReadoutText ];
+    // displays the time value, with its origin at the left end of its baseline
+    const valueNode = formatter.createNode( options );
+    valueNode.setTextFill( options.textFill );
+    const children = [ valueNode ];
 
     if ( options.unitsNode ) {
 
       // Align the baseline of the text, see https://github.com/phetsims/scenery-phet/issues/425
-      options.unitsNode.y = smallReadoutText.y;
+      options.unitsNode.y = valueNode.y;
       children.push( options.unitsNode );
     }
 
@@ -83,35 +94,45 @@ class StopwatchReadoutNode extends Rectangle {
       // see https://github.com/phetsims/wave-interference/issues/94
       value = Math.min( value, options.maxValue );
 
-      // Update readouts
-      bigReadoutText.text = timeToBigString( value, !!options.unitsNode );
-      smallReadoutText.text = timeToSmallString( value );
+      // Update readout
+      valueNode.setTime( value );
 
       // Update layout - when unitsNode is shown, the text is right aligned.  Otherwise it is centered.
       if ( options.unitsNode ) {
-        smallReadoutText.right = options.unitsNode.left - 3;
-        bigReadoutText.right = smallReadoutText.left;
-      }
-      else {
-        smallReadoutText.left = bigReadoutText.right;
+        valueNode.right = options.unitsNode.left - 3;
       }
     };
 
-    // Initialize with max value so the text panel will have the max needed size.
-    updateText( options.maxValue );
+    // Measure the sample values from the formatter, so the text panel will have the max needed size. Like
+    // NumberDisplay, the value is then constrained to that width, so that the readout never changes size.
+    let readoutBounds = Bounds2.NOTHING.copy();
+    let maxValueWidth = 0;
+    formatter.getSampleTimes( options.maxValue ).forEach( sampleTime => {
+      updateText( sampleTime );
+      readoutBounds = readoutBounds.union( readoutLayer.bounds );
+      maxValueWidth = Math.max( maxValueWidth, valueNode.width );
+    } );
+    valueNode.maxWidth = maxValueWidth;
 
     /*---------------------------------------------------------------------------*
      * Readout background
      *----------------------------------------------------------------------------*/
-    const parentBounds = readoutLayer.bounds.dilatedXY( 5, 2 );
+    const parentBounds = readoutBounds.dilatedXY( 5, 2 );
     super( parentBounds, 5, 5, {
       children: [ readoutLayer ],
-      fill: '#fff',
+      fill: options.backgroundFill,
       stroke: 'rgba(0,0,0,0.5)',
       pickable: false,
       centerX: 0
     } );
 
+    // When a countdown runs out, change colors to call attention to it.
+    const updateTimeUpStyle = value => {
+      const isTimeUp = options.isCountdown && value <= 0;
+      valueNode.setTextFill( isTimeUp ? options.timeUpTextFill : options.textFill );
+      this.fill = isTimeUp ? options.timeUpBackgroundFill : options.backgroundFill;
+    };
+
     const updateTextPosition = () => {
       if ( options.unitsNode ) {
         const RIGHT_MARGIN = 4;
@@ -125,6 +146,7 @@ class StopwatchReadoutNode extends Rectangle {
     // Set initial values and layout
     timeProperty.link( updateText );
     timeProperty.link( updateTextPosition );
+    timeProperty.link( updateTimeUpStyle );
 
     let unitsNodeBoundsListener = null;
 
@@ -140,7 +162,9 @@ class StopwatchReadoutNode extends Rectangle {
     this.disposeStopwatchReadoutNode = () => {
       timeProperty.unlink( updateText );
       timeProperty.unlink( updateTextPosition );
+      timeProperty.unlink( updateTimeUpStyle );
       options.unitsNode && options.unitsNode.off( unitsNodeBoundsListener );
+      valueNode.dispose();
     };
   }
 
@@ -154,48 +178,14 @@ class StopwatchReadoutNode extends Rectangle {
 StopwatchReadoutNode.DEFAULT_LARGE_FONT = DEFAULT_LARGE_FONT;
 StopwatchReadoutNode.DEFAULT_SMALL_FONT = DEFAULT_SMALL_FONT;
 
-// the full-sized minutes and seconds string
-const timeToBigString = ( time, showUnits ) => {
-
-  // Round to the nearest centi-part (if time is in seconds, this would be centiseconds), (compatible with timeToSmallString).
-  // see https://github.com/phetsims/masses-and-springs/issues/156
-  time = Utils.roundSymmetric( time * 100 ) / 100;
-
-  // When showing units, don't show the "00:" prefix, see https://github.com/phetsims/scenery-phet/issues/378
-  if ( showUnits ) {
-    return Math.floor( time ) + '';
-  }
-  else {
-    const timeInSeconds = time;
-
-    // If no units are provided, then we assume the time is in seconds, and should be shown in mm:ss.cs
-    let minutes = Math.floor( timeInSeconds / 60 ) % 60;
-    let seconds = Math.floor( timeInSeconds ) % 60;
-
-    if ( seconds < 10 ) {
-      seconds = '0' + seconds;
-    }
-    if ( minutes < 10 ) {
-      minutes = '0' + minutes;
-    }
-    return minutes + ':' + seconds;
-  }
-};
-
-// the smaller hundredths-of-a-second string
-const timeToSmallString = time => {
-
-  // Round to the nearest centisecond (compatible with timeToSmallString).
-  // see https://github.com/phetsims/masses-and-springs/issues/156
-  time = Utils.roundSymmetric( time * 100 ) / 100;
-
-  // Rounding after mod, in case there is floating-point error
-  let centitime = Utils.roundSymmetric( time % 1 * 100 );
-  if ( centitime < 10 ) {
-    centitime = '0' + centitime;
-  }
-  return '.' + centitime;
-};
+/**
+ * Formats a time value the same way that the default readout does, e.g. '01:23.45', or '83.45' when showing units.
+ * @param {number} time
+ * @param {boolean} [showUnits]
+ * @returns {string}
+ * @public
+ */
+StopwatchReadoutNode.formatTime = ( time, showUnits = false ) => TimeFormatter.get( 'minutesSeconds' ).formatToString( time, showUnits );
 
 // @public {number} - the default value for max time
 StopwatchReadoutNode.DEFAULT_MAX_VALUE = DEFAULT_MAX_VALUE;
@@ -0,0 +1,98 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for Stopwatch
+ *
+ * @author agent <agent@local>
+ */
+
+import Tandem from '../../tandem/js/Tandem.js';
+import Stopwatch from './Stopwatch.js';
+
+QUnit.module( 'Stopwatch' );
+
+QUnit.test( 'lap times', assert => {
+  const stopwatch = new Stopwatch( { maxLaps: 2, tandem: Tandem.OPTIONAL } );
+
+  assert.ok( !stopwatch.canRecordLap(), 'laps are not recorded while stopped' );
+
+  stopwatch.isRunningProperty.value = true;
+  stopwatch.step( 1 );
+  stopwatch.recordLap();
+  stopwatch.step( 2.5 );
+  stopwatch.recordLap();
+  assert.deepEqual( stopwatch.lapTimes.getArray(), [ 1, 3.5 ], 'split times are the elapsed times' );
+  assert.equal( stopwatch.getLapDuration( 0 ), 1, 'first lap starts at zero' );
+  assert.equal( stopwatch.getLapDuration( 1 ), 2.5, 'lap duration is the time since the previous split' );
+  assert.ok( !stopwatch.canRecordLap(), 'no more than maxLaps' );
+
+  stopwatch.resetTime();
+  assert.ok( !stopwatch.isRunningProperty.value, 'resetTime stops the stopwatch' );
+  assert.equal( stopwatch.timeProperty.value, 0, 'resetTime sets the time to zero' );
+  assert.equal( stopwatch.lapTimes.length, 0, 'resetTime clears laps' );
+
+  stopwatch.isRunningProperty.value = true;
+  stopwatch.step( 1 );
+  stopwatch.recordLap();
+  stopwatch.isVisibleProperty.value = true;
+  assert.equal( stopwatch.lapTimes.length, 0, 'changing visibility clears laps' );
+
+  stopwatch.dispose();
+} );
+
+QUnit.test( 'countdown', assert => {
+  const stopwatch = new Stopwatch( { countdownDuration: 10, tandem: Tandem.OPTIONAL } );
+  const completedLapTimes = [];
+  stopwatch.countdownCompletedEmitter.addListener( lapTimes => completedLapTimes.push( lapTimes ) );
+
+  assert.ok( stopwatch.isCountdown(), 'is a countdown timer' );
+  assert.equal( stopwatch.timeProperty.value, 10, 'starts at countdownDuration' );
+
+  stopwatch.isRunningProperty.value = true;
+  stopwatch.step( 4 );
+  assert.equal( stopwatch.timeProperty.value, 6, 'counts down' );
+  assert.equal( stopwatch.getElapsedTime(), 4, 'elapsed time counts up' );
+
+  stopwatch.recordLap();
+  assert.deepEqual( stopwatch.lapTimes.getArray(), [ 4 ], 'laps are elapsed times' );
+
+  stopwatch.step( 7 );
+  assert.equal( stopwatch.timeProperty.value, 0, 'stops at zero' );
+  assert.ok( !stopwatch.isRunningProperty.value, 'stops running at zero' );
+  assert.deepEqual( completedLapTimes, [ [ 4 ] ], 'completion is emitted with the laps' );
+  assert.equal( stopwatch.lapTimes.length, 1, 'laps are kept when the countdown stops' );
+
+  stopwatch.isRunningProperty.value = true;
+  stopwatch.step( 1 );
+  assert.equal( completedLapTimes.length, 1, 'completion is not emitted again when running at zero' );
+  assert.ok( !stopwatch.isRunningProperty.value, 'stops running at zero again' );
+
+  stopwatch.resetTime();
+  assert.equal( stopwatch.timeProperty.value, 10, 'resetTime returns to countdownDuration' );
+
+  stopwatch.dispose();
+} );
+
+QUnit.test( 'looping countdown', assert => {
+  const stopwatch = new Stopwatch( { countdownDuration: 4, loopCountdown: true, tandem: Tandem.OPTIONAL } );
+  const completedLapTimes = [];
+  stopwatch.countdownCompletedEmitter.addListener( lapTimes => {
+    assert.deepEqual( stopwatch.lapTimes.getArray(), lapTimes, 'laps are cleared after completion is emitted' );
+    completedLapTimes.push( lapTimes );
+  } );
+
+  stopwatch.isRunningProperty.value = true;
+  stopwatch.step( 1 );
+  stopwatch.recordLap();
+  stopwatch.step( 4 );
+  assert.ok( stopwatch.isRunningProperty.value, 'keeps running' );
+  assert.equal( stopwatch.timeProperty.value, 3, 'the next loop starts with the time that stepped past zero' );
+  assert.deepEqual( completedLapTimes, [ [ 1 ] ], 'completion is emitted for each loop, with the laps of the loop' );
+  assert.equal( stopwatch.lapTimes.length, 0, 'laps are cleared at the start of each loop' );
+
+  stopwatch.step( 3 );
+  assert.equal( stopwatch.timeProperty.value, 4, 'stepping exactly to zero starts a full loop' );
+  assert.deepEqual( completedLapTimes, [ [ 1 ], [] ], 'completion is emitted when reaching zero exactly' );
+
+  stopwatch.dispose();
+} );
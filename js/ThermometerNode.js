@@ -9,16 +9,32 @@
  */
 
 import LinearFunction from '../../dot/js/LinearFunction.js';
+import Range from '../../dot/js/Range.js';
+import Utils from '../../dot/js/Utils.js';
 import Shape from '../../kite/js/Shape.js';
 import InstanceRegistry from '../../phet-core/js/documentation/InstanceRegistry.js';
 import inherit from '../../phet-core/js/inherit.js';
 import merge from '../../phet-core/js/merge.js';
+import StringUtils from '../../phetcommon/js/util/StringUtils.js';
 import Node from '../../scenery/js/nodes/Node.js';
 import Path from '../../scenery/js/nodes/Path.js';
 import Rectangle from '../../scenery/js/nodes/Rectangle.js';
 import LinearGradient from '../../scenery/js/util/LinearGradient.js';
+import Tandem from '../../tandem/js/Tandem.js';
+import MeasurementToolInteraction from './accessibility/MeasurementToolInteraction.js';
 import sceneryPhet from './sceneryPhet.js';
+import SceneryPhetA11yStrings from './SceneryPhetA11yStrings.js';
 import ShadedSphereNode from './ShadedSphereNode.js';
+import ValueSonifier from './sonification/ValueSonifier.js';
+
+// a11y strings
+const thermometerStringProperty = SceneryPhetA11yStrings.thermometer;
+const thermometerReadingPatternStringProperty = SceneryPhetA11yStrings.thermometerReadingPattern;
+const degreesStringProperty = SceneryPhetA11yStrings.degrees;
+const coldStringProperty = SceneryPhetA11yStrings.cold;
+const coolStringProperty = SceneryPhetA11yStrings.cool;
+const warmStringProperty = SceneryPhetA11yStrings.warm;
+const hotStringProperty = SceneryPhetA11yStrings.hot;
 
 // constants
 const FLUID_OVERLAP = 1; // overlap of fluid in tube and bulb, to hide seam
@@ -55,7 +71,31 @@ function ThermometerNode( minTemperature, maxTemperature, temperatureProperty, o
     // all the default colors are shades of red
     fluidMainColor: '#850e0e', // the main color of the bulb fluid, and the left side of the tube gradient
     fluidHighlightColor: '#ff7575', // the highlight color of the bulb fluid and the middle of the tube gradient
-    fluidRightSideColor: '#c41515' // the right side of the tube gradient, not used currently
+    fluidRightSideColor: '#c41515', // the right side of the tube gradient, not used currently
+
+    // {Object|null} If provided, the temperature is sonified with these options, see ValueSonifier. Provide
+    // sonifierOptions.majorTickValues to hear ticks, since tick marks are not placed at temperatures.
+    sonifierOptions: null,
+
+    // a11y - the thermometer is grabbed and moved with the keyboard if measurementToolInteractionOptions is non-null,
+    // see MeasurementToolInteraction. While it is grabbed, changes to the temperature are described.
+    // {string|null} - null for the defaults in the current locale
+    objectToGrabString: null,
+    temperatureUnitsString: null,
+    temperatureDecimalPlaces: 0,
+
+    // {string[]|null} - qualitative descriptions of the temperature, which divide the range evenly from cold to hot,
+    // null for cold, cool, warm and hot in the current locale
+    temperatureDescriptions: null,
+
+    // {string|null} - object response, with {{object}}, {{value}}, {{units}} and {{description}}, null for the default
+    // in the current locale
+    readingPatternString: null,
+
+    // {Object|null} - options passed to the MeasurementToolInteraction, e.g. positionProperty
+    measurementToolInteractionOptions: null,
+
+    tandem: Tandem.OPTIONAL
   }, options );
 
   Node.call( this );
@@ -201,13 +241,38 @@ function ThermometerNode( minTemperature, maxTemperature, temperatureProperty, o
 
   temperatureProperty.link( temperaturePropertyObserver );
 
+  // @public {ValueSonifier|null} - see options.sonifierOptions
+  this.sonifier = options.sonifierOptions && new ValueSonifier( temperatureProperty,
+    new Range( minTemperature, maxTemperature ), options.sonifierOptions );
+
   this.mutate( options );
 
+  // @private
+  this.temperatureProperty = temperatureProperty;
+  this.temperatureRange = new Range( minTemperature, maxTemperature );
+  this.objectToGrabString = options.objectToGrabString;
+  this.temperatureUnitsString = options.temperatureUnitsString;
+  this.temperatureDecimalPlaces = options.temperatureDecimalPlaces;
+  this.temperatureDescriptions = options.temperatureDescriptions;
+  this.readingPatternString = options.readingPatternString;
+
+  // @public (read-only) {MeasurementToolInteraction|null}
+  this.measurementToolInteraction = options.measurementToolInteractionOptions ?
+                                    new MeasurementToolInteraction( this, merge( {
+                                      objectToGrabString: options.objectToGrabString || thermometerStringProperty,
+                                      createObjectResponse: () => this.getObjectResponse(),
+                                      readingProperties: [ temperatureProperty ],
+                                      tandem: options.tandem.createTandem( 'measurementToolInteraction' )
+                                    }, options.measurementToolInteractionOptions ) ) :
+                                    null;
+
   // @private
   this.disposeThermometerNode = function() {
     if ( temperatureProperty.hasListener( temperaturePropertyObserver ) ) {
       temperatureProperty.unlink( temperaturePropertyObserver );
     }
+    self.sonifier && self.sonifier.dispose();
+    self.measurementToolInteraction && self.measurementToolInteraction.dispose();
   };
 
   // support for binder documentation, stripped out in builds and only runs when ?binder is specified
@@ -227,6 +292,25 @@ export default inherit( Node, ThermometerNode, {
     Node.prototype.dispose.call( this );
   },
 
+  /**
+   * Gets the object response, which describes the temperature, e.g. 'thermometer reads 45 degrees, hot.'
+   * @returns {string}
+   * @public
+   */
+  getObjectResponse: function() {
+    const temperature = this.temperatureProperty.value;
+    const temperatureDescriptions = this.temperatureDescriptions ||
+                                    [ coldStringProperty.value, coolStringProperty.value, warmStringProperty.value,
+                                      hotStringProperty.value ];
+    return StringUtils.fillIn( this.readingPatternString || thermometerReadingPatternStringProperty.value, {
+      object: this.objectToGrabString || thermometerStringProperty.value,
+      value: Utils.toFixed( temperature, this.temperatureDecimalPlaces ),
+      units: this.temperatureUnitsString || degreesStringProperty.value,
+      description: MeasurementToolInteraction.getQualitativeDescription( temperature, this.temperatureRange,
+        temperatureDescriptions )
+    } );
+  },
+
   /**
    * Get y position at temperature to allow accurate tick placement
    * @param {number} temp - temperature at which to find y position
@@ -10,29 +10,40 @@
  */
 
 import BooleanProperty from '../../axon/js/BooleanProperty.js';
+import Bounds2 from '../../dot/js/Bounds2.js';
 import merge from '../../phet-core/js/merge.js';
+import StringUtils from '../../phetcommon/js/util/StringUtils.js';
 import AccessiblePeer from '../../scenery/js/accessibility/AccessiblePeer.js';
 import HBox from '../../scenery/js/nodes/HBox.js';
 import Node from '../../scenery/js/nodes/Node.js';
 import Text from '../../scenery/js/nodes/Text.js';
+import ArrowButton from '../../sun/js/buttons/ArrowButton.js';
+import ComboBox from '../../sun/js/ComboBox.js';
+import ComboBoxItem from '../../sun/js/ComboBoxItem.js';
 import SunConstants from '../../sun/js/SunConstants.js';
 import VerticalAquaRadioButtonGroup from '../../sun/js/VerticalAquaRadioButtonGroup.js';
 import Tandem from '../../tandem/js/Tandem.js';
 import PlayPauseButton from './buttons/PlayPauseButton.js';
 import StepBackwardButton from './buttons/StepBackwardButton.js';
 import StepForwardButton from './buttons/StepForwardButton.js';
+import localeProperty from './localeProperty.js';
 import PhetFont from './PhetFont.js';
 import sceneryPhetStrings from './scenery-phet-strings.js';
 import sceneryPhet from './sceneryPhet.js';
 import SceneryPhetA11yStrings from './SceneryPhetA11yStrings.js';
+import TimeSpeed from './TimeSpeed.js';
 
 const speedNormalString = sceneryPhetStrings.speed.normal;
 const speedSlowString = sceneryPhetStrings.speed.slow;
 
 // PDOM strings
-const timeControlDescriptionString = SceneryPhetA11yStrings.timeControlDescription.value;
-const timeControlLabelString = SceneryPhetA11yStrings.timeControlLabel.value;
-const simSpeedsString = SceneryPhetA11yStrings.simSpeedsString.value;
+const timeControlDescriptionStringProperty = SceneryPhetA11yStrings.timeControlDescription;
+const timeControlLabelStringProperty = SceneryPhetA11yStrings.timeControlLabel;
+const simSpeedsStringProperty = SceneryPhetA11yStrings.simSpeedsString;
+const simSpeedDescriptionPatternStringProperty = SceneryPhetA11yStrings.simSpeedDescriptionPattern;
+
+// valid values for options.speedControlType
+const SPEED_CONTROL_TYPES = [ 'radioButtons', 'comboBox', 'spinner' ];
 
 class TimeControlNode extends Node {
 
@@ -45,8 +56,29 @@ class TimeControlNode extends Node {
     options = merge( {
 
       // {BooleanProperty|null} if provided 'Normal' and 'Slow' radio buttons are added.
+      // Mutually exclusive with timeSpeedProperty.
       isSlowMotionProperty: null,
 
+      // {EnumerationProperty.<TimeSpeed>|null} if provided, a control for choosing among timeSpeeds is added.
+      // Mutually exclusive with isSlowMotionProperty.
+      timeSpeedProperty: null,
+
+      // {TimeSpeed[]} the speeds that can be chosen with timeSpeedProperty, in the order that they are displayed
+      timeSpeeds: [ TimeSpeed.NORMAL, TimeSpeed.SLOW ],
+
+      // {Object|null} labels that replace TimeSpeed.getDefaultLabel, keyed by TimeSpeed, e.g. { [ TimeSpeed.FAST ]: 'Turbo' }
+      timeSpeedLabels: null,
+
+      // {string} how the speed is chosen: 'radioButtons' (VerticalAquaRadioButtonGroup), 'comboBox' (ComboBox)
+      // or 'spinner' (arrow buttons on either side of the selected speed)
+      speedControlType: 'radioButtons',
+
+      // {Node|null} required if speedControlType is 'comboBox', the parent for the ComboBox list
+      comboBoxListParent: null,
+
+      // Options for the ComboBox, if speedControlType is 'comboBox'
+      comboBoxOptions: null,
+
       // {boolean} - if true a StepBackwardButton will be included in the controls to the left of the PlayPauseButton
       includeStepBackwardButton: false,
 
@@ -81,11 +113,11 @@ class TimeControlNode extends Node {
       // phet-io
       tandem: Tandem.REQUIRED, // {Tandem}
 
-      // PDOM
+      // PDOM - labelContent and descriptionContent are null for the defaults in the current locale
       tagName: 'div',
       labelTagName: 'h3',
-      labelContent: timeControlLabelString,
-      descriptionContent: timeControlDescriptionString
+      labelContent: null,
+      descriptionContent: null
     }, options );
 
     if ( options.playPauseOptions ) {
@@ -141,49 +173,54 @@ class TimeControlNode extends Node {
 
     const children = [];
 
-    // Optional Normal/Slow radio button group
-    let radioButtonGroup = null;
-    if ( options.isSlowMotionProperty ) {
+    // Optional speed control
+    assert && assert( !( options.isSlowMotionProperty && options.timeSpeedProperty ),
+      'isSlowMotionProperty and timeSpeedProperty are mutually exclusive' );
+    assert && assert( _.includes( SPEED_CONTROL_TYPES, options.speedControlType ),
+      `invalid speedControlType: ${options.speedControlType}` );
+    const speedProperty = options.isSlowMotionProperty || options.timeSpeedProperty;
+    let speedControl = null;
+    let speedItems = null; // {{value:*, label:string, tandemName:string}[]|null}
+    if ( speedProperty ) {
 
       const labelOptions = merge( {
         font: new PhetFont( 14 )
       }, options.labelOptions );
 
-      const normalText = new Text( speedNormalString, labelOptions );
-      const slowText = new Text( speedSlowString, labelOptions );
-
-      const radioButtonOptions = merge( {
-        xSpacing: 5,
-        radius: normalText.height / 2.2
-      }, options.radioButtonOptions );
-
-      const radioButtonGroupOptions = merge( {
-        radioButtonOptions: radioButtonOptions,
-        spacing: 9,
-        touchAreaXDilation: 10,
-        maxWidth: 150,
-        tandem: options.tandem.createTandem( 'speedRadioButtonGroup' ),
-
-        // PDOM
-        labelTagName: 'h4',
-        labelContent: simSpeedsString
-      }, options.radioButtonGroupOptions );
-
-      radioButtonGroup = new VerticalAquaRadioButtonGroup( options.isSlowMotionProperty, [
-        { value: false, node: normalText, labelContent: speedNormalString, tandemName: 'normal' },
-        { value: true, node: slowText, labelContent: speedSlowString, tandemName: 'slow' }
-      ], radioButtonGroupOptions );
-
-      // PDOM - so that the RadioButtonGroup label is read any time a RadioButton gets focus
-      radioButtonGroup.addAriaLabelledbyAssociation( {
-        thisElementName: AccessiblePeer.PRIMARY_SIBLING,
-        otherNode: radioButtonGroup,
-        otherElementName: AccessiblePeer.LABEL_SIBLING
-      } );
+      if ( options.isSlowMotionProperty ) {
+        speedItems = [
+          { value: false, label: speedNormalString, tandemName: 'normal' },
+          { value: true, label: speedSlowString, tandemName: 'slow' }
+        ];
+      }
+      else {
+        assert && assert( options.timeSpeeds.length > 1, 'at least 2 timeSpeeds are required' );
+        assert && assert( _.every( options.timeSpeeds, timeSpeed => TimeSpeed.includes( timeSpeed ) ),
+          'invalid timeSpeeds' );
+        speedItems = options.timeSpeeds.map( timeSpeed => {
+          return {
+            value: timeSpeed,
+            label: ( options.timeSpeedLabels && options.timeSpeedLabels[ timeSpeed ] ) || TimeSpeed.getDefaultLabel( timeSpeed ),
+            tandemName: _.camelCase( timeSpeed )
+          };
+        } );
+      }
+
+      if ( options.speedControlType === 'radioButtons' ) {
+        speedControl = createRadioButtonGroup( speedProperty, speedItems, labelOptions, options );
+      }
+      else if ( options.speedControlType === 'comboBox' ) {
+        speedControl = createComboBox( speedProperty, speedItems, labelOptions, options );
+      }
+      else {
+        speedControl = new SpeedSpinner( speedProperty, speedItems, labelOptions, {
+          tandem: options.tandem.createTandem( 'speedSpinner' )
+        } );
+      }
 
       children.push( new HBox( {
         spacing: options.buttonsXSpacing,
-        children: [ pushButtonGroup, radioButtonGroup ],
+        children: [ pushButtonGroup, speedControl ],
 
         // don't change layout if PlayPauseButton size changes
         resize: false
@@ -204,6 +241,39 @@ class TimeControlNode extends Node {
     // @private {PlayPauseButton} - for layout
     this.playPauseButton = playPauseButton;
 
+    // the radio buttons and the combo box are labeled by the default below, unless a label is provided in their options
+    const labelsRadioButtonGroup = options.speedControlType === 'radioButtons' &&
+                                   !( options.radioButtonGroupOptions && options.radioButtonGroupOptions.labelContent );
+    const labelsComboBox = options.speedControlType === 'comboBox' &&
+                           !( options.comboBoxOptions && options.comboBoxOptions.accessibleName );
+
+    // PDOM - the label and the description, which describes the selected speed followed by the general description.
+    // These are updated when the locale changes.
+    const updateAccessibleContent = () => {
+      this.labelContent = options.labelContent || timeControlLabelStringProperty.value;
+      const descriptionContent = options.descriptionContent || timeControlDescriptionStringProperty.value;
+      if ( speedProperty ) {
+        const speedLabel = _.find( speedItems, item => item.value === speedProperty.value ).label;
+        this.descriptionContent = StringUtils.fillIn( simSpeedDescriptionPatternStringProperty.value, {
+          speed: speedLabel
+        } ) + ' ' + descriptionContent;
+      }
+      else {
+        this.descriptionContent = descriptionContent;
+      }
+      if ( speedControl && labelsRadioButtonGroup ) {
+        speedControl.labelContent = simSpeedsStringProperty.value;
+      }
+
+      // ComboBox has no setter for its accessibleName option, which labels its button and its list box
+      if ( speedControl && labelsComboBox ) {
+        speedControl.button.labelContent = simSpeedsStringProperty.value;
+        speedControl.listBox.labelContent = simSpeedsStringProperty.value;
+      }
+    };
+    localeProperty.link( updateAccessibleContent );
+    speedProperty && speedProperty.lazyLink( updateAccessibleContent );
+
     // PDOM - this node's primary sibling is aria-labelledby its own label so the label content is read whenever
     // a member of the group receives focus
     this.addAriaLabelledbyAssociation( {
@@ -232,7 +302,11 @@ class TimeControlNode extends Node {
       playPauseButton.dispose();
       stepForwardButton.dispose();
       stepBackwardButton && stepBackwardButton.dispose();
-      radioButtonGroup && radioButtonGroup.dispose();
+      speedControl && speedControl.dispose();
+      localeProperty.unlink( updateAccessibleContent );
+      if ( speedProperty && speedProperty.hasListener( updateAccessibleContent ) ) {
+        speedProperty.unlink( updateAccessibleContent );
+      }
 
       if ( ownsEnabledProperty ) {
         this.enabledProperty.dispose();
@@ -264,5 +338,168 @@ class TimeControlNode extends Node {
   }
 }
 
+/**
+ * Creates radio buttons for choosing the speed.
+ * @param {Property} speedProperty
+ * @param {{value:*, label:string, tandemName:string}[]} speedItems
+ * @param {Object} labelOptions
+ * @param {Object} options - TimeControlNode options
+ * @returns {VerticalAquaRadioButtonGroup}
+ */
+const createRadioButtonGroup = ( speedProperty, speedItems, labelOptions, options ) => {
+
+  const radioButtonItems = speedItems.map( speedItem => {
+    return {
+      value: speedItem.value,
+      node: new Text( speedItem.label, labelOptions ),
+      labelContent: speedItem.label,
+      tandemName: speedItem.tandemName
+    };
+  } );
+
+  const radioButtonOptions = merge( {
+    xSpacing: 5,
+    radius: radioButtonItems[ 0 ].node.height / 2.2
+  }, options.radioButtonOptions );
+
+  const radioButtonGroupOptions = merge( {
+    radioButtonOptions: radioButtonOptions,
+    spacing: 9,
+    touchAreaXDilation: 10,
+    maxWidth: 150,
+    tandem: options.tandem.createTandem( 'speedRadioButtonGroup' ),
+
+    // PDOM - labelContent is set by TimeControlNode, unless it is provided
+    labelTagName: 'h4'
+  }, options.radioButtonGroupOptions );
+
+  const radioButtonGroup = new VerticalAquaRadioButtonGroup( speedProperty, radioButtonItems, radioButtonGroupOptions );
+
+  // PDOM - so that the RadioButtonGroup label is read any time a RadioButton gets focus
+  radioButtonGroup.addAriaLabelledbyAssociation( {
+    thisElementName: AccessiblePeer.PRIMARY_SIBLING,
+    otherNode: radioButtonGroup,
+    otherElementName: AccessiblePeer.LABEL_SIBLING
+  } );
+
+  return radioButtonGroup;
+};
+
+/**
+ * Creates a ComboBox for choosing the speed.
+ * @param {Property} speedProperty
+ * @param {{value:*, label:string, tandemName:string}[]} speedItems
+ * @param {Object} labelOptions
+ * @param {Object} options - TimeControlNode options
+ * @returns {ComboBox}
+ */
+const createComboBox = ( speedProperty, speedItems, labelOptions, options ) => {
+  assert && assert( options.comboBoxListParent, 'comboBoxListParent is required when speedControlType is comboBox' );
+
+  const comboBoxItems = speedItems.map( speedItem => new ComboBoxItem( new Text( speedItem.label, labelOptions ), speedItem.value, {
+    tandemName: speedItem.tandemName,
+    a11yLabel: speedItem.label
+  } ) );
+
+  return new ComboBox( comboBoxItems, speedProperty, options.comboBoxListParent, merge( {
+    maxWidth: 150,
+    tandem: options.tandem.createTandem( 'speedComboBox' ),
+
+    // PDOM - the label is updated by TimeControlNode when the locale changes, unless it is provided
+    accessibleName: simSpeedsStringProperty.value
+  }, options.comboBoxOptions ) );
+};
+
+/**
+ * Displays the selected speed, with arrow buttons on either side that select the previous and next speeds.
+ */
+class SpeedSpinner extends HBox {
+
+  /**
+   * @param {Property} speedProperty
+   * @param {{value:*, label:string, tandemName:string}[]} speedItems
+   * @param {Object} labelOptions
+   * @param {Object} [options]
+   */
+  constructor( speedProperty, speedItems, labelOptions, options ) {
+
+    options = merge( {
+      spacing: 5,
+      maxWidth: 150,
+      tandem: Tandem.REQUIRED,
+
+      // PDOM - labelContent is null for the default in the current locale
+      tagName: 'div',
+      labelTagName: 'h4',
+      labelContent: null
+    }, options );
+
+    assert && assert( speedItems.length > 0, 'SpeedSpinner requires speedItems' );
+
+    // Size the label for the longest speed, so that the buttons don't move when the speed changes.
+    const labelBounds = speedItems.reduce(
+      ( bounds, speedItem ) => bounds.union( new Text( speedItem.label, labelOptions ).bounds ),
+      Bounds2.NOTHING.copy() );
+    const labelText = new Text( '', labelOptions );
+    const labelParent = new Node( { children: [ labelText ] } );
+    labelParent.localBounds = labelBounds;
+
+    const getIndex = () => _.findIndex( speedItems, speedItem => speedItem.value === speedProperty.value );
+
+    // The arrows are sized for the tallest label, since labelText is empty until speedProperty is linked below.
+    const arrowButtonOptions = {
+      arrowHeight: labelBounds.height * 0.75,
+      arrowWidth: labelBounds.height * 0.6
+    };
+    const previousButton = new ArrowButton( 'left', () => {
+      speedProperty.value = speedItems[ getIndex() - 1 ].value;
+    }, merge( {
+      tandem: options.tandem.createTandem( 'previousButton' )
+    }, arrowButtonOptions ) );
+    const nextButton = new ArrowButton( 'right', () => {
+      speedProperty.value = speedItems[ getIndex() + 1 ].value;
+    }, merge( {
+      tandem: options.tandem.createTandem( 'nextButton' )
+    }, arrowButtonOptions ) );
+
+    assert && assert( !options.children, 'SpeedSpinner sets children' );
+    options.children = [ previousButton, labelParent, nextButton ];
+
+    super( options );
+
+    const speedListener = () => {
+      const index = getIndex();
+      labelText.text = speedItems[ index ].label;
+      labelText.centerX = labelParent.localBounds.centerX;
+      previousButton.enabled = ( index > 0 );
+      nextButton.enabled = ( index < speedItems.length - 1 );
+    };
+    speedProperty.link( speedListener );
+
+    // PDOM - the default labelContent is updated when the locale changes
+    const labelContentListener = labelContent => {
+      this.labelContent = labelContent;
+    };
+    !options.labelContent && simSpeedsStringProperty.link( labelContentListener );
+
+    // @private
+    this.disposeSpeedSpinner = () => {
+      !options.labelContent && simSpeedsStringProperty.unlink( labelContentListener );
+      speedProperty.unlink( speedListener );
+      previousButton.dispose();
+      nextButton.dispose();
+    };
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  dispose() {
+    this.disposeSpeedSpinner();
+    super.dispose();
+  }
+}
+
 sceneryPhet.register( 'TimeControlNode', TimeControlNode );
 export default TimeControlNode;
\ No newline at end of file
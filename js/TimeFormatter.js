@@ -0,0 +1,364 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * TimeFormatter converts a time value to what is displayed in StopwatchReadoutNode. A formatter creates the Node that
+ * displays the time, and tells the readout which time values to measure so that the readout has a constant width.
+ *
+ * Formatters are registered by name, so that clients can select one with a string. The built-in formatters are:
+ *
+ * 'minutesSeconds' - mm:ss.hh, e.g. 01:23.45. This is the default, and shows only ss.hh when the readout has units.
+ * 'hoursMinutesSeconds' - h:mm:ss, e.g. 1:23:45
+ * 'siUnits' - value with an SI-prefixed unit of seconds, where the prefix is chosen automatically, e.g. 123.45 µs
+ * 'scientific' - scientific notation, via ScientificNotationNode, e.g. 1.23 x 10^-4
+ *
+ * To add a custom formatter, create a TimeFormatter and register it with TimeFormatter.register.
+ *
+ * @author Sam Reid (PhET Interactive Simulations)
+ * @author agent <agent@local>
+ */
+
+import NumberProperty from '../../axon/js/NumberProperty.js';
+import Utils from '../../dot/js/Utils.js';
+import merge from '../../phet-core/js/merge.js';
+import Node from '../../scenery/js/nodes/Node.js';
+import Text from '../../scenery/js/nodes/Text.js';
+import sceneryPhet from './sceneryPhet.js';
+import ScientificNotationNode from './ScientificNotationNode.js';
+import SIPrefix from './units/SIPrefix.js';
+
+// SI symbol for seconds, which is not translatable
+const SECONDS_SYMBOL = 's';
+
+// registered formatters, keyed by name
+const registry = {};
+
+class TimeFormatter {
+
+  /**
+   * @param {function(time:number, showUnits:boolean):{large:string, small:string}} format - converts a time value to
+   *   strings. large is displayed in the readout's large font, followed by small in the readout's small font. showUnits
+   *   is true if the readout displays units to the right of the value.
+   * @param {Object} [options]
+   */
+  constructor( format, options ) {
+
+    options = merge( {
+
+      // {function(maxValue:number):number[]} values that are measured to determine the readout's width. The default
+      // works for formats whose widest string is for maxValue. Formats whose string length does not increase with
+      // the time value (e.g. 'siUnits') need to provide more values.
+      getSampleTimes: maxValue => [ maxValue ]
+    }, options );
+
+    // @private
+    this.format = format;
+
+    // @public (read-only)
+    this.getSampleTimes = options.getSampleTimes;
+  }
+
+  /**
+   * Converts a time value to a single string, e.g. for the lap readout of StopwatchNode.
+   * @param {number} time
+   * @param {boolean} [showUnits]
+   * @returns {string}
+   * @public
+   */
+  formatToString( time, showUnits = false ) {
+    const strings = this.format( time, showUnits );
+    return strings.large + strings.small;
+  }
+
+  /**
+   * Creates the Node that displays the time value in StopwatchReadoutNode. The Node's origin is at the left end of its
+   * baseline. Subclasses may override this to display something other than text.
+   * @param {Object} options - see StopwatchReadoutNode
+   * @returns {TimeFormatterNode}
+   * @public
+   */
+  createNode( options ) {
+    return new TextTimeFormatterNode( this, options );
+  }
+
+  /**
+   * Registers a formatter, so that it can be selected by name.
+   * @param {string} name
+   * @param {TimeFormatter} formatter
+   * @public
+   */
+  static register( name, formatter ) {
+    assert && assert( !registry.hasOwnProperty( name ), `a formatter is already registered with name: ${name}` );
+    assert && assert( formatter instanceof TimeFormatter, `invalid formatter: ${formatter}` );
+    registry[ name ] = formatter;
+  }
+
+  /**
+   * Gets a registered formatter.
+   * @param {string|TimeFormatter} formatter - the name of a registered formatter, or a formatter
+   * @returns {TimeFormatter}
+   * @public
+   */
+  static get( formatter ) {
+    if ( formatter instanceof TimeFormatter ) {
+      return formatter;
+    }
+    assert && assert( registry.hasOwnProperty( formatter ), `no formatter is registered with name: ${formatter}` );
+    return registry[ formatter ];
+  }
+
+  /**
+   * Gets the names of all registered formatters.
+   * @returns {string[]}
+   * @public
+   */
+  static getNames() {
+    return Object.keys( registry );
+  }
+}
+
+/**
+ * Base class for the Node that a formatter creates.
+ * @abstract
+ */
+class TimeFormatterNode extends Node {
+
+  /**
+   * Displays a time value.
+   * @param {number} time
+   * @public
+   * @abstract
+   */
+  setTime( time ) {
+    throw new Error( 'setTime must be implemented by subclass' );
+  }
+
+  /**
+   * Sets the color of the displayed value.
+   * @param {ColorDef} fill
+   * @public
+   * @abstract
+   */
+  setTextFill( fill ) {
+    throw new Error( 'setTextFill must be implemented by subclass' );
+  }
+}
+
+/**
+ * Displays the strings from TimeFormatter.format, using large and small fonts.
+ */
+class TextTimeFormatterNode extends TimeFormatterNode {
+
+  /**
+   * @param {TimeFormatter} formatter
+   * @param {Object} options - see StopwatchReadoutNode
+   */
+  constructor( formatter, options ) {
+
+    const largeText = new Text( '', { font: options.largeFont } );
+    const smallText = new Text( '', { font: options.smallFont } );
+
+    super( { children: [ largeText, smallText ] } );
+
+    // @private
+    this.formatter = formatter;
+    this.showUnits = !!options.unitsNode;
+    this.largeText = largeText;
+    this.smallText = smallText;
+  }
+
+  /**
+   * @param {number} time
+   * @public
+   * @override
+   */
+  setTime( time ) {
+    const strings = this.formatter.format( time, this.showUnits );
+    this.largeText.text = strings.large;
+    this.smallText.text = strings.small;
+    this.smallText.left = this.largeText.right;
+  }
+
+  /**
+   * @param {ColorDef} fill
+   * @public
+   * @override
+   */
+  setTextFill( fill ) {
+    this.largeText.fill = fill;
+    this.smallText.fill = fill;
+  }
+}
+
+/**
+ * Displays the time value using ScientificNotationNode.
+ */
+class ScientificTimeFormatterNode extends TimeFormatterNode {
+
+  /**
+   * @param {Object} scientificNotationNodeOptions
+   * @param {Object} options - see StopwatchReadoutNode
+   */
+  constructor( scientificNotationNodeOptions, options ) {
+
+    const valueProperty = new NumberProperty( 0 );
+    const scientificNotationNode = new ScientificNotationNode( valueProperty, merge( {
+      font: options.largeFont
+    }, scientificNotationNodeOptions ) );
+
+    super( { children: [ scientificNotationNode ] } );
+
+    // @private
+    this.valueProperty = valueProperty;
+    this.scientificNotationNode = scientificNotationNode;
+  }
+
+  /**
+   * @param {number} time
+   * @public
+   * @override
+   */
+  setTime( time ) {
+    this.valueProperty.value = time;
+  }
+
+  /**
+   * @param {ColorDef} fill
+   * @public
+   * @override
+   */
+  setTextFill( fill ) {
+    this.scientificNotationNode.setFill( fill );
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  dispose() {
+    this.scientificNotationNode.dispose();
+    this.valueProperty.dispose();
+    super.dispose();
+  }
+}
+
+/**
+ * Formats a time value in scientific notation.
+ */
+class ScientificTimeFormatter extends TimeFormatter {
+
+  /**
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+
+    options = merge( {
+      minValue: 1E-15, // {number} the smallest non-zero time that is expected, used to determine the readout's width
+      mantissaDecimalPlaces: 2
+    }, options );
+
+    const scientificNotationOptions = {
+      mantissaDecimalPlaces: options.mantissaDecimalPlaces,
+      showZeroExponent: true
+    };
+
+    super( time => {
+      const scientificNotation = ScientificNotationNode.toScientificNotation( time, scientificNotationOptions );
+      return {
+        large: `${scientificNotation.mantissa} x 10^${scientificNotation.exponent}`,
+        small: ''
+      };
+    }, {
+      getSampleTimes: maxValue => [ maxValue, options.minValue ]
+    } );
+
+    // @private
+    this.scientificNotationOptions = scientificNotationOptions;
+  }
+
+  /**
+   * @param {Object} options - see StopwatchReadoutNode
+   * @returns {TimeFormatterNode}
+   * @public
+   * @override
+   */
+  createNode( options ) {
+    return new ScientificTimeFormatterNode( this.scientificNotationOptions, options );
+  }
+}
+
+/**
+ * Rounds time to hundredths, then splits it into whole and hundredths parts. Rounding first keeps the parts
+ * consistent, see https://github.com/phetsims/masses-and-springs/issues/156
+ * @param {number} time
+ * @returns {{whole:number, hundredths:string}}
+ */
+const splitHundredths = time => {
+  time = Utils.roundSymmetric( time * 100 ) / 100;
+
+  // Rounding after mod, in case there is floating-point error
+  const hundredths = Utils.roundSymmetric( time % 1 * 100 );
+  return {
+    whole: Math.floor( time ),
+    hundredths: ( hundredths < 10 ) ? `0${hundredths}` : `${hundredths}`
+  };
+};
+
+// Pads a non-negative integer with a leading zero, if it has only 1 digit.
+const pad = value => ( value < 10 ) ? `0${value}` : `${value}`;
+
+/**
+ * Chooses the SI prefix for a time, such that the value is in [1,1000), and formats it with 2 decimal places.
+ * @param {number} time
+ * @returns {{large:string, small:string}}
+ */
+const formatSIUnits = time => {
+  let exponent = SIPrefix.chooseExponent( time );
+  let value = Utils.toFixedNumber( time / Math.pow( 10, exponent ), 2 );
+
+  // Rounding may produce 1000, e.g. 999.999 ms, which is displayed as 1.00 s
+  if ( Math.abs( value ) >= 1000 && exponent < SIPrefix.MAX_EXPONENT ) {
+    exponent += 3;
+    value = Utils.toFixedNumber( time / Math.pow( 10, exponent ), 2 );
+  }
+
+  return {
+    large: Utils.toFixed( value, 2 ),
+    small: ` ${SIPrefix.getSymbol( exponent )}${SECONDS_SYMBOL}`
+  };
+};
+
+// Built-in formatters ----------------------------------------------------------------------------
+
+TimeFormatter.register( 'minutesSeconds', new TimeFormatter( ( time, showUnits ) => {
+  const parts = splitHundredths( time );
+
+  // When showing units, don't show the "00:" prefix, see https://github.com/phetsims/scenery-phet/issues/378
+  // If no units are provided, then we assume the time is in seconds, and should be shown in mm:ss.hh
+  const large = showUnits ? `${parts.whole}` : `${pad( Math.floor( parts.whole / 60 ) % 60 )}:${pad( parts.whole % 60 )}`;
+  return { large: large, small: `.${parts.hundredths}` };
+} ) );
+
+TimeFormatter.register( 'hoursMinutesSeconds', new TimeFormatter( time => {
+  const seconds = Utils.roundSymmetric( time );
+  return {
+    large: `${Math.floor( seconds / 3600 )}:${pad( Math.floor( seconds / 60 ) % 60 )}:${pad( seconds % 60 )}`,
+    small: ''
+  };
+} ) );
+
+TimeFormatter.register( 'siUnits', new TimeFormatter( formatSIUnits, {
+
+  // the widest value for each prefix, up to maxValue
+  getSampleTimes: maxValue => [ maxValue ].concat( SIPrefix.PREFIXES
+    .map( prefix => 999.99 * Math.pow( 10, prefix.exponent ) )
+    .filter( time => time < maxValue ) )
+} ) );
+
+TimeFormatter.register( 'scientific', new ScientificTimeFormatter() );
+
+// @public
+TimeFormatter.TimeFormatterNode = TimeFormatterNode;
+TimeFormatter.ScientificTimeFormatter = ScientificTimeFormatter;
+
+sceneryPhet.register( 'TimeFormatter', TimeFormatter );
+export default TimeFormatter;
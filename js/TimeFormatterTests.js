@@ -0,0 +1,44 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for TimeFormatter
+ *
+ * @author agent <agent@local>
+ */
+
+import TimeFormatter from './TimeFormatter.js';
+
+QUnit.module( 'TimeFormatter' );
+
+QUnit.test( 'built-in formatters', assert => {
+
+  const minutesSeconds = TimeFormatter.get( 'minutesSeconds' );
+  assert.equal( minutesSeconds.formatToString( 0 ), '00:00.00', 'zero' );
+  assert.equal( minutesSeconds.formatToString( 83.456 ), '01:23.46', 'rounds to hundredths' );
+  assert.equal( minutesSeconds.formatToString( 59.999 ), '01:00.00', 'rounding carries into minutes' );
+  assert.equal( minutesSeconds.formatToString( 83.456, true ), '83.46', 'no minutes when showing units' );
+
+  const hoursMinutesSeconds = TimeFormatter.get( 'hoursMinutesSeconds' );
+  assert.equal( hoursMinutesSeconds.formatToString( 3725 ), '1:02:05', 'h:mm:ss' );
+
+  const siUnits = TimeFormatter.get( 'siUnits' );
+  assert.equal( siUnits.formatToString( 0 ), '0.00 s', 'zero has no prefix' );
+  assert.equal( siUnits.formatToString( 0.0004 ), '400.00 µs', 'micro' );
+  assert.equal( siUnits.formatToString( 2.5E-14 ), '25.00 fs', 'femto' );
+  assert.equal( siUnits.formatToString( 0.9999999 ), '1.00 s', 'rounding to 1000 changes the prefix' );
+
+  const scientific = TimeFormatter.get( 'scientific' );
+  assert.equal( scientific.formatToString( 0.000123 ), '1.23 x 10^-4', 'scientific' );
+} );
+
+QUnit.test( 'registry', assert => {
+
+  const formatter = new TimeFormatter( time => ( { large: `${time}`, small: ' ticks' } ) );
+  TimeFormatter.register( 'ticks', formatter );
+  assert.ok( TimeFormatter.get( 'ticks' ) === formatter, 'get by name' );
+  assert.ok( TimeFormatter.get( formatter ) === formatter, 'get by formatter' );
+  assert.ok( TimeFormatter.getNames().indexOf( 'ticks' ) !== -1, 'custom formatter is registered' );
+  assert.equal( formatter.formatToString( 5 ), '5 ticks', 'custom format' );
+
+  window.assert && assert.throws( () => TimeFormatter.register( 'ticks', formatter ), 'duplicate names are not allowed' );
+} );
@@ -0,0 +1,78 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Speeds that a simulation can run at, for use with TimeControlNode. A sim chooses which of these speeds it supports
+ * with TimeControlNode's timeSpeeds option. Each speed has a default label and a default scale factor, which is the
+ * amount that dt is multiplied by when running at that speed.
+ *
+ * @author agent <agent@local>
+ */
+
+import DerivedProperty from '../../axon/js/DerivedProperty.js';
+import Enumeration from '../../phet-core/js/Enumeration.js';
+import merge from '../../phet-core/js/merge.js';
+import sceneryPhetStrings from './scenery-phet-strings.js';
+import sceneryPhet from './sceneryPhet.js';
+
+const speedFastString = sceneryPhetStrings.speed.fast;
+const speedNormalString = sceneryPhetStrings.speed.normal;
+const speedSlowString = sceneryPhetStrings.speed.slow;
+const speedVerySlowString = sceneryPhetStrings.speed.verySlow;
+
+// Keys and values are the same, so that either can be used to access the values of the enum.
+const TimeSpeed = Enumeration.byKeys( [ 'FAST', 'NORMAL', 'SLOW', 'VERY_SLOW' ], {
+  beforeFreeze: TimeSpeed => {
+
+    const DEFAULT_SCALE_FACTORS = {
+      [ TimeSpeed.FAST ]: 2,
+      [ TimeSpeed.NORMAL ]: 1,
+      [ TimeSpeed.SLOW ]: 0.5,
+      [ TimeSpeed.VERY_SLOW ]: 0.25
+    };
+
+    const DEFAULT_LABELS = {
+      [ TimeSpeed.FAST ]: speedFastString,
+      [ TimeSpeed.NORMAL ]: speedNormalString,
+      [ TimeSpeed.SLOW ]: speedSlowString,
+      [ TimeSpeed.VERY_SLOW ]: speedVerySlowString
+    };
+
+    /**
+     * Gets the amount that dt is multiplied by, when running at a speed.
+     * @param {TimeSpeed} timeSpeed
+     * @returns {number}
+     * @public
+     */
+    TimeSpeed.getDefaultScaleFactor = timeSpeed => {
+      assert && assert( TimeSpeed.includes( timeSpeed ), `invalid timeSpeed: ${timeSpeed}` );
+      return DEFAULT_SCALE_FACTORS[ timeSpeed ];
+    };
+
+    /**
+     * Gets the label that is displayed for a speed, e.g. 'Slow'.
+     * @param {TimeSpeed} timeSpeed
+     * @returns {string}
+     * @public
+     */
+    TimeSpeed.getDefaultLabel = timeSpeed => {
+      assert && assert( TimeSpeed.includes( timeSpeed ), `invalid timeSpeed: ${timeSpeed}` );
+      return DEFAULT_LABELS[ timeSpeed ];
+    };
+
+    /**
+     * Creates a Property whose value is the scale factor for the current speed. A model can multiply dt by this value.
+     * @param {EnumerationProperty.<TimeSpeed>} timeSpeedProperty
+     * @param {Object} [scaleFactors] - scale factors that replace the defaults, keyed by TimeSpeed, e.g.
+     *   { [ TimeSpeed.SLOW ]: 0.1 }
+     * @returns {DerivedProperty.<number>}
+     * @public
+     */
+    TimeSpeed.createScaleFactorProperty = ( timeSpeedProperty, scaleFactors ) => {
+      scaleFactors = merge( {}, DEFAULT_SCALE_FACTORS, scaleFactors );
+      return new DerivedProperty( [ timeSpeedProperty ], timeSpeed => scaleFactors[ timeSpeed ] );
+    };
+  }
+} );
+
+sceneryPhet.register( 'TimeSpeed', TimeSpeed );
+export default TimeSpeed;
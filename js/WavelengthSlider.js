@@ -7,12 +7,14 @@
  * @author Sam Reid (PhET Interactive Simulations)
  */
 
+import Range from '../../dot/js/Range.js';
 import Utils from '../../dot/js/Utils.js';
 import inherit from '../../phet-core/js/inherit.js';
 import merge from '../../phet-core/js/merge.js';
 import StringUtils from '../../phetcommon/js/util/StringUtils.js';
 import sceneryPhetStrings from './scenery-phet-strings.js';
 import sceneryPhet from './sceneryPhet.js';
+import ValueSonifier from './sonification/ValueSonifier.js';
 import SpectrumSlider from './SpectrumSlider.js';
 import VisibleColor from './VisibleColor.js';
 
@@ -36,7 +38,10 @@ function WavelengthSlider( wavelengthProperty, options ) {
     },
     valueToColor: function( value ) {
       return VisibleColor.wavelengthToColor( value );
-    }
+    },
+
+    // {Object|null} If provided, the wavelength is sonified with these options, see ValueSonifier
+    sonifierOptions: null
   }, options );
   assert && assert( options.minValue === undefined, 'minValue is supplied by WavelengthSlider' );
   assert && assert( options.maxValue === undefined, 'maxValue is supplied by WavelengthSlider' );
@@ -44,9 +49,25 @@ function WavelengthSlider( wavelengthProperty, options ) {
   options.maxValue = options.maxWavelength;
 
   SpectrumSlider.call( this, wavelengthProperty, options );
+
+  // @public {ValueSonifier|null} - see options.sonifierOptions
+  this.sonifier = options.sonifierOptions && new ValueSonifier( wavelengthProperty,
+    new Range( options.minWavelength, options.maxWavelength ), merge( {
+
+      // shorter wavelengths are higher frequencies of light, so they are heard as higher tones
+      minFrequency: 880,
+      maxFrequency: 220
+    }, options.sonifierOptions ) );
 }
 
 sceneryPhet.register( 'WavelengthSlider', WavelengthSlider );
 
-inherit( SpectrumSlider, WavelengthSlider );
+inherit( SpectrumSlider, WavelengthSlider, {
+
+  // @public
+  dispose: function() {
+    this.sonifier && this.sonifier.dispose();
+    SpectrumSlider.prototype.dispose.call( this );
+  }
+} );
 export default WavelengthSlider;
\ No newline at end of file
@@ -9,6 +9,7 @@
  * @author Jesse Greenberg (PhET Interactive Simulations)
  */
 
+import Property from '../../../axon/js/Property.js';
 import inherit from '../../../phet-core/js/inherit.js';
 import merge from '../../../phet-core/js/merge.js';
 import Node from '../../../scenery/js/nodes/Node.js';
@@ -16,24 +17,47 @@ import sceneryPhet from '../sceneryPhet.js';
 
 /**
  * @constructor
- * @param {string} label
+ * @param {string|Property.<string>} label - a Property for a label that changes, like a translated string
  * @param {Object} [options]
  */
 function AccessibleSectionNode( label, options ) {
-  assert && assert( label && typeof label === 'string', 'Accessible section must have a label' );
+  const labelProperty = label instanceof Property ? label : null;
+  assert && assert( labelProperty || ( label && typeof label === 'string' ), 'Accessible section must have a label' );
 
   // options for accessibility, but others can be passed to Node call
   options = merge( {
     containerTagName: 'section',
     tagName: 'div',
-    labelContent: label,
     labelTagName: 'h2'
   }, options );
 
   Node.call( this, options );
+
+  const labelListener = label => { this.labelContent = label; };
+  if ( labelProperty ) {
+    labelProperty.link( labelListener );
+  }
+  else {
+    labelListener( label );
+  }
+
+  // @private
+  this.disposeAccessibleSectionNode = () => {
+    labelProperty && labelProperty.unlink( labelListener );
+  };
 }
 
 sceneryPhet.register( 'AccessibleSectionNode', AccessibleSectionNode );
 
-inherit( Node, AccessibleSectionNode );
+inherit( Node, AccessibleSectionNode, {
+
+  /**
+   * @public
+   * @override
+   */
+  dispose: function() {
+    this.disposeAccessibleSectionNode();
+    Node.prototype.dispose.call( this );
+  }
+} );
 export default AccessibleSectionNode;
\ No newline at end of file
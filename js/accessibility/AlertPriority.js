@@ -0,0 +1,33 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Priorities of alerts, from lowest to highest. Higher priority alerts are announced first and can interrupt lower
+ * priority alerts, see SpeechOutput.
+ *
+ * @author agent <agent@local>
+ */
+
+import Enumeration from '../../../phet-core/js/Enumeration.js';
+import sceneryPhet from '../sceneryPhet.js';
+
+// Keys and values are the same, so that either can be used to access the values of the enum.
+const AlertPriority = Enumeration.byKeys( [ 'LOW', 'MEDIUM', 'HIGH' ], {
+  beforeFreeze: AlertPriority => {
+
+    /**
+     * Compares priorities, for sorting alerts.
+     * @param {AlertPriority} priority1
+     * @param {AlertPriority} priority2
+     * @returns {number} - positive if priority1 is higher, negative if priority2 is higher, 0 if they are the same
+     * @public
+     */
+    AlertPriority.compare = ( priority1, priority2 ) => {
+      assert && assert( AlertPriority.includes( priority1 ), `invalid priority: ${priority1}` );
+      assert && assert( AlertPriority.includes( priority2 ), `invalid priority: ${priority2}` );
+      return AlertPriority.VALUES.indexOf( priority1 ) - AlertPriority.VALUES.indexOf( priority2 );
+    };
+  }
+} );
+
+sceneryPhet.register( 'AlertPriority', AlertPriority );
+export default AlertPriority;
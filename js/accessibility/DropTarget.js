@@ -0,0 +1,63 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A place that a grabbed object can be dropped, like a bucket. Objects that are released in the shape of a valid
+ * target snap to its position, and keyboard users can jump an object between targets, see DropTargetRegistry and
+ * GrabDragInteraction.
+ *
+ * @author agent <agent@local>
+ */
+
+import merge from '../../../phet-core/js/merge.js';
+import sceneryPhet from '../sceneryPhet.js';
+
+class DropTarget {
+
+  /**
+   * @param {string} name - the accessible name of the target, like "bucket 2"
+   * @param {Vector2} position - where objects snap to, in the coordinate frame of the positionProperty of the
+   *                             GrabDragInteraction
+   * @param {Shape|Bounds2} shape - where objects can be released to snap to the target, in the same coordinate frame
+   * @param {Object} [options]
+   */
+  constructor( name, position, shape, options ) {
+    assert && assert( typeof name === 'string', `invalid name: ${name}` );
+    assert && assert( shape && shape.containsPoint, `drop target needs a shape: ${name}` );
+
+    options = merge( {
+
+      // {function():boolean} - whether objects can be dropped on the target now, for instance false when a bucket is
+      // full. Invalid targets are skipped when jumping between targets.
+      isValid: _.stubTrue
+    }, options );
+
+    // @public (read-only)
+    this.name = name;
+    this.position = position;
+    this.shape = shape;
+
+    // @private
+    this.isValidFunction = options.isValid;
+  }
+
+  /**
+   * @returns {boolean}
+   * @public
+   */
+  isValid() {
+    return this.isValidFunction();
+  }
+
+  /**
+   * Whether an object released at a position would be dropped on this target, if it is valid.
+   * @param {Vector2} position
+   * @returns {boolean}
+   * @public
+   */
+  containsPoint( position ) {
+    return this.shape.containsPoint( position );
+  }
+}
+
+sceneryPhet.register( 'DropTarget', DropTarget );
+export default DropTarget;
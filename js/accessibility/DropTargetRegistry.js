@@ -0,0 +1,87 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * The DropTargets that objects of a GrabDragInteraction can be dropped on. The order of registration is the order
+ * that keyboard users jump between targets.
+ *
+ * @author agent <agent@local>
+ */
+
+import sceneryPhet from '../sceneryPhet.js';
+import DropTarget from './DropTarget.js';
+
+class DropTargetRegistry {
+
+  constructor() {
+
+    // @private {DropTarget[]} - in registration order
+    this.targets = [];
+  }
+
+  /**
+   * @param {DropTarget} target
+   * @returns {DropTarget} - for chaining
+   * @public
+   */
+  register( target ) {
+    assert && assert( target instanceof DropTarget, 'invalid target' );
+    assert && assert( this.targets.indexOf( target ) === -1, `target already registered: ${target.name}` );
+    this.targets.push( target );
+    return target;
+  }
+
+  /**
+   * @param {DropTarget} target
+   * @public
+   */
+  unregister( target ) {
+    assert && assert( this.targets.indexOf( target ) !== -1, `target not registered: ${target.name}` );
+    this.targets.splice( this.targets.indexOf( target ), 1 );
+  }
+
+  /**
+   * @returns {DropTarget[]} - in registration order
+   * @public
+   */
+  getTargets() {
+    return this.targets.slice();
+  }
+
+  /**
+   * Gets the target that an object released at a position would be dropped on.
+   * @param {Vector2} position
+   * @returns {DropTarget|null} - the first valid target that contains the position, null if there is none
+   * @public
+   */
+  getTargetAt( position ) {
+    return _.find( this.targets, target => target.isValid() && target.containsPoint( position ) ) || null;
+  }
+
+  /**
+   * Gets the valid target after or before a target, wrapping around.
+   * @param {DropTarget|null} target - null to get the first or last valid target
+   * @param {number} delta - 1 for the next target, -1 for the previous target
+   * @returns {DropTarget|null} - null if no other target is valid
+   * @public
+   */
+  getAdjacentTarget( target, delta ) {
+    assert && assert( delta === 1 || delta === -1, `invalid delta: ${delta}` );
+
+    const count = this.targets.length;
+    const index = this.targets.indexOf( target );
+
+    // without a target, start just outside of the list so that the first step is to the first or last target
+    let nextIndex = index === -1 ? ( delta === 1 ? -1 : count ) : index;
+    for ( let i = 0; i < count; i++ ) {
+      nextIndex = ( nextIndex + delta + count ) % count;
+      const nextTarget = this.targets[ nextIndex ];
+      if ( nextTarget !== target && nextTarget.isValid() ) {
+        return nextTarget;
+      }
+    }
+    return null;
+  }
+}
+
+sceneryPhet.register( 'DropTargetRegistry', DropTargetRegistry );
+export default DropTargetRegistry;
@@ -0,0 +1,40 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for DropTargetRegistry
+ *
+ * @author agent <agent@local>
+ */
+
+import Bounds2 from '../../../dot/js/Bounds2.js';
+import Vector2 from '../../../dot/js/Vector2.js';
+import DropTarget from './DropTarget.js';
+import DropTargetRegistry from './DropTargetRegistry.js';
+
+QUnit.module( 'DropTargetRegistry' );
+
+QUnit.test( 'targets', assert => {
+  let bucket2Full = false;
+
+  const registry = new DropTargetRegistry();
+  const bucket1 = registry.register( new DropTarget( 'bucket 1', new Vector2( 5, 5 ), new Bounds2( 0, 0, 10, 10 ) ) );
+  const bucket2 = registry.register( new DropTarget( 'bucket 2', new Vector2( 25, 5 ), new Bounds2( 20, 0, 30, 10 ), {
+    isValid: () => !bucket2Full
+  } ) );
+  const bucket3 = registry.register( new DropTarget( 'bucket 3', new Vector2( 45, 5 ), new Bounds2( 40, 0, 50, 10 ) ) );
+
+  assert.equal( registry.getTargetAt( new Vector2( 22, 2 ) ), bucket2, 'getTargetAt' );
+  assert.equal( registry.getTargetAt( new Vector2( 15, 2 ) ), null, 'not on a target' );
+
+  assert.equal( registry.getAdjacentTarget( null, 1 ), bucket1, 'first target' );
+  assert.equal( registry.getAdjacentTarget( null, -1 ), bucket3, 'last target' );
+  assert.equal( registry.getAdjacentTarget( bucket1, 1 ), bucket2, 'next target' );
+  assert.equal( registry.getAdjacentTarget( bucket1, -1 ), bucket3, 'wraps around' );
+
+  bucket2Full = true;
+  assert.equal( registry.getTargetAt( new Vector2( 22, 2 ) ), null, 'invalid target is not dropped on' );
+  assert.equal( registry.getAdjacentTarget( bucket1, 1 ), bucket3, 'invalid target is skipped' );
+
+  registry.unregister( bucket3 );
+  assert.equal( registry.getAdjacentTarget( bucket1, 1 ), null, 'no other valid target' );
+} );
@@ -15,6 +15,10 @@
  * This is because in usages so far that alert has been custom, context specific, and easier to just supply through
  * the onGrab listener.
  *
+ * With the dropTargets option, keyboard users can jump the draggable between DropTargets, and the object snaps to the
+ * target it is released on. The release alert then describes where the object was placed, or that it was not
+ * released on a valid target.
+ *
  * NOTE: You cannot add a11y listeners directly to the node where it is constructed, instead see
  * `options.listenersForGrab/Drag`. These will keep track of the listeners for each interaction mode, and
  * will set them accordingly.
@@ -34,6 +38,7 @@
  * @author Michael Kauzmann (PhET Interactive Simulations)
  */
 
+import Property from '../../../axon/js/Property.js';
 import merge from '../../../phet-core/js/merge.js';
 import StringUtils from '../../../phetcommon/js/util/StringUtils.js';
 import AccessiblePeer from '../../../scenery/js/accessibility/AccessiblePeer.js';
@@ -43,16 +48,25 @@ import KeyboardUtils from '../../../scenery/js/accessibility/KeyboardUtils.js';
 import PressListener from '../../../scenery/js/listeners/PressListener.js';
 import Node from '../../../scenery/js/nodes/Node.js';
 import Tandem from '../../../tandem/js/Tandem.js';
+import Utterance from '../../../utterance-queue/js/Utterance.js';
+import KeyboardShortcut from '../keyboard/KeyboardShortcut.js';
+import keyboardShortcuts from '../keyboard/keyboardShortcuts.js';
 import sceneryPhet from '../sceneryPhet.js';
 import SceneryPhetA11yStrings from '../SceneryPhetA11yStrings.js';
+import DropTargetRegistry from './DropTargetRegistry.js';
 import GrabReleaseCueNode from './nodes/GrabReleaseCueNode.js';
+import SpeechOutput from './speech/SpeechOutput.js';
 
 // a11y strings
-const grabPatternString = SceneryPhetA11yStrings.grabPattern.value;
-const gestureHelpTextPatternString = SceneryPhetA11yStrings.gestureHelpTextPattern.value;
-const movableString = SceneryPhetA11yStrings.movable.value;
-const defaultObjectToGrabString = SceneryPhetA11yStrings.defaultObjectToGrab.value;
-const releasedString = SceneryPhetA11yStrings.released.value;
+const grabPatternStringProperty = SceneryPhetA11yStrings.grabPattern;
+const gestureHelpTextPatternStringProperty = SceneryPhetA11yStrings.gestureHelpTextPattern;
+const movableStringProperty = SceneryPhetA11yStrings.movable;
+const defaultObjectToGrabStringProperty = SceneryPhetA11yStrings.defaultObjectToGrab;
+const releasedStringProperty = SceneryPhetA11yStrings.released;
+const overDropTargetPatternStringProperty = SceneryPhetA11yStrings.overDropTargetPattern;
+const placedInDropTargetPatternStringProperty = SceneryPhetA11yStrings.placedInDropTargetPattern;
+const notAValidSpotStringProperty = SceneryPhetA11yStrings.notAValidSpot;
+const noAvailableSpotsStringProperty = SceneryPhetA11yStrings.noAvailableSpots;
 
 // constants
 // wrap in a function because phet.joist.sim doesn't exist at RequireJS time
@@ -70,8 +84,9 @@ class GrabDragInteraction {
   constructor( node, options ) {
     options = merge( {
 
-      // A string that is filled in to the appropriate button label
-      objectToGrabString: defaultObjectToGrabString,
+      // {string|Property.<string>} - filled in to the appropriate button label. The accessible content is updated when
+      // a Property changes, like the strings of SceneryPhetA11yStrings when the locale changes
+      objectToGrabString: defaultObjectToGrabStringProperty,
 
       // {string|null} - if not provided, a default will be applied, see this.grabbableAccessibleName
       grabbableAccessibleName: null,
@@ -128,21 +143,28 @@ class GrabDragInteraction {
       // help text when this Node is in the draggable mode, the help text is still in the PDOM.
       keyboardHelpText: null,
 
+      // {string|null} - like keyboardHelpText but when supporting gesture accessibility, null for a default that
+      // describes how to grab the objectToGrabString
+      gestureHelpText: null,
+
       // {function} - returns {boolean}, whether or not there has been a successful drag interaction,
       //              thus determining whether or not to show the dragCueNode.
       successfulDrag: _.stubTrue,
 
-      // {Tandem} - For instrumenting
-      tandem: Tandem.REQUIRED
-    }, options );
+      // {DropTargetRegistry|null} - targets that the draggable jumps between with the keys of the
+      // 'grabDrag.jumpToNextSpot' and 'grabDrag.jumpToPreviousSpot' shortcuts, and snaps to when released on them
+      dropTargets: null,
 
-    // a second block for options that use other options, therefore needing the defaults to be filled in
-    options = merge( {
+      // {Property.<Vector2>|null} - the position of the object, required with dropTargets
+      positionProperty: null,
+
+      // {function(DropTarget|null)} - called with dropTargets when the object is released, before onRelease, with the
+      // target that the object snapped to or null if it was not released on a valid target (for instance to return it
+      // to where it was grabbed)
+      onDrop: _.noop,
 
-      // {string} - like keyboardHelpText but when supporting gesture accessibility
-      gestureHelpText: StringUtils.fillIn( gestureHelpTextPatternString, {
-        objectToGrab: options.objectToGrabString
-      } )
+      // {Tandem} - For instrumenting
+      tandem: Tandem.REQUIRED
     }, options );
 
     if ( node.focusHighlightLayerable ) {
@@ -162,6 +184,8 @@ class GrabDragInteraction {
     assert && assert( typeof options.onDraggable === 'function' );
     assert && assert( Array.isArray( options.listenersForDrag ) );
     assert && assert( Array.isArray( options.listenersForGrab ) );
+    assert && assert( options.dropTargets === null || options.dropTargets instanceof DropTargetRegistry );
+    assert && assert( !options.dropTargets || options.positionProperty, 'positionProperty is required with dropTargets' );
     assert && assert( typeof options.grabsToCue === 'number' );
     assert && assert( options.grabbableOptions instanceof Object );
     assert && assert( options.grabCueOptions instanceof Object );
@@ -199,8 +223,20 @@ class GrabDragInteraction {
       containerTagName: null
     }, options.draggableOptions );
 
+    // @private {string|Property.<string>} - see setObjectToGrabString
+    this.objectToGrabString = options.objectToGrabString;
+
+    // @private {string|null}
+    this.customGrabbableAccessibleName = options.grabbableAccessibleName;
+    this.keyboardHelpText = options.keyboardHelpText;
+    this.gestureHelpText = options.gestureHelpText;
+
+    // @private {string|Property.<string>} - named by the default gestureHelpText, which isn't changed by
+    // setObjectToGrabString
+    this.helpTextObjectToGrabString = options.objectToGrabString;
+
     // @private
-    this.draggableAccessibleName = options.objectToGrabString;
+    this.draggableAccessibleName = getStringValue( options.objectToGrabString );
     options.draggableOptions.innerContent = this.draggableAccessibleName;
     options.draggableOptions.ariaLabel = this.draggableAccessibleName;
 
@@ -218,10 +254,7 @@ class GrabDragInteraction {
 
     // @private
     this.grabbableAccessibleName = options.grabbableAccessibleName || // if a provided option
-                                   ( supportsGestureA11y() ? options.objectToGrabString : // otherwise if supporting gesture
-                                     StringUtils.fillIn( grabPatternString, { // default case
-                                       objectToGrab: options.objectToGrabString
-                                     } ) );
+                                   getGrabbableAccessibleName( this.draggableAccessibleName );
     options.grabbableOptions.innerContent = this.grabbableAccessibleName;
 
     // @private
@@ -237,10 +270,17 @@ class GrabDragInteraction {
     this.onGrabbable = options.onGrabbable;
     this.onDraggable = options.onDraggable;
     this.addAriaDescribedbyPredicate = options.addAriaDescribedbyPredicate;
+    this.dropTargets = options.dropTargets;
+    this.positionProperty = options.positionProperty;
+
+    // @private {DropTarget|null} - the target that the draggable last jumped to
+    this.dropTarget = null;
+
+    // @private {Utterance} - reused so that when jumping between targets quickly, only the latest target is announced
+    this.dropTargetUtterance = new Utterance();
 
-    // @private {string|null}
     // set the help text, if provided - it will be associated with aria-describedby when in the "grabbable" state
-    this.node.descriptionContent = supportsGestureA11y() ? options.gestureHelpText : options.keyboardHelpText;
+    this.node.descriptionContent = this.getHelpText();
 
     // @private {Object} - The aria-describedby association object that will associate "grabbable" with its
     // help text so that it is read automatically when the user finds it. This reference is saved so that
@@ -256,8 +296,13 @@ class GrabDragInteraction {
 
     // @private - wrap the optional onRelease in logic that is needed for the core type.
     this.onRelease = () => {
+      let dropTarget = null;
+      if ( this.dropTargets ) {
+        dropTarget = this.drop();
+        options.onDrop( dropTarget );
+      }
       options.onRelease && options.onRelease();
-      phet.joist.sim.utteranceQueue.addToBack( releasedString );
+      SpeechOutput.alert( this.getReleasedAlert( dropTarget ) );
     };
     this.onGrab = options.onGrab; // @private
 
@@ -292,6 +337,11 @@ class GrabDragInteraction {
     // the draggable, so guard against that.
     let guardKeyPressFromDraggable = false;
 
+    // the keys that the user has chosen for grabbing and releasing, Space and Enter by default
+    const grabOrReleaseShortcut = keyboardShortcuts.getShortcut( 'grabDrag.grabOrRelease' );
+    const jumpToNextSpotShortcut = keyboardShortcuts.getShortcut( 'grabDrag.jumpToNextSpot' );
+    const jumpToPreviousSpotShortcut = keyboardShortcuts.getShortcut( 'grabDrag.jumpToPreviousSpot' );
+
     // when the "Grab {{thing}}" button is pressed, focus the draggable node and set to dragged state
     const grabButtonListener = {
       click: () => {
@@ -329,6 +379,24 @@ class GrabDragInteraction {
         guardKeyPressFromDraggable = false;
       },
 
+      // Space and Enter click the grab button natively, other keys that the user has chosen grab on keydown. If the
+      // user has not chosen Space or Enter, their default is prevented so that they don't click the button, and the
+      // same keys grab and release. Keys that repeat while held down don't grab, so that they don't release again.
+      keydown: event => {
+        const domEvent = event.domEvent;
+        if ( isNativeClickKey( domEvent ) ) {
+          !grabOrReleaseShortcut.matches( domEvent ) && domEvent.preventDefault();
+        }
+        else if ( !domEvent.repeat && grabOrReleaseShortcut.matches( domEvent ) ) {
+          grabButtonListener.click();
+        }
+      },
+      keyup: event => {
+        if ( isNativeClickKey( event.domEvent ) && !grabOrReleaseShortcut.matches( event.domEvent ) ) {
+          event.domEvent.preventDefault();
+        }
+      },
+
       blur: () => {
         if ( this.numberOfGrabs >= options.grabsToCue ) {
           this.grabCueNode.visible = false;
@@ -342,22 +410,34 @@ class GrabDragInteraction {
     // use arrow functions so that we can have the right "this" reference
     const dragDivListener = {
 
-      // Release the draggable on 'enter' key, tracking that we have released the draggable with this key so that
-      // we don't immediately catch the 'click' event while the enter key is down on the button
+      // Release the draggable on keydown of the grab/release keys other than spacebar. For the 'enter' key, track that
+      // we have released the draggable with this key so that we don't immediately catch the 'click' event while the
+      // enter key is down on the button
       keydown: event => {
-        if ( event.domEvent.keyCode === KeyboardUtils.KEY_ENTER ) {
+        const keyName = KeyboardShortcut.getKeyName( event.domEvent );
+        if ( keyName !== 'space' && !event.domEvent.repeat && grabOrReleaseShortcut.matches( event.domEvent ) ) {
 
           // set a guard to make sure the key press from enter doesn't fire future listeners, therefore
           // "clicking" the grab button also on this key press.
-          guardKeyPressFromDraggable = true;
+          guardKeyPressFromDraggable = keyName === 'enter';
           this.releaseDraggable();
         }
+        else if ( this.dropTargets && jumpToNextSpotShortcut.matches( event.domEvent ) ) {
+          event.domEvent.preventDefault();
+          this.jumpToDropTarget( 1 );
+        }
+        else if ( this.dropTargets && jumpToPreviousSpotShortcut.matches( event.domEvent ) ) {
+          event.domEvent.preventDefault();
+          this.jumpToDropTarget( -1 );
+        }
       },
       keyup: event => {
 
         // Release  on keyup of spacebar so that we don't pick up the draggable again when we release the spacebar
         // and trigger a click event - escape could be added to either keyup or keydown listeners
-        if ( event.domEvent.keyCode === KeyboardUtils.KEY_SPACE || event.domEvent.keyCode === KeyboardUtils.KEY_ESCAPE ) {
+        const isSpaceRelease = KeyboardShortcut.getKeyName( event.domEvent ) === 'space' &&
+                               grabOrReleaseShortcut.matches( event.domEvent );
+        if ( isSpaceRelease || event.domEvent.keyCode === KeyboardUtils.KEY_ESCAPE ) {
           this.releaseDraggable();
         }
 
@@ -407,9 +487,15 @@ class GrabDragInteraction {
     // Initialize the Node as a grabbable (button) to begin with
     this.turnToGrabbable();
 
+    // update the accessible content when its strings change, like when the locale changes
+    const stringProperties = [ grabPatternStringProperty, gestureHelpTextPatternStringProperty ];
+    options.objectToGrabString instanceof Property && stringProperties.push( options.objectToGrabString );
+    const stringsMultilink = Property.lazyMultilink( stringProperties, () => this.updateAccessibleContent() );
+
     // @private
     this.disposeA11yGrabDragNode = () => {
 
+      Property.unmultilink( stringsMultilink );
       this.node.removeInputListener( pressListener );
 
       // Remove listeners according to what mode we are in
@@ -433,10 +519,108 @@ class GrabDragInteraction {
 
       // remove cue references
       this.grabFocusHighlight.removeChild( this.grabCueNode );
+      this.grabCueNode.dispose();
       this.dragCueNode && this.dragFocusHighlight.focusHighlight.removeChild( this.dragCueNode );
     };
   }
 
+  /**
+   * Changes the name of the object that is grabbed, for the grabbable and the draggable. This replaces the
+   * grabbableAccessibleName option, but not the help text.
+   * @param {string} objectToGrabString
+   * @public
+   */
+  setObjectToGrabString( objectToGrabString ) {
+    this.objectToGrabString = objectToGrabString;
+    this.customGrabbableAccessibleName = null;
+    this.updateAccessibleContent();
+  }
+
+  /**
+   * Updates the accessible names and help text from their strings, for instance in a new locale.
+   * @private
+   */
+  updateAccessibleContent() {
+    const objectToGrabString = getStringValue( this.objectToGrabString );
+    this.grabbableAccessibleName = this.customGrabbableAccessibleName ||
+                                   getGrabbableAccessibleName( objectToGrabString );
+    this.grabbableOptions.innerContent = this.grabbableAccessibleName;
+
+    this.draggableAccessibleName = objectToGrabString;
+    this.draggableOptions.innerContent = this.draggableAccessibleName;
+    this.draggableOptions.ariaLabel = this.draggableAccessibleName;
+
+    this.node.mutate( this.grabbable ? { innerContent: this.grabbableOptions.innerContent } : {
+      innerContent: this.draggableOptions.innerContent,
+      ariaLabel: this.draggableOptions.ariaLabel
+    } );
+    this.node.descriptionContent = this.getHelpText();
+  }
+
+  /**
+   * Gets the help text, which depends on whether the runtime is supporting gesture accessibility.
+   * @returns {string|null}
+   * @private
+   */
+  getHelpText() {
+    if ( !supportsGestureA11y() ) {
+      return this.keyboardHelpText;
+    }
+    return this.gestureHelpText || StringUtils.fillIn( gestureHelpTextPatternStringProperty.value, {
+      objectToGrab: getStringValue( this.helpTextObjectToGrabString )
+    } );
+  }
+
+  /**
+   * Moves the draggable to the next or previous valid target of the dropTargets, and describes the target.
+   * @param {number} delta - 1 for the next target, -1 for the previous target
+   * @private
+   */
+  jumpToDropTarget( delta ) {
+    const currentTarget = this.dropTargets.getTargetAt( this.positionProperty.value ) || this.dropTarget;
+    const dropTarget = this.dropTargets.getAdjacentTarget( currentTarget, delta );
+    if ( dropTarget ) {
+      this.dropTarget = dropTarget;
+      this.positionProperty.value = dropTarget.position;
+      this.dropTargetUtterance.alert = StringUtils.fillIn( overDropTargetPatternStringProperty.value, {
+        target: dropTarget.name
+      } );
+    }
+    else {
+      this.dropTargetUtterance.alert = noAvailableSpotsStringProperty.value;
+    }
+    SpeechOutput.alert( this.dropTargetUtterance );
+  }
+
+  /**
+   * Snaps the object to the valid target of the dropTargets that it was released on.
+   * @returns {DropTarget|null} - null if the object was not released on a valid target
+   * @private
+   */
+  drop() {
+    const dropTarget = this.dropTargets.getTargetAt( this.positionProperty.value );
+    if ( dropTarget ) {
+      this.positionProperty.value = dropTarget.position;
+    }
+    this.dropTarget = null;
+    return dropTarget;
+  }
+
+  /**
+   * Gets the alert for when the draggable is released.
+   * @param {DropTarget|null} dropTarget - the target that the object was dropped on, see options.dropTargets
+   * @returns {AlertableDef}
+   * @protected
+   */
+  getReleasedAlert( dropTarget ) {
+    if ( !this.dropTargets ) {
+      return releasedStringProperty.value;
+    }
+    return dropTarget ? StringUtils.fillIn( placedInDropTargetPatternStringProperty.value, {
+      target: dropTarget.name
+    } ) : notAValidSpotStringProperty.value;
+  }
+
   /**
    * Release the draggable
    * @public
@@ -456,7 +640,7 @@ class GrabDragInteraction {
 
     // To support gesture and mobile screen readers, we change the roledescription, see https://github.com/phetsims/scenery-phet/issues/536
     if ( supportsGestureA11y() ) {
-      this.node.setAccessibleAttribute( 'aria-roledescription', movableString );
+      this.node.setAccessibleAttribute( 'aria-roledescription', movableStringProperty.value );
     }
     else if ( this.node.hasAccessibleAttribute( 'aria-roledescription' ) ) {
 
@@ -491,7 +675,7 @@ class GrabDragInteraction {
     this.grabbable = false;
 
     // by default, the draggable has roledescription of "movable". Can be overwritten in `onDraggable()`
-    this.node.setAccessibleAttribute( 'aria-roledescription', movableString );
+    this.node.setAccessibleAttribute( 'aria-roledescription', movableStringProperty.value );
 
     // This node is aria-describedby its own description content only when grabbable, so that the description is
     // read automatically when found by the user with the virtual cursor. Remove it for draggable
@@ -619,5 +803,35 @@ class GrabDragInteraction {
   }
 }
 
+/**
+ * Gets the default accessible name of the grabbable.
+ * @param {string} objectToGrabString
+ * @returns {string}
+ */
+function getGrabbableAccessibleName( objectToGrabString ) {
+  return supportsGestureA11y() ? objectToGrabString : StringUtils.fillIn( grabPatternStringProperty.value, {
+    objectToGrab: objectToGrabString
+  } );
+}
+
+/**
+ * Gets the value of a string option that can also be a Property, like the strings of SceneryPhetA11yStrings.
+ * @param {string|Property.<string>} string
+ * @returns {string}
+ */
+function getStringValue( string ) {
+  return string instanceof Property ? string.value : string;
+}
+
+/**
+ * Whether a key clicks a native button, like the grab button.
+ * @param {KeyboardEvent} domEvent
+ * @returns {boolean}
+ */
+function isNativeClickKey( domEvent ) {
+  const keyName = KeyboardShortcut.getKeyName( domEvent );
+  return keyName === 'space' || keyName === 'enter';
+}
+
 sceneryPhet.register( 'GrabDragInteraction', GrabDragInteraction );
 export default GrabDragInteraction;
\ No newline at end of file
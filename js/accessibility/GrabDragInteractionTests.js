@@ -6,10 +6,13 @@
  * @author Michael Kauzmann (PhET Interactive Simulations)
  */
 
+import StringUtils from '../../../phetcommon/js/util/StringUtils.js';
 import Display from '../../../scenery/js/display/Display.js';
 import Node from '../../../scenery/js/nodes/Node.js';
 import Rectangle from '../../../scenery/js/nodes/Rectangle.js';
+import SceneryPhetA11yStrings from '../SceneryPhetA11yStrings.js';
 import GrabDragInteraction from './GrabDragInteraction.js';
+import GroupGrabDragInteraction from './GroupGrabDragInteraction.js';
 
 // constants
 const thingString = 'thing';
@@ -76,4 +79,51 @@ QUnit.test( 'GrabDragInteraction defaults', assert => {
   testDefaultGrabbable();
 
   display.detachEvents();
-} );
\ No newline at end of file
+} );
+
+QUnit.test( 'GroupGrabDragInteraction', assert => {
+
+  const rootNode = new Node( { tagName: 'div' } );
+  const display = new Display( rootNode ); // eslint-disable-line
+  display.initializeEvents();
+  document.body.appendChild( display.domElement );
+
+  phet = phet || {}; // eslint-disable-line no-global-assign
+  phet.joist = phet.joist || {};
+  phet.joist.sim = phet.joist.sim || { utteranceQueue: display.utteranceQueue }; // stub utteranceQueue global
+
+  const a = new Rectangle( 0, 0, 5, 5 );
+  const b = new Rectangle( 10, 0, 5, 5 );
+  const group = new Node( { children: [ a, b ] } );
+  rootNode.addChild( group );
+
+  const interaction = new GroupGrabDragInteraction( group, [ a, b ], {
+    getItemName: item => item === a ? 'a' : 'b',
+    getDropTargetName: item => item === b ? 'the target' : null
+  } );
+
+  // the default accessible name of the grabbable, see GrabDragInteraction
+  const getGrabbableName = itemName => phet.joist.sim.supportsGestureA11y ? itemName :
+                                       StringUtils.fillIn( SceneryPhetA11yStrings.grabPattern.value, {
+                                         objectToGrab: itemName
+                                       } );
+
+  assert.ok( interaction.grabbable, 'default to grabbable' );
+  assert.ok( interaction.getSelectedItem() === a, 'first item selected' );
+  assert.equal( group.innerContent, getGrabbableName( 'a' ), 'grabbable named by the selected item' );
+  assert.ok( group.focusHighlight.shape.bounds.containsBounds( a.bounds ), 'highlight surrounds the selected item' );
+
+  interaction.selectedIndexProperty.value = 1;
+  assert.ok( interaction.getSelectedItem() === b, 'second item selected' );
+  assert.equal( group.innerContent, getGrabbableName( 'b' ), 'grabbable renamed' );
+  assert.ok( group.focusHighlight.shape.bounds.containsBounds( b.bounds ), 'highlight moves to the selected item' );
+
+  group.accessibleInstances[ 0 ].peer.primarySibling.click();
+  assert.ok( !interaction.grabbable, 'should be draggable after click' );
+  assert.ok( group.ariaLabel === 'b', 'draggable named by the selected item' );
+  assert.equal( interaction.getReleasedAlert( null ), 'Released b on the target.', 'drop target described' );
+
+  interaction.dispose();
+  display.detachEvents();
+  document.body.removeChild( display.domElement );
+} );
@@ -0,0 +1,211 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A GrabDragInteraction for a group of objects, like the cards of a sorting or matching activity. The group is a
+ * single tab stop. While it is grabbable, the arrow keys change which object is selected, the focus highlight
+ * surrounds the selected object, and the grab keys grab the selected object. Pressing an object with a pointer
+ * selects and grabs it.
+ *
+ * Like GrabDragInteraction, listenersForDrag move the grabbed object, for instance a ShortcutKeyboardDragListener that
+ * moves getSelectedItem(). When the object is released, what it was dropped on is described, see getDropTargetName.
+ *
+ * Help content for the selection keys can be created with KeyboardHelpSection.fromShortcuts and the
+ * 'grabDrag.selectNextObject' and 'grabDrag.selectPreviousObject' shortcuts of keyboardShortcuts.
+ *
+ * @author agent <agent@local>
+ */
+
+import NumberProperty from '../../../axon/js/NumberProperty.js';
+import Range from '../../../dot/js/Range.js';
+import Shape from '../../../kite/js/Shape.js';
+import merge from '../../../phet-core/js/merge.js';
+import StringUtils from '../../../phetcommon/js/util/StringUtils.js';
+import FocusHighlightPath from '../../../scenery/js/accessibility/FocusHighlightPath.js';
+import Tandem from '../../../tandem/js/Tandem.js';
+import Utterance from '../../../utterance-queue/js/Utterance.js';
+import keyboardShortcuts from '../keyboard/keyboardShortcuts.js';
+import localeProperty from '../localeProperty.js';
+import sceneryPhet from '../sceneryPhet.js';
+import SceneryPhetA11yStrings from '../SceneryPhetA11yStrings.js';
+import GrabDragInteraction from './GrabDragInteraction.js';
+import SpeechOutput from './speech/SpeechOutput.js';
+
+// a11y strings
+const defaultObjectToGrabStringProperty = SceneryPhetA11yStrings.defaultObjectToGrab;
+const selectedObjectPatternStringProperty = SceneryPhetA11yStrings.selectedObjectPattern;
+const releasedOnPatternStringProperty = SceneryPhetA11yStrings.releasedOnPattern;
+
+class GroupGrabDragInteraction extends GrabDragInteraction {
+
+  /**
+   * @param {Node} groupNode - will be mutated like the node of a GrabDragInteraction, the single tab stop of the group
+   * @param {Node[]} items - the objects that can be grabbed, which must be children of groupNode
+   * @param {Object} [options] - see GrabDragInteraction
+   */
+  constructor( groupNode, items, options ) {
+    assert && assert( items.length > 0, 'a group needs items' );
+    assert && items.forEach( item => assert( groupNode.hasChild( item ), 'items must be children of groupNode' ) );
+    assert && assert( !groupNode.focusHighlight, 'GroupGrabDragInteraction highlights the selected item' );
+
+    options = merge( {
+
+      // {function(Node):string} - the name of an item, used instead of objectToGrabString. Called again when
+      // localeProperty changes, so that the name is in the current locale
+      getItemName: item => defaultObjectToGrabStringProperty.value,
+
+      // {function(Node):string|null} - the name of what an item is on when it is released, like a drop target or a
+      // Zone of a ZoneMap. If null, the default released alert is used.
+      getDropTargetName: item => null,
+
+      // {function(Node)} - called with the selected item, see GrabDragInteraction
+      onGrab: _.noop,
+      onRelease: _.noop,
+
+      // see GrabDragInteraction
+      listenersForGrab: [],
+
+      // {Tandem}
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    assert && assert( !options.objectToGrabString, 'GroupGrabDragInteraction names the selected item, see getItemName' );
+
+    // the index of the selected item in items
+    const selectedIndexProperty = new NumberProperty( 0, {
+      numberType: 'Integer',
+      range: new Range( 0, items.length - 1 ),
+      tandem: options.tandem.createTandem( 'selectedIndexProperty' ),
+      phetioDocumentation: 'the index of the object in the group that is selected to be grabbed'
+    } );
+
+    // reused so that when the selection changes quickly, only the latest selection is announced
+    const selectionUtterance = new Utterance();
+
+    // Changes the selected item with the arrow keys (or the keys the user has chosen) while grabbable
+    const selectNextShortcut = keyboardShortcuts.getShortcut( 'grabDrag.selectNextObject' );
+    const selectPreviousShortcut = keyboardShortcuts.getShortcut( 'grabDrag.selectPreviousObject' );
+    const selectionListener = {
+      keydown: event => {
+        const delta = selectNextShortcut.matches( event.domEvent ) ? 1 :
+                      selectPreviousShortcut.matches( event.domEvent ) ? -1 : 0;
+        if ( delta !== 0 ) {
+          event.domEvent.preventDefault();
+
+          // wrap around, so every item can be reached in either direction
+          selectedIndexProperty.value = ( selectedIndexProperty.value + delta + items.length ) % items.length;
+          selectionUtterance.alert = StringUtils.fillIn( selectedObjectPatternStringProperty.value, {
+            object: options.getItemName( items[ selectedIndexProperty.value ] ),
+            number: selectedIndexProperty.value + 1,
+            total: items.length
+          } );
+          SpeechOutput.alert( selectionUtterance );
+        }
+      }
+    };
+
+    // Selects the item that is pressed with a pointer. This is added before GrabDragInteraction adds its PressListener,
+    // so that the pressed item is selected when it is grabbed.
+    const itemPressListener = {
+      down: event => {
+        const index = _.findIndex( items, item => event.trail.containsNode( item ) );
+        if ( index >= 0 ) {
+          selectedIndexProperty.value = index;
+        }
+      }
+    };
+    groupNode.addInputListener( itemPressListener );
+
+    // the shape is set to surround the selected item below
+    groupNode.focusHighlight = new FocusHighlightPath( null );
+
+    super( groupNode, merge( {}, options, {
+      objectToGrabString: options.getItemName( items[ 0 ] ),
+      onGrab: () => options.onGrab( items[ selectedIndexProperty.value ] ),
+      onRelease: () => options.onRelease( items[ selectedIndexProperty.value ] ),
+      listenersForGrab: options.listenersForGrab.concat( selectionListener )
+    } ) );
+
+    // @public {NumberProperty} - the index of the selected item
+    this.selectedIndexProperty = selectedIndexProperty;
+
+    // @private
+    this.items = items;
+    this.getItemName = options.getItemName;
+    this.getDropTargetName = options.getDropTargetName;
+
+    // the highlights surround the selected item, following it as it is dragged
+    const updateHighlights = () => {
+      const item = this.getSelectedItem();
+      const shape = Shape.bounds( item.bounds.dilated( FocusHighlightPath.getDilationCoefficient( item ) ) );
+      this.grabFocusHighlight.setShape( shape );
+      this.dragFocusHighlight.setShape( shape );
+    };
+
+    const selectedIndexListener = ( index, oldIndex ) => {
+      if ( typeof oldIndex === 'number' ) {
+        items[ oldIndex ].boundsProperty.unlink( updateHighlights );
+      }
+      items[ index ].boundsProperty.link( updateHighlights );
+      this.setObjectToGrabString( options.getItemName( items[ index ] ) );
+    };
+    selectedIndexProperty.link( selectedIndexListener );
+
+    // names the selected item in the new locale
+    const localeListener = () => this.setObjectToGrabString( options.getItemName( this.getSelectedItem() ) );
+    localeProperty.lazyLink( localeListener );
+
+    // @private
+    this.disposeGroupGrabDragInteraction = () => {
+      localeProperty.unlink( localeListener );
+      groupNode.removeInputListener( itemPressListener );
+      items[ selectedIndexProperty.value ].boundsProperty.unlink( updateHighlights );
+      selectedIndexProperty.unlink( selectedIndexListener );
+      selectedIndexProperty.dispose();
+    };
+  }
+
+  /**
+   * @returns {Node}
+   * @public
+   */
+  getSelectedItem() {
+    return this.items[ this.selectedIndexProperty.value ];
+  }
+
+  /**
+   * Describes what the selected item was dropped on.
+   * @param {DropTarget|null} dropTarget
+   * @returns {AlertableDef}
+   * @protected
+   * @override
+   */
+  getReleasedAlert( dropTarget ) {
+    const item = this.getSelectedItem();
+    const dropTargetName = this.getDropTargetName( item );
+    return dropTargetName ? StringUtils.fillIn( releasedOnPatternStringProperty.value, {
+      object: this.getItemName( item ),
+      target: dropTargetName
+    } ) : super.getReleasedAlert( dropTarget );
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  reset() {
+    super.reset();
+    this.selectedIndexProperty.reset();
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  dispose() {
+    this.disposeGroupGrabDragInteraction();
+    super.dispose();
+  }
+}
+
+sceneryPhet.register( 'GroupGrabDragInteraction', GroupGrabDragInteraction );
+export default GroupGrabDragInteraction;
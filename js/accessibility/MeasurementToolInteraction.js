@@ -0,0 +1,188 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Makes a measurement tool, like MeasuringTapeNode or ThermometerNode, focusable and draggable with the keyboard, and
+ * describes its current reading. The tool is a GrabDragInteraction whose draggable is moved with a
+ * ShortcutKeyboardDragListener, with the keys that the user has chosen for moving grabbed objects. After the tool is
+ * grabbed, and after each keyboard move, its object response is alerted, e.g. "thermometer reads 45 degrees, hot."
+ * Tools create the object response from a pattern string in SceneryPhetA11yStrings, which sims can replace with the
+ * options of the tool.
+ *
+ * How the tool moves depends on the options, in order of precedence:
+ * - moveBy, for tools with parts that move together, like the base and tip of MeasuringTapeNode
+ * - positionProperty, for tools whose position is in the model, optionally with transform and dragBoundsProperty
+ * - otherwise the Node is translated
+ *
+ * @author agent <agent@local>
+ */
+
+import Property from '../../../axon/js/Property.js';
+import merge from '../../../phet-core/js/merge.js';
+import Tandem from '../../../tandem/js/Tandem.js';
+import Utterance from '../../../utterance-queue/js/Utterance.js';
+import sceneryPhet from '../sceneryPhet.js';
+import GrabDragInteraction from './GrabDragInteraction.js';
+import ShortcutKeyboardDragListener from './ShortcutKeyboardDragListener.js';
+import SpeechOutput from './speech/SpeechOutput.js';
+
+class MeasurementToolInteraction {
+
+  /**
+   * @param {Node} node - the Node that is grabbed, see GrabDragInteraction
+   * @param {Object} [options]
+   */
+  constructor( node, options ) {
+
+    options = merge( {
+
+      // {string|Property.<string>} - the name of the tool, in the grab button and in object responses, a Property for
+      // a name that is translated when the locale changes
+      objectToGrabString: null,
+
+      // {function():string} - creates the object response, which describes the current reading of the tool
+      createObjectResponse: null,
+
+      // {function(viewDelta:Vector2)|null} - moves the tool by a delta in the view coordinates of the Node's parent
+      moveBy: null,
+
+      // {Property.<Vector2>|null} - the position of the tool, moved if moveBy is null
+      positionProperty: null,
+
+      // {ModelViewTransform2|null} - transforms positionProperty to the view coordinates of the Node's parent
+      transform: null,
+
+      // {Property.<Bounds2>|null} - the bounds of positionProperty, in the same coordinates
+      dragBoundsProperty: null,
+
+      // {Property[]} - when these change while the tool is grabbed, the object response is alerted, for readings that
+      // change without the tool being moved, like a thermometer in a changing temperature
+      readingProperties: [],
+
+      // {UtteranceQueue|null} - where object responses are added, null for the UtteranceQueue of the sim
+      utteranceQueue: null,
+
+      // options passed to the GrabDragInteraction and ShortcutKeyboardDragListener
+      grabDragInteractionOptions: {},
+      keyboardDragListenerOptions: {},
+
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    assert && assert( typeof options.objectToGrabString === 'string' || options.objectToGrabString instanceof Property,
+      'objectToGrabString is required' );
+    assert && assert( typeof options.createObjectResponse === 'function', 'createObjectResponse is required' );
+    assert && assert( !options.keyboardDragListenerOptions.drag, 'MeasurementToolInteraction sets drag' );
+
+    // @private
+    this.createObjectResponse = options.createObjectResponse;
+    this.utteranceQueue = options.utteranceQueue;
+
+    // @private {Utterance} - reused so that object responses that have not been read are replaced by the latest
+    this.objectResponseUtterance = new Utterance();
+
+    // @public (read-only)
+    this.keyboardDragListener = new ShortcutKeyboardDragListener( merge( {}, options.keyboardDragListenerOptions, {
+      drag: viewDelta => {
+        if ( options.moveBy ) {
+          options.moveBy( viewDelta );
+        }
+        else if ( options.positionProperty ) {
+          const delta = options.transform ? options.transform.viewToModelDelta( viewDelta ) : viewDelta;
+          let position = options.positionProperty.value.plus( delta );
+          if ( options.dragBoundsProperty ) {
+            position = options.dragBoundsProperty.value.closestPointTo( position );
+          }
+          options.positionProperty.value = position;
+        }
+        else {
+          node.translate( viewDelta, true );
+        }
+        this.alertObjectResponse();
+      }
+    } ) );
+
+    const grabDragInteractionOptions = options.grabDragInteractionOptions;
+
+    // @public (read-only)
+    this.grabDragInteraction = new GrabDragInteraction( node, merge( {}, grabDragInteractionOptions, {
+      objectToGrabString: options.objectToGrabString,
+      listenersForDrag: [ this.keyboardDragListener ].concat( grabDragInteractionOptions.listenersForDrag || [] ),
+      onGrab: () => {
+        this.alertObjectResponse();
+        grabDragInteractionOptions.onGrab && grabDragInteractionOptions.onGrab();
+      },
+      tandem: options.tandem.createTandem( 'grabDragInteraction' )
+    } ) );
+
+    const readingListener = () => this.isGrabbed() && this.alertObjectResponse();
+    options.readingProperties.forEach( readingProperty => readingProperty.lazyLink( readingListener ) );
+
+    // @private
+    this.disposeMeasurementToolInteraction = () => {
+      options.readingProperties.forEach( readingProperty => readingProperty.unlink( readingListener ) );
+      this.grabDragInteraction.dispose();
+      this.keyboardDragListener.dispose();
+    };
+  }
+
+  /**
+   * Whether the tool is grabbed, and so moved by the keyboard.
+   * @returns {boolean}
+   * @public
+   */
+  isGrabbed() {
+    return !this.grabDragInteraction.grabbable;
+  }
+
+  /**
+   * Gets the object response, which describes the current reading of the tool.
+   * @returns {string}
+   * @public
+   */
+  getObjectResponse() {
+    return this.createObjectResponse();
+  }
+
+  /**
+   * Alerts the object response.
+   * @public
+   */
+  alertObjectResponse() {
+    this.objectResponseUtterance.alert = this.getObjectResponse();
+    SpeechOutput.alert( this.objectResponseUtterance, { utteranceQueue: this.utteranceQueue } );
+  }
+
+  /**
+   * Releases the tool, if it is grabbed.
+   * @public
+   */
+  reset() {
+    this.grabDragInteraction.reset();
+  }
+
+  /**
+   * @public
+   */
+  dispose() {
+    this.disposeMeasurementToolInteraction();
+  }
+
+  /**
+   * Gets the qualitative description of a value, like 'hot' for a temperature. The range is divided evenly between the
+   * descriptions, and values outside of the range have the description of the nearest end.
+   * @param {number} value
+   * @param {Range} range
+   * @param {string[]} descriptions - from the min of the range to the max
+   * @returns {string}
+   * @public
+   */
+  static getQualitativeDescription( value, range, descriptions ) {
+    assert && assert( descriptions.length > 0, 'descriptions are required' );
+    const fraction = range.getLength() === 0 ? 0 : ( value - range.min ) / range.getLength();
+    const index = Math.floor( fraction * descriptions.length );
+    return descriptions[ Math.max( 0, Math.min( index, descriptions.length - 1 ) ) ];
+  }
+}
+
+sceneryPhet.register( 'MeasurementToolInteraction', MeasurementToolInteraction );
+export default MeasurementToolInteraction;
@@ -0,0 +1,93 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for MeasurementToolInteraction
+ *
+ * @author agent <agent@local>
+ */
+
+import NumberProperty from '../../../axon/js/NumberProperty.js';
+import Range from '../../../dot/js/Range.js';
+import Display from '../../../scenery/js/display/Display.js';
+import Node from '../../../scenery/js/nodes/Node.js';
+import Rectangle from '../../../scenery/js/nodes/Rectangle.js';
+import Utterance from '../../../utterance-queue/js/Utterance.js';
+import ThermometerNode from '../ThermometerNode.js';
+import MeasurementToolInteraction from './MeasurementToolInteraction.js';
+
+QUnit.module( 'MeasurementToolInteraction' );
+
+QUnit.test( 'getQualitativeDescription', assert => {
+  const range = new Range( 0, 100 );
+  const descriptions = [ 'cold', 'warm', 'hot' ];
+
+  assert.equal( MeasurementToolInteraction.getQualitativeDescription( 0, range, descriptions ), 'cold', 'min' );
+  assert.equal( MeasurementToolInteraction.getQualitativeDescription( 50, range, descriptions ), 'warm', 'middle' );
+  assert.equal( MeasurementToolInteraction.getQualitativeDescription( 100, range, descriptions ), 'hot', 'max' );
+  assert.equal( MeasurementToolInteraction.getQualitativeDescription( -10, range, descriptions ), 'cold', 'below min' );
+  assert.equal( MeasurementToolInteraction.getQualitativeDescription( 110, range, descriptions ), 'hot', 'above max' );
+} );
+
+QUnit.test( 'object responses', assert => {
+
+  const rootNode = new Node( { tagName: 'div' } );
+  const display = new Display( rootNode ); // eslint-disable-line
+  display.initializeEvents();
+  document.body.appendChild( display.domElement );
+
+  phet = phet || {}; // eslint-disable-line no-global-assign
+  phet.joist = phet.joist || {};
+  phet.joist.sim = phet.joist.sim || { utteranceQueue: display.utteranceQueue }; // stub utteranceQueue global
+
+  // records the object responses that are alerted
+  const alerts = [];
+  const utteranceQueue = {
+    addToBack: utterance => alerts.push( utterance instanceof Utterance ? utterance.alert : utterance )
+  };
+
+  const readingProperty = new NumberProperty( 1 );
+  const tool = new Rectangle( 0, 0, 5, 5 );
+  rootNode.addChild( tool );
+
+  const interaction = new MeasurementToolInteraction( tool, {
+    objectToGrabString: 'tool',
+    createObjectResponse: () => `tool reads ${readingProperty.value}`,
+    readingProperties: [ readingProperty ],
+    utteranceQueue: utteranceQueue
+  } );
+
+  readingProperty.value = 2;
+  assert.deepEqual( alerts, [], 'reading is not described before the tool is grabbed' );
+
+  tool.accessibleInstances[ 0 ].peer.primarySibling.click();
+  assert.ok( interaction.isGrabbed(), 'grabbed' );
+  assert.deepEqual( alerts, [ 'tool reads 2' ], 'object response when grabbed' );
+
+  readingProperty.value = 3;
+  assert.deepEqual( alerts, [ 'tool reads 2', 'tool reads 3' ], 'changes to the reading are described while grabbed' );
+
+  interaction.reset();
+  readingProperty.value = 4;
+  assert.ok( !interaction.isGrabbed(), 'released by reset' );
+  assert.equal( alerts.length, 2, 'reading is not described after the tool is released' );
+
+  interaction.dispose();
+  display.detachEvents();
+} );
+
+QUnit.test( 'ThermometerNode', assert => {
+  const temperatureProperty = new NumberProperty( 45 );
+  const thermometerNode = new ThermometerNode( 0, 50, temperatureProperty );
+  assert.equal( thermometerNode.getObjectResponse(), 'thermometer reads 45 degrees, hot.', 'default object response' );
+
+  const customThermometerNode = new ThermometerNode( 0, 50, temperatureProperty, {
+    temperatureUnitsString: 'degrees Celsius',
+    temperatureDescriptions: [ 'freezing', 'boiling' ],
+    readingPatternString: 'The {{object}} shows {{value}} {{units}} ({{description}})'
+  } );
+  assert.equal( customThermometerNode.getObjectResponse(), 'The thermometer shows 45 degrees Celsius (boiling)',
+    'customized object response' );
+
+  thermometerNode.dispose();
+  customThermometerNode.dispose();
+} );
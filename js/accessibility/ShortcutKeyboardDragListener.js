@@ -0,0 +1,58 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A KeyboardDragListener that only moves with the keys of a KeyboardShortcut, so that users can choose between the
+ * arrow keys and W/A/S/D (see the 'grabDrag.move' shortcut of keyboardShortcuts and RebindShortcutNode). Keys that are
+ * not bound to the shortcut are ignored, and modifiers are handled by KeyboardDragListener, so Shift still moves in
+ * smaller steps.
+ *
+ * @author agent <agent@local>
+ */
+
+import merge from '../../../phet-core/js/merge.js';
+import KeyboardDragListener from '../../../scenery/js/listeners/KeyboardDragListener.js';
+import KeyboardShortcut from '../keyboard/KeyboardShortcut.js';
+import keyboardShortcuts from '../keyboard/keyboardShortcuts.js';
+import sceneryPhet from '../sceneryPhet.js';
+
+// the keys that KeyboardDragListener moves with
+const MOVEMENT_KEYS = KeyboardShortcut.ARROW_KEYS.keys.concat( KeyboardShortcut.WASD_KEYS.keys );
+
+class ShortcutKeyboardDragListener extends KeyboardDragListener {
+
+  /**
+   * @param {Object} [options] - see KeyboardDragListener
+   */
+  constructor( options ) {
+
+    options = merge( {
+
+      // {KeyboardShortcut} - the keys that move, bound to some of the arrow and W/A/S/D keys
+      shortcut: keyboardShortcuts.getShortcut( 'grabDrag.move' )
+    }, options );
+
+    assert && assert( _.difference( _.flatMap( options.shortcut.bindings, 'keys' ), MOVEMENT_KEYS ).length === 0,
+      `KeyboardDragListener only moves with the arrow and W/A/S/D keys: ${options.shortcut.id}` );
+
+    super( _.omit( options, 'shortcut' ) );
+
+    // @private {KeyboardShortcut}
+    this.shortcut = options.shortcut;
+  }
+
+  /**
+   * Ignores the movement keys that are not bound to the shortcut.
+   * @param {SceneryEvent} event
+   * @public
+   * @override
+   */
+  keydown( event ) {
+    const keyName = KeyboardShortcut.getKeyName( event.domEvent );
+    if ( MOVEMENT_KEYS.indexOf( keyName ) === -1 || this.shortcut.hasKey( keyName ) ) {
+      super.keydown( event );
+    }
+  }
+}
+
+sceneryPhet.register( 'ShortcutKeyboardDragListener', ShortcutKeyboardDragListener );
+export default ShortcutKeyboardDragListener;
@@ -4,24 +4,27 @@
  * BorderAlertsDescriber is "sub-describer" used in MovementDescriber to manage its border alerts. Border alerts will
  * be alerted either once when object movement intersects with the bounds. With the addition of an option, the
  * border alert will be repeated for as long as the moving object is dragged against that bound, see repeatBorderAlerts.
+ * Border alerts go through a DescriberAlertManager, which limits how often they are announced, see
+ * borderAlertInterval.
+ *
  * @author Michael Kauzmann (PhET Interactive Simulations)
  */
 
+import Property from '../../../../axon/js/Property.js';
 import Bounds2 from '../../../../dot/js/Bounds2.js';
 import Utils from '../../../../dot/js/Utils.js';
 import merge from '../../../../phet-core/js/merge.js';
 import Utterance from '../../../../utterance-queue/js/Utterance.js';
 import sceneryPhet from '../../sceneryPhet.js';
 import SceneryPhetA11yStrings from '../../SceneryPhetA11yStrings.js';
+import DescriberAlertManager from './DescriberAlertManager.js';
 import DirectionEnum from './DirectionEnum.js';
 
 // a11y strings
-const leftBorderAlertString = SceneryPhetA11yStrings.leftBorderAlert.value;
-const rightBorderAlertString = SceneryPhetA11yStrings.rightBorderAlert.value;
-const topBorderAlertString = SceneryPhetA11yStrings.topBorderAlert.value;
-const bottomBorderAlertString = SceneryPhetA11yStrings.bottomBorderAlert.value;
-
-const DEFAULT_TOP_BORDER_ALERT = topBorderAlertString;
+const leftBorderAlertStringProperty = SceneryPhetA11yStrings.leftBorderAlert;
+const rightBorderAlertStringProperty = SceneryPhetA11yStrings.rightBorderAlert;
+const topBorderAlertStringProperty = SceneryPhetA11yStrings.topBorderAlert;
+const bottomBorderAlertStringProperty = SceneryPhetA11yStrings.bottomBorderAlert;
 
 /**
  * Responsible for alerting when the temperature increases
@@ -36,20 +39,33 @@ class BorderAlertsDescriber {
       // {Bounds2} - The bounds that makes the border we alert when against
       bounds: new Bounds2( Number.NEGATIVE_INFINITY, Number.NEGATIVE_INFINITY, Number.POSITIVE_INFINITY, Number.POSITIVE_INFINITY ),
 
-      // {string|null|Array.<string>} left, right, top, with values to alert if you reach that bound null if you don't want it alerted.
-      // If an array of string, each alert in the array will be read each new time that alert occurs. The last alert in
-      // the list will be read out each subsequent time if the alert occurs more than the number of items in the list.
-      leftAlert: leftBorderAlertString,
-      rightAlert: rightBorderAlertString,
-      topAlert: DEFAULT_TOP_BORDER_ALERT,
-      bottomAlert: bottomBorderAlertString
+      // {string|Property.<string>|null|Array.<string>} left, right, top, with values to alert if you reach that bound
+      // null if you don't want it alerted. If an array of string, each alert in the array will be read each new time
+      // that alert occurs. The last alert in the list will be read out each subsequent time if the alert occurs more
+      // than the number of items in the list.
+      // A Property is read when the alert occurs, so that the alert is in the current locale.
+      leftAlert: leftBorderAlertStringProperty,
+      rightAlert: rightBorderAlertStringProperty,
+      topAlert: topBorderAlertStringProperty,
+      bottomAlert: bottomBorderAlertStringProperty,
+
+      // {DescriberAlertManager|null} - manages the border alerts. If null, one is created.
+      alertManager: null,
+
+      // {number} - in ms, the minimum time between border alerts, so that dragging against a border doesn't repeat
+      // the alert with every step of the drag
+      borderAlertInterval: 1000
     }, options );
 
+    // @private
+    this.alertManager = options.alertManager || new DescriberAlertManager();
+    this.ownsAlertManager = !options.alertManager;
+
     // @public - these keys should stay the same as keys from DirectionEnum
-    this[ DirectionEnum.LEFT ] = new BorderAlert( options.leftAlert );
-    this[ DirectionEnum.RIGHT ] = new BorderAlert( options.rightAlert );
-    this[ DirectionEnum.UP ] = new BorderAlert( options.topAlert );
-    this[ DirectionEnum.DOWN ] = new BorderAlert( options.bottomAlert );
+    this[ DirectionEnum.LEFT ] = new BorderAlert( options.leftAlert, this.alertManager, options.borderAlertInterval );
+    this[ DirectionEnum.RIGHT ] = new BorderAlert( options.rightAlert, this.alertManager, options.borderAlertInterval );
+    this[ DirectionEnum.UP ] = new BorderAlert( options.topAlert, this.alertManager, options.borderAlertInterval );
+    this[ DirectionEnum.DOWN ] = new BorderAlert( options.bottomAlert, this.alertManager, options.borderAlertInterval );
 
     // @private
     this.bounds = options.bounds; // The drag border
@@ -133,6 +149,14 @@ class BorderAlertsDescriber {
     this[ DirectionEnum.RIGHT ].reset();
     this[ DirectionEnum.UP ].reset();
     this[ DirectionEnum.DOWN ].reset();
+    this.ownsAlertManager && this.alertManager.reset();
+  }
+
+  /**
+   * @public
+   */
+  dispose() {
+    this.ownsAlertManager && this.alertManager.dispose();
   }
 
   /**
@@ -140,24 +164,29 @@ class BorderAlertsDescriber {
    * @returns {string}
    */
   static getDefaultTopAlert() {
-    return DEFAULT_TOP_BORDER_ALERT;
+    return topBorderAlertStringProperty.value;
   }
 }
 
 
 /**
  * Data structure type that holds structure about a single alert that happens at the border of a describer.
- * @param alert {Utterance|string|Array.<string>|null}
+ * @param alert {Utterance|string|Property.<string>|Array.<string>|null}
+ * @param {DescriberAlertManager} alertManager
+ * @param {number} minInterval - in ms, see borderAlertInterval
  */
 class BorderAlert {
-  constructor( alert ) {
-    assert && assert( alert instanceof Utterance || Array.isArray( alert ) || alert === null || typeof alert === 'string' );
+  constructor( alert, alertManager, minInterval ) {
+    assert && assert( alert instanceof Utterance || alert instanceof Property || Array.isArray( alert ) ||
+                      alert === null || typeof alert === 'string' );
 
 
     // @private
     // {number} - the number of times that alert has been alerted. It is assumed that every time you get an alert this is incremented
     this._numberOfTimesAlerted = 0;
     this._alert = alert; // {AlertDef|null}
+    this.alertManager = alertManager;
+    this.minInterval = minInterval;
   }
 
   /**
@@ -171,11 +200,15 @@ class BorderAlert {
       const index = Utils.clamp( this._numberOfTimesAlerted, 0, alert.length - 1 );
       alert = alert[ index ];
     }
-    return alert;
+    return alert instanceof Property ? alert.value : alert;
   }
 
   alert() {
-    phet.joist.sim.utteranceQueue.addToBackIfDefined( this.getAlert() );
+    const alert = this.getAlert();
+
+    // all borders share a source, so that sliding along a corner is rate limited too, and only the latest border is
+    // alerted after the minInterval
+    alert && this.alertManager.alert( alert, { source: 'border', minInterval: this.minInterval, latestOnly: true } );
     this._numberOfTimesAlerted++;
   }
 
@@ -185,7 +218,7 @@ class BorderAlert {
   reset() {
 
     // If the alert is an Utterance, reset it
-    this._alert && this._alert.reset && this._alert.reset();
+    this._alert instanceof Utterance && this._alert.reset();
     this._numberOfTimesAlerted = 0;
   }
 }
@@ -0,0 +1,326 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Manages the alerts of describers before they are added to the UtteranceQueue, so that describers that alert often
+ * (like MovementDescriber and BorderAlertsDescriber) don't flood a screen reader. By default, alerts are added to the
+ * UtteranceQueue as they are alerted. Each alert is from a source, like 'movement' or 'border', and:
+ * - With the mergeInterval option, near-duplicate alerts, which differ only in case, whitespace or final punctuation,
+ *   are merged when they are alerted within mergeInterval of each other.
+ * - Alerts from a source are rate limited by the minInterval option of alert. Alerts that come too soon are delayed
+ *   until the interval has passed.
+ * - With the latestOnly option, only the latest alert of a source is announced: a delayed alert replaces the alert
+ *   that was waiting, and an alert that has not been read yet is replaced in the UtteranceQueue.
+ * - HIGH priority alerts are added to the front of the UtteranceQueue. When delayed alerts of several sources are
+ *   ready at the same time, higher priority alerts are added first.
+ * - Announced alerts are also spoken for self-voicing, with their priority, see SpeechOutput.alert.
+ *
+ * Everything that happens to an alert is recorded in a debug log, see getLog, so that tests can assert what was
+ * announced and why. Describers that share a DescriberAlertManager are merged and rate limited together.
+ *
+ * Time is stepped by axon's timer only while there are alerts to delay or merge, so a DescriberAlertManager that is
+ * not disposed doesn't keep a listener on the timer.
+ *
+ * @author agent <agent@local>
+ */
+
+import timer from '../../../../axon/js/timer.js';
+import Enumeration from '../../../../phet-core/js/Enumeration.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Utterance from '../../../../utterance-queue/js/Utterance.js';
+import sceneryPhet from '../../sceneryPhet.js';
+import AlertPriority from '../AlertPriority.js';
+import SpeechOutput from '../speech/SpeechOutput.js';
+
+class DescriberAlertManager {
+
+  /**
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+
+    options = merge( {
+
+      // {UtteranceQueue|null} - where alerts are added, null for the UtteranceQueue of the sim
+      utteranceQueue: null,
+
+      // {number} - in ms, near-duplicate alerts within this time of each other are merged. 0 to never merge.
+      mergeInterval: 0,
+
+      // {number} - the maximum number of entries in the debug log, older entries are removed
+      maxLogLength: 100
+    }, options );
+
+    // @private
+    this.utteranceQueue = options.utteranceQueue;
+    this.mergeInterval = options.mergeInterval;
+    this.maxLogLength = options.maxLogLength;
+
+    // @private {number} - in ms, the time that this manager has been stepped, see step
+    this.time = 0;
+
+    // @private {Object.<string,Object>} - the state of each source, keyed by source name, see getSource
+    this.sources = {};
+
+    // @private {Object.<string,number>} - when each alert was last announced, keyed by normalized text
+    this.alertTimes = {};
+
+    // @private {Object[]} - see getLog
+    this.log = [];
+
+    // @private {function} - steps time while it matters, see updateStepping
+    this.stepListener = dt => this.step( dt );
+  }
+
+  /**
+   * Announces an alert, unless it is merged with a recent near-duplicate or delayed by the rate limit of its source.
+   * @param {AlertableDef} alertable
+   * @param {Object} [options]
+   * @public
+   */
+  alert( alertable, options ) {
+
+    options = merge( {
+
+      // {string} - the source of the alert, which is rate limited separately from other sources
+      source: 'default',
+
+      // {AlertPriority}
+      priority: AlertPriority.MEDIUM,
+
+      // {number} - in ms, the minimum time between announced alerts of the source
+      minInterval: 0,
+
+      // {boolean} - whether only the latest alert of the source is announced, for fast-changing values
+      latestOnly: false
+    }, options );
+    assert && assert( AlertPriority.includes( options.priority ), `invalid priority: ${options.priority}` );
+
+    const source = this.getSource( options.source );
+    source.minInterval = options.minInterval;
+    source.latestOnly = options.latestOnly;
+
+    const alert = { alertable: alertable, text: getAlertText( alertable ), priority: options.priority, source: source };
+
+    if ( this.isDuplicate( alert ) ) {
+      this.addLogEntry( alert, DescriberAlertManager.LogAction.MERGED );
+    }
+    else if ( this.time < source.nextAlertTime ) {
+      if ( source.latestOnly ) {
+        source.delayedAlerts.forEach( delayedAlert => {
+          this.addLogEntry( delayedAlert, DescriberAlertManager.LogAction.REPLACED );
+        } );
+        source.delayedAlerts = [];
+      }
+      source.delayedAlerts.push( alert );
+      this.addLogEntry( alert, DescriberAlertManager.LogAction.DELAYED );
+    }
+    else {
+      this.announce( alert );
+    }
+    this.updateStepping();
+  }
+
+  /**
+   * Announces delayed alerts whose rate limit has passed. Called by axon's timer, and public so that tests can step
+   * time.
+   * @param {number} dt - in seconds
+   * @public
+   */
+  step( dt ) {
+    this.time += dt * 1000;
+
+    const readyAlerts = _.values( this.sources )
+      .filter( source => source.delayedAlerts.length > 0 && this.time >= source.nextAlertTime )
+      .map( source => source.delayedAlerts.shift() );
+
+    // highest priority first, sort is stable so alerts with the same priority are in the order of their sources
+    readyAlerts.sort( ( alert1, alert2 ) => AlertPriority.compare( alert2.priority, alert1.priority ) );
+    readyAlerts.forEach( alert => {
+
+      // a near-duplicate may have been announced while the alert was delayed
+      if ( this.isDuplicate( alert ) ) {
+        this.addLogEntry( alert, DescriberAlertManager.LogAction.MERGED );
+      }
+      else {
+        this.announce( alert );
+      }
+    } );
+    this.updateStepping();
+  }
+
+  /**
+   * Gets the debug log, oldest first. Each entry is {time: number, source: string, text: string|null,
+   * priority: AlertPriority, action: DescriberAlertManager.LogAction}, where time is in ms.
+   * @param {string} [source] - if provided, only entries of this source are returned
+   * @returns {Object[]}
+   * @public
+   */
+  getLog( source ) {
+    return source ? this.log.filter( entry => entry.source === source ) : this.log.slice();
+  }
+
+  /**
+   * Gets the texts that have been announced, oldest first.
+   * @param {string} [source] - if provided, only texts of this source are returned
+   * @returns {Array.<string|null>}
+   * @public
+   */
+  getAnnouncedTexts( source ) {
+    return this.getLog( source )
+      .filter( entry => entry.action === DescriberAlertManager.LogAction.ANNOUNCED )
+      .map( entry => entry.text );
+  }
+
+  /**
+   * @public
+   */
+  clearLog() {
+    this.log = [];
+  }
+
+  /**
+   * Forgets delayed alerts and the alerts that have been announced, so nothing is merged or rate limited.
+   * @public
+   */
+  reset() {
+    _.values( this.sources ).forEach( source => source.utterance.reset() );
+    this.sources = {};
+    this.alertTimes = {};
+    this.updateStepping();
+  }
+
+  /**
+   * @public
+   */
+  dispose() {
+    timer.hasListener( this.stepListener ) && timer.removeListener( this.stepListener );
+  }
+
+  /**
+   * Listens to axon's timer while there are delayed alerts, or alerts that can still limit or merge later alerts, and
+   * stops listening when time doesn't matter.
+   * @private
+   */
+  updateStepping() {
+
+    // alerts that were announced before the mergeInterval can't be merged with anything
+    this.alertTimes = _.pickBy( this.alertTimes, alertTime => this.time - alertTime < this.mergeInterval );
+
+    const isWaiting = !_.isEmpty( this.alertTimes ) || _.values( this.sources ).some( source => {
+      return source.delayedAlerts.length > 0 || this.time < source.nextAlertTime;
+    } );
+    const isStepping = timer.hasListener( this.stepListener );
+
+    if ( isWaiting && !isStepping ) {
+      timer.addListener( this.stepListener );
+    }
+    else if ( !isWaiting && isStepping ) {
+      timer.removeListener( this.stepListener );
+    }
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Object} - {name: string, minInterval: number, latestOnly: boolean, nextAlertTime: number,
+   *   delayedAlerts: Object[], utterance: Utterance}
+   * @private
+   */
+  getSource( name ) {
+    if ( !this.sources[ name ] ) {
+      this.sources[ name ] = {
+        name: name,
+        minInterval: 0,
+        latestOnly: false,
+        nextAlertTime: 0,
+        delayedAlerts: [],
+
+        // reused for latestOnly, so that an alert that has not been read is replaced in the UtteranceQueue
+        utterance: new Utterance()
+      };
+    }
+    return this.sources[ name ];
+  }
+
+  /**
+   * Whether a near-duplicate of an alert was announced within the mergeInterval.
+   * @param {Object} alert
+   * @returns {boolean}
+   * @private
+   */
+  isDuplicate( alert ) {
+    const alertTime = alert.text === null ? undefined : this.alertTimes[ normalize( alert.text ) ];
+    return alertTime !== undefined && this.time - alertTime < this.mergeInterval;
+  }
+
+  /**
+   * Adds an alert to the UtteranceQueue, and starts the rate limit of its source.
+   * @param {Object} alert
+   * @private
+   */
+  announce( alert ) {
+    const source = alert.source;
+
+    // Utterances are added as they are, since they already replace their previous content in the UtteranceQueue
+    let alertable = alert.alertable;
+    if ( source.latestOnly && !( alertable instanceof Utterance ) ) {
+      source.utterance.alert = alertable;
+      alertable = source.utterance;
+    }
+
+    SpeechOutput.alert( alertable, { priority: alert.priority, utteranceQueue: this.utteranceQueue } );
+
+    source.nextAlertTime = this.time + source.minInterval;
+    if ( alert.text !== null ) {
+      this.alertTimes[ normalize( alert.text ) ] = this.time;
+    }
+    this.addLogEntry( alert, DescriberAlertManager.LogAction.ANNOUNCED );
+  }
+
+  /**
+   * @param {Object} alert
+   * @param {DescriberAlertManager.LogAction} action
+   * @private
+   */
+  addLogEntry( alert, action ) {
+    this.log.push( {
+      time: this.time,
+      source: alert.source.name,
+      text: alert.text,
+      priority: alert.priority,
+      action: action
+    } );
+    if ( this.log.length > this.maxLogLength ) {
+      this.log.shift();
+    }
+  }
+}
+
+/**
+ * Gets the text of an alert, for merging near-duplicates.
+ * @param {AlertableDef} alertable
+ * @returns {string|null} - null if the alert is not a string, like an Utterance that cycles through alerts
+ */
+function getAlertText( alertable ) {
+  const alert = alertable instanceof Utterance ? alertable.alert : alertable;
+  return typeof alert === 'string' ? alert : null;
+}
+
+/**
+ * Normalizes the text of an alert, so that near-duplicates are equal.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalize( text ) {
+  return text.trim().toLowerCase().replace( /\s+/g, ' ' ).replace( /[.!?,;:]+$/, '' );
+}
+
+// @public {Enumeration} - the actions in the debug log
+DescriberAlertManager.LogAction = Enumeration.byKeys( [
+  'ANNOUNCED', // added to the UtteranceQueue
+  'MERGED', // not announced, because a near-duplicate was announced within the mergeInterval
+  'DELAYED', // waiting for the minInterval of its source
+  'REPLACED' // a delayed alert that was replaced by a later alert of a latestOnly source
+] );
+
+sceneryPhet.register( 'DescriberAlertManager', DescriberAlertManager );
+export default DescriberAlertManager;
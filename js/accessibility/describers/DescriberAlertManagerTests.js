@@ -0,0 +1,114 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for DescriberAlertManager
+ *
+ * @author agent <agent@local>
+ */
+
+import timer from '../../../../axon/js/timer.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Utterance from '../../../../utterance-queue/js/Utterance.js';
+import AlertPriority from '../AlertPriority.js';
+import DescriberAlertManager from './DescriberAlertManager.js';
+
+QUnit.module( 'DescriberAlertManager' );
+
+// Creates a DescriberAlertManager with an UtteranceQueue that records the alerts that are added to it.
+const createAlertManager = options => {
+  const added = [];
+  const utteranceQueue = {
+    addToBack: alertable => added.push( alertable instanceof Utterance ? alertable.alert : alertable ),
+    addToFront: alertable => added.unshift( alertable instanceof Utterance ? alertable.alert : alertable )
+  };
+  const alertManager = new DescriberAlertManager( merge( { utteranceQueue: utteranceQueue }, options ) );
+  return { alertManager: alertManager, added: added };
+};
+
+QUnit.test( 'merging near-duplicates', assert => {
+  const { alertManager, added } = createAlertManager( { mergeInterval: 1000 } );
+
+  alertManager.alert( 'At left edge.' );
+  alertManager.alert( 'at left  edge' );
+  assert.deepEqual( added, [ 'At left edge.' ], 'near-duplicate is merged' );
+  assert.equal( _.last( alertManager.getLog() ).action, DescriberAlertManager.LogAction.MERGED, 'logged as merged' );
+
+  alertManager.alert( 'At right edge.' );
+  assert.equal( added.length, 2, 'different alerts are not merged' );
+
+  alertManager.step( 1 );
+  alertManager.alert( 'At left edge.' );
+  assert.equal( added.length, 3, 'not merged after the mergeInterval' );
+
+  alertManager.dispose();
+} );
+
+QUnit.test( 'rate limits and latestOnly', assert => {
+  const { alertManager } = createAlertManager( { mergeInterval: 0 } );
+
+  alertManager.alert( 'Up.', { source: 'movement', minInterval: 500, latestOnly: true } );
+  alertManager.alert( 'Left.', { source: 'movement', minInterval: 500, latestOnly: true } );
+  alertManager.alert( 'Down.', { source: 'movement', minInterval: 500, latestOnly: true } );
+  alertManager.alert( 'Grabbed.', { source: 'grab' } );
+  assert.deepEqual( alertManager.getAnnouncedTexts(), [ 'Up.', 'Grabbed.' ], 'sources are rate limited separately' );
+  assert.deepEqual( alertManager.getLog( 'movement' ).map( entry => entry.action ), [
+    DescriberAlertManager.LogAction.ANNOUNCED,
+    DescriberAlertManager.LogAction.DELAYED,
+    DescriberAlertManager.LogAction.REPLACED,
+    DescriberAlertManager.LogAction.DELAYED
+  ], 'a delayed alert is replaced by the latest alert' );
+
+  alertManager.step( 0.4 );
+  assert.deepEqual( alertManager.getAnnouncedTexts( 'movement' ), [ 'Up.' ], 'delayed during the minInterval' );
+  alertManager.step( 0.1 );
+  assert.deepEqual( alertManager.getAnnouncedTexts( 'movement' ), [ 'Up.', 'Down.' ],
+    'latest alert after the minInterval' );
+
+  // without latestOnly, every delayed alert is announced, one per minInterval
+  alertManager.clearLog();
+  alertManager.alert( '1', { source: 'count', minInterval: 100 } );
+  alertManager.alert( '2', { source: 'count', minInterval: 100 } );
+  alertManager.alert( '3', { source: 'count', minInterval: 100 } );
+  alertManager.step( 0.1 );
+  alertManager.step( 0.1 );
+  assert.deepEqual( alertManager.getAnnouncedTexts(), [ '1', '2', '3' ], 'all alerts without latestOnly' );
+
+  alertManager.dispose();
+} );
+
+QUnit.test( 'priorities', assert => {
+  const { alertManager, added } = createAlertManager();
+
+  alertManager.alert( 'Moved.', { source: 'movement' } );
+  alertManager.alert( 'Simulation paused.', { priority: AlertPriority.HIGH } );
+  assert.deepEqual( added, [ 'Simulation paused.', 'Moved.' ], 'HIGH priority is added to the front' );
+
+  alertManager.alert( 'Low 1', { source: 'low', minInterval: 100, priority: AlertPriority.LOW } );
+  alertManager.alert( 'High 1', { source: 'high', minInterval: 100 } );
+  alertManager.alert( 'Low 2', { source: 'low', minInterval: 100, priority: AlertPriority.LOW } );
+  alertManager.alert( 'High 2', { source: 'high', minInterval: 100, priority: AlertPriority.HIGH } );
+  alertManager.clearLog();
+  alertManager.step( 0.1 );
+  assert.deepEqual( alertManager.getAnnouncedTexts(), [ 'High 2', 'Low 2' ], 'higher priority delayed alerts first' );
+
+  alertManager.dispose();
+} );
+
+QUnit.test( 'defaults and timer', assert => {
+  const { alertManager, added } = createAlertManager();
+
+  alertManager.alert( 'Left.' );
+  alertManager.alert( 'Left.' );
+  assert.deepEqual( added, [ 'Left.', 'Left.' ], 'alerts are added as they are by default' );
+  assert.ok( !timer.hasListener( alertManager.stepListener ), 'the timer is not listened to when nothing is delayed' );
+
+  alertManager.alert( 'Up.', { minInterval: 100 } );
+  alertManager.alert( 'Down.', { minInterval: 100 } );
+  assert.ok( timer.hasListener( alertManager.stepListener ), 'the timer is listened to while alerts are delayed' );
+  timer.emit( 0.1 );
+  assert.equal( _.last( added ), 'Down.', 'delayed alerts are announced as the timer steps' );
+  timer.emit( 0.1 );
+  assert.ok( !timer.hasListener( alertManager.stepListener ), 'the timer is not listened to after the minInterval' );
+
+  alertManager.dispose();
+} );
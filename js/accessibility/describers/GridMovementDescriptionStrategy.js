@@ -0,0 +1,99 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Describes movement between the cells of a grid that divides the movement area into rows and columns, like "Moved
+ * to row 3, column 5." Movement within a cell is not described. Rows are numbered from the top and columns from the
+ * left as they appear on screen, starting at 1.
+ *
+ * @author agent <agent@local>
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
+import sceneryPhet from '../../sceneryPhet.js';
+import SceneryPhetA11yStrings from '../../SceneryPhetA11yStrings.js';
+import MovementDescriptionStrategy from './MovementDescriptionStrategy.js';
+
+// a11y strings
+const movedToGridCellPatternStringProperty = SceneryPhetA11yStrings.movedToGridCellPattern;
+
+class GridMovementDescriptionStrategy extends MovementDescriptionStrategy {
+
+  /**
+   * @param {Bounds2} bounds - the area divided into cells, in the model coordinate frame. Positions outside of the
+   *                           bounds are described as being in the nearest cell.
+   * @param {number} numberOfRows
+   * @param {number} numberOfColumns
+   * @param {Object} [options]
+   */
+  constructor( bounds, numberOfRows, numberOfColumns, options ) {
+    assert && assert( Number.isInteger( numberOfRows ) && numberOfRows > 0, `invalid numberOfRows: ${numberOfRows}` );
+    assert && assert( Number.isInteger( numberOfColumns ) && numberOfColumns > 0, `invalid numberOfColumns: ${numberOfColumns}` );
+
+    options = merge( {
+
+      // {ModelViewTransform2} - used to number rows and columns as they appear on screen, see MovementDescriber
+      modelViewTransform: ModelViewTransform2.createIdentity(),
+
+      // {string|null} - pattern for descriptions, with {{row}} and {{column}} placeholders, null for the default in
+      // the current locale
+      descriptionPattern: null
+    }, options );
+
+    super();
+
+    // @private
+    this.viewBounds = options.modelViewTransform.modelToViewBounds( bounds );
+    this.numberOfRows = numberOfRows;
+    this.numberOfColumns = numberOfColumns;
+    this.modelViewTransform = options.modelViewTransform;
+    this.descriptionPattern = options.descriptionPattern;
+  }
+
+  /**
+   * Gets the cell that contains a position.
+   * @param {Vector2} position - in the model coordinate frame
+   * @returns {{row: number, column: number}} - numbered from 1
+   * @public
+   */
+  getCell( position ) {
+    const viewPosition = this.modelViewTransform.modelToViewPosition( position );
+    return {
+      row: getIndex( viewPosition.y, this.viewBounds.minY, this.viewBounds.height, this.numberOfRows ) + 1,
+      column: getIndex( viewPosition.x, this.viewBounds.minX, this.viewBounds.width, this.numberOfColumns ) + 1
+    };
+  }
+
+  /**
+   * @param {Vector2} position
+   * @param {Vector2} previousPosition
+   * @returns {string|null}
+   * @protected
+   * @override
+   */
+  describeMovement( position, previousPosition ) {
+    const cell = this.getCell( position );
+    const previousCell = this.getCell( previousPosition );
+    if ( cell.row === previousCell.row && cell.column === previousCell.column ) {
+      return null;
+    }
+    return StringUtils.fillIn( this.descriptionPattern || movedToGridCellPatternStringProperty.value, cell );
+  }
+}
+
+/**
+ * Gets the index of the division of a length that contains a coordinate, clamped to the divisions.
+ * @param {number} coordinate
+ * @param {number} min - start of the length
+ * @param {number} length
+ * @param {number} divisions
+ * @returns {number}
+ */
+function getIndex( coordinate, min, length, divisions ) {
+  return Utils.clamp( Math.floor( ( coordinate - min ) / length * divisions ), 0, divisions - 1 );
+}
+
+sceneryPhet.register( 'GridMovementDescriptionStrategy', GridMovementDescriptionStrategy );
+export default GridMovementDescriptionStrategy;
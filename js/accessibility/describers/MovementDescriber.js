@@ -6,9 +6,20 @@
  *
  * General usage involves calling this endDrag() function from all dragListeners that you want this functionality to describe
  *
+ * Movement can also be described with MovementDescriptionStrategies, like the grid cell (GridMovementDescriptionStrategy),
+ * distance to a center (PolarMovementDescriptionStrategy) or named region (RegionMovementDescriptionStrategy) of the
+ * position. Call drag() from dragListeners to describe these during a drag.
+ *
+ * Alerts go through a DescriberAlertManager, which rate limits border alerts. Movement alerts are announced as they
+ * are, unless they are rate limited or latest-only with options.movementAlertOptions. Share one DescriberAlertManager
+ * between describers (see options.alertManager) to rate limit their alerts together, or to merge near-duplicates with
+ * its mergeInterval.
+ *
  * @author Michael Kauzmann (PhET Interactive Simulations)
  */
 
+import Property from '../../../../axon/js/Property.js';
+import timer from '../../../../axon/js/timer.js';
 import Range from '../../../../dot/js/Range.js';
 import Vector2 from '../../../../dot/js/Vector2.js';
 import merge from '../../../../phet-core/js/merge.js';
@@ -18,17 +29,18 @@ import Utterance from '../../../../utterance-queue/js/Utterance.js';
 import sceneryPhet from '../../sceneryPhet.js';
 import SceneryPhetA11yStrings from '../../SceneryPhetA11yStrings.js';
 import BorderAlertsDescriber from './BorderAlertsDescriber.js';
+import DescriberAlertManager from './DescriberAlertManager.js';
 import DirectionEnum from './DirectionEnum.js';
 
 // a11y strings
-const downString = SceneryPhetA11yStrings.down.value;
-const leftString = SceneryPhetA11yStrings.left.value;
-const rightString = SceneryPhetA11yStrings.right.value;
-const upString = SceneryPhetA11yStrings.up.value;
-const upAndToTheLeftString = SceneryPhetA11yStrings.upAndToTheLeft.value;
-const upAndToTheRightString = SceneryPhetA11yStrings.upAndToTheRight.value;
-const downAndToTheLeftString = SceneryPhetA11yStrings.downAndToTheLeft.value;
-const downAndToTheRightString = SceneryPhetA11yStrings.downAndToTheRight.value;
+const downStringProperty = SceneryPhetA11yStrings.down;
+const leftStringProperty = SceneryPhetA11yStrings.left;
+const rightStringProperty = SceneryPhetA11yStrings.right;
+const upStringProperty = SceneryPhetA11yStrings.up;
+const upAndToTheLeftStringProperty = SceneryPhetA11yStrings.upAndToTheLeft;
+const upAndToTheRightStringProperty = SceneryPhetA11yStrings.upAndToTheRight;
+const downAndToTheLeftStringProperty = SceneryPhetA11yStrings.downAndToTheLeft;
+const downAndToTheRightStringProperty = SceneryPhetA11yStrings.downAndToTheRight;
 
 // constants
 // in radians - threshold for diagonal movement is +/- 15 degrees from diagonals
@@ -62,16 +74,17 @@ if ( assert ) {
   } );
 }
 
-// the set of directional alerts including cardinal and intercardinal directions
+// the set of directional alerts including cardinal and intercardinal directions, read when alerted so that they are
+// in the current locale
 const DEFAULT_MOVEMENT_DESCRIPTIONS = {
-  LEFT: leftString,
-  RIGHT: rightString,
-  UP: upString,
-  DOWN: downString,
-  UP_LEFT: upAndToTheLeftString,
-  UP_RIGHT: upAndToTheRightString,
-  DOWN_LEFT: downAndToTheLeftString,
-  DOWN_RIGHT: downAndToTheRightString
+  LEFT: leftStringProperty,
+  RIGHT: rightStringProperty,
+  UP: upStringProperty,
+  DOWN: downStringProperty,
+  UP_LEFT: upAndToTheLeftStringProperty,
+  UP_RIGHT: upAndToTheRightStringProperty,
+  DOWN_LEFT: downAndToTheLeftStringProperty,
+  DOWN_RIGHT: downAndToTheRightStringProperty
 };
 
 class MovementDescriber {
@@ -87,8 +100,15 @@ class MovementDescriber {
       // see BorderAlertsDescriber
       borderAlertsOptions: null,
 
-      // {Object.<DIRECTION, AlertableDef> see DirectionEnum for allowed keys. Any missing keys will not be alerted.
-      // Use `{}` to omit movementAlerts.
+      // {DescriberAlertManager|null} - manages the alerts of this describer. If null, one is created.
+      alertManager: null,
+
+      // {Object} - options for DescriberAlertManager.alert of movement alerts, for instance
+      // { minInterval: 500, latestOnly: true } for objects that move quickly
+      movementAlertOptions: {},
+
+      // {Object.<DIRECTION, AlertableDef|Property.<string>> see DirectionEnum for allowed keys. Any missing keys will
+      // not be alerted. Use `{}` to omit movementAlerts.
       movementAlerts: DEFAULT_MOVEMENT_DESCRIPTIONS,
 
       // {ModelViewTransform2} - if provided, this will transform between the model and view coordinate frames, so
@@ -97,7 +117,14 @@ class MovementDescriber {
 
       // if false then diagonal alerts will be converted to two primary direction alerts that are alerted back to back
       // i.e. UP_LEFT becomes "UP" and "LEFT"
-      alertDiagonal: false
+      alertDiagonal: false,
+
+      // {MovementDescriptionStrategy[]} - additional descriptions of movement, alerted in order
+      descriptionStrategies: [],
+
+      // {number} - in ms, the minimum time between alerts from descriptionStrategies during a drag, so that fast drags
+      // don't flood the screen reader. 0 to alert every change.
+      strategyAlertInterval: 500
     }, options );
 
     assert && assert( options.movementAlerts instanceof Object );
@@ -110,7 +137,8 @@ class MovementDescriber {
       for ( let i = 0; i < this.movementAlertKeys.length; i++ ) {
         const key = this.movementAlertKeys[ i ];
         assert( DirectionEnum.keys.indexOf( key ) >= 0, `unexpected key: ${key}. Keys should be the same as those in DirectionEnum` );
-        assert( AlertableDef.isAlertableDef( options.movementAlerts[ key ] ) );
+        const alert = options.movementAlerts[ key ];
+        assert( AlertableDef.isAlertableDef( alert ) || alert instanceof Property );
       }
     }
 
@@ -118,10 +146,19 @@ class MovementDescriber {
     this.movementAlerts = options.movementAlerts;
     this.alertDiagonal = options.alertDiagonal;
     this.modelViewTransform = options.modelViewTransform;
+    this.movementAlertOptions = merge( { source: 'movement' }, options.movementAlertOptions );
+
+    // @public (read-only) {DescriberAlertManager}
+    this.alertManager = options.alertManager || new DescriberAlertManager();
+
+    // @private {boolean} - whether alertManager was created by this describer
+    this.ownsAlertManager = !options.alertManager;
 
     // @private
     // This sub-describer handles the logic for alerting when an item is on the edge of the movement space
-    this.borderAlertsDescriber = new BorderAlertsDescriber( options.borderAlertsOptions );
+    this.borderAlertsDescriber = new BorderAlertsDescriber( merge( {
+      alertManager: this.alertManager
+    }, options.borderAlertsOptions ) );
 
     // @private {Utterance} - single utterance to describe direction changes so that when this
     // happens frequently only the last change is announced
@@ -133,14 +170,28 @@ class MovementDescriber {
     // @protected
     this.positionProperty = positionProperty;
     this.lastAlertedPosition = this.initialFirstPosition; // initial value of the positionProperty
+
+    // @private
+    this.descriptionStrategies = options.descriptionStrategies;
+    this.strategyAlertInterval = options.strategyAlertInterval;
+    this.descriptionStrategies.forEach( strategy => strategy.reset( this.initialFirstPosition ) );
+
+    // @private {Utterance[]} - an utterance for each strategy, so that only its latest description is announced
+    this.strategyUtterances = this.descriptionStrategies.map( () => new Utterance() );
+
+    // @private {function|null} - timeout that ends the strategyAlertInterval, see drag()
+    this.strategyAlertTimeout = null;
+
+    // @private {boolean} - whether the position changed during the strategyAlertInterval
+    this.strategyAlertPending = false;
   }
 
   /**
-   * Simple alert for the Describer
+   * Simple alert for the Describer, see DescriberAlertManager
    * @param {AlertableDef} alertable - anything that can be passed to UtteranceQueue
    */
   alert( alertable ) {
-    phet.joist.sim.utteranceQueue.addToBack( alertable );
+    this.alertManager.alert( alertable, this.movementAlertOptions );
     this.lastAlertedPosition = this.positionProperty.get();
   }
 
@@ -156,11 +207,22 @@ class MovementDescriber {
 
     // support if an instance doesn't want to alert in all directions
     directions.forEach( direction => {
-      this.directionChangeUtterance.alert = this.movementAlerts[ direction ];
+      this.directionChangeUtterance.alert = this.getMovementAlert( direction );
       this.alert( this.directionChangeUtterance );
     } );
   }
 
+  /**
+   * Gets the movement alert for a direction, reading a Property so that the alert is in the current locale.
+   * @private
+   * @param {DirectionEnum} direction
+   * @returns {AlertableDef|undefined} - undefined if the direction is not alerted
+   */
+  getMovementAlert( direction ) {
+    const alert = this.movementAlerts[ direction ];
+    return alert instanceof Property ? alert.value : alert;
+  }
+
   /**
    * Alert a movement direction. The direction from this.lastAlertedPosition relative to the current value of the positionProperty
    * Call this from a listener or when the positionProperty has changed enough.
@@ -184,7 +246,7 @@ class MovementDescriber {
 
       // make sure that these alerts exist
       if ( assert ) {
-        directions.map( direction => { assert( this.movementAlerts[ direction ] && typeof this.movementAlerts[ direction ] === 'string' ); } );
+        directions.map( direction => { assert( typeof this.getMovementAlert( direction ) === 'string' ); } );
       }
       this.alertDirections( directions );
     }
@@ -281,7 +343,64 @@ class MovementDescriber {
     const modelEndPoint = new Vector2( Math.cos( angle ), Math.sin( angle ) );
 
     const direction = MovementDescriber.getDirectionEnumerable( modelEndPoint, modelStartPoint, options.modelViewTransform );
-    return DEFAULT_MOVEMENT_DESCRIPTIONS[ direction ];
+    return DEFAULT_MOVEMENT_DESCRIPTIONS[ direction ].value;
+  }
+
+  /**
+   * Describes movement with the descriptionStrategies. Call this from dragListeners during a drag. After an alert,
+   * movement is not described again until the strategyAlertInterval has passed, and then the latest position is
+   * described.
+   * @public
+   */
+  drag() {
+    if ( this.strategyAlertTimeout ) {
+      this.strategyAlertPending = true;
+    }
+    else {
+      this.alertStrategyDescriptions();
+    }
+  }
+
+  /**
+   * Alerts the descriptions of the current position from the descriptionStrategies, starting the strategyAlertInterval
+   * if anything was described.
+   * @private
+   */
+  alertStrategyDescriptions() {
+    const position = this.positionProperty.get();
+    let described = false;
+
+    this.descriptionStrategies.forEach( ( strategy, index ) => {
+      const description = strategy.getDescription( position );
+      if ( description ) {
+        const utterance = this.strategyUtterances[ index ];
+        utterance.alert = description;
+
+        // each strategy has its own Utterance, so the descriptions of all strategies are announced
+        this.alertManager.alert( utterance, { source: 'movementStrategy', latestOnly: false } );
+        described = true;
+      }
+    } );
+
+    if ( described && this.strategyAlertInterval > 0 ) {
+      this.strategyAlertTimeout = timer.setTimeout( () => {
+        this.strategyAlertTimeout = null;
+        if ( this.strategyAlertPending ) {
+          this.strategyAlertPending = false;
+          this.alertStrategyDescriptions();
+        }
+      }, this.strategyAlertInterval );
+    }
+  }
+
+  /**
+   * Stops waiting for the strategyAlertInterval, forgetting movement during it.
+   * @private
+   */
+  clearStrategyAlertTimeout() {
+    this.strategyAlertTimeout && timer.clearTimeout( this.strategyAlertTimeout );
+    this.strategyAlertTimeout = null;
+    this.strategyAlertPending = false;
   }
 
   /**
@@ -290,9 +409,16 @@ class MovementDescriber {
    */
   endDrag( domEvent ) {
 
+    // the final position is described right away
+    this.clearStrategyAlertTimeout();
+
     // better to have the movement alerts, then the alert about the border
     this.alertDirectionalMovement();
+    this.alertStrategyDescriptions();
     this.borderAlertsDescriber.endDrag( this.positionProperty.get(), domEvent );
+
+    // the next drag can describe movement immediately
+    this.clearStrategyAlertTimeout();
   }
 
   /**
@@ -301,22 +427,36 @@ class MovementDescriber {
   reset() {
     this.lastAlertedPosition = this.initialFirstPosition;
 
+    this.clearStrategyAlertTimeout();
+    this.descriptionStrategies.forEach( strategy => strategy.reset( this.initialFirstPosition ) );
+    this.strategyUtterances.forEach( utterance => utterance.reset() );
+
     // if any alerts are of type Utterance, reset them.
     this.movementAlertKeys.forEach( direction => {
       const alert = this.movementAlerts[ direction ];
-      alert && alert.reset && alert.reset();
+      alert instanceof Utterance && alert.reset();
     } );
 
     this.borderAlertsDescriber.reset();
+    this.ownsAlertManager && this.alertManager.reset();
+  }
+
+  /**
+   * @public
+   */
+  dispose() {
+    this.clearStrategyAlertTimeout();
+    this.borderAlertsDescriber.dispose();
+    this.ownsAlertManager && this.alertManager.dispose();
   }
 
   /**
-   * Get the default movement descriptions
+   * Get the default movement descriptions, in the current locale
    * @returns {Object.<DirectionEnum, string>}} - not an actual DirectionEnum, but the toString() of it (as a key).
    * @public
    */
   static getDefaultMovementDescriptions() {
-    return merge( {}, DEFAULT_MOVEMENT_DESCRIPTIONS ); // clone
+    return _.mapValues( DEFAULT_MOVEMENT_DESCRIPTIONS, stringProperty => stringProperty.value );
   }
 }
 
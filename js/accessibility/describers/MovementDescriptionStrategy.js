@@ -0,0 +1,67 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Base type for strategies that describe movement in MovementDescriber in addition to (or instead of) its compass
+ * direction alerts, like the grid cell or named region of the position. A strategy compares a position to the last
+ * position that it described, and only produces a description when something has changed that is worth describing,
+ * so strategies can be evaluated throughout a drag.
+ *
+ * Subclasses implement describeMovement.
+ *
+ * @author agent <agent@local>
+ */
+
+import sceneryPhet from '../../sceneryPhet.js';
+
+class MovementDescriptionStrategy {
+
+  constructor() {
+
+    // @private {Vector2|null} - in the model coordinate frame, null until the first position is provided
+    this.lastDescribedPosition = null;
+  }
+
+  /**
+   * Gets a description of the movement to a position, or null if there is nothing new to describe. Later descriptions
+   * are relative to the position if it is described.
+   * @param {Vector2} position - in the model coordinate frame
+   * @returns {string|null}
+   * @public
+   */
+  getDescription( position ) {
+    if ( !this.lastDescribedPosition ) {
+      this.reset( position );
+      return null;
+    }
+
+    const description = this.describeMovement( position, this.lastDescribedPosition );
+    if ( description ) {
+      this.lastDescribedPosition = position;
+    }
+    return description;
+  }
+
+  /**
+   * Describes the movement from a previously described position to a position.
+   * @param {Vector2} position - in the model coordinate frame
+   * @param {Vector2} previousPosition - in the model coordinate frame
+   * @returns {string|null} - null if there is nothing to describe
+   * @protected
+   * @abstract
+   */
+  describeMovement( position, previousPosition ) {
+    throw new Error( 'describeMovement must be implemented by subclass' );
+  }
+
+  /**
+   * Starts describing movement from a position, without describing it.
+   * @param {Vector2} position - in the model coordinate frame
+   * @public
+   */
+  reset( position ) {
+    this.lastDescribedPosition = position;
+  }
+}
+
+sceneryPhet.register( 'MovementDescriptionStrategy', MovementDescriptionStrategy );
+export default MovementDescriptionStrategy;
@@ -0,0 +1,69 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for the MovementDescriptionStrategy subclasses
+ *
+ * @author agent <agent@local>
+ */
+
+import Bounds2 from '../../../../dot/js/Bounds2.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Shape from '../../../../kite/js/Shape.js';
+import ModelViewTransform2 from '../../../../phetcommon/js/view/ModelViewTransform2.js';
+import GridMovementDescriptionStrategy from './GridMovementDescriptionStrategy.js';
+import PolarMovementDescriptionStrategy from './PolarMovementDescriptionStrategy.js';
+import RegionMovementDescriptionStrategy from './RegionMovementDescriptionStrategy.js';
+import Zone from './Zone.js';
+import ZoneMap from './ZoneMap.js';
+
+QUnit.module( 'MovementDescriptionStrategy' );
+
+QUnit.test( 'GridMovementDescriptionStrategy', assert => {
+  const strategy = new GridMovementDescriptionStrategy( new Bounds2( 0, 0, 100, 50 ), 5, 10 );
+  strategy.reset( new Vector2( 1, 1 ) );
+
+  assert.equal( strategy.getDescription( new Vector2( 5, 5 ) ), null, 'same cell' );
+  assert.equal( strategy.getDescription( new Vector2( 45, 25 ) ), 'Moved to row 3, column 5.', 'new cell' );
+  assert.equal( strategy.getDescription( new Vector2( 49, 29 ) ), null, 'relative to the described cell' );
+  assert.deepEqual( strategy.getCell( new Vector2( -10, 100 ) ), { row: 5, column: 1 }, 'clamped outside of bounds' );
+
+  // with y up in the model, row 1 is at the top of the screen
+  const invertedStrategy = new GridMovementDescriptionStrategy( new Bounds2( 0, 0, 100, 50 ), 5, 10, {
+    modelViewTransform: ModelViewTransform2.createSinglePointScaleInvertedYMapping( Vector2.ZERO, Vector2.ZERO, 1 )
+  } );
+  assert.deepEqual( invertedStrategy.getCell( new Vector2( 5, 45 ) ), { row: 1, column: 1 }, 'rows as they appear' );
+} );
+
+QUnit.test( 'PolarMovementDescriptionStrategy', assert => {
+  const strategy = new PolarMovementDescriptionStrategy( Vector2.ZERO, 'the sun' );
+  strategy.reset( new Vector2( 3, 4 ) );
+
+  assert.equal( strategy.getDescription( new Vector2( 3.2, 4 ) ), null, 'rounded distance did not change' );
+  assert.equal( strategy.getDescription( new Vector2( 0, 2 ) ), 'Moved closer to the sun, now 2 units away.', 'closer' );
+  assert.equal( strategy.getDescription( new Vector2( 3, 0 ) ), 'Moved farther from the sun, now 3 units away.', 'farther' );
+
+  const preciseStrategy = new PolarMovementDescriptionStrategy( Vector2.ZERO, 'the sun', {
+    units: 'meters',
+    decimalPlaces: 1
+  } );
+  preciseStrategy.reset( new Vector2( 1, 0 ) );
+  assert.equal( preciseStrategy.getDescription( new Vector2( 1.5, 0 ) ), 'Moved farther from the sun, now 1.5 meters away.',
+    'options' );
+} );
+
+QUnit.test( 'RegionMovementDescriptionStrategy', assert => {
+  const strategy = new RegionMovementDescriptionStrategy( new ZoneMap( [
+    new Zone( 'the water', new Bounds2( -5, -5, 5, 0 ), {
+      children: [ new Zone( 'the shallow water', Shape.circle( 0, 0, 1 ) ) ]
+    } )
+  ] ) );
+  strategy.reset( new Vector2( 10, 10 ) );
+
+  assert.equal( strategy.getDescription( new Vector2( 9, 9 ) ), null, 'no region' );
+  assert.equal( strategy.getDescription( new Vector2( 3, -3 ) ), 'Entered the water.', 'entered' );
+  assert.equal( strategy.getDescription( new Vector2( 0, -0.5 ) ), 'Entered the shallow water.', 'nested region' );
+  assert.equal( strategy.getRegion( new Vector2( 0, -0.5 ) ).name, 'the shallow water', 'getRegion' );
+  assert.equal( strategy.getDescription( new Vector2( 3, -3 ) ), 'Left the shallow water. Now in the water.',
+    'left a nested region' );
+  assert.equal( strategy.getDescription( new Vector2( 0, 3 ) ), 'Left the water.', 'left' );
+} );
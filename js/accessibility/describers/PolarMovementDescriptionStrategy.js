@@ -0,0 +1,95 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Describes movement relative to a center point, like "Moved closer to the sun, now 2 units away." Distances are
+ * rounded, and movement is described when the rounded distance changes.
+ *
+ * @author agent <agent@local>
+ */
+
+import Utils from '../../../../dot/js/Utils.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import sceneryPhet from '../../sceneryPhet.js';
+import SceneryPhetA11yStrings from '../../SceneryPhetA11yStrings.js';
+import MovementDescriptionStrategy from './MovementDescriptionStrategy.js';
+
+// a11y strings
+const movedCloserToPatternStringProperty = SceneryPhetA11yStrings.movedCloserToPattern;
+const movedFartherFromPatternStringProperty = SceneryPhetA11yStrings.movedFartherFromPattern;
+const distancePatternStringProperty = SceneryPhetA11yStrings.distancePattern;
+const unitsStringProperty = SceneryPhetA11yStrings.units;
+
+class PolarMovementDescriptionStrategy extends MovementDescriptionStrategy {
+
+  /**
+   * @param {Vector2} center - in the model coordinate frame
+   * @param {string} centerName - name of what is at the center, like "the sun"
+   * @param {Object} [options]
+   */
+  constructor( center, centerName, options ) {
+
+    options = merge( {
+
+      // {string|null} - units of distance in the model coordinate frame, null for the default in the current locale
+      units: null,
+
+      // {number} - distances are rounded to this many decimal places, which determines how much movement is needed
+      // before it is described
+      decimalPlaces: 0,
+
+      // {string|null} - patterns for descriptions, with {{center}} and {{distance}} placeholders, null for the defaults
+      // in the current locale
+      closerPattern: null,
+      fartherPattern: null
+    }, options );
+
+    super();
+
+    // @private
+    this.center = center;
+    this.centerName = centerName;
+    this.units = options.units;
+    this.decimalPlaces = options.decimalPlaces;
+    this.closerPattern = options.closerPattern;
+    this.fartherPattern = options.fartherPattern;
+  }
+
+  /**
+   * Gets the distance from the center to a position, rounded to the described precision.
+   * @param {Vector2} position - in the model coordinate frame
+   * @returns {number}
+   * @public
+   */
+  getDistance( position ) {
+    return Utils.toFixedNumber( position.distance( this.center ), this.decimalPlaces );
+  }
+
+  /**
+   * @param {Vector2} position
+   * @param {Vector2} previousPosition
+   * @returns {string|null}
+   * @protected
+   * @override
+   */
+  describeMovement( position, previousPosition ) {
+    const distance = this.getDistance( position );
+    const previousDistance = this.getDistance( previousPosition );
+    if ( distance === previousDistance ) {
+      return null;
+    }
+    const pattern = distance < previousDistance ?
+                    this.closerPattern || movedCloserToPatternStringProperty.value :
+                    this.fartherPattern || movedFartherFromPatternStringProperty.value;
+    return StringUtils.fillIn( pattern, {
+      center: this.centerName,
+      distance: StringUtils.fillIn( distancePatternStringProperty.value, {
+        value: Utils.toFixed( distance, this.decimalPlaces ),
+        units: this.units || unitsStringProperty.value
+      } )
+    } );
+  }
+}
+
+sceneryPhet.register( 'PolarMovementDescriptionStrategy', PolarMovementDescriptionStrategy );
+export default PolarMovementDescriptionStrategy;
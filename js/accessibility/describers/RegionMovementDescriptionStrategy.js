@@ -0,0 +1,52 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Describes movement into and out of the zones of a ZoneMap, like "Entered the water." or "Left the shallow water. Now
+ * in the water." Where zones overlap or are nested, the zone of a position and the order of the descriptions follow
+ * the rules of ZoneMap, see ZoneMap.describeChange.
+ *
+ * @author agent <agent@local>
+ */
+
+import sceneryPhet from '../../sceneryPhet.js';
+import MovementDescriptionStrategy from './MovementDescriptionStrategy.js';
+import ZoneMap from './ZoneMap.js';
+
+class RegionMovementDescriptionStrategy extends MovementDescriptionStrategy {
+
+  /**
+   * @param {ZoneMap} zoneMap - the named regions, and the patterns of their descriptions
+   */
+  constructor( zoneMap ) {
+    assert && assert( zoneMap instanceof ZoneMap, 'regions are the zones of a ZoneMap' );
+
+    super();
+
+    // @public (read-only)
+    this.zoneMap = zoneMap;
+  }
+
+  /**
+   * Gets the most nested zone that contains a position, see ZoneMap.getZoneAt.
+   * @param {Vector2} position - in the model coordinate frame
+   * @returns {Zone|null}
+   * @public
+   */
+  getRegion( position ) {
+    return this.zoneMap.getZoneAt( position );
+  }
+
+  /**
+   * @param {Vector2} position
+   * @param {Vector2} previousPosition
+   * @returns {string|null}
+   * @protected
+   * @override
+   */
+  describeMovement( position, previousPosition ) {
+    return this.zoneMap.describeChange( previousPosition, position );
+  }
+}
+
+sceneryPhet.register( 'RegionMovementDescriptionStrategy', RegionMovementDescriptionStrategy );
+export default RegionMovementDescriptionStrategy;
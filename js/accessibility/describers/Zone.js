@@ -0,0 +1,60 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A named region of a play area for ZoneMap, like "the pool". Zones can contain nested zones, like "the shallow end"
+ * of the pool, which are only considered where their parent contains a point.
+ *
+ * @author agent <agent@local>
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import sceneryPhet from '../../sceneryPhet.js';
+
+class Zone {
+
+  /**
+   * @param {string} name - used in descriptions, like "the pool"
+   * @param {Shape|Bounds2} shape - the area of the zone, in the model coordinate frame
+   * @param {Object} [options]
+   */
+  constructor( name, shape, options ) {
+    assert && assert( typeof name === 'string', `invalid name: ${name}` );
+    assert && assert( shape && shape.containsPoint, `zone needs a shape: ${name}` );
+
+    options = merge( {
+
+      // {number} - where sibling zones overlap, a point is in the zone with the highest priority. Also orders the
+      // descriptions of changes to zones, see ZoneMap.describeChange
+      priority: 0,
+
+      // {Zone[]} - nested zones
+      children: []
+    }, options );
+
+    // @public (read-only)
+    this.name = name;
+    this.shape = shape;
+    this.priority = options.priority;
+    this.children = options.children;
+
+    // @public (read-only) {Zone|null} - the zone that this zone is nested in
+    this.parent = null;
+
+    this.children.forEach( child => {
+      assert && assert( !child.parent, `zone is already nested: ${child.name}` );
+      child.parent = this;
+    } );
+  }
+
+  /**
+   * @param {Vector2} point - in the model coordinate frame
+   * @returns {boolean}
+   * @public
+   */
+  containsPoint( point ) {
+    return this.shape.containsPoint( point );
+  }
+}
+
+sceneryPhet.register( 'Zone', Zone );
+export default Zone;
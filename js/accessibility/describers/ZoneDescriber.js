@@ -0,0 +1,86 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Alerts when a position moves between the zones of a ZoneMap, like "Entered the pool." or "Left the shallow end. Now
+ * in the pool." See ZoneMap.describeChange.
+ *
+ * The changes are described by a MovementDescriber with a RegionMovementDescriptionStrategy, so they are throttled like
+ * the descriptions of a drag: after an alert, changes are not alerted again until the strategyAlertInterval has
+ * passed, and then the latest position is described.
+ *
+ * @author agent <agent@local>
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import sceneryPhet from '../../sceneryPhet.js';
+import MovementDescriber from './MovementDescriber.js';
+import RegionMovementDescriptionStrategy from './RegionMovementDescriptionStrategy.js';
+
+class ZoneDescriber {
+
+  /**
+   * @param {Property.<Vector2>} positionProperty - in the model coordinate frame
+   * @param {ZoneMap} zoneMap
+   * @param {Object} [options]
+   */
+  constructor( positionProperty, zoneMap, options ) {
+
+    options = merge( {
+
+      // {number} - in ms, see MovementDescriber
+      strategyAlertInterval: 500,
+
+      // {DescriberAlertManager|null} - see MovementDescriber
+      alertManager: null
+    }, options );
+
+    // @public (read-only)
+    this.zoneMap = zoneMap;
+
+    // @private
+    this.positionProperty = positionProperty;
+
+    // @private - describes only the changes to zones, without directions
+    this.movementDescriber = new MovementDescriber( positionProperty, {
+      movementAlerts: {},
+      descriptionStrategies: [ new RegionMovementDescriptionStrategy( zoneMap ) ],
+      strategyAlertInterval: options.strategyAlertInterval,
+      alertManager: options.alertManager
+    } );
+
+    const positionListener = () => this.movementDescriber.drag();
+    positionProperty.lazyLink( positionListener );
+
+    // @private
+    this.disposeZoneDescriber = () => {
+      positionProperty.unlink( positionListener );
+      this.movementDescriber.dispose();
+    };
+  }
+
+  /**
+   * Gets the most nested zone that contains the position, see ZoneMap.getZoneAt.
+   * @returns {Zone|null}
+   * @public
+   */
+  getZone() {
+    return this.zoneMap.getZoneAt( this.positionProperty.get() );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.movementDescriber.reset();
+  }
+
+  /**
+   * @public
+   */
+  dispose() {
+    this.disposeZoneDescriber();
+  }
+}
+
+sceneryPhet.register( 'ZoneDescriber', ZoneDescriber );
+export default ZoneDescriber;
@@ -0,0 +1,171 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Partitions a play area into named Zones, for describing where things are and how they move between zones. Where
+ * BorderAlertsDescriber only knows the edges of a single Bounds2, zones can have any shape and can be nested, like
+ * "the shallow end" inside of "the pool".
+ *
+ * A point is in the top-level zone that contains it, and then in the nested zone of that zone that contains it, and
+ * so on. Where sibling zones overlap, the zone with the highest priority contains the point, or the first zone if
+ * priorities are equal.
+ *
+ * Queries like getZoneAt and getItemsInZone can be used for the descriptions of objects in PlayAreaNode content, and
+ * describeChange describes moving between zones, see ZoneDescriber and RegionMovementDescriptionStrategy.
+ *
+ * @author agent <agent@local>
+ */
+
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import sceneryPhet from '../../sceneryPhet.js';
+import SceneryPhetA11yStrings from '../../SceneryPhetA11yStrings.js';
+import Zone from './Zone.js';
+
+// a11y strings
+const enteredRegionPatternStringProperty = SceneryPhetA11yStrings.enteredRegionPattern;
+const leftRegionPatternStringProperty = SceneryPhetA11yStrings.leftRegionPattern;
+const nowInRegionPatternStringProperty = SceneryPhetA11yStrings.nowInRegionPattern;
+
+class ZoneMap {
+
+  /**
+   * @param {Zone[]} zones - the top-level zones
+   * @param {Object} [options]
+   */
+  constructor( zones, options ) {
+    assert && zones.forEach( zone => assert( zone instanceof Zone && !zone.parent, 'zones must be top-level Zones' ) );
+
+    options = merge( {
+
+      // {string|null} - patterns for descriptions, with a {{region}} placeholder for the name of a zone, null for the
+      // defaults in the current locale
+      enteredPattern: null,
+      leftPattern: null,
+      nowInPattern: null
+    }, options );
+
+    // @public (read-only) {Zone[]}
+    this.zones = zones;
+
+    // @private
+    this.enteredPattern = options.enteredPattern;
+    this.leftPattern = options.leftPattern;
+    this.nowInPattern = options.nowInPattern;
+  }
+
+  /**
+   * Gets the zones that contain a point, from the top-level zone to the most nested zone.
+   * @param {Vector2} point - in the model coordinate frame
+   * @returns {Zone[]} - empty if the point is not in a zone
+   * @public
+   */
+  getZonesAt( point ) {
+    const zones = [];
+    let zone = getContainingZone( this.zones, point );
+    while ( zone ) {
+      zones.push( zone );
+      zone = getContainingZone( zone.children, point );
+    }
+    return zones;
+  }
+
+  /**
+   * Gets the most nested zone that contains a point, that is what is under the point.
+   * @param {Vector2} point - in the model coordinate frame
+   * @returns {Zone|null}
+   * @public
+   */
+  getZoneAt( point ) {
+    return _.last( this.getZonesAt( point ) ) || null;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Zone|null} - the first zone with the name, searching nested zones after their parents
+   * @public
+   */
+  getZone( name ) {
+    let zones = this.zones;
+    while ( zones.length > 0 ) {
+      const zone = _.find( zones, zone => zone.name === name );
+      if ( zone ) {
+        return zone;
+      }
+      zones = _.flatMap( zones, zone => zone.children );
+    }
+    return null;
+  }
+
+  /**
+   * Gets the items whose positions are in a zone, including the zones nested in it. For listing the objects in a zone.
+   * @param {Zone} zone
+   * @param {Object[]} items
+   * @param {function(Object):Vector2} getPosition - gets the position of an item, in the model coordinate frame
+   * @returns {Object[]}
+   * @public
+   */
+  getItemsInZone( zone, items, getPosition ) {
+    return items.filter( item => this.getZonesAt( getPosition( item ) ).indexOf( zone ) >= 0 );
+  }
+
+  /**
+   * Describes moving from one point to another, like "Entered the pool." or "Left the shallow end. Now in the pool."
+   * Leaving a zone is described by the outermost zone that was left, and entering by the most nested zone that was
+   * entered. When both happen, the zone with the higher priority is described first, or the zone that was left if
+   * priorities are equal.
+   * @param {Vector2} oldPoint - in the model coordinate frame
+   * @param {Vector2} newPoint - in the model coordinate frame
+   * @returns {string|null} - null if the zones did not change
+   * @public
+   */
+  describeChange( oldPoint, newPoint ) {
+    const oldZones = this.getZonesAt( oldPoint );
+    const newZones = this.getZonesAt( newPoint );
+    const leftZones = oldZones.filter( zone => newZones.indexOf( zone ) < 0 );
+    const enteredZones = newZones.filter( zone => oldZones.indexOf( zone ) < 0 );
+
+    const changes = [];
+    if ( leftZones.length > 0 ) {
+      changes.push( { zone: leftZones[ 0 ], pattern: this.leftPattern || leftRegionPatternStringProperty.value } );
+    }
+    if ( enteredZones.length > 0 ) {
+      changes.push( {
+        zone: _.last( enteredZones ),
+        pattern: this.enteredPattern || enteredRegionPatternStringProperty.value
+      } );
+    }
+    if ( changes.length === 0 ) {
+      return null;
+    }
+
+    const descriptions = _.sortBy( changes, change => -change.zone.priority ).map( change => {
+      return StringUtils.fillIn( change.pattern, { region: change.zone.name } );
+    } );
+
+    // after leaving a nested zone, describe where the point still is
+    if ( enteredZones.length === 0 && newZones.length > 0 ) {
+      const nowInPattern = this.nowInPattern || nowInRegionPatternStringProperty.value;
+      descriptions.push( StringUtils.fillIn( nowInPattern, { region: _.last( newZones ).name } ) );
+    }
+    return descriptions.join( ' ' );
+  }
+}
+
+/**
+ * Gets the zone that contains a point from a set of sibling zones, see ZoneMap.
+ * @param {Zone[]} zones
+ * @param {Vector2} point
+ * @returns {Zone|null}
+ */
+function getContainingZone( zones, point ) {
+  let containingZone = null;
+  zones.forEach( zone => {
+    if ( ( !containingZone || zone.priority > containingZone.priority ) && zone.containsPoint( point ) ) {
+      containingZone = zone;
+    }
+  } );
+  return containingZone;
+}
+
+sceneryPhet.register( 'ZoneMap', ZoneMap );
+export default ZoneMap;
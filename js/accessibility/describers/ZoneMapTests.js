@@ -0,0 +1,68 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for ZoneMap
+ *
+ * @author agent <agent@local>
+ */
+
+import Bounds2 from '../../../../dot/js/Bounds2.js';
+import Vector2 from '../../../../dot/js/Vector2.js';
+import Shape from '../../../../kite/js/Shape.js';
+import Zone from './Zone.js';
+import ZoneMap from './ZoneMap.js';
+
+QUnit.module( 'ZoneMap' );
+
+// A pool with a shallow and a deep end, an island that overlaps the pool, and a beach.
+const createZoneMap = () => new ZoneMap( [
+  new Zone( 'the pool', new Bounds2( 0, 0, 10, 10 ), {
+    children: [
+      new Zone( 'the shallow end', new Bounds2( 0, 0, 5, 10 ) ),
+      new Zone( 'the deep end', new Bounds2( 5, 0, 10, 10 ) )
+    ]
+  } ),
+  new Zone( 'the island', Shape.circle( 10, 10, 2 ), { priority: 1 } ),
+  new Zone( 'the beach', new Bounds2( 0, 10, 20, 20 ) )
+] );
+
+QUnit.test( 'queries', assert => {
+  const zoneMap = createZoneMap();
+
+  assert.deepEqual( zoneMap.getZonesAt( new Vector2( 2, 2 ) ).map( zone => zone.name ), [ 'the pool', 'the shallow end' ],
+    'nested zones' );
+  assert.equal( zoneMap.getZoneAt( new Vector2( 7, 2 ) ).name, 'the deep end', 'most nested zone' );
+  assert.equal( zoneMap.getZoneAt( new Vector2( 9, 9 ) ).name, 'the island', 'priority wins overlaps' );
+  assert.equal( zoneMap.getZoneAt( new Vector2( 2, 15 ) ).name, 'the beach', 'first zone wins equal priorities' );
+  assert.equal( zoneMap.getZoneAt( new Vector2( 30, 30 ) ), null, 'no zone' );
+
+  assert.equal( zoneMap.getZone( 'the deep end' ).parent, zoneMap.getZone( 'the pool' ), 'getZone' );
+  assert.equal( zoneMap.getZone( 'the lake' ), null, 'missing zone' );
+
+  const items = [ new Vector2( 1, 1 ), new Vector2( 6, 1 ), new Vector2( 1, 15 ) ];
+  assert.equal( zoneMap.getItemsInZone( zoneMap.getZone( 'the pool' ), items, item => item ).length, 2,
+    'items in nested zones' );
+} );
+
+QUnit.test( 'describeChange', assert => {
+  const zoneMap = createZoneMap();
+  const outside = new Vector2( 30, 30 );
+  const shallowEnd = new Vector2( 2, 2 );
+  const deepEnd = new Vector2( 7, 2 );
+
+  assert.equal( zoneMap.describeChange( outside, shallowEnd ), 'Entered the shallow end.', 'entered' );
+  assert.equal( zoneMap.describeChange( shallowEnd, new Vector2( 3, 2 ) ), null, 'same zones' );
+  assert.equal( zoneMap.describeChange( shallowEnd, deepEnd ), 'Left the shallow end. Entered the deep end.',
+    'between nested zones' );
+  assert.equal( zoneMap.describeChange( shallowEnd, outside ), 'Left the pool.', 'left' );
+  assert.equal( zoneMap.describeChange( deepEnd, new Vector2( 9, 9 ) ), 'Entered the island. Left the pool.',
+    'higher priority first' );
+
+  const poolWithDiveArea = new ZoneMap( [
+    new Zone( 'the pool', new Bounds2( 0, 0, 10, 10 ), {
+      children: [ new Zone( 'the dive area', new Bounds2( 0, 0, 2, 2 ) ) ]
+    } )
+  ] );
+  assert.equal( poolWithDiveArea.describeChange( new Vector2( 1, 1 ), new Vector2( 5, 5 ) ),
+    'Left the dive area. Now in the pool.', 'now in' );
+} );
@@ -16,7 +16,7 @@ import SceneryPhetA11yStrings from '../../SceneryPhetA11yStrings.js';
 import AccessibleSectionNode from '../AccessibleSectionNode.js';
 
 // A11y strings
-const controlAreaString = SceneryPhetA11yStrings.controlArea.value;
+const controlAreaStringProperty = SceneryPhetA11yStrings.controlArea;
 
 /**
  * @constructor
@@ -24,7 +24,7 @@ const controlAreaString = SceneryPhetA11yStrings.controlArea.value;
  */
 function ControlAreaNode( options ) {
 
-  AccessibleSectionNode.call( this, controlAreaString, options );
+  AccessibleSectionNode.call( this, controlAreaStringProperty, options );
 }
 
 sceneryPhet.register( 'ControlAreaNode', ControlAreaNode );
@@ -0,0 +1,123 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A summary of the current state of a screen in the PDOM, made of sentences that are derived from model Properties.
+ * The paragraph is updated whenever a dependency changes, so it stays in sync with the model without links in the
+ * sim, and a "Read current details" button alerts the paragraph. Add it to the ScreenSummaryNode, for instance:
+ *
+ * this.screenSummaryNode.addChild( new CurrentDetailsNode( [ {
+ *   dependencies: [ model.ballCountProperty ],
+ *   derivation: ballCount => `There are ${ballCount} balls in the box.`
+ * }, {
+ *   dependencies: [ model.isBoxOpenProperty ],
+ *   derivation: isBoxOpen => isBoxOpen ? 'The box is open.' : null
+ * } ] ) );
+ *
+ * @author agent <agent@local>
+ */
+
+import DerivedProperty from '../../../../axon/js/DerivedProperty.js';
+import merge from '../../../../phet-core/js/merge.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
+import Utterance from '../../../../utterance-queue/js/Utterance.js';
+import sceneryPhet from '../../sceneryPhet.js';
+import SceneryPhetA11yStrings from '../../SceneryPhetA11yStrings.js';
+import SpeechOutput from '../speech/SpeechOutput.js';
+
+// a11y strings
+const readCurrentDetailsStringProperty = SceneryPhetA11yStrings.readCurrentDetails;
+
+class CurrentDetailsNode extends Node {
+
+  /**
+   * @param {Object[]} sentences - each {dependencies: Property[], derivation: function(...*):string|null}, like the
+   *                               arguments of a DerivedProperty. Sentences that derive null are omitted.
+   * @param {Object} [options]
+   */
+  constructor( sentences, options ) {
+
+    options = merge( {
+
+      // {boolean} - whether to include the "Read current details" button
+      includeReadButton: true,
+
+      // a11y
+      tagName: 'div'
+    }, options );
+
+    super( options );
+
+    // @private
+    this.paragraphNode = new Node( { tagName: 'p' } );
+    this.addChild( this.paragraphNode );
+
+    // @private {DerivedProperty.<string|null>[]}
+    this.sentenceProperties = [];
+
+    // @private
+    this.updateParagraph = () => {
+      this.paragraphNode.innerContent = this.getDetailsString();
+    };
+
+    sentences.forEach( sentence => this.addSentence( sentence.dependencies, sentence.derivation ) );
+
+    // @private {Node|null}
+    this.readButton = null;
+
+    // @private {function(string)|null} - translates the button when the locale changes
+    this.readButtonListener = null;
+    if ( options.includeReadButton ) {
+
+      // reused so that pressing the button repeatedly only reads the latest details once
+      const utterance = new Utterance();
+      this.readButton = new Node( { tagName: 'button' } );
+      this.readButtonListener = readCurrentDetails => { this.readButton.innerContent = readCurrentDetails; };
+      readCurrentDetailsStringProperty.link( this.readButtonListener );
+
+      this.readButton.addInputListener( {
+        click: () => {
+          utterance.alert = this.getDetailsString();
+          if ( utterance.alert ) {
+            SpeechOutput.alert( utterance );
+          }
+        }
+      } );
+      this.addChild( this.readButton );
+    }
+  }
+
+  /**
+   * Adds a sentence after the other sentences.
+   * @param {Property[]} dependencies
+   * @param {function(...*):string|null} derivation - null to omit the sentence
+   * @public
+   */
+  addSentence( dependencies, derivation ) {
+    const sentenceProperty = new DerivedProperty( dependencies, derivation );
+    this.sentenceProperties.push( sentenceProperty );
+    sentenceProperty.link( this.updateParagraph );
+  }
+
+  /**
+   * Gets the current sentences, joined into a paragraph.
+   * @returns {string|null} - null if there are no sentences
+   * @public
+   */
+  getDetailsString() {
+    const sentences = this.sentenceProperties.map( property => property.value ).filter( sentence => !!sentence );
+    return sentences.length > 0 ? sentences.join( ' ' ) : null;
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  dispose() {
+    this.sentenceProperties.forEach( property => property.dispose() );
+    this.readButtonListener && readCurrentDetailsStringProperty.unlink( this.readButtonListener );
+    super.dispose();
+  }
+}
+
+sceneryPhet.register( 'CurrentDetailsNode', CurrentDetailsNode );
+export default CurrentDetailsNode;
@@ -0,0 +1,41 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for CurrentDetailsNode
+ *
+ * @author agent <agent@local>
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import CurrentDetailsNode from './CurrentDetailsNode.js';
+
+QUnit.module( 'CurrentDetailsNode' );
+
+QUnit.test( 'sentences', assert => {
+  const ballCountProperty = new NumberProperty( 2 );
+  const isBoxOpenProperty = new BooleanProperty( false );
+
+  const currentDetailsNode = new CurrentDetailsNode( [ {
+    dependencies: [ ballCountProperty ],
+    derivation: ballCount => `There are ${ballCount} balls in the box.`
+  }, {
+    dependencies: [ isBoxOpenProperty ],
+    derivation: isBoxOpen => isBoxOpen ? 'The box is open.' : null
+  } ] );
+  const paragraphNode = currentDetailsNode.children[ 0 ];
+
+  assert.equal( paragraphNode.innerContent, 'There are 2 balls in the box.', 'null sentences are omitted' );
+
+  ballCountProperty.value = 3;
+  isBoxOpenProperty.value = true;
+  assert.equal( paragraphNode.innerContent, 'There are 3 balls in the box. The box is open.', 'updates with dependencies' );
+
+  currentDetailsNode.addSentence( [ ballCountProperty, isBoxOpenProperty ],
+    ( ballCount, isBoxOpen ) => isBoxOpen && ballCount > 0 ? 'You can take a ball.' : null );
+  assert.equal( currentDetailsNode.getDetailsString(), 'There are 3 balls in the box. The box is open. You can take a ball.',
+    'addSentence' );
+
+  currentDetailsNode.dispose();
+  assert.ok( !ballCountProperty.hasListeners(), 'dispose unlinks dependencies' );
+} );
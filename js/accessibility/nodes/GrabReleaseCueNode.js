@@ -1,14 +1,18 @@
 // Copyright 2018-2020, University of Colorado Boulder
 
 /**
- * A Node that displays a visual queue to use space to grab and release a component.
+ * A Node that displays a visual queue to use space (or the key that the user has chosen) to grab and release a
+ * component.
  * @author Michael Kauzmann (PhET Interactive Simulations)
  */
 
 import merge from '../../../../phet-core/js/merge.js';
 import HBox from '../../../../scenery/js/nodes/HBox.js';
+import Node from '../../../../scenery/js/nodes/Node.js';
 import RichText from '../../../../scenery/js/nodes/RichText.js';
 import Panel from '../../../../sun/js/Panel.js';
+import KeyboardHelpIconFactory from '../../keyboard/help/KeyboardHelpIconFactory.js';
+import keyboardShortcuts from '../../keyboard/keyboardShortcuts.js';
 import SpaceKeyNode from '../../keyboard/SpaceKeyNode.js';
 import PhetFont from '../../PhetFont.js';
 import sceneryPhetStrings from '../../scenery-phet-strings.js';
@@ -36,16 +40,41 @@ class GrabReleaseCueNode extends Panel {
     }, options );
 
 
-    // Create the help content for the space key to pick up the draggable item
-    const spaceKeyNode = new SpaceKeyNode( { keyHeight: options.keyHeight, minKeyWidth: options.spaceKeyWidth } );
+    // Create the help content for the space key to pick up the draggable item. If the user has chosen other keys for
+    // grabbing and releasing, the first of them is shown instead.
+    const grabOrReleaseShortcut = keyboardShortcuts.getShortcut( 'grabDrag.grabOrRelease' );
+    const keyParent = new Node();
+    const updateKey = () => {
+      const binding = grabOrReleaseShortcut.bindings[ 0 ];
+      keyParent.children = [ _.isEqual( binding, { modifiers: [], keys: [ 'space' ] } ) ?
+                             new SpaceKeyNode( { keyHeight: options.keyHeight, minKeyWidth: options.spaceKeyWidth } ) :
+                             KeyboardHelpIconFactory.bindingIcon( binding ) ];
+    };
+    updateKey();
+    grabOrReleaseShortcut.bindingsChangedEmitter.addListener( updateKey );
+
     const spaceLabelText = new RichText( keyToGrabOrReleaseString, { font: new PhetFont( 12 ) } );
     const spaceKeyHBox = new HBox( {
-      children: [ spaceKeyNode, spaceLabelText ],
+      children: [ keyParent, spaceLabelText ],
       spacing: 10
     } );
 
     // rectangle containing the content, not visible until focused the first time
     super( spaceKeyHBox, options );
+
+    // @private
+    this.disposeGrabReleaseCueNode = () => {
+      grabOrReleaseShortcut.bindingsChangedEmitter.removeListener( updateKey );
+    };
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  dispose() {
+    this.disposeGrabReleaseCueNode();
+    super.dispose();
   }
 }
 
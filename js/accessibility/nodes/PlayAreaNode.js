@@ -6,6 +6,7 @@
  * content to be displayed under it in the PDOM. This content can be added as a child, or added via `accessibleOrder`.
  * Items in this section are designed to be the "main interaction and pedagogical learning" to be had for the screen.
  * See ScreenView for more documentation and usage explanation.
+ * ZoneMap can be used to describe where objects are in the play area, for instance in a listing of the objects.
  * @author Michael Kauzmann (PhET Interactive Simulations)
  */
 
@@ -15,14 +16,14 @@ import SceneryPhetA11yStrings from '../../SceneryPhetA11yStrings.js';
 import AccessibleSectionNode from '../AccessibleSectionNode.js';
 
 // A11y strings
-const playAreaString = SceneryPhetA11yStrings.playArea.value;
+const playAreaStringProperty = SceneryPhetA11yStrings.playArea;
 
 /**
  * @constructor
  * @param {Object} [options]
  */
 function PlayAreaNode( options ) {
-  AccessibleSectionNode.call( this, playAreaString, options );
+  AccessibleSectionNode.call( this, playAreaStringProperty, options );
 }
 
 sceneryPhet.register( 'PlayAreaNode', PlayAreaNode );
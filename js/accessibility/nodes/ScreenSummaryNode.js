@@ -7,10 +7,12 @@
  * proper place. TODO: Add assertions for this, see https://github.com/phetsims/joist/issues/511
  * USAGE: To add content to the screen overview in the PDOM, simply `this.screenSummaryNode.addChild( myNode() )` from
  * the ScreenView subtype, where myNode has accessible content to be displayed in the PDOM.
+ * For a description of the current state of the screen that updates with the model, add a CurrentDetailsNode.
  *
  * @author Michael Kauzmann (PhET Interactive Simulations)
  */
 
+import Property from '../../../../axon/js/Property.js';
 import inherit from '../../../../phet-core/js/inherit.js';
 import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
 import Node from '../../../../scenery/js/nodes/Node.js';
@@ -18,9 +20,10 @@ import sceneryPhet from '../../sceneryPhet.js';
 import SceneryPhetA11yStrings from '../../SceneryPhetA11yStrings.js';
 
 // a11y strings
-const screenSummaryMultiScreenIntroString = SceneryPhetA11yStrings.screenSummaryMultiScreenIntro.value;
-const screenSummaryKeyboardShortcutsHintString = SceneryPhetA11yStrings.screenSummaryKeyboardShortcutsHint.value;
-const screenSummarySingleScreenIntroPatternString = SceneryPhetA11yStrings.screenSummarySingleScreenIntroPattern.value;
+const screenSummaryMultiScreenIntroStringProperty = SceneryPhetA11yStrings.screenSummaryMultiScreenIntro;
+const screenSummaryKeyboardShortcutsHintStringProperty = SceneryPhetA11yStrings.screenSummaryKeyboardShortcutsHint;
+const screenSummarySingleScreenIntroPatternStringProperty =
+  SceneryPhetA11yStrings.screenSummarySingleScreenIntroPattern;
 
 /**
  * @constructor
@@ -32,16 +35,31 @@ function ScreenSummaryNode() {
   // @private
   this.openingSummaryNode = new Node( { tagName: 'p' } );
 
-  const keyboardShortcutsHint = new Node( {
-    tagName: 'p',
-    innerContent: screenSummaryKeyboardShortcutsHintString
-  } );
+  const keyboardShortcutsHint = new Node( { tagName: 'p' } );
+  const keyboardShortcutsHintListener = hint => { keyboardShortcutsHint.innerContent = hint; };
+  screenSummaryKeyboardShortcutsHintStringProperty.link( keyboardShortcutsHintListener );
 
   this.addChild( this.openingSummaryNode );
   this.addChild( keyboardShortcutsHint );
 
   // set the accessibleOrder so that the generic opening summary is first, and the keyboard shortcuts hint is last.
   this.accessibleOrder = [ this.openingSummaryNode, null, keyboardShortcutsHint ];
+
+  // @private {string|null} - see setIntroString
+  this.simName = null;
+  this.numberOfScreens = 0;
+
+  // the intro string is translated when the locale changes
+  const introStringMultilink = Property.multilink( [
+    screenSummaryMultiScreenIntroStringProperty,
+    screenSummarySingleScreenIntroPatternStringProperty
+  ], () => this.updateIntroString() );
+
+  // @private
+  this.disposeScreenSummaryNode = () => {
+    screenSummaryKeyboardShortcutsHintStringProperty.unlink( keyboardShortcutsHintListener );
+    introStringMultilink.dispose();
+  };
 }
 
 sceneryPhet.register( 'ScreenSummaryNode', ScreenSummaryNode );
@@ -56,11 +74,33 @@ export default inherit( Node, ScreenSummaryNode, {
    * @public
    */
   setIntroString: function( simName, numberOfScreens ) {
+    this.simName = simName;
+    this.numberOfScreens = numberOfScreens;
+    this.updateIntroString();
+  },
 
-    // different default string depending on if there are multiple screens
-    this.openingSummaryNode.innerContent = numberOfScreens > 1 ? screenSummaryMultiScreenIntroString :
-                                           StringUtils.fillIn( screenSummarySingleScreenIntroPatternString, {
-                                             sim: simName
-                                           } );
+  /**
+   * @private
+   */
+  updateIntroString: function() {
+    if ( this.simName !== null ) {
+
+      // different default string depending on if there are multiple screens
+      this.openingSummaryNode.innerContent = this.numberOfScreens > 1 ?
+                                             screenSummaryMultiScreenIntroStringProperty.value :
+                                             StringUtils.fillIn(
+                                               screenSummarySingleScreenIntroPatternStringProperty.value,
+                                               { sim: this.simName }
+                                             );
+    }
+  },
+
+  /**
+   * @public
+   * @override
+   */
+  dispose: function() {
+    this.disposeScreenSummaryNode();
+    Node.prototype.dispose.call( this );
   }
 } );
\ No newline at end of file
@@ -0,0 +1,90 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A speaker for SpeechOutput that records what would be spoken instead of speaking it, for tests and for running
+ * without speech synthesis. Speaking is finished with finishSpeaking, see SpeechSynthesisSpeaker for the interface.
+ *
+ * @author agent <agent@local>
+ */
+
+import sceneryPhet from '../../sceneryPhet.js';
+
+class RecordingSpeaker {
+
+  constructor() {
+
+    // @public (read-only) {Object[]} - each {text: string, voice: SpeechSynthesisVoice|null, rate: number,
+    // pitch: number, cancelled: boolean}, in the order that they started to be spoken
+    this.utterances = [];
+
+    // @private {function|null} - onEnd of the text that is being spoken
+    this.onEnd = null;
+  }
+
+  /**
+   * @param {string} text
+   * @param {{voice: SpeechSynthesisVoice|null, rate: number, pitch: number}} settings
+   * @param {function} onEnd
+   * @public
+   */
+  speak( text, settings, onEnd ) {
+    this.utterances.push( {
+      text: text,
+      voice: settings.voice,
+      rate: settings.rate,
+      pitch: settings.pitch,
+      cancelled: false
+    } );
+    this.onEnd = onEnd;
+  }
+
+  /**
+   * @public
+   */
+  cancel() {
+    if ( this.onEnd ) {
+      _.last( this.utterances ).cancelled = true;
+      this.onEnd = null;
+    }
+  }
+
+  /**
+   * @returns {SpeechSynthesisVoice[]}
+   * @public
+   */
+  getVoices() {
+    return [];
+  }
+
+  /**
+   * Whether text is being spoken, until finishSpeaking or cancel.
+   * @returns {boolean}
+   * @public
+   */
+  isSpeaking() {
+    return !!this.onEnd;
+  }
+
+  /**
+   * Finishes speaking the current text, like the end of speech synthesis.
+   * @public
+   */
+  finishSpeaking() {
+    assert && assert( this.onEnd, 'nothing is being spoken' );
+    const onEnd = this.onEnd;
+    this.onEnd = null;
+    onEnd();
+  }
+
+  /**
+   * Gets the texts that have been spoken, in order.
+   * @returns {string[]}
+   * @public
+   */
+  getTexts() {
+    return this.utterances.map( utterance => utterance.text );
+  }
+}
+
+sceneryPhet.register( 'RecordingSpeaker', RecordingSpeaker );
+export default RecordingSpeaker;
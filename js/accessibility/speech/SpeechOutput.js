@@ -0,0 +1,292 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Self-voicing output, which speaks alerts and the descriptions of Nodes so that description content reaches users
+ * that are not running a screen reader. Speech is done by a pluggable speaker, usually a SpeechSynthesisSpeaker for
+ * the Web Speech API, or a RecordingSpeaker for tests.
+ *
+ * Alerts are spoken one at a time from a queue that is ordered by AlertPriority, and then by when they were added.
+ * The interruption rules are:
+ * - An alert with a higher priority than the alert that is being spoken interrupts it, and the interrupted alert is
+ *   not spoken again.
+ * - Speaking an alertable that is being spoken or is in the queue replaces it, so that only the latest content of an
+ *   Utterance is spoken, like UtteranceQueue.
+ * - Alerts that are spoken with the interrupt option always interrupt.
+ *
+ * Utterances are spoken like UtteranceQueue announces them: they wait until their content has been stable for their
+ * alertStableDelay, they are skipped if their predicate is false when they would be spoken, and an Utterance with a
+ * list of alerts speaks the next alert of the list each time it is spoken.
+ *
+ * To speak the alerts of describers and interactions, set SpeechOutput.selfVoicingProperty to a SpeechOutput. They
+ * alert with SpeechOutput.alert, which adds an alert to the UtteranceQueue of the sim and also speaks it, so alerts
+ * should be added with SpeechOutput.alert instead of adding them to the UtteranceQueue directly.
+ *
+ * @author agent <agent@local>
+ */
+
+import BooleanProperty from '../../../../axon/js/BooleanProperty.js';
+import NumberProperty from '../../../../axon/js/NumberProperty.js';
+import Property from '../../../../axon/js/Property.js';
+import timer from '../../../../axon/js/timer.js';
+import Range from '../../../../dot/js/Range.js';
+import merge from '../../../../phet-core/js/merge.js';
+import StringUtils from '../../../../phetcommon/js/util/StringUtils.js';
+import Utterance from '../../../../utterance-queue/js/Utterance.js';
+import sceneryPhet from '../../sceneryPhet.js';
+import SceneryPhetA11yStrings from '../../SceneryPhetA11yStrings.js';
+import AlertPriority from '../AlertPriority.js';
+
+// a11y strings
+const nodeDescriptionPatternStringProperty = SceneryPhetA11yStrings.nodeDescriptionPattern;
+
+class SpeechOutput {
+
+  /**
+   * @param {SpeechSynthesisSpeaker|RecordingSpeaker} speaker
+   */
+  constructor( speaker ) {
+
+    // @public - settings for speaking, which apply to alerts that start to be spoken after they change
+    this.enabledProperty = new BooleanProperty( true );
+    this.voiceProperty = new Property( null ); // {Property.<SpeechSynthesisVoice|null>}, null for the default voice
+    this.rateProperty = new NumberProperty( 1, { range: new Range( 0.1, 10 ) } );
+    this.pitchProperty = new NumberProperty( 1, { range: new Range( 0, 2 ) } );
+
+    // @private
+    this.speaker = speaker;
+
+    // @private {Object[]} - alerts waiting to be spoken, each {alertable: AlertableDef, priority: AlertPriority,
+    // stableTimeout: function|null}, in the order that they will be spoken. An alert can be spoken when its
+    // stableTimeout is null, see speak.
+    this.queue = [];
+
+    // @private {Object|null} - the alert that is being spoken, like the items of the queue
+    this.current = null;
+
+    // @private {WeakMap.<Utterance,number>} - how many times each Utterance has been spoken, to speak the next alert of
+    // an Utterance with a list of alerts
+    this.timesSpoken = new WeakMap();
+
+    // stop speaking right away when disabled
+    const enabledListener = enabled => !enabled && this.clear();
+    this.enabledProperty.lazyLink( enabledListener );
+
+    // @private
+    this.disposeSpeechOutput = () => {
+      this.enabledProperty.unlink( enabledListener );
+      this.clear();
+      SpeechOutput.selfVoicingProperty.value === this && SpeechOutput.selfVoicingProperty.set( null );
+    };
+  }
+
+  /**
+   * Speaks an alert, according to the interruption rules at the top of this file.
+   * @param {AlertableDef} alertable
+   * @param {Object} [options]
+   * @public
+   */
+  speak( alertable, options ) {
+
+    options = merge( {
+
+      // {AlertPriority}
+      priority: AlertPriority.MEDIUM,
+
+      // {boolean} - whether to interrupt the alert that is being spoken, regardless of its priority
+      interrupt: false
+    }, options );
+    assert && assert( AlertPriority.includes( options.priority ), `invalid priority: ${options.priority}` );
+
+    if ( !this.enabledProperty.value || !alertable ) {
+      return;
+    }
+
+    const alert = { alertable: alertable, priority: options.priority, stableTimeout: null };
+
+    // only the latest content of an alertable is spoken
+    this.queue.filter( queuedAlert => queuedAlert.alertable === alertable ).forEach( clearStableTimeout );
+    this.queue = this.queue.filter( queuedAlert => queuedAlert.alertable !== alertable );
+
+    if ( this.current && ( options.interrupt || this.current.alertable === alertable ||
+                           AlertPriority.compare( alert.priority, this.current.priority ) > 0 ) ) {
+      this.current = null;
+      this.speaker.cancel();
+    }
+
+    // after queued alerts of the same or higher priority
+    const index = _.findIndex( this.queue, queuedAlert => AlertPriority.compare( alert.priority, queuedAlert.priority ) > 0 );
+    this.queue.splice( index === -1 ? this.queue.length : index, 0, alert );
+
+    // like UtteranceQueue, wait until the content of an Utterance has not changed for its alertStableDelay
+    const stableDelay = alertable instanceof Utterance ? alertable.alertStableDelay : 0;
+    if ( stableDelay > 0 ) {
+      alert.stableTimeout = timer.setTimeout( () => {
+        alert.stableTimeout = null;
+        this.speakNext();
+      }, stableDelay );
+    }
+
+    this.speakNext();
+  }
+
+  /**
+   * Speaks the accessible name and description of a Node, for instance when it receives focus.
+   * @param {Node} node
+   * @param {Object} [options] - see speak
+   * @public
+   */
+  speakNode( node, options ) {
+    this.speak( SpeechOutput.getNodeDescription( node ), options );
+  }
+
+  /**
+   * Stops speaking, and removes all alerts from the queue.
+   * @public
+   */
+  clear() {
+    this.queue.forEach( clearStableTimeout );
+    this.queue = [];
+    if ( this.current ) {
+      this.current = null;
+      this.speaker.cancel();
+    }
+  }
+
+  /**
+   * Whether an alert is being spoken.
+   * @returns {boolean}
+   * @public
+   */
+  isSpeaking() {
+    return !!this.current;
+  }
+
+  /**
+   * Speaks the first alert in the queue that can be spoken, if nothing is being spoken. Alerts whose predicate is
+   * false, or that have nothing to speak, are skipped.
+   * @private
+   */
+  speakNext() {
+    while ( !this.current ) {
+      const index = _.findIndex( this.queue, queuedAlert => !queuedAlert.stableTimeout );
+      if ( index === -1 ) {
+        return;
+      }
+
+      const alert = this.queue.splice( index, 1 )[ 0 ];
+      const text = this.getAlertText( alert.alertable );
+      if ( text ) {
+        this.current = alert;
+        this.speaker.speak( text, {
+          voice: this.voiceProperty.value,
+          rate: this.rateProperty.value,
+          pitch: this.pitchProperty.value
+        }, () => {
+
+          // ignore the end of alerts that were interrupted
+          if ( this.current === alert ) {
+            this.current = null;
+            this.speakNext();
+          }
+        } );
+      }
+    }
+  }
+
+  /**
+   * Gets the text to speak for an alert, the next alert of the list for an Utterance with a list of alerts.
+   * @param {AlertableDef} alertable
+   * @returns {string|null} - null if there is nothing to speak
+   * @private
+   */
+  getAlertText( alertable ) {
+    let alert = alertable;
+    if ( alertable instanceof Utterance ) {
+      if ( alertable.predicate && !alertable.predicate() ) {
+        return null;
+      }
+      alert = alertable.alert;
+
+      if ( Array.isArray( alert ) ) {
+        const timesSpoken = this.timesSpoken.get( alertable ) || 0;
+        this.timesSpoken.set( alertable, timesSpoken + 1 );
+        alert = alertable.loopAlerts ? alert[ timesSpoken % alert.length ] :
+                alert[ Math.min( timesSpoken, alert.length - 1 ) ];
+      }
+    }
+    if ( typeof alert === 'function' ) {
+      alert = alert();
+    }
+    return typeof alert === 'string' && alert.length > 0 ? alert : null;
+  }
+
+  /**
+   * @public
+   */
+  dispose() {
+    this.disposeSpeechOutput();
+  }
+
+  /**
+   * Adds an alert to an UtteranceQueue, and speaks it with the SpeechOutput of selfVoicingProperty, if there is one.
+   * HIGH priority alerts are added to the front of the UtteranceQueue.
+   * @param {AlertableDef} alertable
+   * @param {Object} [options]
+   * @public
+   */
+  static alert( alertable, options ) {
+
+    options = merge( {
+
+      // {AlertPriority}
+      priority: AlertPriority.MEDIUM,
+
+      // {UtteranceQueue|null} - null for the UtteranceQueue of the sim
+      utteranceQueue: null
+    }, options );
+
+    const utteranceQueue = options.utteranceQueue || phet.joist.sim.utteranceQueue;
+    if ( options.priority === AlertPriority.HIGH ) {
+      utteranceQueue.addToFront( alertable );
+    }
+    else {
+      utteranceQueue.addToBack( alertable );
+    }
+
+    const speechOutput = SpeechOutput.selfVoicingProperty.value;
+    speechOutput && speechOutput.speak( alertable, { priority: options.priority } );
+  }
+
+  /**
+   * Gets the text to speak for a Node, from its accessible name and description.
+   * @param {Node} node
+   * @returns {string|null} - null if the Node has no accessible content
+   * @public
+   */
+  static getNodeDescription( node ) {
+    const name = node.innerContent || node.labelContent || node.ariaLabel;
+    const description = node.descriptionContent;
+    return name && description ? StringUtils.fillIn( nodeDescriptionPatternStringProperty.value, {
+      name: name,
+      description: description
+    } ) : ( name || description || null );
+  }
+}
+
+/**
+ * Stops waiting for the alertStableDelay of a queued alert, see SpeechOutput.speak.
+ * @param {Object} alert - see SpeechOutput.queue
+ */
+function clearStableTimeout( alert ) {
+  alert.stableTimeout && timer.clearTimeout( alert.stableTimeout );
+  alert.stableTimeout = null;
+}
+
+// @public {Property.<SpeechOutput|null>} - the SpeechOutput that speaks the alerts of describers and interactions, see
+// SpeechOutput.alert. null when self-voicing is off.
+SpeechOutput.selfVoicingProperty = new Property( null, {
+  isValidValue: speechOutput => speechOutput === null || speechOutput instanceof SpeechOutput
+} );
+
+sceneryPhet.register( 'SpeechOutput', SpeechOutput );
+export default SpeechOutput;
@@ -0,0 +1,126 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for SpeechOutput
+ *
+ * @author agent <agent@local>
+ */
+
+import timer from '../../../../axon/js/timer.js';
+import Utterance from '../../../../utterance-queue/js/Utterance.js';
+import AlertPriority from '../AlertPriority.js';
+import RecordingSpeaker from './RecordingSpeaker.js';
+import SpeechOutput from './SpeechOutput.js';
+
+QUnit.module( 'SpeechOutput' );
+
+QUnit.test( 'queue', assert => {
+  const speaker = new RecordingSpeaker();
+  const speechOutput = new SpeechOutput( speaker );
+
+  speechOutput.speak( 'first' );
+  speechOutput.speak( 'second' );
+  assert.deepEqual( speaker.getTexts(), [ 'first' ], 'one alert at a time' );
+
+  speaker.finishSpeaking();
+  assert.deepEqual( speaker.getTexts(), [ 'first', 'second' ], 'next alert after the end' );
+  speaker.finishSpeaking();
+  assert.ok( !speechOutput.isSpeaking(), 'queue is empty' );
+
+  speechOutput.rateProperty.value = 2;
+  speechOutput.pitchProperty.value = 0.5;
+  speechOutput.speak( 'settings' );
+  assert.equal( _.last( speaker.utterances ).rate, 2, 'rate' );
+  assert.equal( _.last( speaker.utterances ).pitch, 0.5, 'pitch' );
+
+  speechOutput.enabledProperty.value = false;
+  assert.ok( _.last( speaker.utterances ).cancelled, 'disabling stops speaking' );
+  speechOutput.speak( 'disabled' );
+  assert.ok( !speaker.isSpeaking(), 'nothing is spoken while disabled' );
+
+  speechOutput.dispose();
+} );
+
+QUnit.test( 'interruption', assert => {
+  const speaker = new RecordingSpeaker();
+  const speechOutput = new SpeechOutput( speaker );
+
+  speechOutput.speak( 'low', { priority: AlertPriority.LOW } );
+  speechOutput.speak( 'also low', { priority: AlertPriority.LOW } );
+  assert.deepEqual( speaker.getTexts(), [ 'low' ], 'the same priority does not interrupt' );
+  speechOutput.speak( 'high', { priority: AlertPriority.HIGH } );
+  assert.deepEqual( speaker.getTexts(), [ 'low', 'high' ], 'higher priority interrupts' );
+  assert.ok( speaker.utterances[ 0 ].cancelled, 'interrupted alert is cancelled' );
+
+  speaker.finishSpeaking();
+  assert.deepEqual( speaker.getTexts(), [ 'low', 'high', 'also low' ], 'interrupted alert is not spoken again' );
+  speaker.finishSpeaking();
+
+  // the same Utterance is replaced by its latest content
+  const utterance = new Utterance( { alert: 'moved left', alertStableDelay: 0 } );
+  speechOutput.speak( 'other' );
+  speechOutput.speak( utterance );
+  utterance.alert = 'moved right';
+  speechOutput.speak( utterance );
+  speaker.finishSpeaking();
+  assert.equal( _.last( speaker.getTexts() ), 'moved right', 'latest content of an Utterance' );
+  speechOutput.speak( 'interrupting', { interrupt: true } );
+  const texts = speaker.getTexts();
+  assert.deepEqual( texts.slice( -2 ), [ 'moved right', 'interrupting' ], 'interrupt option' );
+  assert.ok( speaker.utterances[ texts.length - 2 ].cancelled, 'interrupted by the interrupt option' );
+  assert.equal( speaker.getTexts().filter( text => text === 'moved left' ).length, 0, 'replaced content is not spoken' );
+
+  speechOutput.dispose();
+} );
+
+QUnit.test( 'Utterances', assert => {
+  const speaker = new RecordingSpeaker();
+  const speechOutput = new SpeechOutput( speaker );
+
+  // waits until the content has been stable for the alertStableDelay
+  const utterance = new Utterance( { alert: 'moving', alertStableDelay: 100 } );
+  speechOutput.speak( utterance );
+  timer.emit( 0.08 );
+  speechOutput.speak( utterance );
+  timer.emit( 0.08 );
+  assert.ok( !speechOutput.isSpeaking(), 'not spoken while it changes' );
+  timer.emit( 0.03 );
+  assert.deepEqual( speaker.getTexts(), [ 'moving' ], 'spoken when stable' );
+  speaker.finishSpeaking();
+
+  // skipped when the predicate is false
+  let canSpeak = false;
+  speechOutput.speak( new Utterance( { alert: 'skipped', alertStableDelay: 0, predicate: () => canSpeak } ) );
+  assert.ok( !speechOutput.isSpeaking(), 'predicate' );
+
+  // the alerts of a list are spoken in turn, and the last one is repeated
+  canSpeak = true;
+  const listUtterance = new Utterance( { alert: [ 'first', 'second' ], alertStableDelay: 0 } );
+  _.times( 3, () => {
+    speechOutput.speak( listUtterance );
+    speaker.finishSpeaking();
+  } );
+  assert.deepEqual( speaker.getTexts().slice( 1 ), [ 'first', 'second', 'second' ], 'list of alerts' );
+
+  speechOutput.dispose();
+} );
+
+QUnit.test( 'alert', assert => {
+  const speaker = new RecordingSpeaker();
+  const speechOutput = new SpeechOutput( speaker );
+  const added = [];
+  const utteranceQueue = {
+    addToBack: alertable => added.push( alertable ),
+    addToFront: alertable => added.unshift( alertable )
+  };
+
+  SpeechOutput.alert( 'not spoken', { utteranceQueue: utteranceQueue } );
+  SpeechOutput.selfVoicingProperty.value = speechOutput;
+  SpeechOutput.alert( 'released', { utteranceQueue: utteranceQueue } );
+  SpeechOutput.alert( 'paused', { utteranceQueue: utteranceQueue, priority: AlertPriority.HIGH } );
+  assert.deepEqual( added, [ 'paused', 'not spoken', 'released' ], 'added to the UtteranceQueue' );
+  assert.deepEqual( speaker.getTexts(), [ 'released', 'paused' ], 'spoken by the self-voicing SpeechOutput' );
+
+  speechOutput.dispose();
+  assert.equal( SpeechOutput.selfVoicingProperty.value, null, 'self-voicing is off when its SpeechOutput is disposed' );
+} );
@@ -0,0 +1,83 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * The speaker of SpeechOutput that speaks with the Web Speech API. A speaker speaks one text at a time, and calls back
+ * when the text is done, so that SpeechOutput can manage its own queue. See RecordingSpeaker for the same interface
+ * without speech synthesis.
+ *
+ * @author agent <agent@local>
+ */
+
+import sceneryPhet from '../../sceneryPhet.js';
+
+class SpeechSynthesisSpeaker {
+
+  /**
+   * @param {SpeechSynthesis} [speechSynthesis] - defaults to window.speechSynthesis
+   */
+  constructor( speechSynthesis ) {
+
+    // @private {SpeechSynthesis}
+    this.speechSynthesis = speechSynthesis || window.speechSynthesis;
+    assert && assert( this.speechSynthesis, 'speech synthesis is not supported, see SpeechSynthesisSpeaker.isSupported' );
+
+    // @private {SpeechSynthesisUtterance|null} - Some browsers stop speaking an utterance that is garbage collected
+    // before it ends, so a reference is kept while it is spoken.
+    this.speechSynthesisUtterance = null;
+  }
+
+  /**
+   * Speaks text. SpeechOutput only speaks text when nothing is being spoken, or after cancel.
+   * @param {string} text
+   * @param {{voice: SpeechSynthesisVoice|null, rate: number, pitch: number}} settings
+   * @param {function} onEnd - called when the text has been spoken, or speaking it failed
+   * @public
+   */
+  speak( text, settings, onEnd ) {
+    const speechSynthesisUtterance = new window.SpeechSynthesisUtterance( text );
+    speechSynthesisUtterance.voice = settings.voice;
+    speechSynthesisUtterance.rate = settings.rate;
+    speechSynthesisUtterance.pitch = settings.pitch;
+
+    const end = () => {
+      if ( this.speechSynthesisUtterance === speechSynthesisUtterance ) {
+        this.speechSynthesisUtterance = null;
+      }
+      onEnd();
+    };
+    speechSynthesisUtterance.onend = end;
+    speechSynthesisUtterance.onerror = end;
+
+    this.speechSynthesisUtterance = speechSynthesisUtterance;
+    this.speechSynthesis.speak( speechSynthesisUtterance );
+  }
+
+  /**
+   * Stops speaking. The onEnd callback of the text that was being spoken may still be called.
+   * @public
+   */
+  cancel() {
+    this.speechSynthesisUtterance = null;
+    this.speechSynthesis.cancel();
+  }
+
+  /**
+   * @returns {SpeechSynthesisVoice[]} - may be empty until the browser has loaded its voices
+   * @public
+   */
+  getVoices() {
+    return this.speechSynthesis.getVoices();
+  }
+
+  /**
+   * Whether the browser supports the Web Speech API.
+   * @returns {boolean}
+   * @public
+   */
+  static isSupported() {
+    return !!( window.speechSynthesis && window.SpeechSynthesisUtterance );
+  }
+}
+
+sceneryPhet.register( 'SpeechSynthesisSpeaker', SpeechSynthesisSpeaker );
+export default SpeechSynthesisSpeaker;
@@ -7,6 +7,7 @@
  * @author Sam Reid
  */
 
+import Property from '../../../axon/js/Property.js';
 import InstanceRegistry from '../../../phet-core/js/documentation/InstanceRegistry.js';
 import inherit from '../../../phet-core/js/inherit.js';
 import merge from '../../../phet-core/js/merge.js';
@@ -21,8 +22,8 @@ import sceneryPhet from '../sceneryPhet.js';
 import SceneryPhetA11yStrings from '../SceneryPhetA11yStrings.js';
 
 // a11y strings
-const playString = SceneryPhetA11yStrings.playString.value;
-const pauseString = SceneryPhetA11yStrings.pauseString.value;
+const playStringProperty = SceneryPhetA11yStrings.playString;
+const pauseStringProperty = SceneryPhetA11yStrings.pauseString;
 
 // constants
 const DEFAULT_RADIUS = 28;
@@ -78,17 +79,21 @@ function PlayPauseButton( isPlayingProperty, options ) {
     // so we don't scale down the button immediately if isPlayingProperty is initially false
     const runningScale = oldValue === null ? 1 : 1 / options.scaleFactorWhenPaused;
     self.scale( running ? runningScale : options.scaleFactorWhenPaused );
-
-    // PDOM - accessible name for the button
-    self.innerContent = running ? pauseString : playString;
   };
   isPlayingProperty.link( isPlayingListener );
 
+  // PDOM - accessible name for the button, in the current locale
+  const innerContentMultilink = Property.multilink( [ isPlayingProperty, playStringProperty, pauseStringProperty ],
+    function( running, playString, pauseString ) {
+      self.innerContent = running ? pauseString : playString;
+    } );
+
   // @private
   this.disposePlayPauseButton = function() {
     if ( isPlayingProperty.hasListener( isPlayingListener ) ) {
       isPlayingProperty.unlink( isPlayingListener );
     }
+    Property.unmultilink( innerContentMultilink );
   };
 
   // support for binder documentation, stripped out in builds and only runs when ?binder is specified
@@ -16,6 +16,7 @@ import resetAllSoundPlayer from '../../../tambo/js/shared-sound-players/resetAll
 import Tandem from '../../../tandem/js/Tandem.js';
 import BooleanIO from '../../../tandem/js/types/BooleanIO.js';
 import ActivationUtterance from '../../../utterance-queue/js/ActivationUtterance.js';
+import SpeechOutput from '../accessibility/speech/SpeechOutput.js';
 import PhetColorScheme from '../PhetColorScheme.js';
 import sceneryPhet from '../sceneryPhet.js';
 import SceneryPhetA11yStrings from '../SceneryPhetA11yStrings.js';
@@ -27,9 +28,9 @@ const RESET_ALL_BUTTON_RADIUS = 20.8;
 
 // sounds
 
-// a11y strings - not translatable
-const resetAllButtonNameString = SceneryPhetA11yStrings.resetAllLabelString.value;
-const resetAllAlertString = SceneryPhetA11yStrings.resetAllAlertString.value;
+// a11y strings
+const resetAllButtonNameStringProperty = SceneryPhetA11yStrings.resetAllLabelString;
+const resetAllAlertStringProperty = SceneryPhetA11yStrings.resetAllAlertString;
 
 /**
  * @param {Object} [options]
@@ -56,8 +57,8 @@ function ResetAllButton( options ) {
     // sound generation
     soundPlayer: resetAllSoundPlayer,
 
-    // a11y
-    innerContent: resetAllButtonNameString
+    // a11y - innerContent is null for the default in the current locale
+    innerContent: null
   }, options );
 
   const passedInListener = options.listener;
@@ -74,6 +75,17 @@ function ResetAllButton( options ) {
 
   ResetButton.call( this, options );
 
+  // a11y - the default innerContent is updated when the locale changes
+  const innerContentListener = innerContent => {
+    this.innerContent = innerContent;
+  };
+  !options.innerContent && resetAllButtonNameStringProperty.link( innerContentListener );
+
+  // @private
+  this.disposeResetAllButton = () => {
+    !options.innerContent && resetAllButtonNameStringProperty.unlink( innerContentListener );
+  };
+
   // @private - Mirrored property of `buttonModel.isFiringProperty`, but is phet-io instrumented.
   this.isFiringProperty = new DerivedProperty( [ this.buttonModel.isFiringProperty ], function( a ) { return a; }, {
     tandem: options.tandem.createTandem( 'isFiringProperty' ),
@@ -85,7 +97,7 @@ function ResetAllButton( options ) {
   // a11y - when reset all button is fired, disable alerts so that there isn't an excessive stream of alerts
   // while many Properties are reset. When callbacks are ended for reset all, enable alerts again and announce an
   // alert that everything was reset.
-  const resetUtterance = new ActivationUtterance( { alert: resetAllAlertString } );
+  const resetUtterance = new ActivationUtterance();
   this.isFiringProperty.lazyLink( function( isFiring ) {
     phet.joist.sim.utteranceQueue.enabled = !isFiring;
 
@@ -93,7 +105,11 @@ function ResetAllButton( options ) {
       phet.joist.sim.utteranceQueue.clear();
     }
     else {
-      phet.joist.sim.utteranceQueue.addToBack( resetUtterance );
+      resetUtterance.alert = resetAllAlertStringProperty.value;
+
+      // like the UtteranceQueue, self-voicing doesn't speak the alerts of Properties that were reset
+      SpeechOutput.selfVoicingProperty.value && SpeechOutput.selfVoicingProperty.value.clear();
+      SpeechOutput.alert( resetUtterance );
     }
   } );
 }
@@ -108,6 +124,7 @@ export default inherit( ResetButton, ResetAllButton, {
    */
   dispose: function() {
 
+    this.disposeResetAllButton();
     this.isFiringProperty.dispose();
 
     ResetButton.prototype.dispose.call( this );
@@ -16,6 +16,7 @@ import Node from '../../../scenery/js/nodes/Node.js';
 import Path from '../../../scenery/js/nodes/Path.js';
 import BooleanRectangularToggleButton from '../../../sun/js/buttons/BooleanRectangularToggleButton.js';
 import FontAwesomeNode from '../../../sun/js/FontAwesomeNode.js';
+import SpeechOutput from '../accessibility/speech/SpeechOutput.js';
 import PhetColorScheme from '../PhetColorScheme.js';
 import sceneryPhet from '../sceneryPhet.js';
 import SceneryPhetA11yStrings from '../SceneryPhetA11yStrings.js';
@@ -27,9 +28,9 @@ const MARGIN = 4;
 const X_WIDTH = WIDTH * 0.25; // Empirically determined.
 
 // a11y strings
-const soundToggleLabelString = SceneryPhetA11yStrings.soundToggleLabelString.value;
-const simSoundOnString = SceneryPhetA11yStrings.simSoundOnString.value;
-const simSoundOffString = SceneryPhetA11yStrings.simSoundOffString.value;
+const soundToggleLabelStringProperty = SceneryPhetA11yStrings.soundToggleLabelString;
+const simSoundOnStringProperty = SceneryPhetA11yStrings.simSoundOnString;
+const simSoundOffStringProperty = SceneryPhetA11yStrings.simSoundOffString;
 
 /**
  *
@@ -55,27 +56,34 @@ function SoundToggleButton( property, options ) {
   } );
   soundOffNode.addChild( soundOffX );
 
-  BooleanRectangularToggleButton.call( this, soundOnNode, soundOffNode, property, merge( {
+  options = merge( {
     baseColor: PhetColorScheme.BUTTON_YELLOW,
     minWidth: WIDTH,
     minHeight: HEIGHT,
     xMargin: MARGIN,
     yMargin: MARGIN,
 
-    // a11y
+    // a11y - innerContent is null for the default in the current locale
     tagName: 'button',
-    innerContent: soundToggleLabelString
-  }, options ) );
+    innerContent: null
+  }, options );
+
+  BooleanRectangularToggleButton.call( this, soundOnNode, soundOffNode, property, options );
 
   const self = this;
 
+  // a11y - the default innerContent is updated when the locale changes
+  const innerContentListener = function( innerContent ) {
+    self.innerContent = innerContent;
+  };
+  !options.innerContent && soundToggleLabelStringProperty.link( innerContentListener );
+
   // accessible attribute lets user know when the toggle is pressed, linked lazily so that an alert isn't triggered
   // on construction and must be unlinked in dispose
   const pressedListener = function( value ) {
     self.setAccessibleAttribute( 'aria-pressed', !value );
 
-    const alertString = value ? simSoundOnString : simSoundOffString;
-    phet.joist.sim.utteranceQueue.addToBack( alertString );
+    SpeechOutput.alert( value ? simSoundOnStringProperty.value : simSoundOffStringProperty.value );
   };
   property.lazyLink( pressedListener );
   self.setAccessibleAttribute( 'aria-pressed', !property.get() );
@@ -83,6 +91,7 @@ function SoundToggleButton( property, options ) {
   // @private - make eligible for garbage collection
   this.disposeSoundToggleButton = function() {
     property.unlink( pressedListener );
+    !options.innerContent && soundToggleLabelStringProperty.unlink( innerContentListener );
   };
 
   // support for binder documentation, stripped out in builds and only runs when ?binder is specified
@@ -17,13 +17,14 @@ import Path from '../../../scenery/js/nodes/Path.js';
 import Rectangle from '../../../scenery/js/nodes/Rectangle.js';
 import RoundPushButton from '../../../sun/js/buttons/RoundPushButton.js';
 import stepForwardSoundPlayer from '../../../tambo/js/shared-sound-players/stepForwardSoundPlayer.js';
+import localeProperty from '../localeProperty.js';
 import sceneryPhet from '../sceneryPhet.js';
 import SceneryPhetA11yStrings from '../SceneryPhetA11yStrings.js';
 
 // a11y strings
-const stepForwardString = SceneryPhetA11yStrings.stepForwardString.value;
-const stepPlayingDescriptionString = SceneryPhetA11yStrings.stepPlayingDescriptionString.value;
-const stepPausedDescriptionString = SceneryPhetA11yStrings.stepPausedDescriptionString.value;
+const stepForwardStringProperty = SceneryPhetA11yStrings.stepForwardString;
+const stepPlayingDescriptionStringProperty = SceneryPhetA11yStrings.stepPlayingDescriptionString;
+const stepPausedDescriptionStringProperty = SceneryPhetA11yStrings.stepPausedDescriptionString;
 
 /**
  * @param {Object} [options] - see RoundPushButton
@@ -52,8 +53,8 @@ function StepButton( options ) {
     // use the step-forward sound by default
     soundPlayer: stepForwardSoundPlayer,
 
-    // PDOM
-    innerContent: stepForwardString,
+    // PDOM - innerContent is null for the default in the current locale
+    innerContent: null,
     appendDescription: true
   }, options );
 
@@ -85,20 +86,30 @@ function StepButton( options ) {
   options.content = stepIcon;
 
   RoundPushButton.call( this, options );
+  const self = this;
+
+  // PDOM - the default innerContent and the description are in the current locale, and updated when it changes
+  const updateAccessibleContent = function() {
+    self.innerContent = options.innerContent || stepForwardStringProperty.value;
+    if ( options.isPlayingProperty ) {
+      self.descriptionContent = options.isPlayingProperty.value ? stepPlayingDescriptionStringProperty.value :
+                                stepPausedDescriptionStringProperty.value;
+    }
+  };
+  localeProperty.link( updateAccessibleContent );
 
   // Disable the button when the sim is playing
   if ( options.isPlayingProperty ) {
-    const self = this;
     var playingObserver = function( playing ) {
       self.enabled = !playing;
-
-      self.descriptionContent = playing ? stepPlayingDescriptionString : stepPausedDescriptionString;
+      updateAccessibleContent();
     };
     options.isPlayingProperty.link( playingObserver );
   }
 
   // @private
   this.disposeStepButton = function() {
+    localeProperty.unlink( updateAccessibleContent );
     options.isPlayingProperty && options.isPlayingProperty.unlink( playingObserver );
   };
 
@@ -12,6 +12,7 @@
 import BooleanProperty from '../../../axon/js/BooleanProperty.js';
 import DerivedProperty from '../../../axon/js/DerivedProperty.js';
 import Emitter from '../../../axon/js/Emitter.js';
+import EnumerationProperty from '../../../axon/js/EnumerationProperty.js';
 import NumberProperty from '../../../axon/js/NumberProperty.js';
 import Property from '../../../axon/js/Property.js';
 import StringProperty from '../../../axon/js/StringProperty.js';
@@ -25,7 +26,6 @@ import inherit from '../../../phet-core/js/inherit.js';
 import merge from '../../../phet-core/js/merge.js';
 import ModelViewTransform2 from '../../../phetcommon/js/view/ModelViewTransform2.js';
 import DragListener from '../../../scenery/js/listeners/DragListener.js';
-import KeyboardDragListener from '../../../scenery/js/listeners/KeyboardDragListener.js';
 import Circle from '../../../scenery/js/nodes/Circle.js';
 import HBox from '../../../scenery/js/nodes/HBox.js';
 import Node from '../../../scenery/js/nodes/Node.js';
@@ -44,7 +44,11 @@ import HSlider from '../../../sun/js/HSlider.js';
 import Panel from '../../../sun/js/Panel.js';
 import VSlider from '../../../sun/js/VSlider.js';
 import Tandem from '../../../tandem/js/Tandem.js';
+import DropTarget from '../accessibility/DropTarget.js';
+import DropTargetRegistry from '../accessibility/DropTargetRegistry.js';
 import GrabDragInteraction from '../accessibility/GrabDragInteraction.js';
+import GroupGrabDragInteraction from '../accessibility/GroupGrabDragInteraction.js';
+import ShortcutKeyboardDragListener from '../accessibility/ShortcutKeyboardDragListener.js';
 import ArrowNode from '../ArrowNode.js';
 import BicyclePumpNode from '../BicyclePumpNode.js';
 import BracketNode from '../BracketNode.js';
@@ -70,10 +74,17 @@ import GeneralKeyboardHelpSection from '../keyboard/help/GeneralKeyboardHelpSect
 import KeyboardHelpIconFactory from '../keyboard/help/KeyboardHelpIconFactory.js';
 import KeyboardHelpSection from '../keyboard/help/KeyboardHelpSection.js';
 import SliderKeyboardHelpSection from '../keyboard/help/SliderKeyboardHelpSection.js';
+import KeyboardShortcut from '../keyboard/KeyboardShortcut.js';
+import keyboardShortcuts from '../keyboard/keyboardShortcuts.js';
 import LetterKeyNode from '../keyboard/LetterKeyNode.js';
+import RebindShortcutNode from '../keyboard/RebindShortcutNode.js';
 import ShiftKeyNode from '../keyboard/ShiftKeyNode.js';
 import TabKeyNode from '../keyboard/TabKeyNode.js';
 import TextKeyNode from '../keyboard/TextKeyNode.js';
+import ExpressionAccumulator from '../keypad/ExpressionAccumulator.js';
+import ExpressionDisplayNode from '../keypad/ExpressionDisplayNode.js';
+import FractionAccumulator from '../keypad/FractionAccumulator.js';
+import FractionDisplayNode from '../keypad/FractionDisplayNode.js';
 import Keypad from '../keypad/Keypad.js';
 import LaserPointerNode from '../LaserPointerNode.js';
 import MeasuringTapeNode from '../MeasuringTapeNode.js';
@@ -88,11 +99,14 @@ import RulerNode from '../RulerNode.js';
 import sceneryPhet from '../sceneryPhet.js';
 import sceneryPhetQueryParameters from '../sceneryPhetQueryParameters.js';
 import ScientificNotationNode from '../ScientificNotationNode.js';
+import SonificationMapping from '../sonification/SonificationMapping.js';
 import SpectrumNode from '../SpectrumNode.js';
 import StarNode from '../StarNode.js';
 import Stopwatch from '../Stopwatch.js';
 import StopwatchNode from '../StopwatchNode.js';
 import ThermometerNode from '../ThermometerNode.js';
+import TimeControlNode from '../TimeControlNode.js';
+import TimeSpeed from '../TimeSpeed.js';
 import WireNode from '../WireNode.js';
 
 // constants
@@ -124,10 +138,13 @@ function ComponentsScreenView( options ) {
     { label: 'FormulaNode', createNode: demoFormulaNode },
     { label: 'GaugeNode', createNode: demoGaugeNode },
     { label: 'GrabDragInteraction', createNode: getDemoGrabDragInteraction( options.tandem ) },
+    { label: 'GroupGrabDragInteraction', createNode: getDemoGroupGrabDragInteraction( options.tandem ) },
     { label: 'HandleNode', createNode: demoHandleNode },
     { label: 'HeaterCoolerNode', createNode: demoHeaterCoolerNode },
     { label: 'KeyNode', createNode: demoKeyNode },
     { label: 'KeyboardHelpContent', createNode: demoHelpContent },
+    { label: 'ExpressionKeypad', createNode: demoExpressionKeypad },
+    { label: 'FractionKeypad', createNode: demoFractionKeypad },
     { label: 'Keypad', createNode: demoKeypad },
     { label: 'LaserPointerNode', createNode: demoLaserPointerNode },
     { label: 'MeasuringTapeNode', createNode: demoMeasuringTapeNode },
@@ -143,6 +160,7 @@ function ComponentsScreenView( options ) {
     { label: 'StarNode', createNode: demoStarNode },
     { label: 'StopwatchNode', createNode: demoStopwatchNode },
     { label: 'ThermometerNode', createNode: demoTemperatureNode },
+    { label: 'TimeControlNode', createNode: demoTimeControlNode },
     { label: 'WireNode', createNode: demoWireNode }
   ], merge( {
     comboBoxItemFont: new PhetFont( 12 ),
@@ -343,7 +361,8 @@ const demoConductivityTesterNode = function( layoutBounds ) {
     testerPositionProperty, positiveProbePositionProperty, negativeProbePositionProperty, {
       modelViewTransform: ModelViewTransform2.createOffsetScaleMapping( layoutBounds.center, 1 ), // move model origin to screen's center
       positiveProbeFill: 'orange',
-      cursor: 'pointer'
+      cursor: 'pointer',
+      measurementToolInteractionOptions: {}
     }
   );
   conductivityTesterNode.addInputListener( new MovableDragHandler( testerPositionProperty ) );
@@ -501,7 +520,11 @@ const demoGaugeNode = function( layoutBounds ) {
   const gaugeValueRange = new Range( -100, 100 );
   const sliderValueRange = new Range( gaugeValueRange.min - 20, gaugeValueRange.max + 20 );
 
-  const gaugeNode = new GaugeNode( valueProperty, 'GaugeNode', gaugeValueRange );
+  const gaugeNode = new GaugeNode( valueProperty, 'GaugeNode', gaugeValueRange, {
+    sonifierOptions: {
+      mapping: SonificationMapping.CLICK_RATE
+    }
+  } );
 
   return new VBox( {
     spacing: 15,
@@ -815,7 +838,8 @@ const demoMeasuringTapeNode = function( layoutBounds ) {
     textBackgroundCornerRadius: 5,
     dragBounds: layoutBounds,
     basePositionProperty: new Vector2Property( new Vector2( layoutBounds.centerX, layoutBounds.centerY ) ),
-    tipPositionProperty: new Vector2Property( new Vector2( layoutBounds.centerX + 100, layoutBounds.centerY ) )
+    tipPositionProperty: new Vector2Property( new Vector2( layoutBounds.centerX + 100, layoutBounds.centerY ) ),
+    measurementToolInteractionOptions: {}
   } );
 };
 
@@ -879,9 +903,15 @@ const demoNumberDisplay = function( layoutBounds ) {
   const numberDisplay = new NumberDisplay( property, range, numberDisplayOptions );
   const slider = new HSlider( property, range );
 
+  // To demonstrate significant figures, with scientific notation outside of [0.01,100)
+  const significantFiguresDisplay = new NumberDisplay( property, range, merge( {}, numberDisplayOptions, {
+    significantFigures: 3,
+    scientificNotationRange: new Range( 0.01, 100 )
+  } ) );
+
   return new VBox( {
     spacing: 40,
-    children: [ noValueDisplay, numberDisplay, slider ],
+    children: [ noValueDisplay, numberDisplay, significantFiguresDisplay, slider ],
     center: layoutBounds.center
   } );
 };
@@ -1026,7 +1056,16 @@ const demoHelpContent = function( layoutBounds ) {
       new VBox( {
         children: [
           new Panel( new GeneralKeyboardHelpSection() ),
-          new Panel( new GeneralKeyboardHelpSection( { withGroupContent: true } ) )
+          new Panel( new GeneralKeyboardHelpSection( { withGroupContent: true } ) ),
+
+          // help content is updated when the grab/release keys are changed
+          new Panel( KeyboardHelpSection.getGrabReleaseHelpSection( 'Book', 'book' ) ),
+          new RebindShortcutNode( keyboardShortcuts.getShortcut( 'grabDrag.grabOrRelease' ), keyboardShortcuts ),
+
+          // help content is updated when the keys that move grabbed objects are changed
+          new Panel( KeyboardHelpSection.fromShortcuts( 'Move Grabbed Objects',
+            keyboardShortcuts.getShortcuts( KeyboardShortcut.DRAGGABLE_SCOPE ) ) ),
+          new RebindShortcutNode( keyboardShortcuts.getShortcut( 'grabDrag.move' ), keyboardShortcuts )
         ],
         spacing: 10
       } )
@@ -1235,6 +1274,68 @@ const demoKeypad = function( layoutBounds ) {
 
 };
 
+// Creates a demo for Keypad with ExpressionAccumulator
+const demoExpressionKeypad = function( layoutBounds ) {
+
+  const accumulator = new ExpressionAccumulator();
+
+  const keypad = new Keypad( Keypad.ExpressionLayout, {
+    accumulator: accumulator
+  } );
+
+  const expressionDisplayNode = new ExpressionDisplayNode( accumulator, {
+    width: keypad.width
+  } );
+
+  const clearButton = new RectangularPushButton( {
+    content: new Text( 'Clear Keypad' ),
+    listener: () => keypad.clear()
+  } );
+
+  return new VBox( {
+    spacing: 20,
+    children: [ expressionDisplayNode, keypad, clearButton ],
+    center: layoutBounds.center
+  } );
+};
+
+// Creates a demo for Keypad with FractionAccumulator
+const demoFractionKeypad = function( layoutBounds ) {
+
+  const accumulator = new FractionAccumulator( {
+    maxWhole: 99,
+    maxNumerator: 99,
+    maxDenominator: 99
+  } );
+
+  const keypad = new Keypad( Keypad.MixedFractionLayout, {
+    accumulator: accumulator
+  } );
+
+  const fractionDisplayNode = new FractionDisplayNode( accumulator, {
+    maxWhole: 99,
+    maxNumerator: 99,
+    maxDenominator: 99
+  } );
+
+  // shows the value, to demonstrate that it's exact
+  const valueText = new Text( '', { font: new PhetFont( 16 ) } );
+  accumulator.valueProperty.link( value => {
+    valueText.text = value ? `value: ${value.toString()} = ${value.reduced().toString()}` : 'value: null';
+  } );
+
+  const clearButton = new RectangularPushButton( {
+    content: new Text( 'Clear Keypad' ),
+    listener: () => keypad.clear()
+  } );
+
+  return new VBox( {
+    spacing: 20,
+    children: [ fractionDisplayNode, valueText, keypad, clearButton ],
+    center: layoutBounds.center
+  } );
+};
+
 // Creates a demo for NumberPicker
 const demoNumberPicker = function( layoutBounds ) {
   return new NumberPicker( new Property( 0 ), new Property( new Range( -10, 10 ) ), {
@@ -1328,6 +1429,7 @@ const demoStopwatchNode = function( layoutBounds, options ) {
   // Create a StopwatchNode that doesn't show units (assumed to be seconds)
   const stopwatch = new Stopwatch( { isVisible: true, tandem: options.tandem.createTandem( 'stopwatch' ) } );
   const stopwatchNode = new StopwatchNode( stopwatch, {
+    includeLapButton: true,
     tandem: options.tandem.createTandem( 'unitlessStopwatchNode' )
   } );
 
@@ -1346,9 +1448,21 @@ const demoStopwatchNode = function( layoutBounds, options ) {
     tandem: options.tandem.createTandem( 'stopwatchNode' )
   } );
 
+  // Create a StopwatchNode that counts down from 30 seconds
+  const countdownStopwatch = new Stopwatch( {
+    isVisible: true,
+    countdownDuration: 30,
+    tandem: options.tandem.createTandem( 'countdownStopwatch' )
+  } );
+  const countdownStopwatchNode = new StopwatchNode( countdownStopwatch, {
+    stopwatchReadoutNodeOptions: { formatter: 'hoursMinutesSeconds' },
+    tandem: options.tandem.createTandem( 'countdownStopwatchNode' )
+  } );
+
   const stopwatchNodeListener = dt => {
     stopwatch.step( dt );
     mutableUnitsStopwatch.step( dt );
+    countdownStopwatch.step( dt );
   };
   emitter.addListener( stopwatchNodeListener );
   unitsProperty.link( function( units ) {
@@ -1369,7 +1483,10 @@ const demoStopwatchNode = function( layoutBounds, options ) {
     spacing: 20,
     center: layoutBounds.center,
     children: [
-      stopwatchNode,
+      new HBox( {
+        spacing: 20,
+        children: [ stopwatchNode, countdownStopwatchNode ]
+      } ),
       new HBox( {
         spacing: 20,
         children: [
@@ -1389,6 +1506,40 @@ const demoStopwatchNode = function( layoutBounds, options ) {
   return vBox;
 };
 
+// Creates a demo for TimeControlNode
+const demoTimeControlNode = function( layoutBounds, options ) {
+
+  const isPlayingProperty = new BooleanProperty( true );
+  const timeSpeedProperty = new EnumerationProperty( TimeSpeed, TimeSpeed.NORMAL );
+  const timeSpeeds = [ TimeSpeed.FAST, TimeSpeed.NORMAL, TimeSpeed.SLOW, TimeSpeed.VERY_SLOW ];
+
+  const radioButtonsTimeControlNode = new TimeControlNode( isPlayingProperty, {
+    timeSpeedProperty: timeSpeedProperty,
+    timeSpeeds: timeSpeeds,
+    tandem: options.tandem.createTandem( 'radioButtonsTimeControlNode' )
+  } );
+
+  const spinnerTimeControlNode = new TimeControlNode( isPlayingProperty, {
+    timeSpeedProperty: timeSpeedProperty,
+    timeSpeeds: timeSpeeds,
+    speedControlType: 'spinner',
+    tandem: options.tandem.createTandem( 'spinnerTimeControlNode' )
+  } );
+
+  // Shows the scale factor for the selected speed
+  const scaleFactorProperty = TimeSpeed.createScaleFactorProperty( timeSpeedProperty );
+  const scaleFactorText = new Text( '', { font: new PhetFont( 20 ) } );
+  scaleFactorProperty.link( scaleFactor => {
+    scaleFactorText.text = `scale factor: ${scaleFactor}`;
+  } );
+
+  return new VBox( {
+    spacing: 30,
+    center: layoutBounds.center,
+    children: [ radioButtonsTimeControlNode, spinnerTimeControlNode, scaleFactorText ]
+  } );
+};
+
 // Creates a demo for PaperAirplaneNode
 const demoPaperAirplaneNode = function( layoutBounds ) {
   const paperAirplaneNode = new PaperAirplaneNode( {
@@ -1408,7 +1559,10 @@ const demoTemperatureNode = function( layoutBounds ) {
     tubeWidth: 60,
     tubeHeight: 200,
     glassThickness: 6,
-    backgroundFill: 'yellow'
+    backgroundFill: 'yellow',
+    sonifierOptions: {
+      majorTickValues: [ 25, 50, 75 ]
+    }
   } );
 
   const temperatureSlider = new HSlider( temperatureProperty, new Range( 0, 100 ), {
@@ -1444,11 +1598,19 @@ const getDemoGrabDragInteraction = tandem => {
       positionProperty: positionProperty
     } );
     rect.addInputListener( listener );
-    const keyboardDragListener = new KeyboardDragListener( {
+    const keyboardDragListener = new ShortcutKeyboardDragListener( {
       positionProperty: positionProperty
     } );
     rect.addInputListener( keyboardDragListener );
 
+    // buckets that the rectangle snaps into
+    const dropTargets = new DropTargetRegistry();
+    const bucketNodes = [ 1, 2, 3 ].map( number => {
+      const bucketNode = new Rectangle( number * 150 - 20, 200, 140, 140, { stroke: 'black' } );
+      dropTargets.register( new DropTarget( `bucket ${number}`, new Vector2( number * 150, 220 ), bucketNode.bounds ) );
+      return bucketNode;
+    } );
+
     // @private
     this.grabDragInteraction = new GrabDragInteraction( rect, {
       objectToGrabString: 'rectangle',
@@ -1456,11 +1618,60 @@ const getDemoGrabDragInteraction = tandem => {
 
       listenersForDrag: [ keyboardDragListener ],
 
+      dropTargets: dropTargets,
+      positionProperty: positionProperty,
+
       tandem: tandem.createTandem( 'grabDragInteraction' )
     } );
 
     return new Node( {
-      children: [ rect ],
+      children: bucketNodes.concat( [ rect ] ),
+      center: layoutBounds.center
+    } );
+  };
+};
+
+// Creates a demo for GroupGrabDragInteraction
+const getDemoGroupGrabDragInteraction = tandem => {
+  return function( layoutBounds ) {
+
+    // dropping a card on the box is described
+    const box = new Rectangle( 0, 150, 300, 100, {
+      stroke: 'black'
+    } );
+
+    const cards = [ 'red', 'green', 'blue' ].map( ( color, index ) => new Rectangle( 0, 0, 60, 80, {
+      fill: color,
+      x: index * 100 + 20,
+      cursor: 'pointer'
+    } ) );
+    cards.forEach( card => card.addInputListener( new DragListener( {
+      translateNode: true
+    } ) ) );
+
+    const groupNode = new Node( {
+      tagName: 'div',
+      children: cards
+    } );
+
+    const keyboardDragListener = new ShortcutKeyboardDragListener( {
+      drag: viewDelta => {
+        const card = groupGrabDragInteraction.getSelectedItem();
+        card.translation = card.translation.plus( viewDelta );
+      }
+    } );
+
+    const groupGrabDragInteraction = new GroupGrabDragInteraction( groupNode, cards, {
+      getItemName: card => `${card.fill} card`,
+      getDropTargetName: card => box.bounds.containsPoint( card.center ) ? 'the box' : null,
+
+      listenersForDrag: [ keyboardDragListener ],
+
+      tandem: tandem.createTandem( 'groupGrabDragInteraction' )
+    } );
+
+    return new Node( {
+      children: [ box, groupNode ],
       center: layoutBounds.center
     } );
   };
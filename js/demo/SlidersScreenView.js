@@ -20,12 +20,14 @@ import VBox from '../../../scenery/js/nodes/VBox.js';
 import Checkbox from '../../../sun/js/Checkbox.js';
 import DemosScreenView from '../../../sun/js/demo/DemosScreenView.js';
 import HSlider from '../../../sun/js/HSlider.js';
+import VerticalAquaRadioButtonGroup from '../../../sun/js/VerticalAquaRadioButtonGroup.js';
 import NumberControl from '../NumberControl.js';
 import PhetFont from '../PhetFont.js';
 import sceneryPhet from '../sceneryPhet.js';
 import sceneryPhetQueryParameters from '../sceneryPhetQueryParameters.js';
 import SpectrumSliderThumb from '../SpectrumSliderThumb.js';
 import SpectrumSliderTrack from '../SpectrumSliderTrack.js';
+import Unit from '../units/Unit.js';
 import VisibleColor from '../VisibleColor.js';
 import WavelengthNumberControl from '../WavelengthNumberControl.js';
 
@@ -42,6 +44,7 @@ function SlidersScreenView() {
      * {function(Bounds2): Node} createNode - creates the scene graph for the demo
      */
     { label: 'NumberControl', createNode: demoNumberControl },
+    { label: 'NumberControlWithUnits', createNode: demoNumberControlWithUnits },
     { label: 'WavelengthNumberControl', createNode: demoWavelengthSlider },
     { label: 'SliderWithSpectrumSliderTrack', createNode: demoSliderWithSpectrum },
     { label: 'NumberControlWithSpectrum', createNode: demoNumberControlWithSpectrum }
@@ -119,6 +122,52 @@ var demoNumberControl = function( layoutBounds ) {
   } );
 };
 
+// Creates a demo for NumberControl with units
+const demoNumberControlWithUnits = layoutBounds => {
+
+  const font = new PhetFont( 20 );
+
+  // current, with automatic SI prefixes
+  const currentRange = new Range( 0, 0.002 );
+  const currentProperty = new Property( 0.0004 );
+  const currentControl = new NumberControl( 'Current:', currentProperty, currentRange, {
+    delta: 0.00001,
+    titleNodeOptions: { font: font },
+    numberDisplayOptions: {
+      font: font,
+      decimalPlaces: 2,
+      unit: Unit.AMPERES
+    }
+  } );
+
+  // temperature, stored in °C, in units that are chosen by the user
+  const temperatureRange = new Range( -50, 150 );
+  const temperatureProperty = new Property( 20 );
+  const temperatureUnitProperty = new Property( Unit.CELSIUS );
+  const temperatureControl = new NumberControl( 'Temperature:', temperatureProperty, temperatureRange, {
+    titleNodeOptions: { font: font },
+    numberDisplayOptions: {
+      font: font,
+      unitProperty: temperatureUnitProperty
+    }
+  } );
+
+  const temperatureUnitRadioButtonGroup = new VerticalAquaRadioButtonGroup( temperatureUnitProperty,
+    [ Unit.CELSIUS, Unit.FAHRENHEIT, Unit.KELVIN ].map( unit => {
+      return { value: unit, node: new Text( unit.symbol, { font: font } ) };
+    } ) );
+
+  return new VBox( {
+    spacing: 30,
+    resize: false, // prevent sliders from causing a resize when thumb is at min or max
+    children: [ currentControl, new HBox( {
+      spacing: 20,
+      children: [ temperatureControl, temperatureUnitRadioButtonGroup ]
+    } ) ],
+    center: layoutBounds.center
+  } );
+};
+
 // Creates a demo for WavelengthNumberControl
 var demoWavelengthSlider = function( layoutBounds ) {
   const wavelengthProperty = new Property( 500 );
@@ -0,0 +1,353 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A keyboard shortcut, mapping key bindings to an action, with the labels that describe it in a KeyboardHelpSection.
+ * Shortcuts are registered in a KeyboardShortcutRegistry, which generates help content from them and can dispatch
+ * their actions, so that the help dialog is described by the same data as the listeners that handle the keys.
+ *
+ * A binding is one combination of keys that activates the shortcut. It has a list of modifier keys that must be down,
+ * and a list of keys, any of which activates the shortcut. For example, moving a slider in smaller steps has these
+ * 2 bindings:
+ *
+ * [
+ *   { modifiers: [ 'shift' ], keys: [ 'arrowLeft', 'arrowRight' ] },
+ *   { modifiers: [ 'shift' ], keys: [ 'arrowUp', 'arrowDown' ] }
+ * ]
+ *
+ * Key names are the camel-cased values of KeyboardEvent.key for named keys ('arrowLeft', 'enter', 'escape', 'tab',
+ * 'home', 'end', 'pageUp', 'pageDown'), 'space' for the space bar, and lower case letters and digits for character
+ * keys. Modifier names are 'shift', 'alt' and 'ctrl'.
+ *
+ * Users can change the bindings of a shortcut, see KeyboardShortcutRegistry.rebind and RebindShortcutNode.
+ *
+ * @author agent <agent@local>
+ */
+
+import Emitter from '../../../axon/js/Emitter.js';
+import Property from '../../../axon/js/Property.js';
+import merge from '../../../phet-core/js/merge.js';
+import StringUtils from '../../../phetcommon/js/util/StringUtils.js';
+import sceneryPhet from '../sceneryPhet.js';
+import SceneryPhetA11yStrings from '../SceneryPhetA11yStrings.js';
+
+// a11y strings
+const keysOrPatternStringProperty = SceneryPhetA11yStrings.keysOrPattern;
+const keyPlusPatternStringProperty = SceneryPhetA11yStrings.keyPlusPattern;
+
+// constants
+const MODIFIERS = [ 'shift', 'alt', 'ctrl' ];
+
+// names of the modifier keys themselves, see getKeyName
+const MODIFIER_KEY_NAMES = [ 'shift', 'alt', 'control', 'meta' ];
+
+// descriptions of named keys, see getKeysDescription
+const KEY_DESCRIPTIONS = {
+  space: SceneryPhetA11yStrings.keyNameSpace,
+  enter: SceneryPhetA11yStrings.keyNameEnter,
+  escape: SceneryPhetA11yStrings.keyNameEscape,
+  tab: SceneryPhetA11yStrings.keyNameTab,
+  home: SceneryPhetA11yStrings.keyNameHome,
+  end: SceneryPhetA11yStrings.keyNameEnd,
+  pageUp: SceneryPhetA11yStrings.keyNamePageUp,
+  pageDown: SceneryPhetA11yStrings.keyNamePageDown,
+  arrowUp: SceneryPhetA11yStrings.keyNameArrowUp,
+  arrowDown: SceneryPhetA11yStrings.keyNameArrowDown,
+  arrowLeft: SceneryPhetA11yStrings.keyNameArrowLeft,
+  arrowRight: SceneryPhetA11yStrings.keyNameArrowRight,
+  shift: SceneryPhetA11yStrings.keyNameShift,
+  alt: SceneryPhetA11yStrings.keyNameAlt,
+  ctrl: SceneryPhetA11yStrings.keyNameCtrl
+};
+
+// KeyboardEvent.key values that are not the camel-cased key name
+const DOM_KEY_NAMES = {
+  ' ': 'space',
+  Spacebar: 'space',
+  Esc: 'escape',
+  Left: 'arrowLeft',
+  Right: 'arrowRight',
+  Up: 'arrowUp',
+  Down: 'arrowDown'
+};
+
+class KeyboardShortcut {
+
+  /**
+   * @param {string} id - unique in a KeyboardShortcutRegistry
+   * @param {Object[]} bindings - each {modifiers: string[], keys: string[]}, see documentation at the top of the file
+   * @param {Object} [options]
+   */
+  constructor( id, bindings, options ) {
+    assert && assert( typeof id === 'string', `invalid id: ${id}` );
+
+    options = merge( {
+
+      // {string} the visible label in a KeyboardHelpSection
+      labelString: '',
+
+      // {string|Property.<string>|null} description of the shortcut in the PDOM, see KeyboardHelpSection.labelWithIcon.
+      // A Property is read when the description is created, so that it is in the current locale.
+      labelInnerContent: null,
+
+      // {string} where the shortcut is active, one of KeyboardShortcut.GLOBAL_SCOPE or the scope of a component
+      scope: KeyboardShortcut.GLOBAL_SCOPE,
+
+      // {function(SceneryEvent)|null} called when a binding is pressed, null if the keys are handled elsewhere (for
+      // instance natively by the browser or by a component in another repo) and the shortcut is only documentation
+      action: null,
+
+      // {boolean} whether the icons for the bindings are shown in a vertical list, instead of a single row
+      // separated by 'or'. See KeyboardHelpSection.labelWithIconList.
+      listBindings: false,
+
+      // {boolean} whether users can change the bindings, false for keys that are handled natively or by components
+      // that don't use the registry
+      rebindable: true,
+
+      // {Object[][]|null} sets of bindings that a user can choose from instead of pressing a new key, for instance
+      // [ [ KeyboardShortcut.ARROW_KEYS ], [ KeyboardShortcut.WASD_KEYS ] ]. See RebindShortcutNode.
+      bindingChoices: null
+    }, options );
+
+    // @public (read-only)
+    this.id = id;
+    this.labelString = options.labelString;
+    this.labelInnerContent = options.labelInnerContent;
+    this.scope = options.scope;
+    this.action = options.action;
+    this.listBindings = options.listBindings;
+    this.rebindable = options.rebindable;
+    this.bindingChoices = options.bindingChoices;
+
+    // @public (read-only) {Object[]} - see setBindings
+    this.bindings = [];
+    this.setBindings( bindings );
+
+    // @public (read-only) {Object[]} - restored by KeyboardShortcutRegistry.resetBindings
+    this.defaultBindings = this.bindings;
+
+    // @public - emits when the bindings change, so that help content and icons can be updated
+    this.bindingsChangedEmitter = new Emitter();
+  }
+
+  /**
+   * Sets the key bindings for this shortcut.
+   * @param {Object[]} bindings - each {modifiers: string[], keys: string[]}, modifiers are optional
+   * @public
+   */
+  setBindings( bindings ) {
+    assert && assert( KeyboardShortcut.isValidBindings( bindings ), `invalid bindings: ${JSON.stringify( bindings )}` );
+
+    this.bindings = bindings.map( binding => {
+      return { modifiers: _.sortBy( binding.modifiers || [] ), keys: binding.keys.slice() };
+    } );
+
+    // not defined during construction
+    this.bindingsChangedEmitter && this.bindingsChangedEmitter.emit();
+  }
+
+  /**
+   * Whether this shortcut has its default bindings.
+   * @returns {boolean}
+   * @public
+   */
+  hasDefaultBindings() {
+    return _.isEqual( this.bindings, this.defaultBindings );
+  }
+
+  /**
+   * Whether a shortcut can have a list of bindings, which must activate the same key combinations as one of its
+   * bindingChoices if it has them.
+   * @param {Object[]} bindings - each {modifiers: string[], keys: string[]}, modifiers are optional
+   * @returns {boolean}
+   * @public
+   */
+  canHaveBindings( bindings ) {
+    if ( !KeyboardShortcut.isValidBindings( bindings ) ) {
+      return false;
+    }
+    const combinations = KeyboardShortcut.getCombinations( bindings );
+    return !this.bindingChoices || _.some( this.bindingChoices, choice => {
+      return _.xor( KeyboardShortcut.getCombinations( choice ), combinations ).length === 0;
+    } );
+  }
+
+  /**
+   * Whether a DOM keyboard event is for one of the bindings of this shortcut. Modifiers must match exactly, so that
+   * for example shift+arrowLeft does not activate a shortcut that is bound to arrowLeft.
+   * @param {KeyboardEvent} domEvent
+   * @returns {boolean}
+   * @public
+   */
+  matches( domEvent ) {
+    const keyName = KeyboardShortcut.getKeyName( domEvent );
+    const modifiers = MODIFIERS.filter( modifier => domEvent[ `${modifier}Key` ] );
+    return _.some( this.bindings, binding => _.isEqual( binding.modifiers, modifiers ) &&
+                                             binding.keys.indexOf( keyName ) !== -1 );
+  }
+
+  /**
+   * Whether a key is in one of the bindings of this shortcut, regardless of modifiers. For keys that are handled by a
+   * listener in another repo, which checks the modifiers itself, see ShortcutKeyboardDragListener.
+   * @param {string} keyName - see documentation at the top of the file
+   * @returns {boolean}
+   * @public
+   */
+  hasKey( keyName ) {
+    return _.some( this.bindings, binding => binding.keys.indexOf( keyName ) !== -1 );
+  }
+
+  /**
+   * Gets the description of the shortcut in the PDOM, in the current locale, see options.labelInnerContent.
+   * @returns {string|null}
+   * @public
+   */
+  getLabelInnerContent() {
+    return this.labelInnerContent instanceof Property ? this.labelInnerContent.value : this.labelInnerContent;
+  }
+
+  /**
+   * Describes the keys of the current bindings for the PDOM, for instance 'Space or Enter' or 'Shift plus G'.
+   * @returns {string}
+   * @public
+   */
+  getKeysDescription() {
+    return KeyboardShortcut.describeBindings( this.bindings );
+  }
+
+  /**
+   * Describes the keys of a list of bindings for the PDOM, see getKeysDescription.
+   * @param {Object[]} bindings - each {modifiers: string[], keys: string[]}, modifiers are optional
+   * @returns {string}
+   * @public
+   */
+  static describeBindings( bindings ) {
+    const descriptions = _.flatMap( bindings, binding => binding.keys.map( key => {
+      return _.reduceRight( binding.modifiers || [], ( description, modifier ) => StringUtils.fillIn( keyPlusPatternStringProperty.value, {
+        modifier: describeKey( modifier ),
+        key: description
+      } ), describeKey( key ) );
+    } ) );
+    return _.reduce( descriptions, ( keys, key ) => StringUtils.fillIn( keysOrPatternStringProperty.value, { keys: keys, key: key } ) );
+  }
+
+  /**
+   * Gets the key combinations that both this shortcut and another shortcut are bound to, regardless of scope.
+   * @param {KeyboardShortcut} shortcut
+   * @returns {string[]} - for example [ 'shift+arrowLeft' ]
+   * @public
+   */
+  getSharedCombinations( shortcut ) {
+    return _.intersection( this.getCombinations(), shortcut.getCombinations() );
+  }
+
+  /**
+   * Gets every key combination that activates this shortcut, one per key of each binding.
+   * @returns {string[]} - for example [ 'shift+arrowLeft', 'shift+arrowRight' ]
+   * @public
+   */
+  getCombinations() {
+    return KeyboardShortcut.getCombinations( this.bindings );
+  }
+
+  /**
+   * Gets every key combination that activates a list of bindings, see getCombinations.
+   * @param {Object[]} bindings - each {modifiers: string[], keys: string[]}, modifiers are optional
+   * @returns {string[]}
+   * @public
+   */
+  static getCombinations( bindings ) {
+    return _.uniq( _.flatMap( bindings, binding => {
+      return binding.keys.map( key => _.sortBy( binding.modifiers || [] ).concat( key ).join( '+' ) );
+    } ) );
+  }
+
+  /**
+   * Whether a value is a valid list of bindings, for instance when bindings are loaded from storage.
+   * @param {*} bindings
+   * @returns {boolean}
+   * @public
+   */
+  static isValidBindings( bindings ) {
+    return Array.isArray( bindings ) && bindings.length > 0 && _.every( bindings, binding => {
+      if ( !binding ) {
+        return false;
+      }
+      const modifiers = binding.modifiers || [];
+      return Array.isArray( modifiers ) && _.every( modifiers, modifier => MODIFIERS.indexOf( modifier ) !== -1 ) &&
+             Array.isArray( binding.keys ) && binding.keys.length > 0 &&
+             _.every( binding.keys, key => typeof key === 'string' && key.length > 0 && MODIFIERS.indexOf( key ) === -1 );
+    } );
+  }
+
+  /**
+   * Gets the binding for the key combination of a DOM keyboard event, for instance to bind a shortcut to the keys that
+   * a user presses.
+   * @param {KeyboardEvent} domEvent
+   * @returns {Object|null} - {modifiers: string[], keys: string[]}, null if only a modifier key is pressed
+   * @public
+   */
+  static getBinding( domEvent ) {
+    const keyName = KeyboardShortcut.getKeyName( domEvent );
+    if ( MODIFIER_KEY_NAMES.indexOf( keyName ) !== -1 ) {
+      return null;
+    }
+    return { modifiers: MODIFIERS.filter( modifier => domEvent[ `${modifier}Key` ] ), keys: [ keyName ] };
+  }
+
+  /**
+   * Gets the name of the key for a DOM keyboard event, see documentation at the top of the file.
+   * @param {KeyboardEvent} domEvent
+   * @returns {string}
+   * @public
+   */
+  static getKeyName( domEvent ) {
+    const key = domEvent.key;
+    if ( DOM_KEY_NAMES.hasOwnProperty( key ) ) {
+      return DOM_KEY_NAMES[ key ];
+    }
+    else if ( key.length === 1 ) {
+      return key.toLowerCase();
+    }
+    else {
+      return key.charAt( 0 ).toLowerCase() + key.slice( 1 );
+    }
+  }
+}
+
+/**
+ * Describes a key for the PDOM.
+ * @param {string} keyName - see documentation at the top of the file
+ * @returns {string}
+ */
+function describeKey( keyName ) {
+  if ( KEY_DESCRIPTIONS.hasOwnProperty( keyName ) ) {
+    return KEY_DESCRIPTIONS[ keyName ].value;
+  }
+  else {
+    return keyName.charAt( 0 ).toUpperCase() + keyName.slice( 1 );
+  }
+}
+
+// @public {string} - shortcuts that are active wherever focus is. Other scopes are for shortcuts that are only active
+// while a component has focus. Shortcuts in a component scope conflict with global shortcuts, but not with shortcuts
+// in other component scopes, since only one component has focus at a time.
+//
+// A scope can be nested in another scope with a '.', for the states of a component. Shortcuts in a nested scope are
+// only active in that state, and conflict with the shortcuts of the enclosing scope, which are active in every state.
+// For example, shortcuts in GRAB_DRAG_SCOPE are active whether the object is grabbable or draggable.
+KeyboardShortcut.GLOBAL_SCOPE = 'global';
+KeyboardShortcut.SLIDER_SCOPE = 'slider';
+KeyboardShortcut.GRAB_DRAG_SCOPE = 'grabDrag';
+KeyboardShortcut.GRABBABLE_SCOPE = 'grabDrag.grabbable';
+KeyboardShortcut.DRAGGABLE_SCOPE = 'grabDrag.draggable';
+
+// @public (read-only) {string[]}
+KeyboardShortcut.MODIFIERS = MODIFIERS;
+
+// @public (read-only) {Object} - common bindings for moving objects, in the order of the keys on a keyboard
+KeyboardShortcut.ARROW_KEYS = { modifiers: [], keys: [ 'arrowUp', 'arrowLeft', 'arrowDown', 'arrowRight' ] };
+KeyboardShortcut.WASD_KEYS = { modifiers: [], keys: [ 'w', 'a', 's', 'd' ] };
+
+sceneryPhet.register( 'KeyboardShortcut', KeyboardShortcut );
+export default KeyboardShortcut;
@@ -0,0 +1,268 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A collection of KeyboardShortcuts. Help content is generated from the registered shortcuts (see
+ * KeyboardHelpSection.fromShortcuts), and createKeyboardListener dispatches the actions of the shortcuts in a scope,
+ * so the keyboard help dialog cannot get out of sync with the keys that are handled.
+ *
+ * Bindings conflict when the same key combination activates more than one shortcut that can be active at the same
+ * time, that is shortcuts in the same scope, where one of them is global, or where the scope of one is nested in the
+ * scope of the other (see KeyboardShortcut.GRAB_DRAG_SCOPE). Conflicts are found with getConflicts,
+ * and registering a shortcut that conflicts with a registered shortcut fails an assertion.
+ *
+ * Users can change the bindings of shortcuts with rebind. If the registry has storage, the bindings that users have
+ * chosen are saved and applied to shortcuts when they are registered, so they persist between sessions.
+ *
+ * @author agent <agent@local>
+ */
+
+import merge from '../../../phet-core/js/merge.js';
+import sceneryPhet from '../sceneryPhet.js';
+import KeyboardShortcut from './KeyboardShortcut.js';
+
+class KeyboardShortcutRegistry {
+
+  /**
+   * @param {Object} [options]
+   */
+  constructor( options ) {
+
+    options = merge( {
+
+      // {Storage|null} where bindings chosen by users are saved, usually window.localStorage. null for no persistence.
+      storage: null,
+
+      // {string} the key of the saved bindings in storage
+      storageKey: 'keyboardShortcuts'
+    }, options );
+
+    // @private {KeyboardShortcut[]} - in registration order, which is the order of rows in generated help content
+    this.shortcuts = [];
+
+    // @private
+    this.storage = options.storage;
+    this.storageKey = options.storageKey;
+
+    // @private {Object.<string,Object[]>} - bindings chosen by users, keyed by shortcut id. Includes shortcuts that
+    // are not registered yet, so that they are not lost when bindings are saved.
+    this.savedBindings = this.loadBindings();
+  }
+
+  /**
+   * @param {KeyboardShortcut} shortcut
+   * @returns {KeyboardShortcut} - for chaining
+   * @public
+   */
+  register( shortcut ) {
+    assert && assert( shortcut instanceof KeyboardShortcut, 'invalid shortcut' );
+    assert && assert( !this.getShortcut( shortcut.id ), `shortcut already registered: ${shortcut.id}` );
+
+    // Bindings that a user chose may conflict with the new shortcut, for instance when the user chose them in another
+    // sim. Use the default bindings for this session instead, without forgetting what the user chose.
+    this.getConflictingShortcuts( shortcut, shortcut.bindings ).forEach( conflictingShortcut => {
+      if ( !conflictingShortcut.hasDefaultBindings() ) {
+        conflictingShortcut.setBindings( conflictingShortcut.defaultBindings );
+      }
+    } );
+
+    this.shortcuts.push( shortcut );
+    assert && assert( this.getConflicts( shortcut ).length === 0,
+      `conflicting bindings: ${this.getConflicts( shortcut ).map( conflictToString ).join( ', ' )}` );
+
+    // apply the bindings that the user chose in a previous session, unless they conflict with registered shortcuts
+    const savedBindings = this.savedBindings[ shortcut.id ];
+    if ( savedBindings && shortcut.rebindable && shortcut.canHaveBindings( savedBindings ) &&
+         this.getConflictingShortcuts( shortcut, savedBindings ).length === 0 ) {
+      shortcut.setBindings( savedBindings );
+    }
+
+    return shortcut;
+  }
+
+  /**
+   * @param {KeyboardShortcut} shortcut
+   * @public
+   */
+  unregister( shortcut ) {
+    assert && assert( this.shortcuts.indexOf( shortcut ) !== -1, `shortcut not registered: ${shortcut.id}` );
+    this.shortcuts.splice( this.shortcuts.indexOf( shortcut ), 1 );
+  }
+
+  /**
+   * @param {string} id
+   * @returns {KeyboardShortcut|null}
+   * @public
+   */
+  getShortcut( id ) {
+    return _.find( this.shortcuts, shortcut => shortcut.id === id ) || null;
+  }
+
+  /**
+   * Gets the shortcuts in a scope, in registration order.
+   * @param {string} scope
+   * @returns {KeyboardShortcut[]}
+   * @public
+   */
+  getShortcuts( scope ) {
+    return this.shortcuts.filter( shortcut => shortcut.scope === scope );
+  }
+
+  /**
+   * Gets the pairs of registered shortcuts that are bound to the same key combination and can be active at the same
+   * time.
+   * @param {KeyboardShortcut} [shortcut] - if provided, only conflicts with this shortcut are returned
+   * @returns {Object[]} - each {shortcut1: KeyboardShortcut, shortcut2: KeyboardShortcut, combinations: string[]}
+   * @public
+   */
+  getConflicts( shortcut ) {
+    const conflicts = [];
+    for ( let i = 0; i < this.shortcuts.length; i++ ) {
+      for ( let j = i + 1; j < this.shortcuts.length; j++ ) {
+        const shortcut1 = this.shortcuts[ i ];
+        const shortcut2 = this.shortcuts[ j ];
+        if ( ( !shortcut || shortcut === shortcut1 || shortcut === shortcut2 ) && canBeActiveTogether( shortcut1, shortcut2 ) ) {
+          const combinations = shortcut1.getSharedCombinations( shortcut2 );
+          if ( combinations.length > 0 ) {
+            conflicts.push( { shortcut1: shortcut1, shortcut2: shortcut2, combinations: combinations } );
+          }
+        }
+      }
+    }
+    return conflicts;
+  }
+
+  /**
+   * Gets the registered shortcuts that would conflict with a shortcut if it had different bindings.
+   * @param {KeyboardShortcut} shortcut
+   * @param {Object[]} bindings
+   * @returns {KeyboardShortcut[]}
+   * @public
+   */
+  getConflictingShortcuts( shortcut, bindings ) {
+    const combinations = KeyboardShortcut.getCombinations( bindings );
+    return this.shortcuts.filter( otherShortcut => otherShortcut !== shortcut && canBeActiveTogether( shortcut, otherShortcut ) &&
+                                                   _.intersection( combinations, otherShortcut.getCombinations() ).length > 0 );
+  }
+
+  /**
+   * Changes the bindings of a shortcut, for instance to keys that a user chose, and saves them. The bindings are not
+   * changed if they conflict with other shortcuts.
+   * @param {string} id
+   * @param {Object[]} bindings - see KeyboardShortcut
+   * @returns {KeyboardShortcut[]} - the shortcuts that the bindings conflict with, empty if the bindings were changed
+   * @public
+   */
+  rebind( id, bindings ) {
+    const shortcut = this.getShortcut( id );
+    assert && assert( shortcut, `shortcut not registered: ${id}` );
+    assert && assert( shortcut.rebindable, `shortcut is not rebindable: ${id}` );
+    assert && assert( shortcut.canHaveBindings( bindings ), `bindings are not one of the choices for ${id}` );
+
+    const conflictingShortcuts = this.getConflictingShortcuts( shortcut, bindings );
+    if ( conflictingShortcuts.length === 0 ) {
+      shortcut.setBindings( bindings );
+      this.saveBindings( shortcut );
+    }
+    return conflictingShortcuts;
+  }
+
+  /**
+   * Restores the default bindings of a shortcut, or of all shortcuts, and saves them.
+   * @param {string} [id] - if not provided, the bindings of all shortcuts are reset
+   * @public
+   */
+  resetBindings( id ) {
+    const shortcuts = id ? [ this.getShortcut( id ) ] : this.shortcuts;
+    shortcuts.forEach( shortcut => {
+      shortcut.setBindings( shortcut.defaultBindings );
+      this.saveBindings( shortcut );
+    } );
+  }
+
+  /**
+   * Loads the bindings that users chose in previous sessions. Invalid or inaccessible storage is ignored.
+   * @returns {Object.<string,Object[]>}
+   * @private
+   */
+  loadBindings() {
+    let savedBindings = {};
+    try {
+      const json = this.storage && this.storage.getItem( this.storageKey );
+      if ( json ) {
+        savedBindings = _.pickBy( JSON.parse( json ), bindings => KeyboardShortcut.isValidBindings( bindings ) );
+      }
+    }
+    catch( e ) {
+      // Storage may be disabled (for instance in private browsing) or contain invalid JSON, use default bindings.
+    }
+    return savedBindings;
+  }
+
+  /**
+   * Saves the bindings of a shortcut, if they differ from its defaults.
+   * @param {KeyboardShortcut} shortcut
+   * @private
+   */
+  saveBindings( shortcut ) {
+    if ( shortcut.hasDefaultBindings() ) {
+      delete this.savedBindings[ shortcut.id ];
+    }
+    else {
+      this.savedBindings[ shortcut.id ] = shortcut.bindings;
+    }
+
+    try {
+      this.storage && this.storage.setItem( this.storageKey, JSON.stringify( this.savedBindings ) );
+    }
+    catch( e ) {
+      // Storage may be disabled or full, the bindings apply to this session only.
+    }
+  }
+
+  /**
+   * Creates a scenery input listener that calls the action of the shortcut in a scope that matches a keydown event.
+   * The listener should be added to the Node that has focus for the scope, or to the display for the global scope.
+   * @param {string} scope
+   * @returns {Object} - scenery input listener
+   * @public
+   */
+  createKeyboardListener( scope ) {
+    return {
+      keydown: event => {
+
+        // shortcuts are looked up on each event, so that the listener responds to changes in the registry
+        const shortcut = _.find( this.getShortcuts( scope ), shortcut => shortcut.action && shortcut.matches( event.domEvent ) );
+        if ( shortcut ) {
+          event.domEvent.preventDefault();
+          shortcut.action( event );
+        }
+      }
+    };
+  }
+}
+
+/**
+ * Whether 2 shortcuts can be active at the same time, see KeyboardShortcut.GLOBAL_SCOPE. Nested scopes are compared
+ * with the '.', so that 'grabDrag' encloses 'grabDrag.draggable' but not another scope like 'grabDragGroup'.
+ * @param {KeyboardShortcut} shortcut1
+ * @param {KeyboardShortcut} shortcut2
+ * @returns {boolean}
+ */
+function canBeActiveTogether( shortcut1, shortcut2 ) {
+  return shortcut1.scope === shortcut2.scope ||
+         shortcut1.scope === KeyboardShortcut.GLOBAL_SCOPE ||
+         shortcut2.scope === KeyboardShortcut.GLOBAL_SCOPE ||
+         shortcut1.scope.indexOf( `${shortcut2.scope}.` ) === 0 ||
+         shortcut2.scope.indexOf( `${shortcut1.scope}.` ) === 0;
+}
+
+/**
+ * @param {Object} conflict - see getConflicts
+ * @returns {string}
+ */
+function conflictToString( conflict ) {
+  return `${conflict.shortcut1.id} and ${conflict.shortcut2.id} (${conflict.combinations.join( ', ' )})`;
+}
+
+sceneryPhet.register( 'KeyboardShortcutRegistry', KeyboardShortcutRegistry );
+export default KeyboardShortcutRegistry;
@@ -0,0 +1,177 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for KeyboardShortcut and KeyboardShortcutRegistry
+ *
+ * @author agent <agent@local>
+ */
+
+import KeyboardShortcut from './KeyboardShortcut.js';
+import KeyboardShortcutRegistry from './KeyboardShortcutRegistry.js';
+
+QUnit.module( 'KeyboardShortcutRegistry' );
+
+// a minimal KeyboardEvent
+const keyEvent = ( key, modifiers ) => {
+  modifiers = modifiers || [];
+  return {
+    key: key,
+    shiftKey: modifiers.indexOf( 'shift' ) !== -1,
+    altKey: modifiers.indexOf( 'alt' ) !== -1,
+    ctrlKey: modifiers.indexOf( 'ctrl' ) !== -1
+  };
+};
+
+QUnit.test( 'matches', assert => {
+  const shortcut = new KeyboardShortcut( 'smallerSteps', [
+    { modifiers: [ 'shift' ], keys: [ 'arrowLeft', 'arrowRight' ] },
+    { keys: [ 'space', 'j' ] }
+  ] );
+
+  assert.ok( shortcut.matches( keyEvent( 'ArrowLeft', [ 'shift' ] ) ), 'shift+arrowLeft' );
+  assert.ok( !shortcut.matches( keyEvent( 'ArrowLeft' ) ), 'modifiers are required' );
+  assert.ok( !shortcut.matches( keyEvent( 'ArrowLeft', [ 'shift', 'ctrl' ] ) ), 'extra modifiers do not match' );
+  assert.ok( shortcut.matches( keyEvent( ' ' ) ), 'space' );
+  assert.ok( shortcut.matches( keyEvent( 'J' ) ), 'letters are case insensitive' );
+  assert.ok( !shortcut.matches( keyEvent( 'ArrowUp', [ 'shift' ] ) ), 'other keys do not match' );
+
+  assert.deepEqual( shortcut.getCombinations(), [ 'shift+arrowLeft', 'shift+arrowRight', 'space', 'j' ], 'combinations' );
+} );
+
+QUnit.test( 'scopes and conflicts', assert => {
+  const registry = new KeyboardShortcutRegistry();
+  const grab = registry.register( new KeyboardShortcut( 'grab', [ { keys: [ 'space', 'enter' ] } ], {
+    scope: KeyboardShortcut.GRAB_DRAG_SCOPE
+  } ) );
+  const adjust = registry.register( new KeyboardShortcut( 'adjust', [ { keys: [ 'space', 'home' ] } ], {
+    scope: KeyboardShortcut.SLIDER_SCOPE
+  } ) );
+
+  assert.deepEqual( registry.getShortcuts( KeyboardShortcut.SLIDER_SCOPE ), [ adjust ], 'getShortcuts' );
+  assert.equal( registry.getShortcut( 'grab' ), grab, 'getShortcut' );
+  assert.equal( registry.getConflicts().length, 0, 'components in different scopes can share keys' );
+
+  const reset = new KeyboardShortcut( 'reset', [ { keys: [ 'enter' ] }, { keys: [ 'home' ] } ] );
+  window.assert && assert.throws( () => registry.register( reset ), /grab and reset \(enter\)/, 'registering a conflict' );
+
+  registry.unregister( reset );
+  registry.unregister( grab );
+  assert.equal( registry.getShortcut( 'grab' ), null, 'unregister' );
+
+  const toggle = new KeyboardShortcut( 'toggle', [ { modifiers: [ 'alt' ], keys: [ 'home' ] } ] );
+  registry.register( toggle );
+  assert.equal( registry.getConflicts().length, 0, 'different modifiers do not conflict' );
+
+  toggle.setBindings( [ { keys: [ 'home' ] } ] );
+  const conflicts = registry.getConflicts();
+  assert.equal( conflicts.length, 1, 'global shortcuts conflict with component shortcuts' );
+  assert.deepEqual( conflicts[ 0 ].combinations, [ 'home' ], 'conflicting combinations' );
+} );
+
+QUnit.test( 'nested scopes', assert => {
+  const registry = new KeyboardShortcutRegistry();
+  registry.register( new KeyboardShortcut( 'grab', [ { keys: [ 'space' ] } ], {
+    scope: KeyboardShortcut.GRAB_DRAG_SCOPE
+  } ) );
+  registry.register( new KeyboardShortcut( 'select', [ { keys: [ 'arrowLeft' ] } ], {
+    scope: KeyboardShortcut.GRABBABLE_SCOPE
+  } ) );
+  const move = registry.register( new KeyboardShortcut( 'move', [ { keys: [ 'arrowLeft', 'a' ] } ], {
+    scope: KeyboardShortcut.DRAGGABLE_SCOPE
+  } ) );
+  assert.equal( registry.getConflicts().length, 0, 'states of a component can share keys' );
+  assert.deepEqual( registry.getShortcuts( KeyboardShortcut.DRAGGABLE_SCOPE ), [ move ], 'getShortcuts of a state' );
+
+  assert.deepEqual( registry.rebind( 'grab', [ { keys: [ 'a' ] } ] ), [ move ],
+    'shortcuts of a component conflict with the shortcuts of its states' );
+  assert.deepEqual( registry.rebind( 'move', [ { keys: [ 'space' ] } ] ).map( shortcut => shortcut.id ), [ 'grab' ],
+    'shortcuts of a state conflict with the shortcuts of the component' );
+} );
+
+QUnit.test( 'createKeyboardListener', assert => {
+  const registry = new KeyboardShortcutRegistry();
+  let count = 0;
+  registry.register( new KeyboardShortcut( 'count', [ { keys: [ 'c' ] } ], {
+    scope: KeyboardShortcut.SLIDER_SCOPE,
+    action: () => count++
+  } ) );
+
+  const listener = registry.createKeyboardListener( KeyboardShortcut.SLIDER_SCOPE );
+  let defaultPrevented = false;
+  const domEvent = keyEvent( 'c' );
+  domEvent.preventDefault = () => { defaultPrevented = true; };
+  listener.keydown( { domEvent: domEvent } );
+  assert.equal( count, 1, 'action called' );
+  assert.ok( defaultPrevented, 'handled keys prevent default' );
+
+  const otherEvent = keyEvent( 'd' );
+  otherEvent.preventDefault = () => assert.ok( false, 'unhandled keys do not prevent default' );
+  listener.keydown( { domEvent: otherEvent } );
+  registry.createKeyboardListener( KeyboardShortcut.GLOBAL_SCOPE ).keydown( { domEvent: domEvent } );
+  assert.equal( count, 1, 'only keys of shortcuts in the scope are handled' );
+} );
+
+QUnit.test( 'rebind', assert => {
+
+  // a minimal Storage
+  const items = {};
+  const storage = {
+    getItem: key => items.hasOwnProperty( key ) ? items[ key ] : null,
+    setItem: ( key, value ) => { items[ key ] = value; }
+  };
+
+  const registry = new KeyboardShortcutRegistry( { storage: storage, storageKey: 'test' } );
+  const move = registry.register( new KeyboardShortcut( 'move', [ KeyboardShortcut.ARROW_KEYS, KeyboardShortcut.WASD_KEYS ] ) );
+  const jump = registry.register( new KeyboardShortcut( 'jump', [ { keys: [ 'j' ] } ] ) );
+
+  let changes = 0;
+  move.bindingsChangedEmitter.addListener( () => changes++ );
+
+  assert.deepEqual( registry.rebind( 'move', [ KeyboardShortcut.ARROW_KEYS ] ), [], 'rebind' );
+  assert.ok( move.matches( keyEvent( 'ArrowUp' ) ) && !move.matches( keyEvent( 'w' ) ), 'new bindings are used' );
+  assert.equal( changes, 1, 'bindingsChangedEmitter' );
+  assert.deepEqual( JSON.parse( items.test ), { move: [ KeyboardShortcut.ARROW_KEYS ] }, 'saved' );
+
+  assert.deepEqual( registry.rebind( 'jump', [ { keys: [ 'arrowUp' ] } ] ), [ move ], 'conflicting bindings are rejected' );
+  assert.ok( jump.matches( keyEvent( 'j' ) ), 'bindings are unchanged after a conflict' );
+
+  // bindings are restored in a new session, even if the defaults are different
+  const nextRegistry = new KeyboardShortcutRegistry( { storage: storage, storageKey: 'test' } );
+  const nextMove = nextRegistry.register( new KeyboardShortcut( 'move', [ KeyboardShortcut.WASD_KEYS ] ) );
+  assert.ok( nextMove.matches( keyEvent( 'ArrowLeft' ) ), 'saved bindings are applied on register' );
+
+  // a new shortcut that conflicts with the saved bindings gets precedence, without forgetting the saved bindings
+  nextRegistry.register( new KeyboardShortcut( 'rotate', [ { keys: [ 'arrowLeft' ] } ] ) );
+  assert.ok( nextMove.hasDefaultBindings(), 'default bindings are used while the saved bindings conflict' );
+  assert.deepEqual( JSON.parse( items.test ), { move: [ KeyboardShortcut.ARROW_KEYS ] }, 'saved bindings are kept' );
+
+  registry.resetBindings();
+  assert.ok( move.hasDefaultBindings() && jump.hasDefaultBindings(), 'resetBindings' );
+  assert.deepEqual( JSON.parse( items.test ), {}, 'default bindings are not saved' );
+
+  items.test = 'not JSON';
+  assert.equal( new KeyboardShortcutRegistry( { storage: storage, storageKey: 'test' } ).register(
+    new KeyboardShortcut( 'move', [ KeyboardShortcut.ARROW_KEYS ] ) ).bindings.length, 1, 'invalid storage is ignored' );
+} );
+
+QUnit.test( 'binding choices', assert => {
+  const shortcut = new KeyboardShortcut( 'move', [ KeyboardShortcut.ARROW_KEYS ], {
+    bindingChoices: [ [ KeyboardShortcut.ARROW_KEYS ], [ KeyboardShortcut.WASD_KEYS ] ]
+  } );
+  assert.ok( shortcut.canHaveBindings( [ { keys: [ 's', 'd', 'w', 'a' ] } ] ), 'the order of keys does not matter' );
+  assert.ok( !shortcut.canHaveBindings( [ { keys: [ 'w' ] } ] ), 'other bindings are not choices' );
+  assert.ok( !shortcut.hasKey( 'w' ) && shortcut.hasKey( 'arrowLeft' ), 'hasKey' );
+
+  // bindings that are not one of the choices are not restored from storage
+  const storage = { getItem: () => JSON.stringify( { move: [ { keys: [ 'w' ] } ] } ) };
+  const registry = new KeyboardShortcutRegistry( { storage: storage } );
+  assert.ok( registry.register( shortcut ).hasDefaultBindings(), 'saved bindings must be one of the choices' );
+} );
+
+QUnit.test( 'describe keys', assert => {
+  const shortcut = new KeyboardShortcut( 'grab', [ { keys: [ 'space' ] }, { modifiers: [ 'shift' ], keys: [ 'g' ] } ] );
+  assert.equal( shortcut.getKeysDescription(), 'Space or Shift plus G', 'getKeysDescription' );
+  assert.deepEqual( KeyboardShortcut.getBinding( keyEvent( 'G', [ 'shift' ] ) ), { modifiers: [ 'shift' ], keys: [ 'g' ] },
+    'getBinding' );
+  assert.equal( KeyboardShortcut.getBinding( keyEvent( 'Shift', [ 'shift' ] ) ), null, 'modifiers alone are not bindings' );
+} );
@@ -0,0 +1,244 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Controls for a user to change the keys of a KeyboardShortcut, for instance in a preferences dialog. Shows the label
+ * and current keys of the shortcut, and either a button for each of the shortcut's bindingChoices (like arrow keys or
+ * W/A/S/D) or a button that binds the shortcut to the next keys that are pressed. Bindings are changed with
+ * KeyboardShortcutRegistry.rebind, so they are saved and rejected if they conflict with other shortcuts.
+ *
+ * @author agent <agent@local>
+ */
+
+import merge from '../../../phet-core/js/merge.js';
+import StringUtils from '../../../phetcommon/js/util/StringUtils.js';
+import HBox from '../../../scenery/js/nodes/HBox.js';
+import Node from '../../../scenery/js/nodes/Node.js';
+import Text from '../../../scenery/js/nodes/Text.js';
+import RectangularPushButton from '../../../sun/js/buttons/RectangularPushButton.js';
+import Utterance from '../../../utterance-queue/js/Utterance.js';
+import SpeechOutput from '../accessibility/speech/SpeechOutput.js';
+import localeProperty from '../localeProperty.js';
+import PhetFont from '../PhetFont.js';
+import sceneryPhetStrings from '../scenery-phet-strings.js';
+import sceneryPhet from '../sceneryPhet.js';
+import SceneryPhetA11yStrings from '../SceneryPhetA11yStrings.js';
+import KeyboardHelpIconFactory from './help/KeyboardHelpIconFactory.js';
+import KeyboardShortcut from './KeyboardShortcut.js';
+
+const keyboardShortcutsChangeString = sceneryPhetStrings.keyboardShortcuts.change;
+const keyboardShortcutsKeysInUsePatternString = sceneryPhetStrings.keyboardShortcuts.keysInUsePattern;
+const keyboardShortcutsPressKeysString = sceneryPhetStrings.keyboardShortcuts.pressKeys;
+const keyboardShortcutsResetString = sceneryPhetStrings.keyboardShortcuts.reset;
+
+// a11y strings
+const rebindShortcutChangeButtonPatternStringProperty = SceneryPhetA11yStrings.rebindShortcutChangeButtonPattern;
+const rebindShortcutResetButtonPatternStringProperty = SceneryPhetA11yStrings.rebindShortcutResetButtonPattern;
+const rebindShortcutChoicePatternStringProperty = SceneryPhetA11yStrings.rebindShortcutChoicePattern;
+const rebindShortcutPressKeysStringProperty = SceneryPhetA11yStrings.rebindShortcutPressKeys;
+const rebindShortcutChangedPatternStringProperty = SceneryPhetA11yStrings.rebindShortcutChangedPattern;
+const rebindShortcutConflictPatternStringProperty = SceneryPhetA11yStrings.rebindShortcutConflictPattern;
+
+class RebindShortcutNode extends HBox {
+
+  /**
+   * @param {KeyboardShortcut} shortcut
+   * @param {KeyboardShortcutRegistry} registry - where the shortcut is registered
+   * @param {Object} [options]
+   */
+  constructor( shortcut, registry, options ) {
+    assert && assert( shortcut.rebindable, `shortcut is not rebindable: ${shortcut.id}` );
+
+    options = merge( {
+      font: new PhetFont( 12 ),
+      labelMaxWidth: 150,
+      spacing: 10,
+      align: 'center',
+      buttonOptions: {
+        baseColor: 'white',
+        xMargin: 6,
+        yMargin: 4
+      },
+
+      // a11y
+      tagName: 'div'
+    }, options );
+    assert && assert( !options.children, 'RebindShortcutNode sets children' );
+
+    const labelText = new Text( shortcut.labelString, {
+      font: options.font,
+      maxWidth: options.labelMaxWidth
+    } );
+
+    // the current keys of the shortcut
+    const keysParent = new Node();
+
+    // shows why keys were not accepted, until the keys are changed
+    const statusText = new Text( keyboardShortcutsKeysInUsePatternString, {
+      font: options.font,
+      maxWidth: options.labelMaxWidth,
+      visible: false
+    } );
+
+    // reused so that changing keys quickly only describes the most recent change
+    const utterance = new Utterance();
+    const announce = alertString => {
+      utterance.alert = alertString;
+      SpeechOutput.alert( utterance );
+    };
+
+    // Changes the bindings, describing the result.
+    const rebind = bindings => {
+      const conflictingShortcuts = registry.rebind( shortcut.id, bindings );
+      if ( conflictingShortcuts.length === 0 ) {
+        statusText.visible = false;
+        announce( StringUtils.fillIn( rebindShortcutChangedPatternStringProperty.value, {
+          shortcut: shortcut.labelString,
+          keys: shortcut.getKeysDescription()
+        } ) );
+      }
+      else {
+        statusText.text = StringUtils.fillIn( keyboardShortcutsKeysInUsePatternString, {
+          shortcut: conflictingShortcuts[ 0 ].labelString
+        } );
+        statusText.visible = true;
+        announce( StringUtils.fillIn( rebindShortcutConflictPatternStringProperty.value, {
+          keys: KeyboardShortcut.describeBindings( bindings ),
+          shortcut: conflictingShortcuts[ 0 ].labelString
+        } ) );
+      }
+    };
+
+    const buttons = [];
+    let disposeCapture = null;
+    if ( shortcut.bindingChoices ) {
+
+      // a button for each choice, with an icon of its keys
+      shortcut.bindingChoices.forEach( bindings => {
+        buttons.push( new RectangularPushButton( merge( {
+          content: KeyboardHelpIconFactory.bindingsIcon( bindings ),
+          listener: () => rebind( bindings )
+        }, options.buttonOptions ) ) );
+      } );
+    }
+    else {
+
+      // a button that binds the shortcut to the next keys that are pressed while it has focus
+      const changeText = new Text( keyboardShortcutsChangeString, { font: options.font } );
+      let capturing = false;
+
+      // Space and Enter also click the button when they are pressed to bind the shortcut to them, so that click is
+      // ignored instead of capturing keys again.
+      let ignoreNextClick = false;
+
+      const setCapturing = isCapturing => {
+        capturing = isCapturing;
+        changeText.text = capturing ? keyboardShortcutsPressKeysString : keyboardShortcutsChangeString;
+        capturing && announce( rebindShortcutPressKeysStringProperty.value );
+      };
+
+      const changeButton = new RectangularPushButton( merge( {
+        content: changeText,
+        listener: () => {
+          if ( ignoreNextClick ) {
+            ignoreNextClick = false;
+          }
+          else {
+            setCapturing( !capturing );
+          }
+        }
+      }, options.buttonOptions ) );
+
+      const captureListener = {
+        keydown: event => {
+          const domEvent = event.domEvent;
+          const keyName = KeyboardShortcut.getKeyName( domEvent );
+
+          // Tab moves focus as usual, which stops capturing on blur
+          if ( !capturing || keyName === 'tab' ) {
+            return;
+          }
+          else if ( keyName === 'escape' ) {
+            setCapturing( false );
+          }
+          else {
+            const binding = KeyboardShortcut.getBinding( domEvent );
+
+            // wait for a key that is not a modifier
+            if ( binding ) {
+              ignoreNextClick = binding.modifiers.length === 0 && ( keyName === 'space' || keyName === 'enter' );
+              setCapturing( false );
+              rebind( [ binding ] );
+            }
+          }
+        },
+        blur: () => {
+          capturing && setCapturing( false );
+          ignoreNextClick = false;
+        }
+      };
+      changeButton.addInputListener( captureListener );
+
+      disposeCapture = () => changeButton.removeInputListener( captureListener );
+      buttons.push( changeButton );
+    }
+
+    const resetButton = new RectangularPushButton( merge( {
+      content: new Text( keyboardShortcutsResetString, { font: options.font } ),
+      listener: () => {
+        registry.resetBindings( shortcut.id );
+        statusText.visible = false;
+      }
+    }, options.buttonOptions ) );
+
+    // describes the buttons in the PDOM, again when the locale changes
+    const updateButtonDescriptions = () => {
+      if ( shortcut.bindingChoices ) {
+        shortcut.bindingChoices.forEach( ( bindings, index ) => {
+          buttons[ index ].innerContent = StringUtils.fillIn( rebindShortcutChoicePatternStringProperty.value, {
+            keys: KeyboardShortcut.describeBindings( bindings )
+          } );
+        } );
+      }
+      else {
+        buttons[ 0 ].innerContent = StringUtils.fillIn( rebindShortcutChangeButtonPatternStringProperty.value, {
+          shortcut: shortcut.labelString
+        } );
+      }
+      resetButton.innerContent = StringUtils.fillIn( rebindShortcutResetButtonPatternStringProperty.value, {
+        shortcut: shortcut.labelString
+      } );
+    };
+    localeProperty.link( updateButtonDescriptions );
+
+    const updateKeys = () => {
+      keysParent.children = [ KeyboardHelpIconFactory.shortcutIcon( shortcut ) ];
+      resetButton.enabled = !shortcut.hasDefaultBindings();
+    };
+    updateKeys();
+    shortcut.bindingsChangedEmitter.addListener( updateKeys );
+
+    options.children = [ labelText, keysParent ].concat( buttons ).concat( [ resetButton, statusText ] );
+    super( options );
+
+    // @private
+    this.disposeRebindShortcutNode = () => {
+      localeProperty.unlink( updateButtonDescriptions );
+      shortcut.bindingsChangedEmitter.removeListener( updateKeys );
+      disposeCapture && disposeCapture();
+      buttons.forEach( button => button.dispose() );
+      resetButton.dispose();
+    };
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  dispose() {
+    this.disposeRebindShortcutNode();
+    super.dispose();
+  }
+}
+
+sceneryPhet.register( 'RebindShortcutNode', RebindShortcutNode );
+export default RebindShortcutNode;
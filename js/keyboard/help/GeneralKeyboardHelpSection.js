@@ -11,6 +11,7 @@
  */
 
 import merge from '../../../../phet-core/js/merge.js';
+import localeProperty from '../../localeProperty.js';
 import sceneryPhetStrings from '../../scenery-phet-strings.js';
 import sceneryPhet from '../../sceneryPhet.js';
 import SceneryPhetA11yStrings from '../../SceneryPhetA11yStrings.js';
@@ -32,14 +33,14 @@ const keyboardHelpDialogPressButtonsString = sceneryPhetStrings.keyboardHelpDial
 const keyboardHelpDialogToggleCheckboxesString = sceneryPhetStrings.keyboardHelpDialog.toggleCheckboxes;
 
 // a11y strings
-const keyboardHelpDialogTabDescriptionString = SceneryPhetA11yStrings.keyboardHelpDialogTabDescription.value;
-const keyboardHelpDialogShiftTabDescriptionString = SceneryPhetA11yStrings.keyboardHelpDialogShiftTabDescription.value;
-const keyboardHelpDialogTabGroupDescriptionString = SceneryPhetA11yStrings.keyboardHelpDialogTabGroupDescription.value;
-const keyboardHelpDialogShiftTabGroupDescriptionString = SceneryPhetA11yStrings.keyboardHelpDialogShiftTabGroupDescription.value;
-const keyboardHelpDialogPressButtonsDescriptionString = SceneryPhetA11yStrings.keyboardHelpDialogPressButtonsDescription.value;
-const keyboardHelpDialogGroupNavigationDescriptionString = SceneryPhetA11yStrings.keyboardHelpDialogGroupNavigationDescription.value;
-const keyboardHelpDialogExitDialogDescriptionString = SceneryPhetA11yStrings.keyboardHelpDialogExitDialogDescription.value;
-const toggleCheckboxesDescriptionString = SceneryPhetA11yStrings.toggleCheckboxesDescription.value;
+const keyboardHelpDialogTabDescriptionStringProperty = SceneryPhetA11yStrings.keyboardHelpDialogTabDescription;
+const keyboardHelpDialogShiftTabDescriptionStringProperty = SceneryPhetA11yStrings.keyboardHelpDialogShiftTabDescription;
+const keyboardHelpDialogTabGroupDescriptionStringProperty = SceneryPhetA11yStrings.keyboardHelpDialogTabGroupDescription;
+const keyboardHelpDialogShiftTabGroupDescriptionStringProperty = SceneryPhetA11yStrings.keyboardHelpDialogShiftTabGroupDescription;
+const keyboardHelpDialogPressButtonsDescriptionStringProperty = SceneryPhetA11yStrings.keyboardHelpDialogPressButtonsDescription;
+const keyboardHelpDialogGroupNavigationDescriptionStringProperty = SceneryPhetA11yStrings.keyboardHelpDialogGroupNavigationDescription;
+const keyboardHelpDialogExitDialogDescriptionStringProperty = SceneryPhetA11yStrings.keyboardHelpDialogExitDialogDescription;
+const toggleCheckboxesDescriptionStringProperty = SceneryPhetA11yStrings.toggleCheckboxesDescription;
 
 class GeneralKeyboardHelpSection extends KeyboardHelpSection {
 
@@ -53,75 +54,99 @@ class GeneralKeyboardHelpSection extends KeyboardHelpSection {
       withCheckboxContent: false // if true, the help content will include information about how to interact with checkboxes
     }, options );
 
-    // 'press buttons' content
-    const spaceIcon = new SpaceKeyNode();
-    const pressButtonsItemRow = KeyboardHelpSection.labelWithIcon( keyboardHelpDialogPressButtonsString, spaceIcon, keyboardHelpDialogPressButtonsDescriptionString );
-
-    // 'exit a dialog' content
-    const exitADialogIcon = new EscapeKeyNode();
-    const exitADialogRow = KeyboardHelpSection.labelWithIcon( keyboardHelpDialogExitADialogString, exitADialogIcon, keyboardHelpDialogExitDialogDescriptionString );
-
-    // 'toggle checkboxes' content
-    let toggleCheckboxes = null;
-    if ( options.withCheckboxContent ) {
-      toggleCheckboxes = KeyboardHelpSection.labelWithIcon( keyboardHelpDialogToggleCheckboxesString, new SpaceKeyNode(),
-        toggleCheckboxesDescriptionString );
-    }
-
-    // added row if group content is present
-    let moveBetweenItemsInAGroupRow = null;
-    if ( options.withGroupContent ) {
-
-      // if the general navigation section includes help content includes groups, modify some text and add another
-      // section to describe how to navigate groups
-      const leftRightArrowsIcon = KeyboardHelpIconFactory.leftRightArrowKeysRowIcon();
-      const upDownArrowsIcon = KeyboardHelpIconFactory.upDownArrowKeysRowIcon();
-      const leftRightOrUpDownIcon = KeyboardHelpIconFactory.iconOrIcon( leftRightArrowsIcon, upDownArrowsIcon );
-      moveBetweenItemsInAGroupRow = KeyboardHelpSection.labelWithIcon( keyboardHelpDialogMoveBetweenItemsInAGroupString,
-        leftRightOrUpDownIcon, keyboardHelpDialogGroupNavigationDescriptionString );
-    }
-
-    // with "or group" when providing group content
-    const moveToNextItemIcon = new TabKeyNode();
-    const nextItemString = options.withGroupContent ?
-                           keyboardHelpDialogMoveToNextItemOrGroupString :
-                           keyboardHelpDialogMoveToNextItemString;
-    const moveToNextDescription = options.withGroupContent ?
-                                  keyboardHelpDialogTabGroupDescriptionString :
-                                  keyboardHelpDialogTabDescriptionString;
-    const moveToNextItemRow = KeyboardHelpSection.labelWithIcon(
-      nextItemString,
-      moveToNextItemIcon,
-      moveToNextDescription
-    );
-
-    // with "or group" when providing group content
-    const previousItemString = options.withGroupContent ?
-                               keyboardHelpDialogMoveToPreviousItemOrGroupString :
-                               keyboardHelpDialogMoveToPreviousItemString;
-    const tabIcon = new TabKeyNode();
-    const moveToPreviousItemIcon = KeyboardHelpIconFactory.shiftPlusIcon( tabIcon );
-    const moveToPreviousDescriptionString = options.withGroupContent ?
-                                            keyboardHelpDialogShiftTabGroupDescriptionString :
-                                            keyboardHelpDialogShiftTabDescriptionString;
-    const moveToPreviousItemRow = KeyboardHelpSection.labelWithIcon(
-      previousItemString,
-      moveToPreviousItemIcon,
-      moveToPreviousDescriptionString
-    );
-
-    const content = [
-      moveToNextItemRow,
-      moveToPreviousItemRow,
-      pressButtonsItemRow,
-      toggleCheckboxes,
-      moveBetweenItemsInAGroupRow,
-      exitADialogRow
-    ].filter( row => row !== null ); // If any optional rows are null, omit them.
-
-    // order the rows of content
-    super( keyboardHelpDialogBasicActionsString, content, options );
+    super( keyboardHelpDialogBasicActionsString, [], options );
+
+    // the rows are created again when the locale changes, so that their PDOM descriptions are translated
+    const updateContent = () => this.setContent( createContent( options ) );
+    localeProperty.link( updateContent );
+
+    // @private
+    this.disposeGeneralKeyboardHelpSection = () => localeProperty.unlink( updateContent );
   }
+
+  /**
+   * @public
+   * @override
+   */
+  dispose() {
+    this.disposeGeneralKeyboardHelpSection();
+    super.dispose();
+  }
+}
+
+/**
+ * Creates the rows of GeneralKeyboardHelpSection, with PDOM descriptions in the current locale.
+ * @param {Object} options - see GeneralKeyboardHelpSection
+ * @returns {HelpSectionRow[]}
+ */
+function createContent( options ) {
+
+  // 'press buttons' content
+  const spaceIcon = new SpaceKeyNode();
+  const pressButtonsItemRow = KeyboardHelpSection.labelWithIcon( keyboardHelpDialogPressButtonsString, spaceIcon, keyboardHelpDialogPressButtonsDescriptionStringProperty.value );
+
+  // 'exit a dialog' content
+  const exitADialogIcon = new EscapeKeyNode();
+  const exitADialogRow = KeyboardHelpSection.labelWithIcon( keyboardHelpDialogExitADialogString, exitADialogIcon, keyboardHelpDialogExitDialogDescriptionStringProperty.value );
+
+  // 'toggle checkboxes' content
+  let toggleCheckboxes = null;
+  if ( options.withCheckboxContent ) {
+    toggleCheckboxes = KeyboardHelpSection.labelWithIcon( keyboardHelpDialogToggleCheckboxesString, new SpaceKeyNode(),
+      toggleCheckboxesDescriptionStringProperty.value );
+  }
+
+  // added row if group content is present
+  let moveBetweenItemsInAGroupRow = null;
+  if ( options.withGroupContent ) {
+
+    // if the general navigation section includes help content includes groups, modify some text and add another
+    // section to describe how to navigate groups
+    const leftRightArrowsIcon = KeyboardHelpIconFactory.leftRightArrowKeysRowIcon();
+    const upDownArrowsIcon = KeyboardHelpIconFactory.upDownArrowKeysRowIcon();
+    const leftRightOrUpDownIcon = KeyboardHelpIconFactory.iconOrIcon( leftRightArrowsIcon, upDownArrowsIcon );
+    moveBetweenItemsInAGroupRow = KeyboardHelpSection.labelWithIcon( keyboardHelpDialogMoveBetweenItemsInAGroupString,
+      leftRightOrUpDownIcon, keyboardHelpDialogGroupNavigationDescriptionStringProperty.value );
+  }
+
+  // with "or group" when providing group content
+  const moveToNextItemIcon = new TabKeyNode();
+  const nextItemString = options.withGroupContent ?
+                         keyboardHelpDialogMoveToNextItemOrGroupString :
+                         keyboardHelpDialogMoveToNextItemString;
+  const moveToNextDescription = options.withGroupContent ?
+                                keyboardHelpDialogTabGroupDescriptionStringProperty.value :
+                                keyboardHelpDialogTabDescriptionStringProperty.value;
+  const moveToNextItemRow = KeyboardHelpSection.labelWithIcon(
+    nextItemString,
+    moveToNextItemIcon,
+    moveToNextDescription
+  );
+
+  // with "or group" when providing group content
+  const previousItemString = options.withGroupContent ?
+                             keyboardHelpDialogMoveToPreviousItemOrGroupString :
+                             keyboardHelpDialogMoveToPreviousItemString;
+  const tabIcon = new TabKeyNode();
+  const moveToPreviousItemIcon = KeyboardHelpIconFactory.shiftPlusIcon( tabIcon );
+  const moveToPreviousDescriptionString = options.withGroupContent ?
+                                          keyboardHelpDialogShiftTabGroupDescriptionStringProperty.value :
+                                          keyboardHelpDialogShiftTabDescriptionStringProperty.value;
+  const moveToPreviousItemRow = KeyboardHelpSection.labelWithIcon(
+    previousItemString,
+    moveToPreviousItemIcon,
+    moveToPreviousDescriptionString
+  );
+
+  // order the rows of content
+  return [
+    moveToNextItemRow,
+    moveToPreviousItemRow,
+    pressButtonsItemRow,
+    toggleCheckboxes,
+    moveBetweenItemsInAGroupRow,
+    exitADialogRow
+  ].filter( row => row !== null ); // If any optional rows are null, omit them.
 }
 
 sceneryPhet.register( 'GeneralKeyboardHelpSection', GeneralKeyboardHelpSection );
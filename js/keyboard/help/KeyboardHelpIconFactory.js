@@ -15,13 +15,18 @@ import PlusNode from '../../PlusNode.js';
 import sceneryPhetStrings from '../../scenery-phet-strings.js';
 import sceneryPhet from '../../sceneryPhet.js';
 import ArrowKeyNode from '../ArrowKeyNode.js';
+import EndKeyNode from '../EndKeyNode.js';
 import EnterKeyNode from '../EnterKeyNode.js';
 import EscapeKeyNode from '../EscapeKeyNode.js';
+import HomeKeyNode from '../HomeKeyNode.js';
+import keyboardShortcuts from '../keyboardShortcuts.js';
 import LetterKeyNode from '../LetterKeyNode.js';
 import PageDownKeyNode from '../PageDownKeyNode.js';
 import PageUpKeyNode from '../PageUpKeyNode.js';
 import ShiftKeyNode from '../ShiftKeyNode.js';
 import SpaceKeyNode from '../SpaceKeyNode.js';
+import TabKeyNode from '../TabKeyNode.js';
+import TextKeyNode from '../TextKeyNode.js';
 
 const keyboardHelpDialogOrString = sceneryPhetStrings.keyboardHelpDialog.or;
 
@@ -31,6 +36,27 @@ const DEFAULT_ICON_SPACING = 5;
 const OR_TEXT_MAX_WIDTH = 12;
 const LABEL_FONT = new PhetFont( 12 );
 
+// icons for named keys, see KeyboardShortcut for key names
+const KEY_NODE_CREATORS = {
+  arrowUp: () => new ArrowKeyNode( 'up' ),
+  arrowDown: () => new ArrowKeyNode( 'down' ),
+  arrowLeft: () => new ArrowKeyNode( 'left' ),
+  arrowRight: () => new ArrowKeyNode( 'right' ),
+  end: () => new EndKeyNode(),
+  enter: () => new EnterKeyNode(),
+  escape: () => new EscapeKeyNode(),
+  home: () => new HomeKeyNode(),
+  pageDown: () => new PageDownKeyNode(),
+  pageUp: () => new PageUpKeyNode(),
+  shift: () => new ShiftKeyNode(),
+  space: () => new SpaceKeyNode(),
+  tab: () => new TabKeyNode(),
+
+  // These are not translated because they map directly to specific keys.
+  alt: () => new TextKeyNode( 'Alt' ),
+  ctrl: () => new TextKeyNode( 'Ctrl' )
+};
+
 class KeyboardHelpIconFactory {
   constructor() {
     assert && assert( false, 'do not construct this, instead use its helper static methods for icon creation' );
@@ -52,12 +78,7 @@ class KeyboardHelpIconFactory {
     }, options );
     assert && assert( !options.children );
 
-    const orText = new Text( keyboardHelpDialogOrString, {
-      font: LABEL_FONT,
-      maxWidth: OR_TEXT_MAX_WIDTH
-    } );
-
-    options.children = [ iconA, orText, iconB ];
+    options.children = [ iconA, createOrText(), iconB ];
     return new HBox( options );
   }
 
@@ -201,7 +222,10 @@ class KeyboardHelpIconFactory {
   }
 
   /**
-   * An icon containing horizontally aligned arrow keys and horizontally aligned WASD keys, separated by an "or".
+   * An icon for the keys that move grabbed objects, which are horizontally aligned arrow keys and horizontally aligned
+   * WASD keys separated by an "or", unless the user has chosen only one of them. The icon shows the keys of the
+   * 'grabDrag.move' shortcut of keyboardShortcuts when it is created. For help content that is updated when the user
+   * chooses other keys, use KeyboardHelpSection.setShortcuts with that shortcut instead.
    *
    * @param {Object} [options]
    * @returns {HBox}
@@ -212,10 +236,11 @@ class KeyboardHelpIconFactory {
     }, options );
     assert && assert( !options.children, 'children cannot be passed to options' );
 
-    const arrowKeys = KeyboardHelpIconFactory.arrowKeysRowIcon();
-    const wasdKeys = KeyboardHelpIconFactory.wasdRowIcon();
-
-    return KeyboardHelpIconFactory.iconOrIcon( arrowKeys, wasdKeys, options );
+    const icons = keyboardShortcuts.getShortcut( 'grabDrag.move' ).bindings.map( binding => {
+      return KeyboardHelpIconFactory.bindingIcon( binding );
+    } );
+    options.children = _.flatMap( icons, ( icon, index ) => index === 0 ? [ icon ] : [ createOrText(), icon ] );
+    return new HBox( options );
   }
 
   /**
@@ -281,6 +306,87 @@ class KeyboardHelpIconFactory {
   static leftRightArrowKeysRowIcon( options ) {
     return KeyboardHelpIconFactory.createTwoArrowKeysIcon( 'left', 'right', options );
   }
+
+  /**
+   * An icon for a single key.
+   *
+   * @param {string} keyName - see KeyboardShortcut for key names
+   * @returns {KeyNode}
+   */
+  static keyIcon( keyName ) {
+    if ( KEY_NODE_CREATORS.hasOwnProperty( keyName ) ) {
+      return KEY_NODE_CREATORS[ keyName ]();
+    }
+    else if ( keyName.length === 1 ) {
+
+      // Not translated because it maps directly to a specific key.
+      return new LetterKeyNode( keyName.toUpperCase() );
+    }
+    else {
+
+      // Other keys that a user can bind shortcuts to, like 'backspace', labeled with the name of the key.
+      return new TextKeyNode( keyName.charAt( 0 ).toUpperCase() + keyName.slice( 1 ) );
+    }
+  }
+
+  /**
+   * An icon for a binding of a KeyboardShortcut. The keys of the binding are aligned horizontally, after the modifier
+   * keys separated by '+', like "shift + left right".
+   *
+   * @param {Object} binding - {modifiers: string[], keys: string[]}, see KeyboardShortcut
+   * @param {Object} [options]
+   * @returns {Node}
+   */
+  static bindingIcon( binding, options ) {
+
+    // Arrow and letter keys are in a row like the arrow and WASD row icons, other keys are spaced like separate keys.
+    const isRowOfKeys = _.every( binding.keys, key => key.length === 1 || key.indexOf( 'arrow' ) === 0 );
+
+    options = merge( {
+      spacing: isRowOfKeys ? DEFAULT_LETTER_KEY_SPACING : DEFAULT_ICON_SPACING
+    }, options );
+    assert && assert( !options.children, 'children cannot be passed to options' );
+
+    const modifiers = binding.modifiers || [];
+    options.children = binding.keys.map( key => KeyboardHelpIconFactory.keyIcon( key ) );
+    let icon = new HBox( options );
+    for ( let i = modifiers.length - 1; i >= 0; i-- ) {
+      icon = KeyboardHelpIconFactory.iconPlusIcon( KeyboardHelpIconFactory.keyIcon( modifiers[ i ] ), icon );
+    }
+    return icon;
+  }
+
+  /**
+   * An icon for a list of bindings of a KeyboardShortcut, separated by 'or'.
+   *
+   * @param {Object[]} bindings - see bindingIcon
+   * @returns {Node}
+   */
+  static bindingsIcon( bindings ) {
+    const icons = bindings.map( binding => KeyboardHelpIconFactory.bindingIcon( binding ) );
+    return _.reduceRight( icons, ( rightIcon, leftIcon ) => KeyboardHelpIconFactory.iconOrIcon( leftIcon, rightIcon ) );
+  }
+
+  /**
+   * An icon for the current bindings of a KeyboardShortcut, separated by 'or'.
+   *
+   * @param {KeyboardShortcut} shortcut
+   * @returns {Node}
+   */
+  static shortcutIcon( shortcut ) {
+    return KeyboardHelpIconFactory.bindingsIcon( shortcut.bindings );
+  }
+}
+
+/**
+ * Creates the 'or' between icons.
+ * @returns {Text}
+ */
+function createOrText() {
+  return new Text( keyboardHelpDialogOrString, {
+    font: LABEL_FONT,
+    maxWidth: OR_TEXT_MAX_WIDTH
+  } );
 }
 
 // @public (read-only)
@@ -24,13 +24,13 @@ import HBox from '../../../../scenery/js/nodes/HBox.js';
 import RichText from '../../../../scenery/js/nodes/RichText.js';
 import Text from '../../../../scenery/js/nodes/Text.js';
 import VBox from '../../../../scenery/js/nodes/VBox.js';
+import localeProperty from '../../localeProperty.js';
 import PhetFont from '../../PhetFont.js';
 import sceneryPhetStrings from '../../scenery-phet-strings.js';
 import sceneryPhet from '../../sceneryPhet.js';
 import SceneryPhetA11yStrings from '../../SceneryPhetA11yStrings.js';
-import EnterKeyNode from '../EnterKeyNode.js';
+import keyboardShortcuts from '../keyboardShortcuts.js';
 import LetterKeyNode from '../LetterKeyNode.js';
-import SpaceKeyNode from '../SpaceKeyNode.js';
 import KeyboardHelpIconFactory from './KeyboardHelpIconFactory.js';
 
 const keyboardHelpDialogGrabOrReleaseHeadingPatternString = sceneryPhetStrings.keyboardHelpDialog.grabOrReleaseHeadingPattern;
@@ -38,7 +38,7 @@ const keyboardHelpDialogGrabOrReleaseLabelPatternString = sceneryPhetStrings.key
 const keyboardHelpDialogOrString = sceneryPhetStrings.keyboardHelpDialog.or;
 
 // a11y strings
-const grabOrReleaseDescriptionPatternString = SceneryPhetA11yStrings.grabOrReleaseDescriptionPattern.value;
+const grabOrReleaseDescriptionPatternStringProperty = SceneryPhetA11yStrings.grabOrReleaseDescriptionPattern;
 
 // constants
 // heading defaults
@@ -97,34 +97,27 @@ function KeyboardHelpSection( headingString, content, options ) {
     innerContent: headingString
   } );
 
-  // place icons in labels in unique layout boxes for alignment
-  const icons = [];
-  const labels = [];
-  for ( let i = 0; i < content.length; i++ ) {
-    const helpSectionRow = content[ i ];
-
-    assert && assert( helpSectionRow.text.maxWidth === null, 'KeyboardHelpSection sets maxWidth for children' );
-    helpSectionRow.text.maxWidth = options.labelMaxWidth;
-
-    icons.push( helpSectionRow.icon );
-    labels.push( helpSectionRow.label );
-  }
+  // @private {number}
+  this.labelMaxWidth = options.labelMaxWidth;
 
   const vBoxOptions = { align: 'left', spacing: DEFAULT_VERTICAL_ICON_SPACING };
 
   // @private - to adjust spacing if necessary for alignment
-  this.labelVBox = new VBox( merge( {
-    children: labels
-  }, vBoxOptions ) );
+  this.labelVBox = new VBox( merge( {}, vBoxOptions ) );
 
   // @private - parent for all icons, instance variable to adjust spacing if necessary
   this.iconVBox = new VBox( merge( {
-    children: icons,
 
     // a11y
     tagName: options.a11yContentTagName
   }, vBoxOptions ) );
 
+  // place icons in labels in unique layout boxes for alignment
+  this.setContent( content );
+
+  // @private {function|null} - removes listeners from the shortcuts of this section, see setShortcuts
+  this.unlinkShortcuts = null;
+
   // @private - labels and icons horizontally aligned, instance variable to adjust spacing if necessary
   this.contentHBox = new HBox( {
     children: [ this.labelVBox, this.iconVBox ],
@@ -141,7 +134,58 @@ function KeyboardHelpSection( headingString, content, options ) {
 
 sceneryPhet.register( 'KeyboardHelpSection', KeyboardHelpSection );
 
-inherit( VBox, KeyboardHelpSection, {}, {
+inherit( VBox, KeyboardHelpSection, {
+
+  /**
+   * Replaces the rows of this section.
+   * @public
+   *
+   * @param {HelpSectionRow[]} content - see constructor
+   */
+  setContent: function( content ) {
+    content.forEach( helpSectionRow => {
+      assert && assert( helpSectionRow.text.maxWidth === null, 'KeyboardHelpSection sets maxWidth for children' );
+      helpSectionRow.text.maxWidth = this.labelMaxWidth;
+    } );
+
+    this.labelVBox.children = content.map( helpSectionRow => helpSectionRow.label );
+    this.iconVBox.children = content.map( helpSectionRow => helpSectionRow.icon );
+  },
+
+  /**
+   * Sets the rows of this section to a row for each of a list of KeyboardShortcuts. The rows are created again when
+   * the bindings of the shortcuts change, so that the icons show the keys that a user has chosen, and when
+   * localeProperty changes, so that the PDOM descriptions are in the current locale.
+   * @public
+   *
+   * @param {KeyboardShortcut[]} shortcuts
+   * @param {function(KeyboardShortcut):HelpSectionRow} [createRow] - defaults to labelWithShortcut
+   */
+  setShortcuts: function( shortcuts, createRow ) {
+    createRow = createRow || ( shortcut => KeyboardHelpSection.labelWithShortcut( shortcut ) );
+
+    this.unlinkShortcuts && this.unlinkShortcuts();
+
+    const updateContent = () => this.setContent( shortcuts.map( createRow ) );
+    updateContent();
+
+    shortcuts.forEach( shortcut => shortcut.bindingsChangedEmitter.addListener( updateContent ) );
+    localeProperty.lazyLink( updateContent );
+    this.unlinkShortcuts = () => {
+      shortcuts.forEach( shortcut => shortcut.bindingsChangedEmitter.removeListener( updateContent ) );
+      localeProperty.unlink( updateContent );
+    };
+  },
+
+  /**
+   * @public
+   * @override
+   */
+  dispose: function() {
+    this.unlinkShortcuts && this.unlinkShortcuts();
+    VBox.prototype.dispose.call( this );
+  }
+}, {
 
   /**
    * Horizontally align a label and an icon, with the label on the left and the icon on the right. AlignGroup is used
@@ -259,6 +303,49 @@ inherit( VBox, KeyboardHelpSection, {}, {
     return new HelpSectionRow( labelText, labelWithHeightBox, iconsBox );
   },
 
+  /**
+   * Create a row for a KeyboardShortcut, labeled with the shortcut's labels and with an icon for each of its bindings.
+   * Icons for the bindings are in a single row separated by 'or', or in a list if the shortcut has listBindings.
+   * A {{keys}} placeholder in the shortcut's labelInnerContent is filled in with a description of its keys.
+   * @public
+   * @static
+   *
+   * @param {KeyboardShortcut} shortcut
+   * @param {Object} [options] - passed to labelWithIcon or labelWithIconList
+   * @returns {HelpSectionRow}
+   */
+  labelWithShortcut: function( shortcut, options ) {
+    const labelInnerContent = shortcut.labelInnerContent &&
+                              StringUtils.fillIn( shortcut.getLabelInnerContent(), {
+                                keys: shortcut.getKeysDescription()
+                              } );
+    if ( shortcut.listBindings ) {
+      const icons = shortcut.bindings.map( binding => KeyboardHelpIconFactory.bindingIcon( binding ) );
+      return KeyboardHelpSection.labelWithIconList( shortcut.labelString, icons, labelInnerContent, options );
+    }
+    else {
+      const icon = KeyboardHelpIconFactory.shortcutIcon( shortcut );
+      return KeyboardHelpSection.labelWithIcon( shortcut.labelString, icon, labelInnerContent, options );
+    }
+  },
+
+  /**
+   * Create a KeyboardHelpSection with a row for each shortcut, typically the shortcuts of a scope in a
+   * KeyboardShortcutRegistry.
+   * @public
+   * @static
+   *
+   * @param {string} headingString
+   * @param {KeyboardShortcut[]} shortcuts
+   * @param {Object} [options]
+   * @returns {KeyboardHelpSection}
+   */
+  fromShortcuts: function( headingString, shortcuts, options ) {
+    const keyboardHelpSection = new KeyboardHelpSection( headingString, [], options );
+    keyboardHelpSection.setShortcuts( shortcuts );
+    return keyboardHelpSection;
+  },
+
   /**
    * Create an entry for the dialog that looks horizontally aligns a letter key with a 'J' key separated by a plus
    * sign, with a descriptive label. Something like:   * "J + S jumps close to sweater"
@@ -322,21 +409,25 @@ inherit( VBox, KeyboardHelpSection, {}, {
       thing: thingAsLowerCase
     } );
 
-    // the string for the PDOM
-    const descriptionString = StringUtils.fillIn( grabOrReleaseDescriptionPatternString, {
-      thing: thingAsLowerCase
-    } );
+    // the icon and the description show the keys that the user has chosen for grabbing and releasing, see
+    // GrabDragInteraction
+    const keyboardHelpSection = new KeyboardHelpSection( heading, [], options );
+    keyboardHelpSection.setShortcuts( [ keyboardShortcuts.getShortcut( 'grabDrag.grabOrRelease' ) ], shortcut => {
 
-    const spaceKeyNode = new SpaceKeyNode();
-    const enterKeyNode = new EnterKeyNode();
-    const icons = KeyboardHelpIconFactory.iconOrIcon( spaceKeyNode, enterKeyNode );
-    const labelWithContentRow = KeyboardHelpSection.labelWithIcon( labelString, icons, descriptionString, {
-      iconOptions: {
-        tagName: 'p' // it is the only item so it is a p rather than an li
-      }
+      // the string for the PDOM
+      const descriptionString = StringUtils.fillIn( grabOrReleaseDescriptionPatternStringProperty.value, {
+        thing: thingAsLowerCase,
+        keys: shortcut.getKeysDescription()
+      } );
+
+      return KeyboardHelpSection.labelWithIcon( labelString, KeyboardHelpIconFactory.shortcutIcon( shortcut ), descriptionString, {
+        iconOptions: {
+          tagName: 'p' // it is the only item so it is a p rather than an li
+        }
+      } );
     } );
 
-    return new KeyboardHelpSection( heading, [ labelWithContentRow ], options );
+    return keyboardHelpSection;
   }
 } );
 
@@ -0,0 +1,165 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * The KeyboardShortcutRegistry for scenery-phet and sims, with the shortcuts of common components registered. Sims
+ * register their own shortcuts here too, so that conflicts with common shortcuts are found. Bindings that users choose
+ * are saved in localStorage, so they apply to all sims.
+ *
+ * @author agent <agent@local>
+ */
+
+import sceneryPhetStrings from '../scenery-phet-strings.js';
+import sceneryPhet from '../sceneryPhet.js';
+import SceneryPhetA11yStrings from '../SceneryPhetA11yStrings.js';
+import KeyboardShortcut from './KeyboardShortcut.js';
+import KeyboardShortcutRegistry from './KeyboardShortcutRegistry.js';
+
+const keyboardHelpDialogAdjustInLargerStepsString = sceneryPhetStrings.keyboardHelpDialog.adjustInLargerSteps;
+const keyboardHelpDialogAdjustInSmallerStepsString = sceneryPhetStrings.keyboardHelpDialog.adjustInSmallerSteps;
+const keyboardHelpDialogAdjustSliderString = sceneryPhetStrings.keyboardHelpDialog.adjustSlider;
+const keyboardHelpDialogGrabOrReleaseString = sceneryPhetStrings.keyboardHelpDialog.grabOrRelease;
+const keyboardHelpDialogJumpToMaximumString = sceneryPhetStrings.keyboardHelpDialog.jumpToMaximum;
+const keyboardHelpDialogJumpToMinimumString = sceneryPhetStrings.keyboardHelpDialog.jumpToMinimum;
+const keyboardHelpDialogJumpToNextSpotString = sceneryPhetStrings.keyboardHelpDialog.jumpToNextSpot;
+const keyboardHelpDialogJumpToPreviousSpotString = sceneryPhetStrings.keyboardHelpDialog.jumpToPreviousSpot;
+const keyboardHelpDialogMoveGrabbedObjectString = sceneryPhetStrings.keyboardHelpDialog.moveGrabbedObject;
+const keyboardHelpDialogSelectNextObjectString = sceneryPhetStrings.keyboardHelpDialog.selectNextObject;
+const keyboardHelpDialogSelectPreviousObjectString = sceneryPhetStrings.keyboardHelpDialog.selectPreviousObject;
+
+// a11y strings
+const keyboardHelpDialogAdjustLargerStepsStringProperty = SceneryPhetA11yStrings.keyboardHelpDialogAdjustLargerStepsString;
+const keyboardHelpDialogJumpToHomeStringProperty = SceneryPhetA11yStrings.keyboardHelpDialogJumpToHomeString;
+const keyboardHelpDialogJumpToEndStringProperty = SceneryPhetA11yStrings.keyboardHelpDialogJumpToEndString;
+const keyboardHelpDialogAdjustDefaultStepsStringProperty = SceneryPhetA11yStrings.keyboardHelpDialogAdjustDefaultStepsString;
+const keyboardHelpDialogAdjustSmallerStepsStringProperty = SceneryPhetA11yStrings.keyboardHelpDialogAdjustSmallerStepsString;
+const grabOrReleaseDescriptionStringProperty = SceneryPhetA11yStrings.grabOrReleaseDescription;
+const jumpToNextSpotDescriptionStringProperty = SceneryPhetA11yStrings.jumpToNextSpotDescription;
+const jumpToPreviousSpotDescriptionStringProperty = SceneryPhetA11yStrings.jumpToPreviousSpotDescription;
+const moveGrabbedObjectDescriptionStringProperty = SceneryPhetA11yStrings.moveGrabbedObjectDescription;
+const selectNextObjectDescriptionStringProperty = SceneryPhetA11yStrings.selectNextObjectDescription;
+const selectPreviousObjectDescriptionStringProperty = SceneryPhetA11yStrings.selectPreviousObjectDescription;
+
+const keyboardShortcuts = new KeyboardShortcutRegistry( {
+  storage: getLocalStorage(),
+  storageKey: 'phet.keyboardShortcuts'
+} );
+
+// Slider keys are handled by AccessibleSlider, so these shortcuts have no actions and cannot be changed, see
+// SliderKeyboardHelpSection.
+keyboardShortcuts.register( new KeyboardShortcut( 'slider.adjust', [
+  { keys: [ 'arrowLeft', 'arrowRight' ] },
+  { keys: [ 'arrowUp', 'arrowDown' ] }
+], {
+  scope: KeyboardShortcut.SLIDER_SCOPE,
+  rebindable: false,
+  labelString: keyboardHelpDialogAdjustSliderString,
+  labelInnerContent: keyboardHelpDialogAdjustDefaultStepsStringProperty
+} ) );
+keyboardShortcuts.register( new KeyboardShortcut( 'slider.adjustInSmallerSteps', [
+  { modifiers: [ 'shift' ], keys: [ 'arrowLeft', 'arrowRight' ] },
+  { modifiers: [ 'shift' ], keys: [ 'arrowUp', 'arrowDown' ] }
+], {
+  scope: KeyboardShortcut.SLIDER_SCOPE,
+  rebindable: false,
+  labelString: keyboardHelpDialogAdjustInSmallerStepsString,
+  labelInnerContent: keyboardHelpDialogAdjustSmallerStepsStringProperty,
+  listBindings: true
+} ) );
+keyboardShortcuts.register( new KeyboardShortcut( 'slider.adjustInLargerSteps', [
+  { keys: [ 'pageUp', 'pageDown' ] }
+], {
+  scope: KeyboardShortcut.SLIDER_SCOPE,
+  rebindable: false,
+  labelString: keyboardHelpDialogAdjustInLargerStepsString,
+  labelInnerContent: keyboardHelpDialogAdjustLargerStepsStringProperty
+} ) );
+keyboardShortcuts.register( new KeyboardShortcut( 'slider.jumpToMinimum', [
+  { keys: [ 'home' ] }
+], {
+  scope: KeyboardShortcut.SLIDER_SCOPE,
+  rebindable: false,
+  labelString: keyboardHelpDialogJumpToMinimumString,
+  labelInnerContent: keyboardHelpDialogJumpToHomeStringProperty
+} ) );
+keyboardShortcuts.register( new KeyboardShortcut( 'slider.jumpToMaximum', [
+  { keys: [ 'end' ] }
+], {
+  scope: KeyboardShortcut.SLIDER_SCOPE,
+  rebindable: false,
+  labelString: keyboardHelpDialogJumpToMaximumString,
+  labelInnerContent: keyboardHelpDialogJumpToEndStringProperty
+} ) );
+
+// GrabDragInteraction handles these keys, see KeyboardHelpSection.getGrabReleaseHelpSection for its help content
+keyboardShortcuts.register( new KeyboardShortcut( 'grabDrag.grabOrRelease', [
+  { keys: [ 'space' ] },
+  { keys: [ 'enter' ] }
+], {
+  scope: KeyboardShortcut.GRAB_DRAG_SCOPE,
+  labelString: keyboardHelpDialogGrabOrReleaseString,
+  labelInnerContent: grabOrReleaseDescriptionStringProperty
+} ) );
+
+// GroupGrabDragInteraction handles these keys to change the selected object of a group before it is grabbed
+keyboardShortcuts.register( new KeyboardShortcut( 'grabDrag.selectNextObject', [
+  { keys: [ 'arrowRight', 'arrowDown' ] }
+], {
+  scope: KeyboardShortcut.GRABBABLE_SCOPE,
+  labelString: keyboardHelpDialogSelectNextObjectString,
+  labelInnerContent: selectNextObjectDescriptionStringProperty
+} ) );
+keyboardShortcuts.register( new KeyboardShortcut( 'grabDrag.selectPreviousObject', [
+  { keys: [ 'arrowLeft', 'arrowUp' ] }
+], {
+  scope: KeyboardShortcut.GRABBABLE_SCOPE,
+  labelString: keyboardHelpDialogSelectPreviousObjectString,
+  labelInnerContent: selectPreviousObjectDescriptionStringProperty
+} ) );
+
+// ShortcutKeyboardDragListener moves a grabbed object with these keys. Users choose between the arrow keys, W/A/S/D or
+// both, since the keys are handled by KeyboardDragListener, which only supports those keys.
+keyboardShortcuts.register( new KeyboardShortcut( 'grabDrag.move', [
+  KeyboardShortcut.ARROW_KEYS,
+  KeyboardShortcut.WASD_KEYS
+], {
+  scope: KeyboardShortcut.DRAGGABLE_SCOPE,
+  labelString: keyboardHelpDialogMoveGrabbedObjectString,
+  labelInnerContent: moveGrabbedObjectDescriptionStringProperty,
+  bindingChoices: [
+    [ KeyboardShortcut.ARROW_KEYS ],
+    [ KeyboardShortcut.WASD_KEYS ],
+    [ KeyboardShortcut.ARROW_KEYS, KeyboardShortcut.WASD_KEYS ]
+  ]
+} ) );
+
+// GrabDragInteraction handles these keys to jump a grabbed object between the targets of its dropTargets
+keyboardShortcuts.register( new KeyboardShortcut( 'grabDrag.jumpToNextSpot', [
+  { keys: [ 'pageDown' ] }
+], {
+  scope: KeyboardShortcut.DRAGGABLE_SCOPE,
+  labelString: keyboardHelpDialogJumpToNextSpotString,
+  labelInnerContent: jumpToNextSpotDescriptionStringProperty
+} ) );
+keyboardShortcuts.register( new KeyboardShortcut( 'grabDrag.jumpToPreviousSpot', [
+  { keys: [ 'pageUp' ] }
+], {
+  scope: KeyboardShortcut.DRAGGABLE_SCOPE,
+  labelString: keyboardHelpDialogJumpToPreviousSpotString,
+  labelInnerContent: jumpToPreviousSpotDescriptionStringProperty
+} ) );
+
+/**
+ * Gets localStorage, which throws in some browsers when it is disabled.
+ * @returns {Storage|null}
+ */
+function getLocalStorage() {
+  try {
+    return window.localStorage;
+  }
+  catch( e ) {
+    return null;
+  }
+}
+
+sceneryPhet.register( 'keyboardShortcuts', keyboardShortcuts );
+export default keyboardShortcuts;
@@ -0,0 +1,456 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A key accumulator that collects user input for arithmetic expressions, e.g. 3×(2+4), intended for use in conjunction
+ * with the common-code keypad and Keypad.ExpressionLayout. Supports digits, decimal point, the binary operators
+ * +, −, ×, ÷ and ^ (exponent), unary minus, parentheses and implicit multiplication, e.g. 3(2+4).
+ *
+ * The expression is evaluated when the EQUALS key is pressed. If the expression is valid, valueProperty is set to its
+ * value. Otherwise errorProperty is set to the type of error. Both are reset to null when the expression is changed.
+ *
+ * @author agent <agent@local>
+ */
+
+import DerivedProperty from '../../../axon/js/DerivedProperty.js';
+import DerivedPropertyIO from '../../../axon/js/DerivedPropertyIO.js';
+import Property from '../../../axon/js/Property.js';
+import PropertyIO from '../../../axon/js/PropertyIO.js';
+import Enumeration from '../../../phet-core/js/Enumeration.js';
+import inherit from '../../../phet-core/js/inherit.js';
+import merge from '../../../phet-core/js/merge.js';
+import Tandem from '../../../tandem/js/Tandem.js';
+import NullableIO from '../../../tandem/js/types/NullableIO.js';
+import NumberIO from '../../../tandem/js/types/NumberIO.js';
+import StringIO from '../../../tandem/js/types/StringIO.js';
+import MathSymbols from '../MathSymbols.js';
+import sceneryPhet from '../sceneryPhet.js';
+import AbstractKeyAccumulator from './AbstractKeyAccumulator.js';
+import KeyID from './KeyID.js';
+
+// constants
+const DECIMAL_CHAR = '.';
+const BINARY_OPERATORS = [ KeyID.PLUS, KeyID.MINUS, KeyID.TIMES, KeyID.DIVIDE, KeyID.POWER ];
+
+// how each key (other than digits) is displayed
+const KEY_STRINGS = {
+  [ KeyID.DECIMAL ]: DECIMAL_CHAR,
+  [ KeyID.PLUS ]: MathSymbols.PLUS,
+  [ KeyID.MINUS ]: MathSymbols.MINUS,
+  [ KeyID.TIMES ]: MathSymbols.TIMES,
+  [ KeyID.DIVIDE ]: MathSymbols.DIVIDE,
+  [ KeyID.POWER ]: '^',
+  [ KeyID.LEFT_PARENTHESIS ]: '(',
+  [ KeyID.RIGHT_PARENTHESIS ]: ')'
+};
+
+// Types of errors that can occur when evaluating an expression
+const ErrorType = Enumeration.byKeys( [
+  'MISSING_OPERAND', // an operator or parentheses without an operand, e.g. '3+', '()' or a lone decimal point
+  'MISMATCHED_PARENTHESES', // e.g. '(3+4' or '3+4)'
+  'DIVISION_BY_ZERO', // e.g. '3÷(2−2)'
+  'UNDEFINED_RESULT' // the result is not a finite number, e.g. '(−8)^0.5'
+] );
+
+/**
+ * @param {Object} [options]
+ * @constructor
+ */
+function ExpressionAccumulator( options ) {
+  const self = this;
+  options = merge( {
+    maxKeys: 30, // {number} maximum number of keys in the expression
+    tandem: Tandem.REQUIRED
+  }, options );
+
+  assert && assert( options.maxKeys > 0, 'invalid maxKeys: ' + options.maxKeys );
+
+  // @private
+  this.maxKeys = options.maxKeys;
+
+  /**
+   * validate a proposed set of keys
+   * @param {Array.<KeyID>} proposedKeys - the proposed set of keys, to be validated
+   * @returns {boolean}
+   * @protected
+   */
+  this.defaultValidator = function( proposedKeys ) {
+    return proposedKeys.length <= self.maxKeys;
+  };
+
+  AbstractKeyAccumulator.call( this, [ this.defaultValidator ], options );
+
+  // @public (read-only) - string representation of the expression entered by the user
+  this.stringProperty = new DerivedProperty( [ this.accumulatedKeysProperty ], accumulatedKeys => {
+    return ExpressionAccumulator.keysToString( accumulatedKeys );
+  }, {
+    tandem: options.tandem.createTandem( 'stringProperty' ),
+    phetioType: DerivedPropertyIO( StringIO )
+  } );
+
+  // @public (read-only) {Property.<number|null>} - value of the expression, set when the expression is evaluated
+  this.valueProperty = new Property( null, {
+    tandem: options.tandem.createTandem( 'valueProperty' ),
+    phetioType: PropertyIO( NullableIO( NumberIO ) ),
+    phetioReadOnly: true,
+    phetioDocumentation: 'Value of the expression, or null if the expression has not been evaluated or is invalid'
+  } );
+
+  // @public (read-only) {Property.<ErrorType|null>} - error that occurred when the expression was evaluated
+  this.errorProperty = new Property( null, {
+    validValues: [ null ].concat( ErrorType.VALUES )
+  } );
+
+  // Changing the expression discards the result of the previous evaluation.
+  const accumulatedKeysListener = () => {
+    this.valueProperty.value = null;
+    this.errorProperty.value = null;
+  };
+  this.accumulatedKeysProperty.lazyLink( accumulatedKeysListener );
+
+  // @private
+  this.disposeExpressionAccumulator = () => {
+    this.accumulatedKeysProperty.unlink( accumulatedKeysListener );
+    this.stringProperty.dispose();
+    this.valueProperty.dispose();
+    this.errorProperty.dispose();
+  };
+}
+
+sceneryPhet.register( 'ExpressionAccumulator', ExpressionAccumulator );
+
+/**
+ * Is a key a digit?
+ * @param {KeyID} key
+ * @returns {boolean}
+ */
+function isDigit( key ) {
+  return !isNaN( key ) && key >= '0' && key <= '9';
+}
+
+/**
+ * Does a key that follows this key start an operand? If so, minus is unary.
+ * @param {KeyID|undefined} previousKey - undefined if at the start of the expression
+ * @returns {boolean}
+ */
+function isUnaryPosition( previousKey ) {
+  return previousKey === undefined || previousKey === KeyID.LEFT_PARENTHESIS ||
+         BINARY_OPERATORS.indexOf( previousKey ) !== -1;
+}
+
+/**
+ * Gets the digit and decimal keys of the number at the end of the expression.
+ * @param {Array.<KeyID>} keys
+ * @returns {Array.<KeyID>}
+ */
+function getCurrentNumberKeys( keys ) {
+  let i = keys.length;
+  while ( i > 0 && ( isDigit( keys[ i - 1 ] ) || keys[ i - 1 ] === KeyID.DECIMAL ) ) {
+    i--;
+  }
+  return keys.slice( i );
+}
+
+/**
+ * Converts keys to tokens, combining digits into numbers, and inserting TIMES where multiplication is implicit,
+ * e.g. 3(2+4) or (1+2)(3+4).
+ * @param {Array.<KeyID>} keys
+ * @returns {Array.<{type:KeyID|string, value:number}>} type is 'NUMBER' for numbers, otherwise the operator's KeyID
+ */
+function tokenize( keys ) {
+  const tokens = [];
+  let numberString = '';
+
+  const addToken = token => {
+    const previousToken = _.last( tokens );
+    if ( previousToken && ( previousToken.type === 'NUMBER' || previousToken.type === KeyID.RIGHT_PARENTHESIS ) &&
+         ( token.type === 'NUMBER' || token.type === KeyID.LEFT_PARENTHESIS ) ) {
+      tokens.push( { type: KeyID.TIMES } );
+    }
+    tokens.push( token );
+  };
+
+  const addNumberToken = () => {
+    if ( numberString.length > 0 ) {
+
+      // a lone decimal point is not a number
+      if ( numberString === DECIMAL_CHAR ) {
+        throw new ExpressionError( ErrorType.MISSING_OPERAND );
+      }
+      addToken( { type: 'NUMBER', value: parseFloat( numberString ) } );
+      numberString = '';
+    }
+  };
+
+  keys.forEach( key => {
+    if ( isDigit( key ) ) {
+      numberString += key;
+    }
+    else if ( key === KeyID.DECIMAL ) {
+      numberString += DECIMAL_CHAR;
+    }
+    else {
+      addNumberToken();
+      addToken( { type: key } );
+    }
+  } );
+  addNumberToken();
+
+  return tokens;
+}
+
+/**
+ * Thrown by tokenize and ExpressionParser when an expression is invalid.
+ */
+class ExpressionError {
+
+  /**
+   * @param {ErrorType} errorType
+   */
+  constructor( errorType ) {
+    this.errorType = errorType;
+  }
+}
+
+/**
+ * A recursive-descent parser that evaluates tokens as it parses them. The grammar, in order of increasing precedence:
+ *
+ * sum     := product ( ( '+' | '−' ) product )*
+ * product := unary ( ( '×' | '÷' ) unary )*
+ * unary   := '−' unary | power
+ * power   := primary ( '^' unary )?      exponent is right-associative, and −2^2 is −(2^2)
+ * primary := number | '(' sum ')'
+ */
+class ExpressionParser {
+
+  /**
+   * @param {Array.<{type:KeyID|string, value:number}>} tokens - see tokenize
+   */
+  constructor( tokens ) {
+    this.tokens = tokens;
+    this.index = 0;
+  }
+
+  /**
+   * @returns {number}
+   */
+  parse() {
+    if ( this.tokens.length === 0 ) {
+      throw new ExpressionError( ErrorType.MISSING_OPERAND );
+    }
+    const value = this.parseSum();
+
+    // Parsing stops early only at a ')' that has no matching '('.
+    if ( this.index < this.tokens.length ) {
+      assert && assert( this.peek() === KeyID.RIGHT_PARENTHESIS, 'unexpected token: ' + this.peek() );
+      throw new ExpressionError( ErrorType.MISMATCHED_PARENTHESES );
+    }
+    return value;
+  }
+
+  /**
+   * Gets the type of the next token, without consuming it.
+   * @returns {KeyID|string|undefined} undefined at the end of the tokens
+   */
+  peek() {
+    const token = this.tokens[ this.index ];
+    return token && token.type;
+  }
+
+  /**
+   * @returns {number}
+   */
+  parseSum() {
+    let value = this.parseProduct();
+    while ( this.peek() === KeyID.PLUS || this.peek() === KeyID.MINUS ) {
+      const operator = this.tokens[ this.index++ ].type;
+      const operand = this.parseProduct();
+      value = ( operator === KeyID.PLUS ) ? value + operand : value - operand;
+    }
+    return value;
+  }
+
+  /**
+   * @returns {number}
+   */
+  parseProduct() {
+    let value = this.parseUnary();
+    while ( this.peek() === KeyID.TIMES || this.peek() === KeyID.DIVIDE ) {
+      const operator = this.tokens[ this.index++ ].type;
+      const operand = this.parseUnary();
+      if ( operator === KeyID.TIMES ) {
+        value = value * operand;
+      }
+      else if ( operand === 0 ) {
+        throw new ExpressionError( ErrorType.DIVISION_BY_ZERO );
+      }
+      else {
+        value = value / operand;
+      }
+    }
+    return value;
+  }
+
+  /**
+   * @returns {number}
+   */
+  parseUnary() {
+    if ( this.peek() === KeyID.MINUS ) {
+      this.index++;
+      return -this.parseUnary();
+    }
+    return this.parsePower();
+  }
+
+  /**
+   * @returns {number}
+   */
+  parsePower() {
+    const base = this.parsePrimary();
+    if ( this.peek() === KeyID.POWER ) {
+      this.index++;
+      return Math.pow( base, this.parseUnary() );
+    }
+    return base;
+  }
+
+  /**
+   * @returns {number}
+   */
+  parsePrimary() {
+    const token = this.tokens[ this.index ];
+    if ( token && token.type === 'NUMBER' ) {
+      this.index++;
+      return token.value;
+    }
+    else if ( token && token.type === KeyID.LEFT_PARENTHESIS ) {
+      this.index++;
+      const value = this.parseSum();
+      if ( this.peek() !== KeyID.RIGHT_PARENTHESIS ) {
+        throw new ExpressionError( ErrorType.MISMATCHED_PARENTHESES );
+      }
+      this.index++;
+      return value;
+    }
+    else {
+
+      // end of the expression, an operator, or ')'
+      throw new ExpressionError( ErrorType.MISSING_OPERAND );
+    }
+  }
+}
+
+export default inherit( AbstractKeyAccumulator, ExpressionAccumulator, {
+
+  /**
+   * invoked when a key is pressed and creates proposed set of keys to be passed to the validator
+   * @param {KeyID} keyIdentifier - identifier for the key pressed
+   * @public
+   * @override
+   */
+  handleKeyPressed: function( keyIdentifier ) {
+
+    if ( keyIdentifier === KeyID.EQUALS ) {
+      this.evaluate();
+      return;
+    }
+
+    const newArray = this.handleClearOnNextKeyPress( keyIdentifier );
+    if ( keyIdentifier === KeyID.BACKSPACE ) {
+      newArray.pop();
+    }
+    else if ( keyIdentifier === KeyID.DECIMAL ) {
+
+      // at most one decimal point per number
+      if ( getCurrentNumberKeys( newArray ).indexOf( KeyID.DECIMAL ) === -1 ) {
+        newArray.push( keyIdentifier );
+      }
+    }
+    else if ( isDigit( keyIdentifier ) || KEY_STRINGS[ keyIdentifier ] ) {
+      newArray.push( keyIdentifier );
+    }
+    else {
+      assert && assert( false, 'This type of Key is not supported by ExpressionAccumulator: ' + keyIdentifier );
+    }
+
+    // Validate and update the keys
+    this.validateKeys( newArray ) && this.updateKeys( newArray );
+  },
+
+  /**
+   * Evaluates the expression, setting either valueProperty or errorProperty. Does nothing if the expression is empty.
+   * @public
+   */
+  evaluate: function() {
+    const keys = this.accumulatedKeysProperty.value;
+    if ( keys.length > 0 ) {
+      const result = ExpressionAccumulator.evaluateKeys( keys );
+      this.valueProperty.value = result.value;
+      this.errorProperty.value = result.error;
+    }
+  },
+
+  /**
+   * clear the accumulator
+   * @public
+   */
+  clear: function() {
+    AbstractKeyAccumulator.prototype.clear.call( this );
+    this.setClearOnNextKeyPress( false );
+  },
+
+  /**
+   * Cleans up references.
+   * @public
+   */
+  dispose: function() {
+    this.disposeExpressionAccumulator();
+    AbstractKeyAccumulator.prototype.dispose.call( this );
+  }
+}, {
+
+  // @public (read-only)
+  ErrorType: ErrorType,
+
+  /**
+   * Converts a set of keys to a string. Minus is displayed as unary minus where it negates an operand.
+   * @param {Array.<KeyID>} keys
+   * @returns {string}
+   * @public
+   */
+  keysToString: function( keys ) {
+    return keys.map( ( key, index ) => {
+      if ( isDigit( key ) ) {
+        return key;
+      }
+      else if ( key === KeyID.MINUS && isUnaryPosition( keys[ index - 1 ] ) ) {
+        return MathSymbols.UNARY_MINUS;
+      }
+      else {
+        assert && assert( KEY_STRINGS[ key ], 'unexpected key: ' + key );
+        return KEY_STRINGS[ key ];
+      }
+    } ).join( '' );
+  },
+
+  /**
+   * Parses and evaluates an expression.
+   * @param {Array.<KeyID>} keys
+   * @returns {{value:number|null, error:ErrorType|null}} exactly one of value and error is null
+   * @public
+   */
+  evaluateKeys: function( keys ) {
+    try {
+      const value = new ExpressionParser( tokenize( keys ) ).parse();
+      if ( !isFinite( value ) ) {
+        throw new ExpressionError( ErrorType.UNDEFINED_RESULT );
+      }
+      return { value: value, error: null };
+    }
+    catch( e ) {
+      if ( e instanceof ExpressionError ) {
+        return { value: null, error: e.errorType };
+      }
+      throw e;
+    }
+  }
+} );
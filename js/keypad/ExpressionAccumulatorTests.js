@@ -0,0 +1,82 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for ExpressionAccumulator
+ *
+ * @author agent <agent@local>
+ */
+
+import ExpressionAccumulator from './ExpressionAccumulator.js';
+import KeyID from './KeyID.js';
+
+const ErrorType = ExpressionAccumulator.ErrorType;
+
+// Converts a string like '3*(2+4)' to keys, for readability of the tests.
+const KEYS = {
+  '.': KeyID.DECIMAL,
+  '+': KeyID.PLUS,
+  '-': KeyID.MINUS,
+  '*': KeyID.TIMES,
+  '/': KeyID.DIVIDE,
+  '^': KeyID.POWER,
+  '(': KeyID.LEFT_PARENTHESIS,
+  ')': KeyID.RIGHT_PARENTHESIS
+};
+const toKeys = string => string.split( '' ).map( char => KEYS[ char ] || char );
+
+QUnit.module( 'ExpressionAccumulator' );
+
+QUnit.test( 'evaluateKeys', assert => {
+
+  const testValue = ( string, value ) => {
+    assert.deepEqual( ExpressionAccumulator.evaluateKeys( toKeys( string ) ), { value: value, error: null }, string );
+  };
+  testValue( '3*(2+4)', 18 );
+  testValue( '3(2+4)', 18 );
+  testValue( '(1+2)(3+4)', 21 );
+  testValue( '1-2-3', -4 );
+  testValue( '8/2/2', 2 );
+  testValue( '1+2*3', 7 );
+  testValue( '-2^2', -4 );
+  testValue( '2^3^2', 512 );
+  testValue( '2^-1', 0.5 );
+  testValue( '-(-3)', 3 );
+  testValue( '.5*4', 2 );
+
+  const testError = ( string, error ) => {
+    assert.deepEqual( ExpressionAccumulator.evaluateKeys( toKeys( string ) ), { value: null, error: error }, string );
+  };
+  testError( '3+', ErrorType.MISSING_OPERAND );
+  testError( '()', ErrorType.MISSING_OPERAND );
+  testError( '.', ErrorType.MISSING_OPERAND );
+  testError( '(3+4', ErrorType.MISMATCHED_PARENTHESES );
+  testError( '3+4)', ErrorType.MISMATCHED_PARENTHESES );
+  testError( '3/(2-2)', ErrorType.DIVISION_BY_ZERO );
+  testError( '(0-8)^.5', ErrorType.UNDEFINED_RESULT );
+} );
+
+QUnit.test( 'handleKeyPressed', assert => {
+
+  const accumulator = new ExpressionAccumulator();
+  const pressKeys = string => toKeys( string ).forEach( key => accumulator.handleKeyPressed( key ) );
+
+  pressKeys( '-3*(2+4' );
+  assert.equal( accumulator.stringProperty.value, '-3×(2+4', 'unary minus is displayed differently' );
+  accumulator.handleKeyPressed( KeyID.EQUALS );
+  assert.equal( accumulator.errorProperty.value, ErrorType.MISMATCHED_PARENTHESES, 'error' );
+  assert.equal( accumulator.valueProperty.value, null, 'no value when there is an error' );
+
+  pressKeys( ')' );
+  assert.equal( accumulator.errorProperty.value, null, 'editing clears the error' );
+  accumulator.handleKeyPressed( KeyID.EQUALS );
+  assert.equal( accumulator.valueProperty.value, -18, 'value' );
+
+  accumulator.handleKeyPressed( KeyID.BACKSPACE );
+  assert.equal( accumulator.valueProperty.value, null, 'editing clears the value' );
+
+  accumulator.clear();
+  pressKeys( '1.2.3' );
+  assert.equal( accumulator.stringProperty.value, '1.23', 'one decimal point per number' );
+
+  accumulator.dispose();
+} );
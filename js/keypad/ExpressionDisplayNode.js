@@ -0,0 +1,131 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Displays the expression that is being entered with an ExpressionAccumulator, and below it, the result of evaluating
+ * the expression, or an error message if the expression is invalid.
+ *
+ * @author agent <agent@local>
+ */
+
+import merge from '../../../phet-core/js/merge.js';
+import StringUtils from '../../../phetcommon/js/util/StringUtils.js';
+import Node from '../../../scenery/js/nodes/Node.js';
+import Rectangle from '../../../scenery/js/nodes/Rectangle.js';
+import Text from '../../../scenery/js/nodes/Text.js';
+import PhetFont from '../PhetFont.js';
+import sceneryPhetStrings from '../scenery-phet-strings.js';
+import sceneryPhet from '../sceneryPhet.js';
+import ExpressionAccumulator from './ExpressionAccumulator.js';
+
+const keypadResultPatternString = sceneryPhetStrings.keypad.resultPattern;
+
+// error message for each ExpressionAccumulator.ErrorType
+const ErrorType = ExpressionAccumulator.ErrorType;
+const ERROR_STRINGS = {
+  [ ErrorType.MISSING_OPERAND ]: sceneryPhetStrings.keypad.expressionError.missingOperand,
+  [ ErrorType.MISMATCHED_PARENTHESES ]: sceneryPhetStrings.keypad.expressionError.mismatchedParentheses,
+  [ ErrorType.DIVISION_BY_ZERO ]: sceneryPhetStrings.keypad.expressionError.divisionByZero,
+  [ ErrorType.UNDEFINED_RESULT ]: sceneryPhetStrings.keypad.expressionError.undefinedResult
+};
+
+class ExpressionDisplayNode extends Node {
+
+  /**
+   * @param {ExpressionAccumulator} accumulator
+   * @param {Object} [options]
+   */
+  constructor( accumulator, options ) {
+    assert && assert( accumulator instanceof ExpressionAccumulator, `invalid accumulator: ${accumulator}` );
+
+    options = merge( {
+      width: 200, // {number} width of the background
+      font: new PhetFont( 20 ),
+      resultFont: new PhetFont( 16 ),
+      textFill: 'black',
+      errorFill: 'red',
+      backgroundFill: 'white',
+      backgroundStroke: 'lightGray',
+      cornerRadius: 4,
+      xMargin: 8,
+      yMargin: 5,
+      ySpacing: 5,
+
+      // {function(number):string} formats the result of evaluating the expression
+      formatValue: value => `${value}`
+    }, options );
+
+    const textMaxWidth = options.width - 2 * options.xMargin;
+
+    // Both Texts are initialized with a sample string, so that their heights can be used for layout.
+    const expressionText = new Text( '0', {
+      font: options.font,
+      fill: options.textFill,
+      maxWidth: textMaxWidth
+    } );
+    const resultText = new Text( '0', {
+      font: options.resultFont,
+      maxWidth: textMaxWidth
+    } );
+
+    const backgroundNode = new Rectangle( 0, 0, options.width,
+      expressionText.height + options.ySpacing + resultText.height + 2 * options.yMargin, {
+        cornerRadius: options.cornerRadius,
+        fill: options.backgroundFill,
+        stroke: options.backgroundStroke
+      } );
+
+    assert && assert( !options.children, 'ExpressionDisplayNode sets children' );
+    options.children = [ backgroundNode, expressionText, resultText ];
+
+    super( options );
+
+    // The expression is right-justified, like a calculator.
+    const expressionListener = expression => {
+      expressionText.text = expression;
+      if ( expression.length > 0 ) {
+        expressionText.right = backgroundNode.right - options.xMargin;
+        expressionText.top = backgroundNode.top + options.yMargin;
+      }
+    };
+    accumulator.stringProperty.link( expressionListener );
+
+    const resultListener = () => {
+      const value = accumulator.valueProperty.value;
+      const error = accumulator.errorProperty.value;
+      if ( error ) {
+        resultText.text = ERROR_STRINGS[ error ];
+        resultText.fill = options.errorFill;
+      }
+      else {
+        resultText.text = ( value === null ) ? '' :
+                          StringUtils.fillIn( keypadResultPatternString, { value: options.formatValue( value ) } );
+        resultText.fill = options.textFill;
+      }
+      if ( resultText.text.length > 0 ) {
+        resultText.right = backgroundNode.right - options.xMargin;
+        resultText.bottom = backgroundNode.bottom - options.yMargin;
+      }
+    };
+    accumulator.valueProperty.link( resultListener );
+    accumulator.errorProperty.link( resultListener );
+
+    // @private
+    this.disposeExpressionDisplayNode = () => {
+      accumulator.stringProperty.unlink( expressionListener );
+      accumulator.valueProperty.unlink( resultListener );
+      accumulator.errorProperty.unlink( resultListener );
+    };
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  dispose() {
+    this.disposeExpressionDisplayNode();
+    super.dispose();
+  }
+}
+
+sceneryPhet.register( 'ExpressionDisplayNode', ExpressionDisplayNode );
+export default ExpressionDisplayNode;
@@ -0,0 +1,335 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * A key accumulator that collects user input for fractions and mixed numbers, e.g. 3/4 or 1 2/3, intended for use in
+ * conjunction with the common-code keypad and Keypad.FractionLayout or Keypad.MixedFractionLayout.
+ *
+ * The entry has up to 3 fields, filled in order: whole, numerator and denominator. Digits are added to the active
+ * field. NEXT_FIELD moves from the whole to the numerator, or from the numerator to the denominator. FRACTION_BAR
+ * moves to the denominator, and if pressed while entering the whole, the digits that were entered become the
+ * numerator, so that 3/4 can be typed as it is read. PLUS_MINUS toggles the sign of the entire entry.
+ *
+ * The value is a RationalNumber, so that values like 1/3 are represented exactly. It is null until the entry is
+ * complete, i.e. it has a denominator, or it is a whole number. Keys that would make the value inexact are rejected,
+ * see RationalNumber.isSafeMixedNumber.
+ *
+ * @author agent <agent@local>
+ */
+
+import DerivedProperty from '../../../axon/js/DerivedProperty.js';
+import DerivedPropertyIO from '../../../axon/js/DerivedPropertyIO.js';
+import Enumeration from '../../../phet-core/js/Enumeration.js';
+import inherit from '../../../phet-core/js/inherit.js';
+import merge from '../../../phet-core/js/merge.js';
+import Tandem from '../../../tandem/js/Tandem.js';
+import NullableIO from '../../../tandem/js/types/NullableIO.js';
+import NumberIO from '../../../tandem/js/types/NumberIO.js';
+import StringIO from '../../../tandem/js/types/StringIO.js';
+import MathSymbols from '../MathSymbols.js';
+import sceneryPhet from '../sceneryPhet.js';
+import AbstractKeyAccumulator from './AbstractKeyAccumulator.js';
+import KeyID from './KeyID.js';
+import RationalNumber from './RationalNumber.js';
+
+// constants
+const MAX_DIGITS = Number.MAX_SAFE_INTEGER.toString().length - 1; // maximum number of digits in any field
+
+// The fields of the entry, in the order that they are filled
+const Field = Enumeration.byKeys( [ 'WHOLE', 'NUMERATOR', 'DENOMINATOR' ] );
+
+/**
+ * @param {Object} [options]
+ * @constructor
+ */
+function FractionAccumulator( options ) {
+  const self = this;
+  options = merge( {
+
+    // {boolean} whether a whole number part can be entered. If false, entry starts with the numerator.
+    allowMixedNumbers: true,
+
+    // {number|null} maximum values for each field, null for no limit
+    maxWhole: null,
+    maxNumerator: null,
+    maxDenominator: null,
+
+    tandem: Tandem.REQUIRED
+  }, options );
+
+  // @private
+  this.allowMixedNumbers = options.allowMixedNumbers;
+
+  /**
+   * validate a proposed set of keys
+   * @param {Array.<KeyID>} proposedKeys - the proposed set of keys, to be validated
+   * @returns {boolean}
+   * @protected
+   */
+  this.defaultValidator = function( proposedKeys ) {
+    const entry = parseKeys( proposedKeys, self.allowMixedNumbers );
+    return entry !== null &&
+           isFieldValid( entry.whole, options.maxWhole ) &&
+           isFieldValid( entry.numerator, options.maxNumerator ) &&
+           isFieldValid( entry.denominator, options.maxDenominator ) &&
+           entry.denominator !== '0' &&
+           isEntrySafe( entry );
+  };
+
+  AbstractKeyAccumulator.call( this, [ this.defaultValidator ], options );
+
+  // {DerivedProperty.<Object>} the entry that is described by the keys, see parseKeys
+  const entryProperty = new DerivedProperty( [ this.accumulatedKeysProperty ],
+    accumulatedKeys => parseKeys( accumulatedKeys, self.allowMixedNumbers ) );
+
+  // @public (read-only) - string representation of the keys entered by the user
+  this.stringProperty = new DerivedProperty( [ entryProperty ], entryToString, {
+    tandem: options.tandem.createTandem( 'stringProperty' ),
+    phetioType: DerivedPropertyIO( StringIO )
+  } );
+
+  // @public (read-only) {DerivedProperty.<Field>} - the field that digits are added to
+  this.fieldProperty = new DerivedProperty( [ entryProperty ], entry => entry.field, {
+    validValues: Field.VALUES
+  } );
+
+  // @public (read-only) {DerivedProperty.<number|null>} - the fields that have been entered, null if empty. These are
+  // magnitudes, the sign of the entry is isNegativeProperty.
+  this.wholeProperty = new DerivedProperty( [ entryProperty ], entry => stringToInteger( entry.whole ), {
+    tandem: options.tandem.createTandem( 'wholeProperty' ),
+    phetioType: DerivedPropertyIO( NullableIO( NumberIO ) )
+  } );
+  this.numeratorProperty = new DerivedProperty( [ entryProperty ], entry => stringToInteger( entry.numerator ), {
+    tandem: options.tandem.createTandem( 'numeratorProperty' ),
+    phetioType: DerivedPropertyIO( NullableIO( NumberIO ) )
+  } );
+  this.denominatorProperty = new DerivedProperty( [ entryProperty ], entry => stringToInteger( entry.denominator ), {
+    tandem: options.tandem.createTandem( 'denominatorProperty' ),
+    phetioType: DerivedPropertyIO( NullableIO( NumberIO ) )
+  } );
+
+  // @public (read-only) {DerivedProperty.<boolean>}
+  this.isNegativeProperty = new DerivedProperty( [ entryProperty ], entry => entry.isNegative );
+
+  // @public (read-only) {DerivedProperty.<RationalNumber|null>} - value of the entry, null if the entry is incomplete.
+  // Not instrumented, because there is no IO type for RationalNumber. Use the field Properties instead.
+  this.valueProperty = new DerivedProperty( [ entryProperty ], entry => entryToRationalNumber( entry ) );
+
+  // @private
+  this.disposeFractionAccumulator = () => {
+    this.valueProperty.dispose();
+    this.isNegativeProperty.dispose();
+    this.denominatorProperty.dispose();
+    this.numeratorProperty.dispose();
+    this.wholeProperty.dispose();
+    this.fieldProperty.dispose();
+    this.stringProperty.dispose();
+    entryProperty.dispose();
+  };
+}
+
+sceneryPhet.register( 'FractionAccumulator', FractionAccumulator );
+
+/**
+ * Is a key a digit?
+ * @param {KeyID} key
+ * @returns {boolean}
+ */
+function isDigit( key ) {
+  return !isNaN( key ) && key >= '0' && key <= '9';
+}
+
+/**
+ * Gets the name of the entry's key for a field.
+ * @param {Field} field
+ * @returns {string}
+ */
+function getFieldKey( field ) {
+  return ( field === Field.WHOLE ) ? 'whole' : ( field === Field.NUMERATOR ) ? 'numerator' : 'denominator';
+}
+
+/**
+ * Parses keys into the entry that they describe.
+ * @param {Array.<KeyID>} keys
+ * @param {boolean} allowMixedNumbers
+ * @returns {{isNegative:boolean, whole:string, numerator:string, denominator:string, field:Field}|null}
+ *   digits in each field, and the field that digits are added to. null if the keys are not a valid entry.
+ */
+function parseKeys( keys, allowMixedNumbers ) {
+  const entry = {
+    isNegative: false,
+    whole: '',
+    numerator: '',
+    denominator: '',
+    field: allowMixedNumbers ? Field.WHOLE : Field.NUMERATOR
+  };
+
+  for ( let i = 0; i < keys.length; i++ ) {
+    const key = keys[ i ];
+    const fieldKey = getFieldKey( entry.field );
+
+    if ( isDigit( key ) ) {
+      entry[ fieldKey ] += key;
+    }
+    else if ( key === KeyID.PLUS_MINUS ) {
+
+      // like NumberAccumulator, the plus/minus key (if present) is the first key
+      if ( i !== 0 ) {
+        return null;
+      }
+      entry.isNegative = true;
+    }
+    else if ( key === KeyID.NEXT_FIELD || key === KeyID.FRACTION_BAR ) {
+
+      // Can't leave a field empty, or move past the denominator.
+      if ( entry[ fieldKey ].length === 0 || entry.field === Field.DENOMINATOR ) {
+        return null;
+      }
+
+      if ( key === KeyID.NEXT_FIELD && entry.field === Field.WHOLE ) {
+        entry.field = Field.NUMERATOR;
+      }
+      else {
+
+        // The fraction bar ends the numerator. If pressed while entering the whole, what was entered is the numerator.
+        if ( entry.field === Field.WHOLE ) {
+          entry.numerator = entry.whole;
+          entry.whole = '';
+        }
+        entry.field = Field.DENOMINATOR;
+      }
+    }
+    else {
+      return null;
+    }
+  }
+  return entry;
+}
+
+/**
+ * Does a field satisfy the limits on its value?
+ * @param {string} digits - digits in the field
+ * @param {number|null} maxValue - null for no limit
+ * @returns {boolean}
+ */
+function isFieldValid( digits, maxValue ) {
+  return digits.length <= MAX_DIGITS && ( maxValue === null || digits.length === 0 || Number( digits ) <= maxValue );
+}
+
+/**
+ * Can the value of an entry be represented exactly? Each field has at most MAX_DIGITS digits, so only the combination
+ * of the whole and the denominator can exceed Number.MAX_SAFE_INTEGER.
+ * @param {Object} entry - see parseKeys
+ * @returns {boolean}
+ */
+function isEntrySafe( entry ) {
+  return entry.denominator.length === 0 ||
+         RationalNumber.isSafeMixedNumber( Number( entry.whole ), Number( entry.numerator ),
+           Number( entry.denominator ) );
+}
+
+/**
+ * @param {string} digits
+ * @returns {number|null} null if there are no digits
+ */
+function stringToInteger( digits ) {
+  return ( digits.length === 0 ) ? null : Number( digits );
+}
+
+/**
+ * Converts an entry to a string, e.g. '−1 2/3'. Once the whole has been entered, the fraction bar is shown, so that
+ * partial entries like '1 2/' are unambiguous.
+ * @param {Object} entry - see parseKeys
+ * @returns {string}
+ */
+function entryToString( entry ) {
+  let string = entry.isNegative ? MathSymbols.UNARY_MINUS : '';
+  string += entry.whole;
+  if ( entry.field !== Field.WHOLE ) {
+    if ( entry.whole.length > 0 ) {
+      string += ' ';
+    }
+    string += `${entry.numerator}/${entry.denominator}`;
+  }
+  return string;
+}
+
+/**
+ * Converts an entry to a rational number.
+ * @param {Object} entry - see parseKeys
+ * @returns {RationalNumber|null} null if the entry is incomplete
+ */
+function entryToRationalNumber( entry ) {
+  let rationalNumber = null;
+  if ( entry.denominator.length > 0 ) {
+    rationalNumber = RationalNumber.fromMixedNumber( Number( entry.whole ), Number( entry.numerator ),
+      Number( entry.denominator ), entry.isNegative );
+  }
+  else if ( entry.field === Field.WHOLE && entry.whole.length > 0 ) {
+    rationalNumber = RationalNumber.fromMixedNumber( Number( entry.whole ), 0, 1, entry.isNegative );
+  }
+  return rationalNumber;
+}
+
+export default inherit( AbstractKeyAccumulator, FractionAccumulator, {
+
+  /**
+   * invoked when a key is pressed and creates proposed set of keys to be passed to the validator
+   * @param {KeyID} keyIdentifier - identifier for the key pressed
+   * @public
+   * @override
+   */
+  handleKeyPressed: function( keyIdentifier ) {
+    const newArray = this.handleClearOnNextKeyPress( keyIdentifier );
+    if ( isDigit( keyIdentifier ) ) {
+
+      // replace a leading zero in the active field
+      const entry = parseKeys( newArray, this.allowMixedNumbers );
+      if ( entry && entry[ getFieldKey( entry.field ) ] === '0' ) {
+        newArray.pop();
+      }
+      newArray.push( keyIdentifier );
+    }
+    else if ( keyIdentifier === KeyID.BACKSPACE ) {
+      newArray.pop();
+    }
+    else if ( keyIdentifier === KeyID.PLUS_MINUS ) {
+      if ( newArray.length > 0 && newArray[ 0 ] === KeyID.PLUS_MINUS ) {
+        newArray.shift();
+      }
+      else {
+        newArray.unshift( keyIdentifier );
+      }
+    }
+    else if ( keyIdentifier === KeyID.NEXT_FIELD || keyIdentifier === KeyID.FRACTION_BAR ) {
+      newArray.push( keyIdentifier );
+    }
+    else {
+      assert && assert( false, 'This type of Key is not supported by FractionAccumulator: ' + keyIdentifier );
+    }
+
+    // Validate and update the keys
+    this.validateKeys( newArray ) && this.updateKeys( newArray );
+  },
+
+  /**
+   * clear the accumulator
+   * @public
+   */
+  clear: function() {
+    AbstractKeyAccumulator.prototype.clear.call( this );
+    this.setClearOnNextKeyPress( false );
+  },
+
+  /**
+   * Cleans up references.
+   * @public
+   */
+  dispose: function() {
+    this.disposeFractionAccumulator();
+    AbstractKeyAccumulator.prototype.dispose.call( this );
+  }
+}, {
+
+  // @public {Enumeration}
+  Field: Field
+} );
@@ -0,0 +1,116 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for FractionAccumulator and RationalNumber
+ *
+ * @author agent <agent@local>
+ */
+
+import FractionAccumulator from './FractionAccumulator.js';
+import KeyID from './KeyID.js';
+import RationalNumber from './RationalNumber.js';
+
+// Converts a string like '-1 2/3' to keys, for readability of the tests.
+const KEYS = {
+  '-': KeyID.PLUS_MINUS,
+  ' ': KeyID.NEXT_FIELD,
+  '/': KeyID.FRACTION_BAR,
+  '<': KeyID.BACKSPACE
+};
+const pressKeys = ( accumulator, string ) => {
+  string.split( '' ).forEach( char => accumulator.handleKeyPressed( KEYS[ char ] || char ) );
+};
+
+QUnit.module( 'FractionAccumulator' );
+
+QUnit.test( 'RationalNumber', assert => {
+  assert.ok( new RationalNumber( 2, 4 ).equals( new RationalNumber( 1, 2 ) ), '2/4 equals 1/2' );
+  assert.ok( new RationalNumber( 1, -2 ).equals( new RationalNumber( -1, 2 ) ), 'sign is carried by numerator' );
+  assert.equal( new RationalNumber( 1, -2 ).toString(), '-1/2', 'denominator is positive' );
+  assert.equal( new RationalNumber( 6, -4 ).reduced().toString(), '-3/2', 'reduced' );
+  assert.equal( new RationalNumber( 0, 5 ).reduced().toString(), '0/1', 'reduced zero' );
+  assert.equal( RationalNumber.fromMixedNumber( 1, 1, 2, true ).toString(), '-3/2', 'fromMixedNumber' );
+  assert.ok( new RationalNumber( 4, 2 ).isInteger(), 'isInteger' );
+  assert.equal( new RationalNumber( 1, 4 ).getValue(), 0.25, 'getValue' );
+} );
+
+QUnit.test( 'mixed numbers', assert => {
+
+  const test = ( keys, string, value ) => {
+    const accumulator = new FractionAccumulator();
+    pressKeys( accumulator, keys );
+    assert.equal( accumulator.stringProperty.value, string, `string for '${keys}'` );
+    const actualValue = accumulator.valueProperty.value;
+    assert.equal( actualValue && actualValue.toString(), value, `value for '${keys}'` );
+    accumulator.dispose();
+  };
+  test( '3', '3', '3/1' );
+  test( '3/4', '3/4', '3/4' );
+  test( '1 2/3', '1 2/3', '5/3' );
+  test( '1 2 3', '1 2/3', '5/3' );
+  test( '-1 1/2', '-1 1/2', '-3/2' );
+  test( '1 2/', '1 2/', null );
+  test( '1 ', '1 /', null );
+  test( '3/4<', '3/', null );
+  test( '3/<', '3', '3/1' );
+  test( '04', '4', '4/1' );
+  test( '3/0', '3/', null );
+  test( '3/4/', '3/4', '3/4' );
+  test( '/', '', null );
+  test( '1 2 3 4', '1 2/34', '36/34' );
+} );
+
+QUnit.test( 'options', assert => {
+
+  const accumulator = new FractionAccumulator( {
+    allowMixedNumbers: false,
+    maxNumerator: 9,
+    maxDenominator: 12
+  } );
+  assert.equal( accumulator.fieldProperty.value, FractionAccumulator.Field.NUMERATOR, 'starts with numerator' );
+
+  pressKeys( accumulator, '10' );
+  assert.equal( accumulator.numeratorProperty.value, 1, 'maxNumerator' );
+  assert.equal( accumulator.valueProperty.value, null, 'numerator alone is incomplete' );
+
+  pressKeys( accumulator, '/13' );
+  assert.equal( accumulator.denominatorProperty.value, 1, 'maxDenominator' );
+  assert.equal( accumulator.fieldProperty.value, FractionAccumulator.Field.DENOMINATOR, 'field' );
+
+  accumulator.clear();
+  pressKeys( accumulator, '2 3' );
+  assert.equal( accumulator.stringProperty.value, '2/3', 'next field moves to denominator' );
+  assert.equal( accumulator.wholeProperty.value, null, 'no whole' );
+
+  accumulator.dispose();
+} );
+
+QUnit.test( 'overflow', assert => {
+
+  // 2^53 - 1 = 9007199254740991 is Number.MAX_SAFE_INTEGER
+  const large = new RationalNumber( Number.MAX_SAFE_INTEGER, Number.MAX_SAFE_INTEGER - 1 );
+  const other = new RationalNumber( Number.MAX_SAFE_INTEGER - 1, Number.MAX_SAFE_INTEGER - 2 );
+  assert.ok( !large.equals( other ), 'equals does not lose precision by cross-multiplying' );
+  assert.ok( large.equals( new RationalNumber( Number.MAX_SAFE_INTEGER, Number.MAX_SAFE_INTEGER - 1 ) ), 'equal' );
+  assert.ok( new RationalNumber( 3 * 1E15, 2 * 1E15 ).equals( new RationalNumber( 3, 2 ) ), 'equals large multiples' );
+
+  assert.ok( RationalNumber.isSafeMixedNumber( 9007199254740990, 1, 1 ), 'MAX_SAFE_INTEGER is safe' );
+  assert.ok( !RationalNumber.isSafeMixedNumber( 9007199254740990, 2, 1 ), 'MAX_SAFE_INTEGER + 1 is not safe' );
+  assert.ok( !RationalNumber.isSafeMixedNumber( 100000000, 0, 100000000 ), '1E16 is not safe' );
+
+  const accumulator = new FractionAccumulator();
+  pressKeys( accumulator, '90071992547409 91/100' );
+  assert.equal( accumulator.valueProperty.value.toString(), '9007199254740991/100', 'largest exact value' );
+
+  pressKeys( accumulator, '0' );
+  assert.equal( accumulator.stringProperty.value, '90071992547409 91/100', 'digit that would overflow is rejected' );
+
+  accumulator.clear();
+  pressKeys( accumulator, '999999999999999' );
+  assert.equal( accumulator.wholeProperty.value, 999999999999999, 'large whole number' );
+  pressKeys( accumulator, ' 1/10' );
+  assert.equal( accumulator.stringProperty.value, '999999999999999 1/1',
+    'denominator that would overflow is rejected' );
+
+  accumulator.dispose();
+} );
@@ -0,0 +1,61 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Displays the fraction or mixed number that is being entered with a FractionAccumulator, updated as keys are pressed.
+ * The fraction is shown as soon as the user moves past the whole number, so that it's clear where the next digits go.
+ *
+ * @author agent <agent@local>
+ */
+
+import MixedFractionNode from '../MixedFractionNode.js';
+import sceneryPhet from '../sceneryPhet.js';
+import FractionAccumulator from './FractionAccumulator.js';
+
+class FractionDisplayNode extends MixedFractionNode {
+
+  /**
+   * @param {FractionAccumulator} accumulator
+   * @param {Object} [options] - see MixedFractionNode
+   */
+  constructor( accumulator, options ) {
+    assert && assert( accumulator instanceof FractionAccumulator, `invalid accumulator: ${accumulator}` );
+
+    super( options );
+
+    const wholeListener = whole => { this.whole = whole; };
+    accumulator.wholeProperty.link( wholeListener );
+
+    const numeratorListener = numerator => { this.numerator = numerator; };
+    accumulator.numeratorProperty.link( numeratorListener );
+
+    const denominatorListener = denominator => { this.denominator = denominator; };
+    accumulator.denominatorProperty.link( denominatorListener );
+
+    const isNegativeListener = isNegative => { this.isNegative = isNegative; };
+    accumulator.isNegativeProperty.link( isNegativeListener );
+
+    const fieldListener = field => { this.showEmptyFraction = ( field !== FractionAccumulator.Field.WHOLE ); };
+    accumulator.fieldProperty.link( fieldListener );
+
+    // @private
+    this.disposeFractionDisplayNode = () => {
+      accumulator.wholeProperty.unlink( wholeListener );
+      accumulator.numeratorProperty.unlink( numeratorListener );
+      accumulator.denominatorProperty.unlink( denominatorListener );
+      accumulator.isNegativeProperty.unlink( isNegativeListener );
+      accumulator.fieldProperty.unlink( fieldListener );
+    };
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  dispose() {
+    this.disposeFractionDisplayNode();
+    super.dispose();
+  }
+}
+
+sceneryPhet.register( 'FractionDisplayNode', FractionDisplayNode );
+export default FractionDisplayNode;
@@ -25,7 +25,21 @@ const KeyID = {
   DECIMAL: 'DECIMAL',
   PLUS_MINUS: 'PLUS_MINUS',
   X: 'X',
-  X_SQUARED: 'X_SQUARED'
+  X_SQUARED: 'X_SQUARED',
+
+  // keys for arithmetic expressions, see ExpressionAccumulator
+  PLUS: 'PLUS',
+  MINUS: 'MINUS',
+  TIMES: 'TIMES',
+  DIVIDE: 'DIVIDE',
+  POWER: 'POWER',
+  LEFT_PARENTHESIS: 'LEFT_PARENTHESIS',
+  RIGHT_PARENTHESIS: 'RIGHT_PARENTHESIS',
+  EQUALS: 'EQUALS',
+
+  // keys for fractions and mixed numbers, see FractionAccumulator
+  FRACTION_BAR: 'FRACTION_BAR',
+  NEXT_FIELD: 'NEXT_FIELD'
 };
 
 // verify that enum is immutable, without the runtime penalty in production code
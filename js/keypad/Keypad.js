@@ -7,6 +7,7 @@
  * @author John Blanco
  */
 
+import Emitter from '../../../axon/js/Emitter.js';
 import inherit from '../../../phet-core/js/inherit.js';
 import merge from '../../../phet-core/js/merge.js';
 import Node from '../../../scenery/js/nodes/Node.js';
@@ -14,10 +15,14 @@ import Text from '../../../scenery/js/nodes/Text.js';
 import RectangularPushButton from '../../../sun/js/buttons/RectangularPushButton.js';
 import Tandem from '../../../tandem/js/Tandem.js';
 import BackspaceIcon from '../BackspaceIcon.js';
+import localeProperty from '../localeProperty.js';
+import MathSymbols from '../MathSymbols.js';
 import PhetFont from '../PhetFont.js';
 import sceneryPhet from '../sceneryPhet.js';
+import SceneryPhetA11yStrings from '../SceneryPhetA11yStrings.js';
 import Key from './Key.js';
 import KeyID from './KeyID.js';
+import KeypadKeyboardListener from './KeypadKeyboardListener.js';
 import NumberAccumulator from './NumberAccumulator.js';
 
 // constants
@@ -25,6 +30,8 @@ const DEFAULT_BUTTON_WIDTH = 35;
 const DEFAULT_BUTTON_HEIGHT = 35;
 const DEFAULT_BUTTON_FONT = new PhetFont( { size: 20 } );
 const DEFAULT_BUTTON_COLOR = 'white';
+const keypadStringProperty = SceneryPhetA11yStrings.keypad;
+const keypadHelpTextStringProperty = SceneryPhetA11yStrings.keypadHelpText;
 const PLUS_CHAR = '\u002b';
 const MINUS_CHAR = '\u2212';
 const _0 = new Key( '0', KeyID.ZERO );
@@ -41,6 +48,16 @@ const WIDE_ZERO = new Key( '0', KeyID.ZERO, { horizontalSpan: 2 } );
 const BACKSPACE_KEY = new Key( ( new BackspaceIcon( { scale: 1.5 } ) ), KeyID.BACKSPACE );
 const PLUS_MINUS_KEY = new Key( PLUS_CHAR + '/' + MINUS_CHAR, KeyID.PLUS_MINUS );
 const DECIMAL_KEY = new Key( '.', KeyID.DECIMAL );
+const PLUS_KEY = new Key( MathSymbols.PLUS, KeyID.PLUS );
+const MINUS_KEY = new Key( MathSymbols.MINUS, KeyID.MINUS );
+const TIMES_KEY = new Key( MathSymbols.TIMES, KeyID.TIMES );
+const DIVIDE_KEY = new Key( MathSymbols.DIVIDE, KeyID.DIVIDE );
+const POWER_KEY = new Key( '^', KeyID.POWER );
+const LEFT_PARENTHESIS_KEY = new Key( '(', KeyID.LEFT_PARENTHESIS );
+const RIGHT_PARENTHESIS_KEY = new Key( ')', KeyID.RIGHT_PARENTHESIS );
+const EQUALS_KEY = new Key( MathSymbols.EQUAL_TO, KeyID.EQUALS );
+const FRACTION_BAR_KEY = new Key( '/', KeyID.FRACTION_BAR );
+const NEXT_FIELD_KEY = new Key( '\u2192', KeyID.NEXT_FIELD );
 
 /**
  * @param {Array.<Key>} layout - an array that specifies the keys and the layout, see static instance below for
@@ -62,7 +79,14 @@ function Keypad( layout, options ) {
     // {AbstractAccumulator|null} accumulator that collects and interprets key presses, see various implementations
     // for examples
     accumulator: null,
-    tandem: Tandem.REQUIRED
+    tandem: Tandem.REQUIRED,
+
+    // pdom - the keypad is a group of buttons, and it handles physical key presses from any of them. The ariaLabel
+    // and helpText are null for defaults in the current locale.
+    tagName: 'div',
+    ariaRole: 'group',
+    ariaLabel: null,
+    helpText: null
   }, options );
 
   Node.call( this );
@@ -85,6 +109,12 @@ function Keypad( layout, options ) {
   // @private {Array.<RectangularPushButton>}
   this.buttonNodes = [];
 
+  // @private {Object.<KeyID,RectangularPushButton>} the button for each key in the layout
+  this.buttonNodesByKeyID = {};
+
+  // @public {Emitter} emits when Enter is pressed on the physical keyboard, if the layout has no EQUALS key
+  this.enterEmitter = new Emitter();
+
   // determine number of rows and columns from the input layout
   let numRows = layout.length;
   let numColumns = 0;
@@ -145,12 +175,35 @@ function Keypad( layout, options ) {
         buttonNode.left = startColumn * options.buttonWidth + startColumn * options.xSpacing;
         buttonNode.top = startRow * options.buttonHeight + startRow * options.ySpacing;
         self.buttonNodes.push( buttonNode );
+        self.buttonNodesByKeyID[ button.identifier ] = buttonNode;
         self.addChild( buttonNode );
       }
     }
   }
 
+  // @private - physical keyboard input, received while the keypad or one of its buttons has focus
+  this.keyboardListener = new KeypadKeyboardListener(
+    keyID => this.pressKey( keyID ),
+    keyID => this.buttonNodesByKeyID[ keyID ] || null,
+    keyID => ( keyID === KeyID.EQUALS ) ? `${this.valueProperty.value}` : this.stringProperty.value, {
+      enterListener: () => this.enterEmitter.emit()
+    } );
+  this.addInputListener( this.keyboardListener );
+
   this.mutate( options );
+
+  // pdom - describes the keypad and its keys in the current locale, again when the locale changes
+  const updateAccessibleContent = () => {
+    this.ariaLabel = options.ariaLabel || keypadStringProperty.value;
+    this.helpText = options.helpText || keypadHelpTextStringProperty.value;
+    _.forOwn( this.buttonNodesByKeyID, ( buttonNode, keyID ) => {
+      buttonNode.innerContent = KeypadKeyboardListener.getAccessibleName( keyID );
+    } );
+  };
+  localeProperty.link( updateAccessibleContent );
+
+  // @private
+  this.disposeKeypad = () => localeProperty.unlink( updateAccessibleContent );
 }
 
 sceneryPhet.register( 'Keypad', Keypad );
@@ -196,6 +249,21 @@ function createKeyNode( keyObject, keyAccumulator, width, height, keyPadTandem,
 
 export default inherit( Node, Keypad, {
 
+  /**
+   * Presses a key, as if its button had been pressed.
+   * @param {KeyID} keyID
+   * @returns {boolean} true if the key was accepted, false if the accumulator rejected it
+   * @private
+   */
+  pressKey: function( keyID ) {
+    const keysBefore = this.accumulatedKeysProperty.value;
+    this.keyAccumulator.handleKeyPressed( keyID );
+
+    // EQUALS does not change the keys, so it is accepted if the expression evaluated to a value.
+    return ( keyID === KeyID.EQUALS ) ? ( this.valueProperty.value !== null ) :
+           !_.isEqual( keysBefore, this.accumulatedKeysProperty.value );
+  },
+
   /**
    * Calls the clear function for the given accumulator
    * @public
@@ -227,6 +295,9 @@ export default inherit( Node, Keypad, {
    * @public
    */
   dispose: function() {
+    this.disposeKeypad();
+    this.removeInputListener( this.keyboardListener );
+    this.enterEmitter.dispose();
     this.keyAccumulator.dispose();
     this.buttonNodes.forEach( function( buttonNode ) {
       buttonNode.dispose();
@@ -271,6 +342,30 @@ export default inherit( Node, Keypad, {
     [ DECIMAL_KEY, null, BACKSPACE_KEY ]
   ],
 
+  // For arithmetic expressions, use with ExpressionAccumulator
+  ExpressionLayout: [
+    [ _7, _8, _9, DIVIDE_KEY, LEFT_PARENTHESIS_KEY ],
+    [ _4, _5, _6, TIMES_KEY, RIGHT_PARENTHESIS_KEY ],
+    [ _1, _2, _3, MINUS_KEY, POWER_KEY ],
+    [ _0, DECIMAL_KEY, BACKSPACE_KEY, PLUS_KEY, EQUALS_KEY ]
+  ],
+
+  // For fractions, use with FractionAccumulator and options allowMixedNumbers: false
+  FractionLayout: [
+    [ _7, _8, _9 ],
+    [ _4, _5, _6 ],
+    [ _1, _2, _3 ],
+    [ _0, FRACTION_BAR_KEY, BACKSPACE_KEY ]
+  ],
+
+  // For fractions and mixed numbers, use with FractionAccumulator
+  MixedFractionLayout: [
+    [ _7, _8, _9, BACKSPACE_KEY ],
+    [ _4, _5, _6, NEXT_FIELD_KEY ],
+    [ _1, _2, _3, FRACTION_BAR_KEY ],
+    [ WIDE_ZERO, PLUS_MINUS_KEY ]
+  ],
+
   // Weird Layout is created for testing purposes to test the edge cases and layout capabilities
   WeirdLayout: [
     [ new Key( '1', KeyID.ONE ), new Key( '2', KeyID.TWO ), new Key( '3', KeyID.THREE, { horizontalSpan: 3 } ) ],
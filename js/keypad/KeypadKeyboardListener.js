@@ -0,0 +1,195 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Input listener that lets a keypad be operated with the physical keyboard. Add it to the keypad Node, so that it
+ * receives keydown events while the keypad or any of its on-screen key buttons has focus. Pressing a physical key
+ * presses the corresponding key of the keypad, through the same code path as the on-screen button, and makes the
+ * on-screen button look pressed. Each accepted or rejected key is described with an alert, for screen reader users.
+ *
+ * Supported keys are digits, period, minus, Backspace and Delete (both erase), Enter, the operators and parentheses
+ * that are used with ExpressionAccumulator, and slash and right arrow for the FRACTION_BAR and NEXT_FIELD keys that
+ * are used with FractionAccumulator. The NEXT_FIELD key is labeled with a right arrow. Space is not used, because it
+ * activates the focused key button. Only keys that are in the keypad's layout are pressed. Enter presses the EQUALS key
+ * if there is one, otherwise it calls options.enterListener.
+ *
+ * @author agent <agent@local>
+ */
+
+import timer from '../../../axon/js/timer.js';
+import merge from '../../../phet-core/js/merge.js';
+import StringUtils from '../../../phetcommon/js/util/StringUtils.js';
+import Utterance from '../../../utterance-queue/js/Utterance.js';
+import SpeechOutput from '../accessibility/speech/SpeechOutput.js';
+import sceneryPhet from '../sceneryPhet.js';
+import SceneryPhetA11yStrings from '../SceneryPhetA11yStrings.js';
+import KeyID from './KeyID.js';
+
+// a11y strings
+const keypadKeyAcceptedPatternStringProperty = SceneryPhetA11yStrings.keypadKeyAcceptedPattern;
+const keypadKeyRejectedPatternStringProperty = SceneryPhetA11yStrings.keypadKeyRejectedPattern;
+const keypadEmptyStringProperty = SceneryPhetA11yStrings.keypadEmpty;
+
+// how long an on-screen button looks pressed after the physical key is pressed, in ms
+const LOOKS_PRESSED_INTERVAL = 100;
+
+// KeyboardEvent.key values, and the KeyID of the key that they press. Minus, slash and Enter are handled separately.
+const KEYBOARD_KEYS = {
+  0: KeyID.ZERO,
+  1: KeyID.ONE,
+  2: KeyID.TWO,
+  3: KeyID.THREE,
+  4: KeyID.FOUR,
+  5: KeyID.FIVE,
+  6: KeyID.SIX,
+  7: KeyID.SEVEN,
+  8: KeyID.EIGHT,
+  9: KeyID.NINE,
+  '.': KeyID.DECIMAL,
+  Backspace: KeyID.BACKSPACE,
+  Delete: KeyID.BACKSPACE,
+  '+': KeyID.PLUS,
+  '*': KeyID.TIMES,
+  '^': KeyID.POWER,
+  '(': KeyID.LEFT_PARENTHESIS,
+  ')': KeyID.RIGHT_PARENTHESIS,
+  '=': KeyID.EQUALS,
+  ArrowRight: KeyID.NEXT_FIELD
+};
+
+// accessible names of the keys, digits are their own names. Read when a key is described, so that the name is in the
+// current locale.
+const ACCESSIBLE_NAMES = {
+  [ KeyID.BACKSPACE ]: SceneryPhetA11yStrings.keypadBackspace,
+  [ KeyID.DECIMAL ]: SceneryPhetA11yStrings.keypadDecimalPoint,
+  [ KeyID.PLUS_MINUS ]: SceneryPhetA11yStrings.keypadPlusMinus,
+  [ KeyID.X ]: SceneryPhetA11yStrings.keypadX,
+  [ KeyID.X_SQUARED ]: SceneryPhetA11yStrings.keypadXSquared,
+  [ KeyID.PLUS ]: SceneryPhetA11yStrings.keypadPlus,
+  [ KeyID.MINUS ]: SceneryPhetA11yStrings.keypadMinus,
+  [ KeyID.TIMES ]: SceneryPhetA11yStrings.keypadTimes,
+  [ KeyID.DIVIDE ]: SceneryPhetA11yStrings.keypadDividedBy,
+  [ KeyID.POWER ]: SceneryPhetA11yStrings.keypadPower,
+  [ KeyID.LEFT_PARENTHESIS ]: SceneryPhetA11yStrings.keypadLeftParenthesis,
+  [ KeyID.RIGHT_PARENTHESIS ]: SceneryPhetA11yStrings.keypadRightParenthesis,
+  [ KeyID.EQUALS ]: SceneryPhetA11yStrings.keypadEquals,
+  [ KeyID.FRACTION_BAR ]: SceneryPhetA11yStrings.keypadFractionBar,
+  [ KeyID.NEXT_FIELD ]: SceneryPhetA11yStrings.keypadNextField
+};
+
+class KeypadKeyboardListener {
+
+  /**
+   * @param {function(KeyID):boolean} pressKey - presses a key of the keypad, returns true if the key was accepted
+   * @param {function(KeyID):RectangularPushButton|null} getButton - gets the on-screen button for a key, null if the
+   *                                                                 key is not in the keypad's layout
+   * @param {function(KeyID):string} getValueString - gets the value after a key was accepted, to be described
+   * @param {Object} [options]
+   */
+  constructor( pressKey, getButton, getValueString, options ) {
+
+    options = merge( {
+      enterListener: null // {function|null} called when Enter is pressed and the layout has no EQUALS key
+    }, options );
+
+    // @private
+    this.pressKey = pressKey;
+    this.getButton = getButton;
+    this.getValueString = getValueString;
+    this.enterListener = options.enterListener;
+
+    // @private {Utterance} reused, so that rapid typing only describes the most recent key
+    this.utterance = new Utterance();
+  }
+
+  /**
+   * @param {SceneryEvent} event
+   * @public (scenery-internal)
+   */
+  keydown( event ) {
+    const domEvent = event.domEvent;
+
+    // Leave keyboard shortcuts alone.
+    if ( domEvent.ctrlKey || domEvent.metaKey || domEvent.altKey ) {
+      return;
+    }
+
+    let keyID = null;
+    if ( domEvent.key === '-' ) {
+      keyID = this.getButton( KeyID.MINUS ) ? KeyID.MINUS : KeyID.PLUS_MINUS;
+    }
+    else if ( domEvent.key === '/' ) {
+      keyID = this.getButton( KeyID.FRACTION_BAR ) ? KeyID.FRACTION_BAR : KeyID.DIVIDE;
+    }
+    else if ( domEvent.key === 'Enter' ) {
+      if ( this.getButton( KeyID.EQUALS ) ) {
+        keyID = KeyID.EQUALS;
+      }
+      else if ( this.enterListener ) {
+
+        // prevent Enter from also clicking a focused key button
+        domEvent.preventDefault();
+        this.enterListener();
+      }
+    }
+    else if ( KEYBOARD_KEYS.hasOwnProperty( domEvent.key ) ) {
+      keyID = KEYBOARD_KEYS[ domEvent.key ];
+    }
+
+    const button = keyID && this.getButton( keyID );
+    if ( button && button.enabled ) {
+
+      // Prevent the browser from handling the key, e.g. navigating back on Backspace, or clicking a focused key button
+      // on Enter.
+      domEvent.preventDefault();
+
+      depressButton( button );
+
+      const accepted = this.pressKey( keyID );
+      const keyName = KeypadKeyboardListener.getAccessibleName( keyID );
+      if ( accepted ) {
+        this.utterance.alert = StringUtils.fillIn( keypadKeyAcceptedPatternStringProperty.value, {
+          key: keyName,
+          value: this.getValueString( keyID ) || keypadEmptyStringProperty.value
+        } );
+      }
+      else {
+        this.utterance.alert = StringUtils.fillIn( keypadKeyRejectedPatternStringProperty.value, {
+          key: keyName
+        } );
+      }
+      SpeechOutput.alert( this.utterance );
+    }
+  }
+
+  /**
+   * Gets the accessible name of a key, as it is described to screen reader users.
+   * @param {KeyID} keyID
+   * @returns {string}
+   * @public
+   */
+  static getAccessibleName( keyID ) {
+    return ACCESSIBLE_NAMES[ keyID ] ? ACCESSIBLE_NAMES[ keyID ].value : keyID;
+  }
+}
+
+/**
+ * Makes a button look pressed for a moment. The button is un-hovered before it is released, so that releasing it
+ * does not fire its listener. The key is pressed by the caller instead, so that it takes effect immediately.
+ * @param {RectangularPushButton} button
+ */
+function depressButton( button ) {
+  const buttonModel = button.buttonModel;
+  if ( !buttonModel.downProperty.value ) {
+    buttonModel.overProperty.value = true;
+    buttonModel.downProperty.value = true;
+    timer.setTimeout( () => {
+      if ( !button.isDisposed ) {
+        buttonModel.overProperty.value = false;
+        buttonModel.downProperty.value = false;
+      }
+    }, LOOKS_PRESSED_INTERVAL );
+  }
+}
+
+sceneryPhet.register( 'KeypadKeyboardListener', KeypadKeyboardListener );
+export default KeypadKeyboardListener;
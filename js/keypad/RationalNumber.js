@@ -0,0 +1,133 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * An immutable rational number, the quotient of two integers. Used to represent fractions and mixed numbers exactly,
+ * e.g. the value of a FractionAccumulator, which would be lossy as a floating point number.
+ *
+ * The sign is carried by the numerator, and the denominator is always positive. The number is not automatically
+ * reduced, so that 2/4 and 1/2 can be distinguished, but equals compares values.
+ *
+ * The numerator and denominator must be safe integers, see Number.isSafeInteger, so that they are exact. Operations
+ * avoid intermediate values that could exceed Number.MAX_SAFE_INTEGER.
+ *
+ * @author agent <agent@local>
+ */
+
+import sceneryPhet from '../sceneryPhet.js';
+
+class RationalNumber {
+
+  /**
+   * @param {number} numerator - safe integer
+   * @param {number} denominator - non-zero safe integer
+   */
+  constructor( numerator, denominator ) {
+    assert && assert( Number.isSafeInteger( numerator ), `invalid numerator: ${numerator}` );
+    assert && assert( Number.isSafeInteger( denominator ) && denominator !== 0, `invalid denominator: ${denominator}` );
+
+    // @public (read-only) {number}
+    this.numerator = ( denominator < 0 ) ? -numerator : numerator;
+    this.denominator = Math.abs( denominator );
+
+    // avoid -0, so that string representations and equality comparisons are not surprising
+    if ( this.numerator === 0 ) {
+      this.numerator = 0;
+    }
+  }
+
+  /**
+   * Gets the value as a floating point number, for computations that don't require exact values.
+   * @returns {number}
+   * @public
+   */
+  getValue() {
+    return this.numerator / this.denominator;
+  }
+
+  /**
+   * Is this number an integer?
+   * @returns {boolean}
+   * @public
+   */
+  isInteger() {
+    return this.numerator % this.denominator === 0;
+  }
+
+  /**
+   * Gets this number in lowest terms.
+   * @returns {RationalNumber}
+   * @public
+   */
+  reduced() {
+    const divisor = gcd( Math.abs( this.numerator ), this.denominator );
+    return new RationalNumber( this.numerator / divisor, this.denominator / divisor );
+  }
+
+  /**
+   * Does this number have the same value as some other number? 2/4 and 1/2 are equal. Compares the numbers in lowest
+   * terms, which are unique, instead of cross-multiplying, which could exceed Number.MAX_SAFE_INTEGER.
+   * @param {RationalNumber} rationalNumber
+   * @returns {boolean}
+   * @public
+   */
+  equals( rationalNumber ) {
+    const thisReduced = this.reduced();
+    const otherReduced = rationalNumber.reduced();
+    return thisReduced.numerator === otherReduced.numerator && thisReduced.denominator === otherReduced.denominator;
+  }
+
+  /**
+   * @returns {string}
+   * @public
+   */
+  toString() {
+    return `${this.numerator}/${this.denominator}`;
+  }
+
+  /**
+   * Creates a rational number from the parts of a mixed number. The sign applies to the entire mixed number, e.g.
+   * fromMixedNumber( 1, 1, 2, true ) is -1 1/2, which is -3/2. See isSafeMixedNumber for the mixed numbers that can be
+   * represented exactly.
+   * @param {number} whole - non-negative integer
+   * @param {number} numerator - non-negative integer
+   * @param {number} denominator - positive integer
+   * @param {boolean} [isNegative]
+   * @returns {RationalNumber}
+   * @public
+   */
+  static fromMixedNumber( whole, numerator, denominator, isNegative = false ) {
+    assert && assert( whole >= 0 && numerator >= 0 && denominator > 0,
+      `invalid mixed number: ${whole} ${numerator}/${denominator}` );
+    assert && assert( RationalNumber.isSafeMixedNumber( whole, numerator, denominator ),
+      `mixed number is not exact: ${whole} ${numerator}/${denominator}` );
+    const sign = isNegative ? -1 : 1;
+    return new RationalNumber( sign * ( whole * denominator + numerator ), denominator );
+  }
+
+  /**
+   * Can a mixed number be represented exactly? The numerator of the rational number, whole * denominator + numerator,
+   * must not exceed Number.MAX_SAFE_INTEGER. Floating point rounding never makes an unsafe sum look safe, so the sum
+   * can be computed with numbers.
+   * @param {number} whole - non-negative integer
+   * @param {number} numerator - non-negative integer
+   * @param {number} denominator - positive integer
+   * @returns {boolean}
+   * @public
+   */
+  static isSafeMixedNumber( whole, numerator, denominator ) {
+    return Number.isSafeInteger( whole * denominator + numerator ) && Number.isSafeInteger( denominator );
+  }
+}
+
+/**
+ * Greatest common divisor of two non-negative integers, by Euclid's algorithm. gcd( 0, n ) is n.
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function gcd( a, b ) {
+  return ( b === 0 ) ? a : gcd( b, a % b );
+}
+
+sceneryPhet.register( 'RationalNumber', RationalNumber );
+export default RationalNumber;
@@ -0,0 +1,23 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * The locale of the accessible strings of scenery-phet, see SceneryPhetA11yStrings. It is initially the locale that
+ * the sim was loaded with, and can be changed at runtime to any locale whose strings are loaded, so that the PDOM and
+ * alerts of components are translated without reloading the sim. Visual strings are translated when the sim is loaded,
+ * and don't change with this Property.
+ *
+ * @author agent <agent@local>
+ */
+
+import StringProperty from '../../axon/js/StringProperty.js';
+import sceneryPhet from './sceneryPhet.js';
+
+// @public {Property.<string>}
+const localeProperty = new StringProperty( phet.chipper.locale, {
+
+  // strings are loaded for the locale of the sim, and in built sims for every locale that the sim is translated to
+  isValidValue: locale => !!phet.chipper.strings[ locale ]
+} );
+
+sceneryPhet.register( 'localeProperty', localeProperty );
+export default localeProperty;
@@ -0,0 +1,130 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Controls for going back through the history that is recorded by a PlaybackHistory. A timeline slider selects a
+ * snapshot, and is flanked by rewind, step backward, play/pause and step forward buttons. Dragging the slider or
+ * pressing any of the step buttons pauses the sim. Pressing play resumes the sim from the selected snapshot.
+ *
+ * @author agent <agent@local>
+ */
+
+import DerivedProperty from '../../../axon/js/DerivedProperty.js';
+import Dimension2 from '../../../dot/js/Dimension2.js';
+import Range from '../../../dot/js/Range.js';
+import Utils from '../../../dot/js/Utils.js';
+import merge from '../../../phet-core/js/merge.js';
+import HBox from '../../../scenery/js/nodes/HBox.js';
+import HSlider from '../../../sun/js/HSlider.js';
+import Tandem from '../../../tandem/js/Tandem.js';
+import PlayPauseButton from '../buttons/PlayPauseButton.js';
+import RewindButton from '../buttons/RewindButton.js';
+import StepBackwardButton from '../buttons/StepBackwardButton.js';
+import StepForwardButton from '../buttons/StepForwardButton.js';
+import sceneryPhet from '../sceneryPhet.js';
+import PlaybackHistory from './PlaybackHistory.js';
+
+class PlaybackControlNode extends HBox {
+
+  /**
+   * @param {PlaybackHistory} playbackHistory
+   * @param {BooleanProperty} isPlayingProperty
+   * @param {Object} [options]
+   */
+  constructor( playbackHistory, isPlayingProperty, options ) {
+    assert && assert( playbackHistory instanceof PlaybackHistory, `invalid playbackHistory: ${playbackHistory}` );
+
+    options = merge( {
+      spacing: 10,
+      buttonRadius: 15,
+      trackSize: new Dimension2( 200, 5 ),
+      thumbSize: new Dimension2( 13, 26 ),
+
+      // phet-io
+      tandem: Tandem.REQUIRED
+    }, options );
+
+    const rewindButton = new RewindButton( {
+      radius: options.buttonRadius,
+      listener: () => {
+        isPlayingProperty.value = false;
+        playbackHistory.rewind();
+      },
+      tandem: options.tandem.createTandem( 'rewindButton' )
+    } );
+
+    const stepBackwardButton = new StepBackwardButton( {
+      radius: options.buttonRadius,
+      listener: () => playbackHistory.stepBackward(),
+      tandem: options.tandem.createTandem( 'stepBackwardButton' )
+    } );
+
+    const playPauseButton = new PlayPauseButton( isPlayingProperty, {
+      radius: 1.3 * options.buttonRadius,
+      tandem: options.tandem.createTandem( 'playPauseButton' )
+    } );
+
+    const stepForwardButton = new StepForwardButton( {
+      radius: options.buttonRadius,
+      listener: () => playbackHistory.stepForward(),
+      tandem: options.tandem.createTandem( 'stepForwardButton' )
+    } );
+
+    // The slider can only select snapshots that have been recorded.
+    const enabledRangeProperty = new DerivedProperty( [ playbackHistory.lengthProperty ],
+      length => new Range( 0, Math.max( 0, length - 1 ) ) );
+
+    const timelineSlider = new HSlider( playbackHistory.indexProperty, new Range( 0, playbackHistory.capacity - 1 ), {
+      enabledRangeProperty: enabledRangeProperty,
+      constrainValue: Utils.roundSymmetric,
+      trackSize: options.trackSize,
+      thumbSize: options.thumbSize,
+      startDrag: () => {
+        isPlayingProperty.value = false;
+      },
+      tandem: options.tandem.createTandem( 'timelineSlider' )
+    } );
+
+    assert && assert( !options.children, 'PlaybackControlNode sets children' );
+    options.children = [ rewindButton, stepBackwardButton, playPauseButton, stepForwardButton, timelineSlider ];
+
+    super( options );
+
+    // The history can be navigated only while paused.
+    const updateEnabled = () => {
+      const isPlaying = isPlayingProperty.value;
+      const hasHistory = playbackHistory.lengthProperty.value > 0;
+      rewindButton.enabled = hasHistory && playbackHistory.indexProperty.value !== 0;
+      stepBackwardButton.enabled = !isPlaying && playbackHistory.canStepBackward();
+      stepForwardButton.enabled = !isPlaying && playbackHistory.canStepForward();
+      timelineSlider.enabled = hasHistory;
+    };
+    isPlayingProperty.link( updateEnabled );
+    playbackHistory.indexProperty.link( updateEnabled );
+    playbackHistory.lengthProperty.link( updateEnabled );
+
+    // @private
+    this.disposePlaybackControlNode = () => {
+      isPlayingProperty.unlink( updateEnabled );
+      playbackHistory.indexProperty.unlink( updateEnabled );
+      playbackHistory.lengthProperty.unlink( updateEnabled );
+      rewindButton.dispose();
+      stepBackwardButton.dispose();
+      playPauseButton.dispose();
+      stepForwardButton.dispose();
+      timelineSlider.dispose();
+      enabledRangeProperty.dispose();
+    };
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  dispose() {
+    this.disposePlaybackControlNode();
+    super.dispose();
+  }
+}
+
+sceneryPhet.register( 'PlaybackControlNode', PlaybackControlNode );
+export default PlaybackControlNode;
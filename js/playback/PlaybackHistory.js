@@ -0,0 +1,233 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * PlaybackHistory records snapshots of a set of Properties, so that the user can go back through the history of a
+ * simulation and resume from any point. Snapshots are stored in a ring buffer with a fixed capacity, so when the
+ * buffer is full, recording a snapshot discards the oldest one.
+ *
+ * The sim calls record each time its model is stepped. indexProperty is the index of the snapshot that is currently
+ * applied to the Properties. Changing indexProperty (e.g. by dragging PlaybackControlNode's timeline slider, or with
+ * stepBackward/stepForward/rewind) applies the corresponding snapshot. Recording while indexProperty is not at the
+ * most recent snapshot discards all snapshots after indexProperty, so that the history resumes from that point.
+ *
+ * Values are stored by reference, so the values of the recorded Properties must be immutable (e.g. number, boolean,
+ * Vector2), or the sim must be careful to never mutate them.
+ *
+ * @author agent <agent@local>
+ */
+
+import NumberProperty from '../../../axon/js/NumberProperty.js';
+import merge from '../../../phet-core/js/merge.js';
+import sceneryPhet from '../sceneryPhet.js';
+
+class PlaybackHistory {
+
+  /**
+   * @param {Property[]} properties - the Properties whose values are recorded
+   * @param {Object} [options]
+   */
+  constructor( properties, options ) {
+
+    options = merge( {
+      capacity: 500 // {number} the maximum number of snapshots
+    }, options );
+
+    assert && assert( properties.length > 0, 'at least 1 Property is required' );
+    assert && assert( Number.isInteger( options.capacity ) && options.capacity > 0, `invalid capacity: ${options.capacity}` );
+
+    // @public (read-only)
+    this.capacity = options.capacity;
+
+    // @private
+    this.properties = properties;
+
+    // @private {{time:number, values:*[]}[]} the ring buffer, with the oldest snapshot at this.startIndex
+    this.buffer = new Array( options.capacity );
+    this.startIndex = 0;
+
+    // @public (read-only) the number of snapshots that are recorded
+    this.lengthProperty = new NumberProperty( 0, {
+      numberType: 'Integer'
+    } );
+
+    // @public index of the snapshot that is applied to the Properties, in the range [0,lengthProperty.value-1].
+    // It is 0 when nothing has been recorded. Set this to go to a snapshot.
+    this.indexProperty = new NumberProperty( 0, {
+      numberType: 'Integer',
+      isValidValue: index => ( index >= 0 && ( index < this.lengthProperty.value || index === 0 ) )
+    } );
+
+    // @public (read-only) true while a snapshot is being applied. Listeners to the recorded Properties can use this to
+    // distinguish between playback and changes that are made by the model or the user.
+    this.isApplyingSnapshot = false;
+
+    // @private true while record is changing indexProperty, when no snapshot needs to be applied
+    this.isRecording = false;
+
+    const indexListener = index => {
+      if ( !this.isRecording && this.lengthProperty.value > 0 ) {
+        this.applySnapshot( index );
+      }
+    };
+    this.indexProperty.lazyLink( indexListener );
+
+    // @private
+    this.disposePlaybackHistory = () => {
+      this.indexProperty.unlink( indexListener );
+      this.indexProperty.dispose();
+      this.lengthProperty.dispose();
+    };
+  }
+
+  /**
+   * @public
+   */
+  dispose() {
+    this.disposePlaybackHistory();
+  }
+
+  /**
+   * Records a snapshot of the current values of the Properties. If indexProperty is not at the most recent snapshot,
+   * the snapshots after it are discarded first.
+   * @param {number} [time] - the sim time of the snapshot, see getTime
+   * @public
+   */
+  record( time = 0 ) {
+
+    // Resume from the snapshot that is currently applied.
+    const length = ( this.lengthProperty.value === 0 ) ? 0 : this.indexProperty.value + 1;
+
+    const snapshot = {
+      time: time,
+      values: this.properties.map( property => property.value )
+    };
+
+    this.isRecording = true;
+    if ( length < this.capacity ) {
+      this.buffer[ this.toBufferIndex( length ) ] = snapshot;
+      this.lengthProperty.value = length + 1;
+    }
+    else {
+
+      // Full, so overwrite the oldest snapshot.
+      this.buffer[ this.startIndex ] = snapshot;
+      this.startIndex = ( this.startIndex + 1 ) % this.capacity;
+      this.lengthProperty.value = this.capacity;
+    }
+    this.indexProperty.value = this.lengthProperty.value - 1;
+    this.isRecording = false;
+  }
+
+  /**
+   * Gets the sim time of a snapshot, as provided to record.
+   * @param {number} index
+   * @returns {number}
+   * @public
+   */
+  getTime( index ) {
+    return this.getSnapshot( index ).time;
+  }
+
+  /**
+   * Is there a snapshot before the one that is applied?
+   * @returns {boolean}
+   * @public
+   */
+  canStepBackward() {
+    return this.indexProperty.value > 0;
+  }
+
+  /**
+   * Is there a snapshot after the one that is applied?
+   * @returns {boolean}
+   * @public
+   */
+  canStepForward() {
+    return this.indexProperty.value < this.lengthProperty.value - 1;
+  }
+
+  /**
+   * Applies the previous snapshot.
+   * @public
+   */
+  stepBackward() {
+    assert && assert( this.canStepBackward(), 'cannot step backward' );
+    this.indexProperty.value--;
+  }
+
+  /**
+   * Applies the next snapshot.
+   * @public
+   */
+  stepForward() {
+    assert && assert( this.canStepForward(), 'cannot step forward' );
+    this.indexProperty.value++;
+  }
+
+  /**
+   * Applies the oldest snapshot.
+   * @public
+   */
+  rewind() {
+    if ( this.lengthProperty.value > 0 ) {
+      this.indexProperty.value = 0;
+    }
+  }
+
+  /**
+   * Discards all snapshots. The Properties are not changed.
+   * @public
+   */
+  clear() {
+    this.isRecording = true;
+    this.indexProperty.value = 0;
+    this.lengthProperty.value = 0;
+    this.isRecording = false;
+    this.startIndex = 0;
+    this.buffer.fill( undefined );
+  }
+
+  /**
+   * @public
+   */
+  reset() {
+    this.clear();
+  }
+
+  /**
+   * Sets the Properties to the values in a snapshot.
+   * @param {number} index
+   * @private
+   */
+  applySnapshot( index ) {
+    const values = this.getSnapshot( index ).values;
+    this.isApplyingSnapshot = true;
+    this.properties.forEach( ( property, i ) => {
+      property.value = values[ i ];
+    } );
+    this.isApplyingSnapshot = false;
+  }
+
+  /**
+   * @param {number} index
+   * @returns {{time:number, values:*[]}}
+   * @private
+   */
+  getSnapshot( index ) {
+    assert && assert( index >= 0 && index < this.lengthProperty.value, `invalid index: ${index}` );
+    return this.buffer[ this.toBufferIndex( index ) ];
+  }
+
+  /**
+   * Converts an index into the history to an index into the ring buffer.
+   * @param {number} index
+   * @returns {number}
+   * @private
+   */
+  toBufferIndex( index ) {
+    return ( this.startIndex + index ) % this.capacity;
+  }
+}
+
+sceneryPhet.register( 'PlaybackHistory', PlaybackHistory );
+export default PlaybackHistory;
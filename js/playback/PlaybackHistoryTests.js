@@ -0,0 +1,79 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for PlaybackHistory
+ *
+ * @author agent <agent@local>
+ */
+
+import NumberProperty from '../../../axon/js/NumberProperty.js';
+import PlaybackHistory from './PlaybackHistory.js';
+
+QUnit.module( 'PlaybackHistory' );
+
+QUnit.test( 'record and step', assert => {
+
+  const xProperty = new NumberProperty( 0 );
+  const history = new PlaybackHistory( [ xProperty ] );
+
+  assert.equal( history.lengthProperty.value, 0, 'nothing recorded' );
+  assert.ok( !history.canStepBackward() && !history.canStepForward(), 'cannot step an empty history' );
+
+  for ( let i = 0; i < 5; i++ ) {
+    xProperty.value = i;
+    history.record( i / 10 );
+  }
+  assert.equal( history.lengthProperty.value, 5, '5 snapshots' );
+  assert.equal( history.indexProperty.value, 4, 'at the most recent snapshot' );
+
+  history.stepBackward();
+  assert.equal( xProperty.value, 3, 'step backward applies the previous snapshot' );
+  history.rewind();
+  assert.equal( xProperty.value, 0, 'rewind applies the oldest snapshot' );
+  history.stepForward();
+  assert.equal( xProperty.value, 1, 'step forward applies the next snapshot' );
+  assert.equal( history.getTime( history.indexProperty.value ), 0.1, 'time of the snapshot' );
+
+  history.indexProperty.value = 2;
+  assert.equal( xProperty.value, 2, 'setting indexProperty applies a snapshot' );
+
+  // Resume from index 2, which discards the snapshots after it.
+  xProperty.value = 10;
+  history.record();
+  assert.equal( history.lengthProperty.value, 4, 'later snapshots were discarded' );
+  assert.ok( !history.canStepForward(), 'at the most recent snapshot' );
+  history.stepBackward();
+  assert.equal( xProperty.value, 2, 'history resumed from index 2' );
+
+  history.clear();
+  assert.equal( history.lengthProperty.value, 0, 'cleared' );
+  assert.equal( xProperty.value, 2, 'clear does not change the Properties' );
+} );
+
+QUnit.test( 'ring buffer', assert => {
+
+  const xProperty = new NumberProperty( 0 );
+  const yProperty = new NumberProperty( 0 );
+  const history = new PlaybackHistory( [ xProperty, yProperty ], { capacity: 3 } );
+
+  for ( let i = 0; i < 7; i++ ) {
+    xProperty.value = i;
+    yProperty.value = -i;
+    history.record();
+  }
+  assert.equal( history.lengthProperty.value, 3, 'limited to capacity' );
+
+  history.rewind();
+  assert.equal( xProperty.value, 4, 'oldest snapshots were discarded' );
+  assert.equal( yProperty.value, -4, 'all Properties are applied' );
+
+  // Resume from the middle of a wrapped buffer.
+  history.stepForward();
+  xProperty.value = 100;
+  history.record();
+  assert.equal( history.lengthProperty.value, 3, 'truncated, then recorded' );
+  history.stepBackward();
+  assert.equal( xProperty.value, 5, 'snapshot before the resumed point' );
+  history.rewind();
+  assert.equal( xProperty.value, 4, 'oldest snapshot is unchanged' );
+} );
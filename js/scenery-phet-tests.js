@@ -8,8 +8,28 @@
  * @author Chris Klusendorf (PhET Interactive Simulations)
  */
 
+import './accessibility/describers/DescriberAlertManagerTests.js';
+import './accessibility/describers/MovementDescriptionStrategyTests.js';
+import './accessibility/describers/ZoneMapTests.js';
+import './accessibility/DropTargetRegistryTests.js';
 import './accessibility/GrabDragInteractionTests.js';
+import './accessibility/MeasurementToolInteractionTests.js';
+import './accessibility/nodes/CurrentDetailsNodeTests.js';
+import './accessibility/speech/SpeechOutputTests.js';
+import './ColorContrastTests.js';
+import './ColorProfileTests.js';
+import './ComputedColorTests.js';
+import './keyboard/KeyboardShortcutRegistryTests.js';
+import './keypad/ExpressionAccumulatorTests.js';
+import './keypad/FractionAccumulatorTests.js';
 import './MultiLineTextTests.js';
+import './playback/PlaybackHistoryTests.js';
+import './SceneryPhetA11yStringsTests.js';
+import './SignificantFiguresTests.js';
+import './sonification/ValueSonifierTests.js';
+import './StopwatchTests.js';
+import './TimeFormatterTests.js';
+import './units/UnitFormatterTests.js';
 
 // Since our tests are loaded asynchronously, we must direct QUnit to begin the tests
 QUnit.start();
\ No newline at end of file
@@ -35,6 +35,13 @@ const sceneryPhetQueryParameters = QueryStringMachine.getAll( {
 
   greenhouseWaves: {
     type: 'flag'
+  },
+
+  // colors that replace the colors declared by a ColorProfile, as JSON in the format of ColorProfile.getAllColors,
+  // e.g. {"fishFill":{"default":"#ff8c00"}}. Colors and profiles that are omitted are unchanged.
+  colorProfileColors: {
+    type: 'string',
+    defaultValue: null
   }
 } );
 
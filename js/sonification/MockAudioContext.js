@@ -0,0 +1,207 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * An audio context for ValueSonifier that records the WebAudio graph that would be created instead of making sound,
+ * for tests and for running without WebAudio. Only the parts of the WebAudio API that ValueSonifier uses are
+ * supported. Time does not pass unless currentTime is set.
+ *
+ * @author agent <agent@local>
+ */
+
+import sceneryPhet from '../sceneryPhet.js';
+
+class MockAudioContext {
+
+  constructor() {
+
+    // @public {number} - in seconds, like AudioContext.currentTime
+    this.currentTime = 0;
+
+    // @public (read-only) {MockAudioNode}
+    this.destination = new MockAudioNode( 'destination' );
+
+    // @public (read-only) {MockAudioNode[]} - all nodes that have been created, in order
+    this.nodes = [];
+  }
+
+  /**
+   * @returns {MockAudioNode} - with a gain param
+   * @public
+   */
+  createGain() {
+    const gainNode = new MockAudioNode( 'gain' );
+    gainNode.gain = new MockAudioParam( 1 );
+    this.nodes.push( gainNode );
+    return gainNode;
+  }
+
+  /**
+   * @returns {MockAudioNode} - with a frequency param, start and stop
+   * @public
+   */
+  createOscillator() {
+    const oscillator = new MockAudioNode( 'oscillator' );
+    oscillator.frequency = new MockAudioParam( 440 );
+    this.nodes.push( oscillator );
+    return oscillator;
+  }
+
+  /**
+   * Gets the oscillators that have been created, in order.
+   * @param {number} [frequency] - if provided, only oscillators with this frequency are returned, see
+   *   MockAudioParam.getTargetValue
+   * @returns {MockAudioNode[]}
+   * @public
+   */
+  getOscillators( frequency ) {
+    return this.nodes.filter( node => node.type === 'oscillator' &&
+                                      ( frequency === undefined || node.frequency.getTargetValue() === frequency ) );
+  }
+}
+
+/**
+ * A node of the audio graph.
+ */
+class MockAudioNode {
+
+  /**
+   * @param {string} type - 'destination', 'gain' or 'oscillator'
+   */
+  constructor( type ) {
+
+    // @public (read-only)
+    this.type = type;
+
+    // @public (read-only) {MockAudioNode[]} - the nodes that this node is connected to
+    this.outputs = [];
+
+    // @public (read-only) {number|null} - when an oscillator starts and stops, null until start and stop are called
+    this.startTime = null;
+    this.stopTime = null;
+
+    // @public {function|null} - like OscillatorNode.onended, not called
+    this.onended = null;
+  }
+
+  /**
+   * @param {MockAudioNode} node
+   * @public
+   */
+  connect( node ) {
+    this.outputs.push( node );
+  }
+
+  /**
+   * @public
+   */
+  disconnect() {
+    this.outputs = [];
+  }
+
+  /**
+   * @param {number} [time]
+   * @public
+   */
+  start( time ) {
+    assert && assert( this.startTime === null, 'already started' );
+    this.startTime = time || 0;
+  }
+
+  /**
+   * @param {number} [time]
+   * @public
+   */
+  stop( time ) {
+    assert && assert( this.startTime !== null, 'not started' );
+
+    // some browsers throw InvalidStateError when a source is stopped again
+    assert && assert( this.stopTime === null, 'already stopped' );
+    this.stopTime = time || 0;
+  }
+}
+
+/**
+ * A param of a node of the audio graph, that records the changes that are scheduled.
+ */
+class MockAudioParam {
+
+  /**
+   * @param {number} value
+   */
+  constructor( value ) {
+
+    // @public {number}
+    this.value = value;
+
+    // @public (read-only) {Object[]} - changes that are scheduled, each {type: string, value: number, time: number},
+    // where type is the name of the AudioParam method that scheduled it
+    this.events = [];
+  }
+
+  /**
+   * @param {number} value
+   * @param {number} time
+   * @returns {MockAudioParam}
+   * @public
+   */
+  setValueAtTime( value, time ) {
+    return this.addEvent( 'setValueAtTime', value, time );
+  }
+
+  /**
+   * @param {number} value
+   * @param {number} time
+   * @returns {MockAudioParam}
+   * @public
+   */
+  linearRampToValueAtTime( value, time ) {
+    return this.addEvent( 'linearRampToValueAtTime', value, time );
+  }
+
+  /**
+   * @param {number} value
+   * @param {number} time
+   * @param {number} timeConstant
+   * @returns {MockAudioParam}
+   * @public
+   */
+  setTargetAtTime( value, time, timeConstant ) {
+    return this.addEvent( 'setTargetAtTime', value, time );
+  }
+
+  /**
+   * @param {number} time
+   * @returns {MockAudioParam}
+   * @public
+   */
+  cancelScheduledValues( time ) {
+    this.events = this.events.filter( event => event.time < time );
+    return this;
+  }
+
+  /**
+   * Gets the value that the param will have after all of the scheduled changes.
+   * @returns {number}
+   * @public
+   */
+  getTargetValue() {
+
+    // sortBy is stable, so the last of the changes that are scheduled at the same time wins
+    return this.events.length > 0 ? _.last( _.sortBy( this.events, 'time' ) ).value : this.value;
+  }
+
+  /**
+   * @param {string} type
+   * @param {number} value
+   * @param {number} time
+   * @returns {MockAudioParam}
+   * @private
+   */
+  addEvent( type, value, time ) {
+    this.events.push( { type: type, value: value, time: time } );
+    return this;
+  }
+}
+
+sceneryPhet.register( 'MockAudioContext', MockAudioContext );
+export default MockAudioContext;
@@ -0,0 +1,19 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * The ways that ValueSonifier maps a value to sound.
+ *
+ * @author agent <agent@local>
+ */
+
+import Enumeration from '../../../phet-core/js/Enumeration.js';
+import sceneryPhet from '../sceneryPhet.js';
+
+const SonificationMapping = Enumeration.byKeys( [
+  'PITCH', // higher values are higher tones
+  'VOLUME', // higher values are louder tones
+  'CLICK_RATE' // higher values are faster clicks, like a Geiger counter
+] );
+
+sceneryPhet.register( 'SonificationMapping', SonificationMapping );
+export default SonificationMapping;
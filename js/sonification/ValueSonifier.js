@@ -0,0 +1,317 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Sonifies a numeric Property, so that changes to a value can be heard as well as seen, for instance by learners with
+ * low vision who are adjusting a NumberControl. Each change to the value is heard for sustainDuration, mapped to the
+ * pitch or volume of a tone, or to the rate of clicks (see SonificationMapping). A boundary tone plays when the value
+ * reaches the min or max of its range, and a tick plays when the value reaches or crosses a major tick.
+ *
+ * Sonification is opt-in, and is usually created with the sonifierOptions of NumberControl, WavelengthSlider,
+ * ThermometerNode or GaugeNode. A ValueSonifier is a SoundGenerator that is added to soundManager, so it is heard
+ * like the other sounds of a sim, and is silenced when sound is turned off. Sound is made with a WebAudio graph in the
+ * audioContext option, which can be a MockAudioContext for tests.
+ *
+ * @author agent <agent@local>
+ */
+
+import BooleanProperty from '../../../axon/js/BooleanProperty.js';
+import timer from '../../../axon/js/timer.js';
+import Utils from '../../../dot/js/Utils.js';
+import merge from '../../../phet-core/js/merge.js';
+import phetAudioContext from '../../../tambo/js/phetAudioContext.js';
+import SoundGenerator from '../../../tambo/js/sound-generators/SoundGenerator.js';
+import soundManager from '../../../tambo/js/soundManager.js';
+import sceneryPhet from '../sceneryPhet.js';
+import SonificationMapping from './SonificationMapping.js';
+
+// constants, in seconds
+const TIME_CONSTANT = 0.015; // for changes to gains and frequencies, so that they are heard without pops
+const ATTACK_TIME = 0.005; // of boundary tones, ticks and clicks
+const TONE_DURATION = 0.15; // of boundary tones
+const TICK_DURATION = 0.04;
+const CLICK_DURATION = 0.01;
+
+// after the sustain, the tone is stopped when it has faded out
+const TONE_FADE_TIME = 5 * TIME_CONSTANT;
+
+class ValueSonifier extends SoundGenerator {
+
+  /**
+   * @param {Property.<number|null>} valueProperty - values that are not numbers are not heard
+   * @param {Range} range - values outside of the range are heard like the nearest value in the range
+   * @param {Object} [options]
+   */
+  constructor( valueProperty, range, options ) {
+
+    options = merge( {
+
+      // {AudioContext|MockAudioContext}
+      audioContext: phetAudioContext,
+
+      // {Object|null} - options for soundManager.addSoundGenerator, null to not add this to soundManager, for instance
+      // in tests with a MockAudioContext
+      soundManagerOptions: {},
+
+      // {Property.<boolean>|null} - whether the value is heard, for instance a Property that a user can change in the
+      // preferences of a sim. If null, a BooleanProperty(true) is created.
+      enabledProperty: null,
+
+      // {SonificationMapping}
+      mapping: SonificationMapping.PITCH,
+
+      // {number} - how long each change to the value is heard, in seconds
+      sustainDuration: 0.3,
+
+      // {number} - output level of all sounds, from 0 to 1
+      outputLevel: 0.3,
+
+      // {number} - frequencies of the min and max of the range for SonificationMapping.PITCH, in Hz. Frequency changes
+      // exponentially with the value, so that equal changes to the value are heard as equal musical intervals.
+      minFrequency: 220,
+      maxFrequency: 880,
+
+      // {number} - frequency of the tones of SonificationMapping.VOLUME and of the clicks of
+      // SonificationMapping.CLICK_RATE, in Hz
+      frequency: 440,
+
+      // {number} - level of the min of the range for SonificationMapping.VOLUME, as a fraction of outputLevel
+      minVolume: 0.1,
+
+      // {number} - clicks per second at the min and max of the range for SonificationMapping.CLICK_RATE
+      minClickRate: 2,
+      maxClickRate: 20,
+
+      // {boolean} - whether a low tone plays when the value reaches the min of the range, and a high tone when it
+      // reaches the max
+      boundaryTones: true,
+      minBoundaryFrequency: 110, // {number} in Hz
+      maxBoundaryFrequency: 1760, // {number} in Hz
+
+      // {number[]} - a tick plays when the value reaches or crosses one of these values
+      majorTickValues: [],
+      tickFrequency: 1320 // {number} in Hz
+    }, options );
+
+    assert && assert( SonificationMapping.includes( options.mapping ), `invalid mapping: ${options.mapping}` );
+    assert && assert( options.minFrequency > 0 && options.maxFrequency > 0, 'frequencies must be positive' );
+    assert && assert( options.minClickRate > 0 && options.maxClickRate > 0, 'click rates must be positive' );
+
+    super( {
+      audioContext: options.audioContext,
+      initialOutputLevel: options.outputLevel
+    } );
+
+    // @private
+    this.range = range;
+    this.mapping = options.mapping;
+    this.sustainDuration = options.sustainDuration;
+    this.minFrequency = options.minFrequency;
+    this.maxFrequency = options.maxFrequency;
+    this.frequency = options.frequency;
+    this.minVolume = options.minVolume;
+    this.minClickRate = options.minClickRate;
+    this.maxClickRate = options.maxClickRate;
+    this.boundaryTones = options.boundaryTones;
+    this.minBoundaryFrequency = options.minBoundaryFrequency;
+    this.maxBoundaryFrequency = options.maxBoundaryFrequency;
+    this.majorTickValues = options.majorTickValues;
+    this.tickFrequency = options.tickFrequency;
+
+    // @public {Property.<boolean>} - sounds that are scheduled are silenced when this is false, see SoundGenerator
+    const ownsEnabledProperty = !options.enabledProperty;
+    this.enabledProperty = options.enabledProperty || new BooleanProperty( true );
+    this.addEnableControlProperty( this.enabledProperty );
+
+    // @private {OscillatorNode|null} - the tone for SonificationMapping.PITCH and VOLUME. Created when the value
+    // changes, and stopped when it has faded out after the sustain, so that nothing is playing while the value is not
+    // changing.
+    this.toneOscillator = null;
+
+    // @private {GainNode|null} - the level of toneOscillator
+    this.toneGainNode = null;
+
+    // @private {function|null} - the timeout of axon's timer that stops toneOscillator. An OscillatorNode can only be
+    // stopped once, so the stop isn't scheduled on the oscillator while changes can extend the sustain.
+    this.toneStopTimeout = null;
+
+    // @private {number} - when the next click of SonificationMapping.CLICK_RATE can start, in the time of the audio
+    // context
+    this.nextClickTime = 0;
+
+    const valueListener = ( value, oldValue ) => {
+      if ( this.enabledProperty.value && typeof value === 'number' ) {
+        this.sonify( value, typeof oldValue === 'number' ? oldValue : value );
+      }
+    };
+    valueProperty.lazyLink( valueListener );
+
+    options.soundManagerOptions && soundManager.addSoundGenerator( this, options.soundManagerOptions );
+
+    // @private
+    this.disposeValueSonifier = () => {
+      valueProperty.unlink( valueListener );
+      options.soundManagerOptions && soundManager.removeSoundGenerator( this );
+      this.removeEnableControlProperty( this.enabledProperty );
+      ownsEnabledProperty && this.enabledProperty.dispose();
+      this.stopTone();
+    };
+  }
+
+  /**
+   * Gets the frequency of a value for SonificationMapping.PITCH.
+   * @param {number} value
+   * @returns {number} - in Hz
+   * @public
+   */
+  getFrequency( value ) {
+    return this.minFrequency * Math.pow( this.maxFrequency / this.minFrequency, normalize( value, this.range ) );
+  }
+
+  /**
+   * Gets the level of a value for SonificationMapping.VOLUME.
+   * @param {number} value
+   * @returns {number} - as a fraction of the outputLevel option
+   * @public
+   */
+  getVolume( value ) {
+    return Utils.linear( 0, 1, this.minVolume, 1, normalize( value, this.range ) );
+  }
+
+  /**
+   * Gets the click rate of a value for SonificationMapping.CLICK_RATE.
+   * @param {number} value
+   * @returns {number} - in clicks per second
+   * @public
+   */
+  getClickRate( value ) {
+    return Utils.linear( 0, 1, this.minClickRate, this.maxClickRate, normalize( value, this.range ) );
+  }
+
+  /**
+   * Plays the sounds for a change to the value.
+   * @param {number} value
+   * @param {number} oldValue
+   * @private
+   */
+  sonify( value, oldValue ) {
+    const now = this.audioContext.currentTime;
+
+    if ( this.mapping === SonificationMapping.CLICK_RATE ) {
+
+      // Schedule clicks until the end of the sustain. Clicks that were scheduled by previous changes are kept, so that
+      // the clicks are evenly spaced while the value changes continuously.
+      const endTime = now + this.sustainDuration;
+      const clickInterval = 1 / this.getClickRate( value );
+      let clickTime = Math.max( this.nextClickTime, now );
+      while ( clickTime < endTime ) {
+        this.playTone( this.frequency, clickTime, CLICK_DURATION );
+        clickTime += clickInterval;
+      }
+      this.nextClickTime = clickTime;
+    }
+    else {
+      // a tone that has stopped can't be started again, so a new tone is created
+      if ( !this.toneOscillator ) {
+        const toneGainNode = this.audioContext.createGain();
+        toneGainNode.gain.value = 0;
+        toneGainNode.connect( this.soundSourceDestination );
+
+        this.toneOscillator = this.audioContext.createOscillator();
+        this.toneOscillator.frequency.value = this.frequency;
+        this.toneOscillator.connect( toneGainNode );
+        this.toneOscillator.onended = () => toneGainNode.disconnect();
+        this.toneOscillator.start( now );
+        this.toneGainNode = toneGainNode;
+      }
+
+      if ( this.mapping === SonificationMapping.PITCH ) {
+        this.toneOscillator.frequency.setTargetAtTime( this.getFrequency( value ), now, TIME_CONSTANT );
+      }
+
+      // heard until the end of the sustain, which is extended by each change
+      const gain = this.toneGainNode.gain;
+      gain.cancelScheduledValues( now );
+      const level = this.mapping === SonificationMapping.VOLUME ? this.getVolume( value ) : 1;
+      gain.setTargetAtTime( level, now, TIME_CONSTANT );
+      gain.setTargetAtTime( 0, now + this.sustainDuration, TIME_CONSTANT );
+      this.toneStopTimeout && timer.clearTimeout( this.toneStopTimeout );
+      const stopDelay = 1000 * ( this.sustainDuration + TONE_FADE_TIME ); // in ms
+      this.toneStopTimeout = timer.setTimeout( () => this.stopTone(), stopDelay );
+    }
+
+    // values outside of the range are at its boundaries
+    const min = this.range.min;
+    const max = this.range.max;
+    const clampedValue = Utils.clamp( value, min, max );
+    const clampedOldValue = Utils.clamp( oldValue, min, max );
+
+    const atMin = this.boundaryTones && clampedValue === min && clampedOldValue > min;
+    const atMax = this.boundaryTones && clampedValue === max && clampedOldValue < max;
+    atMin && this.playTone( this.minBoundaryFrequency, now, TONE_DURATION );
+    atMax && this.playTone( this.maxBoundaryFrequency, now, TONE_DURATION );
+
+    // one tick for any number of ticks that are crossed, and none when a boundary tone was played
+    const crossedTick = _.some( this.majorTickValues, tickValue =>
+      ( clampedOldValue < tickValue && tickValue <= clampedValue ) ||
+      ( clampedValue <= tickValue && tickValue < clampedOldValue ) );
+    if ( crossedTick && !atMin && !atMax ) {
+      this.playTone( this.tickFrequency, now, TICK_DURATION );
+    }
+  }
+
+  /**
+   * Plays a short tone, for boundary tones, ticks and clicks.
+   * @param {number} frequency - in Hz
+   * @param {number} startTime - in the time of the audio context
+   * @param {number} duration - in seconds
+   * @private
+   */
+  playTone( frequency, startTime, duration ) {
+    const gainNode = this.audioContext.createGain();
+    gainNode.gain.setValueAtTime( 0, startTime );
+    gainNode.gain.linearRampToValueAtTime( 1, startTime + ATTACK_TIME );
+    gainNode.gain.linearRampToValueAtTime( 0, startTime + duration );
+    gainNode.connect( this.soundSourceDestination );
+
+    const oscillator = this.audioContext.createOscillator();
+    oscillator.frequency.value = frequency;
+    oscillator.connect( gainNode );
+    oscillator.onended = () => gainNode.disconnect();
+    oscillator.start( startTime );
+    oscillator.stop( startTime + duration );
+  }
+
+  /**
+   * Stops the tone, if it is playing. The next change creates a new tone.
+   * @private
+   */
+  stopTone() {
+    this.toneStopTimeout && timer.clearTimeout( this.toneStopTimeout );
+    this.toneStopTimeout = null;
+    this.toneOscillator && this.toneOscillator.stop();
+    this.toneOscillator = null;
+    this.toneGainNode = null;
+  }
+
+  /**
+   * @public
+   * @override
+   */
+  dispose() {
+    this.disposeValueSonifier();
+    super.dispose();
+  }
+}
+
+/**
+ * Gets the position of a value in a range, from 0 at the min to 1 at the max.
+ * @param {number} value
+ * @param {Range} range
+ * @returns {number}
+ */
+function normalize( value, range ) {
+  return range.getLength() === 0 ? 0 : Utils.clamp( ( value - range.min ) / range.getLength(), 0, 1 );
+}
+
+sceneryPhet.register( 'ValueSonifier', ValueSonifier );
+export default ValueSonifier;
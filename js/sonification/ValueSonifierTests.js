@@ -0,0 +1,151 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for ValueSonifier
+ *
+ * @author agent <agent@local>
+ */
+
+import NumberProperty from '../../../axon/js/NumberProperty.js';
+import timer from '../../../axon/js/timer.js';
+import Range from '../../../dot/js/Range.js';
+import Utils from '../../../dot/js/Utils.js';
+import MockAudioContext from './MockAudioContext.js';
+import SonificationMapping from './SonificationMapping.js';
+import ValueSonifier from './ValueSonifier.js';
+
+QUnit.module( 'ValueSonifier' );
+
+QUnit.test( 'mappings', assert => {
+  const valueProperty = new NumberProperty( 0 );
+  const sonifier = new ValueSonifier( valueProperty, new Range( 0, 10 ), {
+    audioContext: new MockAudioContext(),
+    soundManagerOptions: null,
+    minFrequency: 200,
+    maxFrequency: 800,
+    minVolume: 0.2,
+    minClickRate: 1,
+    maxClickRate: 11
+  } );
+
+  assert.equal( sonifier.getFrequency( 0 ), 200, 'min frequency' );
+  assert.equal( sonifier.getFrequency( 5 ), 400, 'equal changes are equal intervals' );
+  assert.equal( sonifier.getFrequency( 10 ), 800, 'max frequency' );
+  assert.equal( sonifier.getFrequency( 20 ), 800, 'clamped to the range' );
+  assert.equal( sonifier.getVolume( 0 ), 0.2, 'min volume' );
+  assert.equal( sonifier.getVolume( 10 ), 1, 'max volume' );
+  assert.equal( sonifier.getClickRate( 5 ), 6, 'click rate' );
+
+  sonifier.dispose();
+} );
+
+QUnit.test( 'tone', assert => {
+  const audioContext = new MockAudioContext();
+  const valueProperty = new NumberProperty( 0 );
+  const sonifier = new ValueSonifier( valueProperty, new Range( 0, 10 ), {
+    audioContext: audioContext,
+    soundManagerOptions: null,
+    boundaryTones: false,
+    sustainDuration: 0.5
+  } );
+  assert.equal( audioContext.getOscillators().length, 0, 'nothing is created until the value changes' );
+
+  audioContext.currentTime = 1;
+  valueProperty.value = 5;
+  const toneOscillator = audioContext.getOscillators()[ 0 ];
+  assert.equal( toneOscillator.frequency.getTargetValue(), sonifier.getFrequency( 5 ), 'pitch of the value' );
+
+  const toneGain = toneOscillator.outputs[ 0 ].gain;
+  assert.deepEqual( toneGain.events.map( event => [ event.value, event.time ] ), [ [ 1, 1 ], [ 0, 1.5 ] ],
+    'heard until the end of the sustain' );
+
+  audioContext.currentTime = 1.2;
+  valueProperty.value = 6;
+  assert.equal( audioContext.getOscillators().length, 1, 'the tone is reused' );
+  assert.equal( toneGain.getTargetValue(), 0, 'silent after the sustain' );
+  assert.equal( _.last( toneGain.events ).time, 1.7, 'sustain is extended by changes' );
+  assert.equal( toneOscillator.stopTime, null, 'not stopped while the sustain can be extended' );
+
+  timer.emit( 0.5 );
+  assert.equal( toneOscillator.stopTime, null, 'sustain is extended by changes' );
+  timer.emit( 0.1 );
+  assert.notEqual( toneOscillator.stopTime, null, 'stopped when silent after the sustain' );
+
+  sonifier.enabledProperty.value = false;
+  valueProperty.value = 7;
+  assert.equal( toneOscillator.frequency.getTargetValue(), sonifier.getFrequency( 6 ), 'not heard while disabled' );
+
+  sonifier.enabledProperty.value = true;
+  audioContext.currentTime = 3;
+  valueProperty.value = 8;
+  assert.equal( audioContext.getOscillators().length, 2, 'a new tone after the tone has stopped' );
+  assert.equal( audioContext.getOscillators()[ 1 ].startTime, 3, 'the new tone starts right away' );
+
+  sonifier.dispose();
+} );
+
+QUnit.test( 'boundaries and ticks', assert => {
+  const audioContext = new MockAudioContext();
+  const valueProperty = new NumberProperty( 2 );
+  const sonifier = new ValueSonifier( valueProperty, new Range( 0, 10 ), {
+    audioContext: audioContext,
+    soundManagerOptions: null,
+    mapping: SonificationMapping.VOLUME,
+    minBoundaryFrequency: 100,
+    maxBoundaryFrequency: 1000,
+    majorTickValues: [ 0, 5, 10 ],
+    tickFrequency: 2000
+  } );
+  const countTones = frequency => audioContext.getOscillators( frequency ).length;
+
+  valueProperty.value = 4;
+  assert.equal( countTones( 2000 ), 0, 'no tick between ticks' );
+  valueProperty.value = 5;
+  assert.equal( countTones( 2000 ), 1, 'tick when a tick is reached' );
+  valueProperty.value = 4;
+  valueProperty.value = 7;
+  assert.equal( countTones( 2000 ), 2, 'tick when a tick is crossed' );
+
+  valueProperty.value = 12;
+  assert.equal( countTones( 1000 ), 1, 'boundary tone when the max is reached' );
+  assert.equal( countTones( 2000 ), 2, 'no tick with a boundary tone' );
+  valueProperty.value = 11;
+  assert.equal( countTones( 1000 ), 1, 'no boundary tone outside of the range' );
+  valueProperty.value = 0;
+  assert.equal( countTones( 100 ), 1, 'boundary tone when the min is reached' );
+
+  sonifier.dispose();
+} );
+
+QUnit.test( 'clicks', assert => {
+  const audioContext = new MockAudioContext();
+  const valueProperty = new NumberProperty( 0 );
+  const sonifier = new ValueSonifier( valueProperty, new Range( 0, 10 ), {
+    audioContext: audioContext,
+    soundManagerOptions: null,
+    mapping: SonificationMapping.CLICK_RATE,
+    frequency: 500,
+    boundaryTones: false,
+    sustainDuration: 0.55,
+    minClickRate: 2,
+    maxClickRate: 10
+  } );
+
+  const getClickTimes = () => audioContext.getOscillators( 500 )
+    .map( oscillator => Utils.toFixedNumber( oscillator.startTime, 3 ) );
+
+  valueProperty.value = 10;
+  assert.deepEqual( getClickTimes(), [ 0, 0.1, 0.2, 0.3, 0.4, 0.5 ],
+    'clicks at the rate of the value during the sustain' );
+
+  audioContext.currentTime = 0.3;
+  valueProperty.value = 0;
+  assert.deepEqual( getClickTimes(), [ 0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6 ],
+    'scheduled clicks are kept, then clicks at the rate of the new value' );
+
+  audioContext.currentTime = 2;
+  valueProperty.value = 5;
+  assert.deepEqual( getClickTimes().slice( 7 ), [ 2, 2.167, 2.333, 2.5 ], 'clicks start right away after a pause' );
+
+  sonifier.dispose();
+} );
@@ -0,0 +1,73 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * SI prefixes, e.g. the 'm' in 'mA'. Prefix symbols are universal and are NOT translatable.
+ *
+ * @author agent <agent@local>
+ */
+
+import Utils from '../../../dot/js/Utils.js';
+import sceneryPhet from '../sceneryPhet.js';
+
+// {{symbol:string, exponent:number}[]} from smallest to largest. Includes only prefixes whose exponent is a multiple
+// of 3, so that values with a prefix are in the range [1,1000).
+const PREFIXES = [
+  { symbol: 'f', exponent: -15 }, // femto
+  { symbol: 'p', exponent: -12 }, // pico
+  { symbol: 'n', exponent: -9 }, // nano
+  { symbol: 'µ', exponent: -6 }, // micro
+  { symbol: 'm', exponent: -3 }, // milli
+  { symbol: '', exponent: 0 },
+  { symbol: 'k', exponent: 3 }, // kilo
+  { symbol: 'M', exponent: 6 }, // mega
+  { symbol: 'G', exponent: 9 }, // giga
+  { symbol: 'T', exponent: 12 } // tera
+];
+
+const SIPrefix = {
+
+  // @public (read-only)
+  PREFIXES: PREFIXES,
+  MIN_EXPONENT: PREFIXES[ 0 ].exponent,
+  MAX_EXPONENT: _.last( PREFIXES ).exponent,
+
+  /**
+   * Gets the symbol for a prefix.
+   * @param {number} exponent - exponent of a prefix
+   * @returns {string}
+   * @public
+   */
+  getSymbol( exponent ) {
+    const prefix = _.find( PREFIXES, prefix => prefix.exponent === exponent );
+    assert && assert( prefix, `no prefix with exponent ${exponent}` );
+    return prefix.symbol;
+  },
+
+  /**
+   * Chooses the exponent of the prefix that puts a value in the range [1,1000), constrained to a range of exponents.
+   * Zero has an exponent of 0.
+   * @param {number} value
+   * @param {number} [minExponent]
+   * @param {number} [maxExponent]
+   * @returns {number}
+   * @public
+   */
+  chooseExponent( value, minExponent = SIPrefix.MIN_EXPONENT, maxExponent = SIPrefix.MAX_EXPONENT ) {
+    const exponent = ( value === 0 ) ? 0 : Math.floor( Math.log10( Math.abs( value ) ) / 3 ) * 3;
+    return Utils.clamp( exponent, minExponent, maxExponent );
+  },
+
+  /**
+   * Gets the exponents of all prefixes in a range of exponents.
+   * @param {number} minExponent
+   * @param {number} maxExponent
+   * @returns {number[]}
+   * @public
+   */
+  getExponents( minExponent, maxExponent ) {
+    return PREFIXES.map( prefix => prefix.exponent ).filter( exponent => exponent >= minExponent && exponent <= maxExponent );
+  }
+};
+
+sceneryPhet.register( 'SIPrefix', SIPrefix );
+export default SIPrefix;
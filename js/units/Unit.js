@@ -0,0 +1,90 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * Unit describes the units that a value is displayed in. Values are always stored in a base unit (e.g. A, or °C), and
+ * a Unit converts them to the displayed unit with a linear conversion: displayedValue = scale * baseValue + offset.
+ * This supports alternate unit systems for the same quantity, e.g. Unit.CELSIUS, Unit.FAHRENHEIT and Unit.KELVIN for a
+ * temperature that is stored in °C.
+ *
+ * If usePrefixes is true, UnitFormatter chooses an SI prefix automatically, e.g. 0.0004 A is displayed as 400 µA.
+ *
+ * Unit symbols are universal and are NOT translatable, with the exception of those that come from MathSymbols.
+ *
+ * @author agent <agent@local>
+ */
+
+import merge from '../../../phet-core/js/merge.js';
+import MathSymbols from '../MathSymbols.js';
+import sceneryPhet from '../sceneryPhet.js';
+import SIPrefix from './SIPrefix.js';
+
+class Unit {
+
+  /**
+   * @param {string} symbol - the symbol for the unit, without a prefix, e.g. 'A'
+   * @param {Object} [options]
+   */
+  constructor( symbol, options ) {
+
+    options = merge( {
+      scale: 1, // {number} displayedValue = scale * baseValue + offset
+      offset: 0, // {number} displayedValue = scale * baseValue + offset
+      usePrefixes: false, // {boolean} whether to choose an SI prefix automatically
+
+      // {number} range of the exponents of the prefixes that may be chosen, see SIPrefix
+      minPrefixExponent: SIPrefix.MIN_EXPONENT,
+      maxPrefixExponent: SIPrefix.MAX_EXPONENT
+    }, options );
+
+    assert && assert( options.scale !== 0, 'scale must be non-zero' );
+    assert && assert( options.minPrefixExponent <= 0 && options.maxPrefixExponent >= 0,
+      'prefix exponent range must include 0' );
+
+    // @public (read-only)
+    this.symbol = symbol;
+    this.scale = options.scale;
+    this.offset = options.offset;
+    this.usePrefixes = options.usePrefixes;
+    this.minPrefixExponent = options.minPrefixExponent;
+    this.maxPrefixExponent = options.maxPrefixExponent;
+  }
+
+  /**
+   * Converts a value in the base unit to this unit.
+   * @param {number} baseValue
+   * @returns {number}
+   * @public
+   */
+  fromBaseValue( baseValue ) {
+    return this.scale * baseValue + this.offset;
+  }
+
+  /**
+   * Converts a value in this unit to the base unit.
+   * @param {number} value
+   * @returns {number}
+   * @public
+   */
+  toBaseValue( value ) {
+    return ( value - this.offset ) / this.scale;
+  }
+}
+
+// SI units, with automatic prefixes
+Unit.AMPERES = new Unit( 'A', { usePrefixes: true } );
+Unit.VOLTS = new Unit( 'V', { usePrefixes: true } );
+Unit.OHMS = new Unit( MathSymbols.OHMS, { usePrefixes: true } );
+Unit.METERS = new Unit( 'm', { usePrefixes: true, maxPrefixExponent: 3 } );
+Unit.SECONDS = new Unit( 's', { usePrefixes: true, maxPrefixExponent: 0 } );
+Unit.GRAMS = new Unit( 'g', { usePrefixes: true } );
+Unit.JOULES = new Unit( 'J', { usePrefixes: true } );
+Unit.WATTS = new Unit( 'W', { usePrefixes: true } );
+Unit.HERTZ = new Unit( 'Hz', { usePrefixes: true } );
+
+// Temperature, for values that are stored in °C
+Unit.CELSIUS = new Unit( `${MathSymbols.DEGREES}C` );
+Unit.FAHRENHEIT = new Unit( `${MathSymbols.DEGREES}F`, { scale: 9 / 5, offset: 32 } );
+Unit.KELVIN = new Unit( 'K', { offset: 273.15 } );
+
+sceneryPhet.register( 'Unit', Unit );
+export default Unit;
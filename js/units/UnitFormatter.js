@@ -0,0 +1,203 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * UnitFormatter formats values with a Unit, e.g. 0.0004 (in A) as '400 µA'. If the Unit uses prefixes, the prefix is
+ * chosen automatically. To keep the prefix from flickering while a value is changing near a boundary between prefixes
+ * (e.g. while dragging a slider), a UnitFormatter remembers the prefix that it last chose, and changes it only when the
+ * value moves beyond the boundary by more than the hysteresis factor. So each component that displays a value should
+ * have its own UnitFormatter.
+ *
+ * @author agent <agent@local>
+ */
+
+import Utils from '../../../dot/js/Utils.js';
+import merge from '../../../phet-core/js/merge.js';
+import StringUtils from '../../../phetcommon/js/util/StringUtils.js';
+import sceneryPhetStrings from '../scenery-phet-strings.js';
+import sceneryPhet from '../sceneryPhet.js';
+import SignificantFigures from '../SignificantFigures.js';
+import SIPrefix from './SIPrefix.js';
+import Unit from './Unit.js';
+
+const unitsValueUnitsPatternString = sceneryPhetStrings.units.valueUnitsPattern;
+
+class UnitFormatter {
+
+  /**
+   * @param {Unit} unit
+   * @param {Object} [options]
+   */
+  constructor( unit, options ) {
+
+    options = merge( {
+
+      // {number|null} number of decimal places for the value, after the prefix is applied. If null, the full value is
+      // displayed.
+      decimalPlaces: 2,
+
+      // {number|null} number of significant figures for the value, after the prefix is applied. If non-null, this
+      // overrides decimalPlaces.
+      significantFigures: null,
+
+      // {number} fraction of a prefix boundary that a value must move beyond before the prefix changes. E.g. with 0.1,
+      // a value that is displayed in µA changes to mA when it reaches 1100 µA, and back to µA below 0.9 mA.
+      hysteresis: 0.1
+    }, options );
+
+    assert && assert( options.hysteresis >= 0 && options.hysteresis < 1, `invalid hysteresis: ${options.hysteresis}` );
+
+    // @private
+    this.decimalPlaces = options.decimalPlaces;
+    this.significantFigures = options.significantFigures;
+    this.hysteresis = options.hysteresis;
+
+    // @private {Unit} set via setUnit
+    this.unit = null;
+
+    // @private {number|null} exponent of the prefix that was last chosen, null if none has been chosen yet
+    this.exponent = null;
+
+    this.setUnit( unit );
+  }
+
+  /**
+   * Changes the unit, and forgets the prefix that was last chosen.
+   * @param {Unit} unit
+   * @public
+   */
+  setUnit( unit ) {
+    assert && assert( unit instanceof Unit, `invalid unit: ${unit}` );
+    this.unit = unit;
+    this.exponent = null;
+  }
+
+  /**
+   * Gets the Unit.
+   * @returns {Unit}
+   * @public
+   */
+  getUnit() {
+    return this.unit;
+  }
+
+  /**
+   * Formats a value, choosing a prefix if the unit uses prefixes.
+   * @param {number} baseValue - value in the unit's base unit
+   * @returns {{value:string, units:string}} the formatted value, and the units including prefix
+   * @public
+   */
+  format( baseValue ) {
+    const value = this.unit.fromBaseValue( baseValue );
+    const exponent = this.chooseExponent( value );
+    return this.formatWithExponent( value, exponent );
+  }
+
+  /**
+   * Formats a value as a single string, e.g. '400 µA'.
+   * @param {number} baseValue - value in the unit's base unit
+   * @returns {string}
+   * @public
+   */
+  formatToString( baseValue ) {
+    const formatted = this.format( baseValue );
+    return StringUtils.fillIn( unitsValueUnitsPatternString, {
+      value: formatted.value,
+      units: formatted.units
+    } );
+  }
+
+  /**
+   * Gets strings that are candidates for the widest formatted value in a range, for sizing a display. This does not
+   * change which prefix was last chosen.
+   * @param {Range} baseRange - range in the unit's base unit
+   * @returns {string[]}
+   * @public
+   */
+  getSampleStrings( baseRange ) {
+    const min = this.unit.fromBaseValue( baseRange.min );
+    const max = this.unit.fromBaseValue( baseRange.max );
+    const samples = [ this.formatWithExponent( min, this.chooseIdealExponent( min ) ),
+      this.formatWithExponent( max, this.chooseIdealExponent( max ) ) ];
+
+    if ( this.unit.usePrefixes ) {
+
+      // The largest value that each prefix displays, including the hysteresis.
+      const sign = ( Math.min( min, max ) < 0 ) ? -1 : 1;
+      const largestValue = 1000 * ( 1 + this.hysteresis );
+      SIPrefix.getExponents( this.unit.minPrefixExponent, this.unit.maxPrefixExponent ).forEach( exponent => {
+        samples.push( this.formatWithExponent( sign * largestValue * Math.pow( 10, exponent ), exponent ) );
+      } );
+    }
+
+    return samples.map( sample => StringUtils.fillIn( unitsValueUnitsPatternString, sample ) );
+  }
+
+  /**
+   * Chooses the prefix for a value, with hysteresis.
+   * @param {number} value - value in this.unit
+   * @returns {number} exponent of the prefix
+   * @private
+   */
+  chooseExponent( value ) {
+    if ( !this.unit.usePrefixes ) {
+      return 0;
+    }
+
+    // Keep the previous prefix for zero, and for values that are within the hysteresis band of the previous prefix.
+    if ( this.exponent === null ||
+         ( value !== 0 && !this.isInHysteresisBand( Math.abs( value ) / Math.pow( 10, this.exponent ) ) ) ) {
+      this.exponent = this.chooseIdealExponent( value );
+    }
+    return this.exponent;
+  }
+
+  /**
+   * Is a value, scaled by the previous prefix, close enough to the prefix's range [1,1000) to keep that prefix?
+   * The band is open at the prefix exponent limits, since there is no other prefix to change to.
+   * @param {number} scaledValue - absolute value, scaled by the previous prefix
+   * @returns {boolean}
+   * @private
+   */
+  isInHysteresisBand( scaledValue ) {
+    const tooSmall = scaledValue < ( 1 - this.hysteresis ) && this.exponent > this.unit.minPrefixExponent;
+    const tooLarge = scaledValue >= 1000 * ( 1 + this.hysteresis ) && this.exponent < this.unit.maxPrefixExponent;
+    return !tooSmall && !tooLarge;
+  }
+
+  /**
+   * Chooses the prefix for a value, without hysteresis.
+   * @param {number} value - value in this.unit
+   * @returns {number} exponent of the prefix
+   * @private
+   */
+  chooseIdealExponent( value ) {
+    return this.unit.usePrefixes ? SIPrefix.chooseExponent( value, this.unit.minPrefixExponent, this.unit.maxPrefixExponent ) : 0;
+  }
+
+  /**
+   * @param {number} value - value in this.unit
+   * @param {number} exponent - exponent of the prefix
+   * @returns {{value:string, units:string}}
+   * @private
+   */
+  formatWithExponent( value, exponent ) {
+    const scaledValue = value / Math.pow( 10, exponent );
+    let valueString;
+    if ( this.significantFigures !== null ) {
+      valueString = SignificantFigures.toFixed( scaledValue, this.significantFigures );
+    }
+    else if ( this.decimalPlaces === null ) {
+      valueString = `${scaledValue}`;
+    }
+    else {
+      valueString = Utils.toFixed( scaledValue, this.decimalPlaces );
+    }
+    return {
+      value: valueString,
+      units: SIPrefix.getSymbol( exponent ) + this.unit.symbol
+    };
+  }
+}
+
+sceneryPhet.register( 'UnitFormatter', UnitFormatter );
+export default UnitFormatter;
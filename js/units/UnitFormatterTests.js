@@ -0,0 +1,64 @@
+// Copyright 2020, University of Colorado Boulder
+
+/**
+ * QUnit tests for UnitFormatter
+ *
+ * @author agent <agent@local>
+ */
+
+import Range from '../../../dot/js/Range.js';
+import Unit from './Unit.js';
+import UnitFormatter from './UnitFormatter.js';
+
+QUnit.module( 'UnitFormatter' );
+
+QUnit.test( 'prefixes', assert => {
+
+  const formatter = new UnitFormatter( Unit.AMPERES, { decimalPlaces: 0 } );
+  assert.equal( formatter.formatToString( 0.0004 ), '400 µA', 'micro' );
+
+  formatter.setUnit( Unit.AMPERES );
+  assert.equal( formatter.formatToString( 2500 ), '3 kA', 'kilo' );
+
+  formatter.setUnit( Unit.AMPERES );
+  assert.equal( formatter.formatToString( 0 ), '0 A', 'zero has no prefix' );
+
+  const seconds = new UnitFormatter( Unit.SECONDS, { decimalPlaces: 0 } );
+  assert.equal( seconds.formatToString( 5000 ), '5000 s', 'limited to the maximum prefix' );
+
+  assert.deepEqual( new UnitFormatter( Unit.VOLTS ).format( 0.0123 ), { value: '12.30', units: 'mV' }, 'format' );
+} );
+
+QUnit.test( 'hysteresis', assert => {
+
+  const formatter = new UnitFormatter( Unit.AMPERES, { decimalPlaces: 2, hysteresis: 0.1 } );
+  assert.equal( formatter.formatToString( 0.0009 ), '900.00 µA', 'initial prefix' );
+  assert.equal( formatter.formatToString( 0.00105 ), '1050.00 µA', 'keeps the prefix within the band' );
+  assert.equal( formatter.formatToString( 0.0012 ), '1.20 mA', 'changes the prefix beyond the band' );
+  assert.equal( formatter.formatToString( 0.00095 ), '0.95 mA', 'keeps the prefix within the band' );
+  assert.equal( formatter.formatToString( 0 ), '0.00 mA', 'zero keeps the prefix' );
+  assert.equal( formatter.formatToString( 0.0008 ), '800.00 µA', 'changes the prefix beyond the band' );
+} );
+
+QUnit.test( 'unit systems', assert => {
+
+  const formatter = new UnitFormatter( Unit.CELSIUS, { decimalPlaces: 0 } );
+  assert.equal( formatter.formatToString( 100 ), '100 °C', 'Celsius' );
+
+  formatter.setUnit( Unit.FAHRENHEIT );
+  assert.equal( formatter.formatToString( 100 ), '212 °F', 'Fahrenheit' );
+
+  formatter.setUnit( Unit.KELVIN );
+  assert.equal( formatter.formatToString( 0 ), '273 K', 'Kelvin' );
+
+  assert.equal( Unit.FAHRENHEIT.toBaseValue( 212 ), 100, 'toBaseValue' );
+} );
+
+QUnit.test( 'getSampleStrings', assert => {
+
+  const formatter = new UnitFormatter( Unit.AMPERES, { decimalPlaces: 0 } );
+  formatter.formatToString( 0.0004 );
+  const samples = formatter.getSampleStrings( new Range( 0, 1 ) );
+  assert.ok( samples.indexOf( '1100 mA' ) !== -1, 'includes the largest value for a prefix' );
+  assert.equal( formatter.formatToString( 0.0005 ), '500 µA', 'does not change the prefix' );
+} );